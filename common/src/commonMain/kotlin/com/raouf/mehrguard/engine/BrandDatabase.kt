@@ -54,7 +54,9 @@ object BrandDatabase {
         val typosquats: List<String>,
         val homographs: List<String>,
         val combosquats: List<String>,
-        val category: BrandCategory = BrandCategory.TECHNOLOGY
+        val category: BrandCategory = BrandCategory.TECHNOLOGY,
+        /** Address the brand publishes for forwarding phishing reports, if any */
+        val abuseContact: String? = null
     )
 
     /**
@@ -71,7 +73,8 @@ object BrandDatabase {
             typosquats = listOf("paypa1", "paypai", "paypol", "paypaI", "paypall", "pypai"),
             homographs = listOf("pаypal", "раypal"), // Cyrillic 'а'
             combosquats = listOf("paypal-secure", "paypal-login", "paypal-verify", "paypal-update", "paypal-support"),
-            category = BrandCategory.FINANCIAL
+            category = BrandCategory.FINANCIAL,
+            abuseContact = "phishing@paypal.com"
         ),
 
         "stripe" to BrandConfig(
@@ -89,7 +92,8 @@ object BrandDatabase {
             typosquats = listOf("cornmbank", "commbenk", "comnbank", "c0mmbank", "combank"),
             homographs = listOf("соmmbank"), // Cyrillic 'о'
             combosquats = listOf("commbank-login", "commbank-secure", "commbank-netbank", "commbank-verify"),
-            category = BrandCategory.FINANCIAL
+            category = BrandCategory.FINANCIAL,
+            abuseContact = "hoax@cba.com.au"
         ),
 
         "nab" to BrandConfig(
@@ -105,7 +109,8 @@ object BrandDatabase {
             typosquats = listOf("westpec", "westpacc", "w3stpac", "wetspac"),
             homographs = listOf("wеstpac"), // Cyrillic 'е'
             combosquats = listOf("westpac-login", "westpac-secure", "westpac-online"),
-            category = BrandCategory.FINANCIAL
+            category = BrandCategory.FINANCIAL,
+            abuseContact = "hoax@westpac.com.au"
         ),
 
         "anz" to BrandConfig(
@@ -113,7 +118,8 @@ object BrandDatabase {
             typosquats = listOf("4nz", "annz", "anzz"),
             homographs = listOf("аnz"), // Cyrillic 'а'
             combosquats = listOf("anz-login", "anz-secure", "anz-internet-banking"),
-            category = BrandCategory.FINANCIAL
+            category = BrandCategory.FINANCIAL,
+            abuseContact = "hoax@cybersecurity.anz.com"
         ),
 
         "bendigo" to BrandConfig(
@@ -139,7 +145,8 @@ object BrandDatabase {
             typosquats = listOf("micr0soft", "rnicrosoft", "mircosoft", "microsft", "microsofl"),
             homographs = listOf("mісrosoft", "miсrosoft"), // Cyrillic 'і', 'с'
             combosquats = listOf("microsoft-login", "microsoft-account", "office-login", "microsoft-security", "office365-login"),
-            category = BrandCategory.TECHNOLOGY
+            category = BrandCategory.TECHNOLOGY,
+            abuseContact = "phish@office365.microsoft.com"
         ),
 
         "apple" to BrandConfig(
@@ -147,7 +154,8 @@ object BrandDatabase {
             typosquats = listOf("app1e", "appie", "aple", "applle", "applе"),
             homographs = listOf("аpple", "apрle"), // Cyrillic 'а', 'р'
             combosquats = listOf("apple-id", "icloud-login", "apple-verify", "apple-support", "appleid-login"),
-            category = BrandCategory.TECHNOLOGY
+            category = BrandCategory.TECHNOLOGY,
+            abuseContact = "reportphishing@apple.com"
         ),
 
         "amazon" to BrandConfig(
@@ -155,7 +163,8 @@ object BrandDatabase {
             typosquats = listOf("amaz0n", "arnazon", "amazom", "amazonn", "amazn"),
             homographs = listOf("аmazon", "amаzon"), // Cyrillic 'а'
             combosquats = listOf("amazon-prime", "amazon-order", "amazon-delivery", "amazon-login", "amazon-security"),
-            category = BrandCategory.ECOMMERCE
+            category = BrandCategory.ECOMMERCE,
+            abuseContact = "stop-spoofing@amazon.com"
         ),
 
         // === SOCIAL MEDIA ===
@@ -165,7 +174,8 @@ object BrandDatabase {
             typosquats = listOf("faceb00k", "facebok", "faceboook", "facebk", "facbook"),
             homographs = listOf("fасebook", "facebооk"), // Cyrillic 'а', 'о'
             combosquats = listOf("facebook-login", "facebook-verify", "fb-security", "facebook-support"),
-            category = BrandCategory.SOCIAL
+            category = BrandCategory.SOCIAL,
+            abuseContact = "phish@fb.com"
         ),
 
         "instagram" to BrandConfig(
@@ -189,7 +199,8 @@ object BrandDatabase {
             typosquats = listOf("1inkedin", "linkedln", "linkdin", "linkedn", "llnkedin"),
             homographs = listOf("lіnkedin", "linkеdin"), // Cyrillic 'і', 'е'
             combosquats = listOf("linkedin-login", "linkedin-verify", "linkedin-job"),
-            category = BrandCategory.SOCIAL
+            category = BrandCategory.SOCIAL,
+            abuseContact = "phishing@linkedin.com"
         ),
 
         "tiktok" to BrandConfig(
@@ -207,7 +218,8 @@ object BrandDatabase {
             typosquats = listOf("netf1ix", "netfiix", "nettflix", "netfllx", "netlfix"),
             homographs = listOf("nеtflix", "netflіx"), // Cyrillic 'е', 'і'
             combosquats = listOf("netflix-billing", "netflix-update", "netflix-account", "netflix-payment"),
-            category = BrandCategory.ENTERTAINMENT
+            category = BrandCategory.ENTERTAINMENT,
+            abuseContact = "phishing@netflix.com"
         ),
 
         "spotify" to BrandConfig(
@@ -225,7 +237,8 @@ object BrandDatabase {
             typosquats = listOf("ausp0st", "auspostt", "aspost", "austpost"),
             homographs = listOf("аuspost"), // Cyrillic 'а'
             combosquats = listOf("auspost-delivery", "auspost-tracking", "auspost-parcel"),
-            category = BrandCategory.LOGISTICS
+            category = BrandCategory.LOGISTICS,
+            abuseContact = "scams@auspost.com.au"
         ),
 
         "dhl" to BrandConfig(
@@ -233,7 +246,8 @@ object BrandDatabase {
             typosquats = listOf("dh1", "dhll", "d-hl"),
             homographs = listOf("dһl"), // Cyrillic 'һ'
             combosquats = listOf("dhl-tracking", "dhl-delivery", "dhl-parcel"),
-            category = BrandCategory.LOGISTICS
+            category = BrandCategory.LOGISTICS,
+            abuseContact = "phishing-dpdhl@dhl.com"
         ),
 
         "fedex" to BrandConfig(
@@ -241,7 +255,8 @@ object BrandDatabase {
             typosquats = listOf("fed3x", "fedx", "feddex"),
             homographs = listOf("fеdex"), // Cyrillic 'е'
             combosquats = listOf("fedex-tracking", "fedex-delivery"),
-            category = BrandCategory.LOGISTICS
+            category = BrandCategory.LOGISTICS,
+            abuseContact = "abuse@fedex.com"
         ),
 
         // === GOVERNMENT (AU) ===
@@ -251,7 +266,8 @@ object BrandDatabase {
             typosquats = listOf("myg0v", "mygove", "myygov"),
             homographs = listOf("mуgov"), // Cyrillic 'у'
             combosquats = listOf("mygov-login", "mygov-verify", "mygov-au"),
-            category = BrandCategory.GOVERNMENT
+            category = BrandCategory.GOVERNMENT,
+            abuseContact = "reportascam@servicesaustralia.gov.au"
         ),
 
         "ato" to BrandConfig(
@@ -259,7 +275,8 @@ object BrandDatabase {
             typosquats = listOf("at0", "attoo", "atoo"),
             homographs = listOf("аto"), // Cyrillic 'а'
             combosquats = listOf("ato-refund", "ato-login", "ato-tax"),
-            category = BrandCategory.GOVERNMENT
+            category = BrandCategory.GOVERNMENT,
+            abuseContact = "ReportEmailFraud@ato.gov.au"
         ),
 
         // === CRYPTOCURRENCY ===
@@ -295,7 +312,8 @@ object BrandDatabase {
             typosquats = listOf("medlcare", "med1care", "medicarre"),
             homographs = listOf("mediсare"), // Cyrillic 'с'
             combosquats = listOf("medicare-login", "medicare-claim", "medicare-rebate"),
-            category = BrandCategory.GOVERNMENT
+            category = BrandCategory.GOVERNMENT,
+            abuseContact = "reportascam@servicesaustralia.gov.au"
         ),
 
         // === EUROPEAN BANKS ===
@@ -305,7 +323,8 @@ object BrandDatabase {
             typosquats = listOf("h5bc", "hsbcc", "hab"),
             homographs = listOf("hsbс"), // Cyrillic 'с'
             combosquats = listOf("hsbc-login", "hsbc-online", "hsbc-secure"),
-            category = BrandCategory.FINANCIAL
+            category = BrandCategory.FINANCIAL,
+            abuseContact = "phishing@hsbc.com"
         ),
 
         "barclays" to BrandConfig(
@@ -313,7 +332,8 @@ object BrandDatabase {
             typosquats = listOf("barc1ays", "barclay", "barcelays"),
             homographs = listOf("barсlays"), // Cyrillic 'с'
             combosquats = listOf("barclays-login", "barclays-secure", "barclays-online"),
-            category = BrandCategory.FINANCIAL
+            category = BrandCategory.FINANCIAL,
+            abuseContact = "internetsecurity@barclays.co.uk"
         ),
 
         "revolut" to BrandConfig(
@@ -367,7 +387,8 @@ object BrandDatabase {
             typosquats = listOf("ebaay", "eb4y", "ebbay"),
             homographs = listOf("ebаy"), // Cyrillic 'а'
             combosquats = listOf("ebay-login", "ebay-verify", "ebay-order"),
-            category = BrandCategory.ECOMMERCE
+            category = BrandCategory.ECOMMERCE,
+            abuseContact = "spoof@ebay.com"
         ),
 
         "shopify" to BrandConfig(
@@ -385,7 +406,8 @@ object BrandDatabase {
             typosquats = listOf("dr0pbox", "dropboxx", "dropbx"),
             homographs = listOf("drоpbox"), // Cyrillic 'о'
             combosquats = listOf("dropbox-login", "dropbox-share", "dropbox-verify"),
-            category = BrandCategory.TECHNOLOGY
+            category = BrandCategory.TECHNOLOGY,
+            abuseContact = "abuse@dropbox.com"
         ),
 
         "zoom" to BrandConfig(
@@ -437,7 +459,8 @@ object BrandDatabase {
             typosquats = listOf("out1ook", "outloook", "outlok", "outl00k"),
             homographs = listOf("оutlook"), // Cyrillic 'о'
             combosquats = listOf("outlook-login", "outlook-verify", "outlook-support"),
-            category = BrandCategory.TECHNOLOGY
+            category = BrandCategory.TECHNOLOGY,
+            abuseContact = "phish@office365.microsoft.com"
         ),
 
         "yahoo" to BrandConfig(
@@ -497,7 +520,8 @@ object BrandDatabase {
             typosquats = listOf("1rs", "irss", "irs-gov"),
             homographs = listOf("іrs"), // Cyrillic 'і'
             combosquats = listOf("irs-refund", "irs-payment", "irs-verify", "irs-tax"),
-            category = BrandCategory.GOVERNMENT
+            category = BrandCategory.GOVERNMENT,
+            abuseContact = "phishing@irs.gov"
         ),
 
         "ssa" to BrandConfig(
@@ -515,7 +539,8 @@ object BrandDatabase {
             typosquats = listOf("hmrcc", "hrnrc", "hmr"),
             homographs = listOf("hmrс"), // Cyrillic 'с'
             combosquats = listOf("hmrc-refund", "hmrc-tax", "hmrc-login", "hmrc-verify"),
-            category = BrandCategory.GOVERNMENT
+            category = BrandCategory.GOVERNMENT,
+            abuseContact = "phishing@hmrc.gov.uk"
         ),
 
         "nhs" to BrandConfig(
@@ -583,7 +608,8 @@ object BrandDatabase {
             typosquats = listOf("uspss", "u-sps", "usp5"),
             homographs = listOf("usрs"), // Cyrillic 'р'
             combosquats = listOf("usps-tracking", "usps-delivery", "usps-redelivery"),
-            category = BrandCategory.LOGISTICS
+            category = BrandCategory.LOGISTICS,
+            abuseContact = "spam@uspis.gov"
         )
     )
 }
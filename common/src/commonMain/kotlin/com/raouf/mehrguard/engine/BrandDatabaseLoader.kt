@@ -129,6 +129,7 @@ object BrandDatabaseLoader {
         val typosquats = extractStringArray(json, "typosquats")
         val homographs = extractStringArray(json, "homographs")
         val combosquats = extractStringArray(json, "combosquats")
+        val abuseContact = extractString(json, "abuse_contact")
 
         // At minimum, need official domains
         if (officialDomains.isEmpty()) return null
@@ -138,7 +139,8 @@ object BrandDatabaseLoader {
             typosquats = typosquats,
             homographs = homographs,
             combosquats = combosquats,
-            category = BrandDatabase.BrandCategory.TECHNOLOGY // Default category
+            category = BrandDatabase.BrandCategory.TECHNOLOGY, // Default category
+            abuseContact = abuseContact
         )
     }
 
@@ -163,6 +165,14 @@ object BrandDatabaseLoader {
             .toList()
     }
 
+    /**
+     * Extract a string value from JSON, or null if the key is missing or blank.
+     */
+    private fun extractString(json: String, key: String): String? {
+        val valuePattern = """"$key"\s*:\s*"([^"]*)""""
+        return Regex(valuePattern).find(json)?.groupValues?.get(1)?.takeIf { it.isNotBlank() }
+    }
+
     /**
      * Find matching closing brace for an opening brace.
      */
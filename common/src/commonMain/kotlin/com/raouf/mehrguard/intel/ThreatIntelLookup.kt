@@ -164,12 +164,15 @@ class ThreatIntelLookup private constructor(
 
         /**
          * Create with the bundled default deny list.
+         *
+         * @param additionalDomains Extra known bad domains to merge in, such as
+         *   indicators imported from a partner's shared threat intel
          */
-        fun createDefault(): ThreatIntelLookup {
+        fun createDefault(additionalDomains: List<String> = emptyList()): ThreatIntelLookup {
             return create(
-                domains = BUNDLED_DENYLIST,
+                domains = BUNDLED_DENYLIST + additionalDomains,
                 version = "2025.12.29",
-                source = "mehrguard-bundled"
+                source = if (additionalDomains.isEmpty()) "mehrguard-bundled" else "mehrguard-bundled+shared"
             )
         }
 
@@ -48,6 +48,10 @@ import com.raouf.mehrguard.policy.RiskLevel
  * - Dust attacks (small amounts to track)
  * - Smart contract interaction URLs
  *
+ * ### EMV merchant QR (000201...)
+ * - Sticker replacement with a different merchant account
+ * - Checksum tampering after the code was generated
+ *
  * @author Mehr Guard Security Team
  * @since 1.2.0
  */
@@ -72,6 +76,7 @@ object QrPayloadAnalyzer {
                 analyzeCrypto(content, payloadType)
             QrPayloadType.UPI, QrPayloadType.PAYPAL, QrPayloadType.WECHAT_PAY, QrPayloadType.ALIPAY ->
                 analyzePayment(content, payloadType)
+            QrPayloadType.EMV_PAYMENT -> analyzeEmv(content)
             QrPayloadType.GEO -> analyzeGeo(content)
             QrPayloadType.VEVENT -> analyzeCalendar(content)
             QrPayloadType.URL, QrPayloadType.URL_HTTP, QrPayloadType.URL_HTTPS -> 
@@ -304,7 +309,8 @@ object QrPayloadAnalyzer {
         val body = bodyMatch?.groupValues?.get(1)?.let { decodeUrlComponent(it) }
         
         // 1. Check for premium rate numbers
-        if (phone != null && isPremiumRateNumber(phone)) {
+        val isPremium = phone != null && isPremiumRateNumber(phone)
+        if (isPremium) {
             signals.add(PayloadSignal(
                 name = "Premium Rate Number",
                 description = "SMS may incur significant charges",
@@ -374,7 +380,8 @@ object QrPayloadAnalyzer {
             parsedData = mapOf(
                 "phone" to (phone ?: ""),
                 "body" to (body ?: ""),
-                "bodyLength" to (body?.length ?: 0).toString()
+                "bodyLength" to (body?.length ?: 0).toString(),
+                "premiumRate" to isPremium.toString()
             ),
             recommendation = when {
                 riskScore >= 60 -> "DO NOT SEND - High probability of smishing/scam"
@@ -392,7 +399,8 @@ object QrPayloadAnalyzer {
         val signals = mutableListOf<PayloadSignal>()
         var riskScore = QrPayloadType.PHONE.riskLevel.weight
         
-        if (isPremiumRateNumber(phone)) {
+        val isPremium = isPremiumRateNumber(phone)
+        if (isPremium) {
             signals.add(PayloadSignal(
                 name = "Premium Rate Number",
                 description = "This number may incur significant per-minute charges",
@@ -403,7 +411,8 @@ object QrPayloadAnalyzer {
         
         // Check for international premium numbers
         val premiumPrefixes = listOf("+44900", "+441011", "+1900", "+1976", "+44909")
-        if (premiumPrefixes.any { phone.startsWith(it) }) {
+        val isInternationalPremium = premiumPrefixes.any { phone.startsWith(it) }
+        if (isInternationalPremium) {
             signals.add(PayloadSignal(
                 name = "International Premium Number",
                 description = "Known premium rate international prefix",
@@ -416,7 +425,10 @@ object QrPayloadAnalyzer {
             payloadType = QrPayloadType.PHONE,
             riskScore = riskScore.coerceIn(0, 100),
             signals = signals,
-            parsedData = mapOf("phone" to phone),
+            parsedData = mapOf(
+                "phone" to phone,
+                "premiumRate" to (isPremium || isInternationalPremium).toString()
+            ),
             recommendation = when {
                 riskScore >= 40 -> "WARNING: Premium rate number - may incur significant charges"
                 else -> "Verify the phone number belongs to who you expect"
@@ -600,6 +612,114 @@ object QrPayloadAnalyzer {
         )
     }
     
+    /**
+     * Analyze EMVCo merchant-presented payment payload.
+     *
+     * Format: TLV fields (2-digit tag, 2-digit length, value), e.g.
+     * 000201 010212 26..51 (merchant account) 5303036 5406 12.50 5802AU
+     * 5913Merchant Name 6006Sydney 6304ABCD
+     * - 54 = Amount, 53 = Currency (ISO 4217 numeric), 58 = Country
+     * - 59 = Merchant name, 60 = Merchant city
+     * - 63 = CRC16/CCITT-FALSE over everything up to and including "6304"
+     */
+    fun analyzeEmv(content: String): PayloadAnalysisResult {
+        val signals = mutableListOf<PayloadSignal>()
+        var riskScore = QrPayloadType.EMV_PAYMENT.riskLevel.weight
+        val payload = content.trim()
+        
+        signals.add(PayloadSignal(
+            name = "Payment Request",
+            description = "QR code requests an EMV merchant payment",
+            riskPoints = 10
+        ))
+        riskScore += 10
+        
+        val fields = parseEmvFields(payload)
+        if (fields == null) {
+            signals.add(PayloadSignal(
+                name = "Malformed Payment Data",
+                description = "EMV fields could not be parsed - the code may have been altered",
+                riskPoints = 30
+            ))
+            riskScore += 30
+        }
+        val data = fields ?: emptyMap()
+        
+        // 1. Checksum must be the final field and match the payload
+        val crcStart = payload.length - 8
+        val checksumValid = data["63"] != null && crcStart >= 0 &&
+            payload.substring(crcStart, crcStart + 4) == "6304" &&
+            data["63"].equals(emvCrc16(payload.substring(0, payload.length - 4)), ignoreCase = true)
+        if (fields != null && data["63"] == null) {
+            signals.add(PayloadSignal(
+                name = "Missing Checksum",
+                description = "Payment code has no CRC - it cannot be checked for tampering",
+                riskPoints = 20
+            ))
+            riskScore += 20
+        } else if (fields != null && !checksumValid) {
+            signals.add(PayloadSignal(
+                name = "Checksum Mismatch",
+                description = "Payment data was modified after the code was generated",
+                riskPoints = 35
+            ))
+            riskScore += 35
+        }
+        
+        // 2. Merchant identity
+        val merchantName = data["59"]
+        if (merchantName.isNullOrBlank()) {
+            signals.add(PayloadSignal(
+                name = "Missing Merchant Name",
+                description = "Payee cannot be verified before paying",
+                riskPoints = 15
+            ))
+            riskScore += 15
+        }
+        
+        // 3. Pre-filled amount
+        val amount = data["54"]
+        if (amount != null) {
+            signals.add(PayloadSignal(
+                name = "Pre-filled Amount",
+                description = "Payment request for $amount",
+                riskPoints = 5
+            ))
+            riskScore += 5
+        }
+        
+        // Merchant account templates (26-51) carry the payment network ID in sub-tag 00
+        val network = (26..51).asSequence()
+            .mapNotNull { tag -> data[tag.toString()] }
+            .mapNotNull { template -> parseEmvFields(template)?.get("00") }
+            .firstOrNull()
+        val currencyCode = data["53"]
+        
+        return PayloadAnalysisResult(
+            payloadType = QrPayloadType.EMV_PAYMENT,
+            riskScore = riskScore.coerceIn(0, 100),
+            signals = signals,
+            parsedData = mapOf(
+                "merchantName" to (merchantName ?: ""),
+                "merchantCity" to (data["60"] ?: ""),
+                "country" to (data["58"] ?: ""),
+                "currency" to (currencyCode?.let { EMV_CURRENCIES[it] ?: it } ?: ""),
+                "amount" to (amount ?: ""),
+                "network" to (network ?: ""),
+                "initiation" to when (data["01"]) {
+                    "11" -> "static"
+                    "12" -> "dynamic"
+                    else -> "unknown"
+                },
+                "checksumValid" to checksumValid.toString()
+            ),
+            recommendation = when {
+                riskScore >= 60 -> "DO NOT PAY - Payment code appears tampered"
+                else -> "Confirm the merchant name and amount in your banking app before paying"
+            }
+        )
+    }
+    
     /**
      * Analyze geographic location payload.
      */
@@ -724,6 +844,50 @@ object QrPayloadAnalyzer {
         return false
     }
     
+    /**
+     * Split an EMV TLV string into tag -> value. Returns null if malformed.
+     */
+    private fun parseEmvFields(payload: String): Map<String, String>? {
+        val fields = mutableMapOf<String, String>()
+        var i = 0
+        while (i < payload.length) {
+            if (i + 4 > payload.length) return null
+            val tag = payload.substring(i, i + 2)
+            val length = payload.substring(i + 2, i + 4).toIntOrNull() ?: return null
+            val end = i + 4 + length
+            if (end > payload.length) return null
+            fields[tag] = payload.substring(i + 4, end)
+            i = end
+        }
+        return fields
+    }
+    
+    /**
+     * CRC16/CCITT-FALSE (poly 0x1021, init 0xFFFF) as used by EMVCo tag 63.
+     */
+    private fun emvCrc16(data: String): String {
+        var crc = 0xFFFF
+        data.encodeToByteArray().forEach { byte ->
+            crc = crc xor ((byte.toInt() and 0xFF) shl 8)
+            repeat(8) {
+                crc = if (crc and 0x8000 != 0) (crc shl 1) xor 0x1021 else crc shl 1
+                crc = crc and 0xFFFF
+            }
+        }
+        return crc.toString(16).uppercase().padStart(4, '0')
+    }
+    
+    /**
+     * ISO 4217 numeric codes for common EMV QR markets.
+     */
+    private val EMV_CURRENCIES = mapOf(
+        "036" to "AUD", "124" to "CAD", "156" to "CNY", "344" to "HKD",
+        "356" to "INR", "360" to "IDR", "392" to "JPY", "410" to "KRW",
+        "458" to "MYR", "608" to "PHP", "702" to "SGD", "704" to "VND",
+        "764" to "THB", "826" to "GBP", "840" to "USD", "978" to "EUR",
+        "986" to "BRL"
+    )
+    
     /**
      * URL decode a component.
      */
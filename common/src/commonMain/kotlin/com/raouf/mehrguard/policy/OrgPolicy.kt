@@ -542,10 +542,23 @@ data class OrgPolicy(
                 blockIpAddresses = values["blockIpAddresses"] as? Boolean ?: DEFAULT.blockIpAddresses,
                 blockShorteners = values["blockShorteners"] as? Boolean ?: DEFAULT.blockShorteners,
                 maxUrlLength = (values["maxUrlLength"] as? Number)?.toInt() ?: DEFAULT.maxUrlLength,
+                allowedPayloadTypes = parsePayloadTypes(values["allowedPayloadTypes"]),
+                expiresAt = values["expiresAt"] as? String,
                 contactEmail = values["contactEmail"] as? String
             )
         }
         
+        /**
+         * Parse payload type names; unknown names are ignored.
+         * A missing or empty list allows every type.
+         */
+        private fun parsePayloadTypes(value: Any?): Set<QrPayloadType> {
+            val types = parseStringSet(value).mapNotNull { name ->
+                QrPayloadType.entries.firstOrNull { it.name.equals(name, ignoreCase = true) }
+            }.toSet()
+            return types.ifEmpty { DEFAULT.allowedPayloadTypes }
+        }
+        
         /**
          * Parse JSON string to map (simple implementation).
          */
@@ -611,6 +624,10 @@ data class OrgPolicy(
         appendLine("""  "maxUrlLength": $maxUrlLength""")
         safeThreshold?.let { appendLine(""",  "safeThreshold": $it""") }
         suspiciousThreshold?.let { appendLine(""",  "suspiciousThreshold": $it""") }
+        if (allowedPayloadTypes != DEFAULT.allowedPayloadTypes) {
+            appendLine(""",  "allowedPayloadTypes": ${allowedPayloadTypes.map { it.name }.toSet().toJsonArray()}""")
+        }
+        expiresAt?.let { appendLine(""",  "expiresAt": "$it"""") }
         contactEmail?.let { appendLine(""",  "contactEmail": "$it"""") }
         appendLine("}")
     }
@@ -39,6 +39,7 @@ package com.raouf.mehrguard.policy
  * - UPI (upi://)
  * - WeChat Pay
  * - Alipay
+ * - EMV merchant-presented QR (000201...)
  *
  * @author Mehr Guard Security Team
  * @since 1.2.0
@@ -151,6 +152,11 @@ enum class QrPayloadType(
         riskLevel = RiskLevel.HIGH,
         description = "Alipay payment"
     ),
+    EMV_PAYMENT(
+        displayName = "EMV Merchant Payment",
+        riskLevel = RiskLevel.HIGH,
+        description = "EMVCo merchant-presented payment QR (bank and wallet apps)"
+    ),
     
     // Plain text
     TEXT(
@@ -212,6 +218,8 @@ enum class QrPayloadType(
                 lower.contains("paypal.me") || lower.startsWith("paypal://") -> PAYPAL
                 lower.startsWith("weixin://") || lower.contains("wx.tenpay") -> WECHAT_PAY
                 lower.startsWith("alipay://") || lower.contains("alipay.com") -> ALIPAY
+                // EMVCo payloads always open with Payload Format Indicator "00" = "01"
+                trimmed.startsWith("000201") -> EMV_PAYMENT
                 
                 // URLs
                 lower.startsWith("https://") -> URL_HTTPS
@@ -246,7 +254,7 @@ enum class QrPayloadType(
          * Get all payment-related types.
          */
         val paymentTypes: Set<QrPayloadType> = setOf(
-            BITCOIN, ETHEREUM, CRYPTO_OTHER, UPI, PAYPAL, WECHAT_PAY, ALIPAY
+            BITCOIN, ETHEREUM, CRYPTO_OTHER, UPI, PAYPAL, WECHAT_PAY, ALIPAY, EMV_PAYMENT
         )
         
         /**
@@ -76,6 +76,12 @@ class QrPayloadAnalyzerTest {
         assertEquals(QrPayloadType.UPI, type)
     }
     
+    @Test
+    fun `detect EMV merchant payment type`() {
+        val type = QrPayloadType.detect(EMV_SAMPLE)
+        assertEquals(QrPayloadType.EMV_PAYMENT, type)
+    }
+    
     @Test
     fun `detect phone call type`() {
         val content = "tel:+1234567890"
@@ -301,6 +307,13 @@ class QrPayloadAnalyzerTest {
         assertTrue(result.riskScore < 30)
     }
     
+    @Test
+    fun `premium rate flag is exposed in parsed data`() {
+        assertEquals("true", QrPayloadAnalyzer.analyze("tel:+1-900-555-0123").parsedData["premiumRate"])
+        assertEquals("false", QrPayloadAnalyzer.analyze("tel:+1-555-123-4567").parsedData["premiumRate"])
+        assertEquals("true", QrPayloadAnalyzer.analyze("sms:+19005550123?body=Hi").parsedData["premiumRate"])
+    }
+    
     // ==================== Email Analysis Tests ====================
     
     @Test
@@ -374,6 +387,41 @@ class QrPayloadAnalyzerTest {
         assertTrue(result.signals.any { it.name.contains("Payment") })
     }
     
+    // ==================== EMV Payment Tests ====================
+    
+    @Test
+    fun `analyze valid EMV merchant payment`() {
+        val result = QrPayloadAnalyzer.analyze(EMV_SAMPLE)
+        
+        assertEquals(QrPayloadType.EMV_PAYMENT, result.payloadType)
+        assertEquals("Harbour Cafe", result.parsedData["merchantName"])
+        assertEquals("Sydney", result.parsedData["merchantCity"])
+        assertEquals("AUD", result.parsedData["currency"])
+        assertEquals("12.50", result.parsedData["amount"])
+        assertEquals("au.com.nppa", result.parsedData["network"])
+        assertEquals("dynamic", result.parsedData["initiation"])
+        assertEquals("true", result.parsedData["checksumValid"])
+        assertFalse(result.signals.any { it.name.contains("Checksum") })
+    }
+    
+    @Test
+    fun `flag tampered EMV merchant name`() {
+        val tampered = EMV_SAMPLE.replace("Harbour Cafe", "Harbour Cafx")
+        val result = QrPayloadAnalyzer.analyze(tampered)
+        
+        assertEquals("false", result.parsedData["checksumValid"])
+        assertTrue(result.signals.any { it.name == "Checksum Mismatch" })
+        assertTrue(result.riskScore >= 60)
+    }
+    
+    @Test
+    fun `flag malformed EMV payload`() {
+        val result = QrPayloadAnalyzer.analyze("000201010212599")
+        
+        assertEquals(QrPayloadType.EMV_PAYMENT, result.payloadType)
+        assertTrue(result.signals.any { it.name == "Malformed Payment Data" })
+    }
+    
     // ==================== Geo Location Tests ====================
     
     @Test
@@ -454,4 +502,11 @@ class QrPayloadAnalyzerTest {
         val type = QrPayloadType.detect(content)
         assertEquals(QrPayloadType.URL_HTTPS, type)
     }
+    
+    companion object {
+        /** EMVCo merchant QR (NPP PayID, AUD 12.50) with a valid CRC. */
+        private const val EMV_SAMPLE =
+            "00020101021226370011au.com.nppa0118demo@payid.example520458125303036540512.50" +
+                "5802AU5912Harbour Cafe6006Sydney63048454"
+    }
 }
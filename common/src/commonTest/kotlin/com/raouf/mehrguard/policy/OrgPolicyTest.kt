@@ -341,6 +341,30 @@ class OrgPolicyTest {
         assertTrue(json.contains("tk"))
     }
     
+    @Test
+    fun `allowed payload types round-trip through JSON`() {
+        val json = """
+        {
+            "orgId": "payload-test",
+            "allowedPayloadTypes": ["URL_HTTPS", "wifi", "NOT_A_TYPE"]
+        }
+        """
+        
+        val policy = OrgPolicy.fromJson(json)
+        assertEquals(setOf(QrPayloadType.URL_HTTPS, QrPayloadType.WIFI), policy.allowedPayloadTypes)
+        
+        val reloaded = OrgPolicy.fromJson(policy.toJson())
+        assertEquals(policy.allowedPayloadTypes, reloaded.allowedPayloadTypes)
+    }
+    
+    @Test
+    fun `missing payload types allow everything`() {
+        val policy = OrgPolicy.fromJson("""{"orgId": "open"}""")
+        
+        assertEquals(QrPayloadType.entries.toSet(), policy.allowedPayloadTypes)
+        assertFalse(policy.toJson().contains("allowedPayloadTypes"))
+    }
+    
     // ==================== Preset Policy Tests ====================
     
     @Test
@@ -0,0 +1,89 @@
+/**
+ * Mehr Guard Web App E2E Tests - Email Parsing
+ *
+ * Parses malformed MIME messages with email-scan.js and checks that no
+ * part is silently dropped: a multipart part without a usable boundary is
+ * read as plain text, so the links in it are still analysed. email-scan.js
+ * falls back to a plain text reader without DOMParser, so these run in
+ * Node without a page.
+ *
+ * @author Mehr Guard Team
+ * @license Apache-2.0
+ */
+
+import { test, expect } from '@playwright/test';
+import * as fs from 'fs';
+import * as path from 'path';
+
+// email-scan.js registers itself on window and exports the same API
+(globalThis as any).window = globalThis;
+const MehrGuardEmailScan = require(path.join(__dirname, '..', '..', 'src', 'jsMain', 'resources', 'email-scan.js'));
+
+function readFixture(name: string): string {
+    // parse() takes the message as a binary string, one char per byte
+    return fs.readFileSync(path.join(__dirname, 'fixtures', 'email', name)).toString('latin1');
+}
+
+function linkUrls(raw: string): string[] {
+    return MehrGuardEmailScan.parse(raw).links.map((link: { url: string }) => link.url);
+}
+
+test.describe('Email Parsing', () => {
+    // ==========================================================================
+    // MALFORMED MULTIPART
+    // ==========================================================================
+
+    test('should read a nested multipart part without a boundary as text', async () => {
+        expect(linkUrls(readFixture('multipart-missing-boundary.eml'))).toEqual([
+            'https://parcel-redelivery.example/pay?id=8841',
+            'https://track-my-parcel.example.net/id/8841',
+        ]);
+    });
+
+    test('should read a message that is multipart without a boundary as text', async () => {
+        const raw = [
+            'From: billing@example.com',
+            'Subject: Invoice',
+            'Content-Type: multipart/mixed',
+            '',
+            'Open https://invoices.example.org/view/77 to see your invoice.',
+        ].join('\r\n');
+
+        expect(linkUrls(raw)).toEqual(['https://invoices.example.org/view/77']);
+    });
+
+    test('should read a multipart body without its delimiters as text', async () => {
+        const raw = [
+            'From: billing@example.com',
+            'Subject: Invoice',
+            'Content-Type: multipart/alternative; boundary="never-used"',
+            '',
+            'Open https://invoices.example.org/view/78 to see your invoice.',
+        ].join('\r\n');
+
+        expect(linkUrls(raw)).toEqual(['https://invoices.example.org/view/78']);
+    });
+
+    test('should still split a well-formed multipart message', async () => {
+        const raw = [
+            'From: billing@example.com',
+            'Content-Type: multipart/mixed; boundary="b1"',
+            '',
+            'This preamble is not shown: https://preamble.example/',
+            '--b1',
+            'Content-Type: text/plain',
+            '',
+            'https://invoices.example.org/view/79',
+            '--b1',
+            'Content-Type: application/octet-stream',
+            'Content-Disposition: attachment; filename="invoice.html"',
+            '',
+            '<a href="https://attached.example/">x</a>',
+            '--b1--',
+        ].join('\r\n');
+
+        const parsed = MehrGuardEmailScan.parse(raw);
+        expect(parsed.links.map((link: { url: string }) => link.url)).toEqual(['https://invoices.example.org/view/79']);
+        expect(parsed.attachments.map((attachment: { name: string }) => attachment.name)).toEqual(['invoice.html']);
+    });
+});
@@ -0,0 +1,51 @@
+/**
+ * Mehr Guard Web App E2E Tests - In-memory localStorage
+ *
+ * The Trust Centre modules keep their lists in localStorage, which Node
+ * does not have. Installing this on globalThis lets specs load them
+ * without a page, the way stix-export.spec.ts loads stix.js.
+ *
+ * @author Mehr Guard Team
+ * @license Apache-2.0
+ */
+
+export class MemoryStorage {
+    private items = new Map<string, string>();
+
+    get length(): number {
+        return this.items.size;
+    }
+
+    key(index: number): string | null {
+        return Array.from(this.items.keys())[index] ?? null;
+    }
+
+    getItem(key: string): string | null {
+        return this.items.has(key) ? this.items.get(key)! : null;
+    }
+
+    setItem(key: string, value: string): void {
+        this.items.set(key, String(value));
+    }
+
+    removeItem(key: string): void {
+        this.items.delete(key);
+    }
+
+    clear(): void {
+        this.items.clear();
+    }
+}
+
+/**
+ * Make globalThis look enough like a page for the plain browser scripts
+ * @returns The storage, for seeding and clearing between tests
+ */
+export function installBrowserGlobals(): MemoryStorage {
+    const global = globalThis as any;
+    global.window = globalThis;
+    if (!(global.localStorage instanceof MemoryStorage)) {
+        global.localStorage = new MemoryStorage();
+    }
+    return global.localStorage;
+}
@@ -0,0 +1,182 @@
+/**
+ * Mehr Guard Web App E2E Tests - STIX 2.1 Validator
+ *
+ * A local check of the STIX 2.1 rules the exported bundles have to follow,
+ * so the export can be tested without a network validator: bundle shape,
+ * required common and per-type properties, type and id formats,
+ * `spec_version`, timestamps, custom property names, and that every
+ * `*_ref` / `*_refs` points at an object in the same bundle.
+ *
+ * Only the object types Mehr Guard exports are checked in detail; any
+ * other type fails, so new types have to be added here first.
+ *
+ * @author Mehr Guard Team
+ * @license Apache-2.0
+ */
+
+const SPEC_VERSION = '2.1';
+
+// STIX types: 3-250 characters of a-z, 0-9 and hyphens (section 3.1)
+const TYPE_PATTERN = /^[a-z0-9][a-z0-9-]{1,248}[a-z0-9]$/;
+
+// Identifier: type--RFC 4122 UUID (section 2.9)
+const ID_PATTERN = /^([a-z0-9-]+)--[0-9a-f]{8}-[0-9a-f]{4}-[1-8][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/;
+
+// Timestamps are RFC 3339 in UTC (section 3.2)
+const TIMESTAMP_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?Z$/;
+
+// Custom properties: x_ prefix, 3-250 characters of a-z, 0-9 and _
+const CUSTOM_PROPERTY_PATTERN = /^x_[a-z0-9_]{1,248}$/;
+
+const SDO_SRO_COMMON = ['type', 'spec_version', 'id', 'created', 'modified'];
+const SCO_COMMON = ['type', 'id'];
+
+const TYPES: Record<string, { common: string[]; required: string[]; properties: string[] }> = {
+    'identity': {
+        common: SDO_SRO_COMMON,
+        required: ['name'],
+        properties: ['created_by_ref', 'description', 'identity_class'],
+    },
+    'indicator': {
+        common: SDO_SRO_COMMON,
+        required: ['pattern', 'pattern_type', 'valid_from'],
+        properties: ['created_by_ref', 'name', 'description', 'indicator_types', 'pattern_version',
+            'valid_until', 'labels', 'kill_chain_phases'],
+    },
+    'observed-data': {
+        common: SDO_SRO_COMMON,
+        required: ['first_observed', 'last_observed', 'number_observed', 'object_refs'],
+        properties: ['created_by_ref'],
+    },
+    'relationship': {
+        common: SDO_SRO_COMMON,
+        required: ['relationship_type', 'source_ref', 'target_ref'],
+        properties: ['created_by_ref', 'description'],
+    },
+    'url': { common: SCO_COMMON, required: ['value'], properties: ['spec_version'] },
+    'domain-name': { common: SCO_COMMON, required: ['value'], properties: ['spec_version'] },
+    'ipv4-addr': { common: SCO_COMMON, required: ['value'], properties: ['spec_version'] },
+    'ipv6-addr': { common: SCO_COMMON, required: ['value'], properties: ['spec_version'] },
+};
+
+const TIMESTAMP_PROPERTIES = ['created', 'modified', 'valid_from', 'valid_until', 'first_observed', 'last_observed'];
+
+/**
+ * Validate a STIX 2.1 bundle.
+ * @returns Problems found, as `<object id>: <message>`; empty when valid
+ */
+export function validateStixBundle(bundle: any): string[] {
+    const errors: string[] = [];
+
+    if (!bundle || typeof bundle !== 'object') return ['bundle: not an object'];
+    if (bundle.type !== 'bundle') errors.push(`bundle: type is ${JSON.stringify(bundle.type)}`);
+    if (!isIdOfType(bundle.id, 'bundle')) errors.push(`bundle: bad id ${JSON.stringify(bundle.id)}`);
+    if ('spec_version' in bundle) errors.push('bundle: spec_version is not allowed on 2.1 bundles');
+    if (!Array.isArray(bundle.objects) || bundle.objects.length === 0) {
+        errors.push('bundle: objects must be a non-empty array');
+        return errors;
+    }
+
+    const ids = new Set<string>();
+    bundle.objects.forEach((object: any) => {
+        if (ids.has(object?.id)) errors.push(`${object.id}: duplicate id`);
+        ids.add(object?.id);
+    });
+
+    bundle.objects.forEach((object: any, index: number) => {
+        const where = typeof object?.id === 'string' ? object.id : `objects[${index}]`;
+        validateObject(object, ids).forEach(message => errors.push(`${where}: ${message}`));
+    });
+
+    return errors;
+}
+
+function validateObject(object: any, ids: Set<string>): string[] {
+    const errors: string[] = [];
+    if (!object || typeof object !== 'object') return ['not an object'];
+
+    if (typeof object.type !== 'string' || !TYPE_PATTERN.test(object.type)) {
+        return [`bad type ${JSON.stringify(object.type)}`];
+    }
+    const rules = TYPES[object.type];
+    if (!rules) return [`unexpected type ${object.type}`];
+
+    [...rules.common, ...rules.required].forEach(property => {
+        if (object[property] === undefined || object[property] === null) {
+            errors.push(`missing required property ${property}`);
+        }
+    });
+
+    const known = new Set([...rules.common, ...rules.required, ...rules.properties]);
+    Object.keys(object).forEach(property => {
+        if (known.has(property)) return;
+        if (!CUSTOM_PROPERTY_PATTERN.test(property)) errors.push(`unknown property ${property}`);
+    });
+
+    if (!isIdOfType(object.id, object.type)) errors.push(`id does not match type--UUID: ${object.id}`);
+    if ('spec_version' in object && object.spec_version !== SPEC_VERSION) {
+        errors.push(`spec_version is ${JSON.stringify(object.spec_version)}`);
+    }
+
+    TIMESTAMP_PROPERTIES.forEach(property => {
+        if (property in object && !isTimestamp(object[property])) {
+            errors.push(`${property} is not an RFC 3339 UTC timestamp`);
+        }
+    });
+    if (isTimestamp(object.created) && isTimestamp(object.modified) && object.modified < object.created) {
+        errors.push('modified is before created');
+    }
+
+    Object.entries(object).forEach(([property, value]) => {
+        if (property.endsWith('_refs') && (!Array.isArray(value) || value.length === 0)) {
+            errors.push(`${property} must be a non-empty list`);
+            return;
+        }
+        const refs = property.endsWith('_ref') ? [value] : property.endsWith('_refs') ? value as unknown[] : [];
+        refs.forEach(ref => {
+            if (typeof ref !== 'string' || !ID_PATTERN.test(ref)) {
+                errors.push(`${property} holds a bad id ${JSON.stringify(ref)}`);
+            } else if (!ids.has(ref)) {
+                errors.push(`${property} points outside the bundle: ${ref}`);
+            }
+        });
+    });
+
+    return errors.concat(validateTypeSpecific(object));
+}
+
+function validateTypeSpecific(object: any): string[] {
+    const errors: string[] = [];
+    switch (object.type) {
+        case 'indicator':
+            if (object.pattern_type === 'stix' && !/^\[.+\]$/.test(object.pattern || '')) {
+                errors.push('pattern is not a STIX pattern');
+            }
+            break;
+        case 'observed-data':
+            if (!Number.isInteger(object.number_observed) || object.number_observed < 1) {
+                errors.push('number_observed must be a positive integer');
+            }
+            if (object.last_observed < object.first_observed) {
+                errors.push('last_observed is before first_observed');
+            }
+            break;
+        case 'url':
+        case 'domain-name':
+        case 'ipv4-addr':
+        case 'ipv6-addr':
+            if (typeof object.value !== 'string' || !object.value) errors.push('value must be a non-empty string');
+            break;
+    }
+    return errors;
+}
+
+function isIdOfType(id: unknown, type: string): boolean {
+    if (typeof id !== 'string') return false;
+    const match = ID_PATTERN.exec(id);
+    return !!match && match[1] === type;
+}
+
+function isTimestamp(value: unknown): boolean {
+    return typeof value === 'string' && TIMESTAMP_PATTERN.test(value) && !Number.isNaN(Date.parse(value));
+}
@@ -0,0 +1,174 @@
+/**
+ * Mehr Guard Web App E2E Tests - Scan History Store
+ *
+ * Seeds the old `mehrguard_scan_history` localStorage array before the
+ * page loads and checks that history-store.js moves it into IndexedDB
+ * intact, that indexed queries filter and page newest first, and that
+ * retention only deletes what the setting asks for.
+ *
+ * @author Mehr Guard Team
+ * @license Apache-2.0
+ */
+
+import { test, expect } from '@playwright/test';
+
+const LEGACY_KEY = 'mehrguard_scan_history';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const VERDICTS = ['HIGH', 'MEDIUM', 'SAFE', 'LOW'];
+const DOMAINS = ['example.com', 'example.org', 'example.net'];
+const REASONS = ['IP_HOST', 'URL_SHORTENER', 'SUSPICIOUS_TLD'];
+
+interface LegacyEntry {
+    id: string;
+    url: string;
+    verdict: string;
+    score: number;
+    timestamp: number;
+    analysis: { reasons: { code: string }[] };
+}
+
+// One scan a day going back 45 days, newest first (scan-0 is today)
+const NOW = Date.now();
+const LEGACY: LegacyEntry[] = Array.from({ length: 45 }, (_, i) => ({
+    id: `scan-${i}`,
+    url: `https://host${i}.${DOMAINS[i % DOMAINS.length]}/login`,
+    verdict: VERDICTS[i % VERDICTS.length],
+    score: i,
+    timestamp: NOW - i * DAY_MS - 60_000,
+    analysis: {
+        reasons: i % 2
+            ? [{ code: REASONS[i % REASONS.length] }, { code: REASONS[(i + 1) % REASONS.length] }]
+            : [{ code: REASONS[i % REASONS.length] }],
+    },
+}));
+
+function expectedIds(match: (entry: LegacyEntry) => boolean): string[] {
+    return LEGACY.filter(match).map(entry => entry.id);
+}
+
+test.describe('Scan History Store', () => {
+    test.beforeEach(async ({ page }) => {
+        // Each test gets a fresh context, so the database starts empty;
+        // seed the legacy key once, before the page's own scripts run
+        await page.addInitScript(({ key, entries }) => {
+            if (!sessionStorage.getItem('legacySeeded')) {
+                localStorage.setItem(key, JSON.stringify(entries));
+                sessionStorage.setItem('legacySeeded', '1');
+            }
+        }, { key: LEGACY_KEY, entries: LEGACY });
+        await page.goto('/threat.html');
+        await page.waitForFunction(() => !!(window as any).MehrGuardHistoryStore && !!(window as any).MehrGuardUI);
+    });
+
+    // ==========================================================================
+    // MIGRATION
+    // ==========================================================================
+
+    test('should move the legacy localStorage history into IndexedDB', async ({ page }) => {
+        const result = await page.evaluate(async (key) => {
+            const store = (window as any).MehrGuardHistoryStore;
+            await (window as any).MehrGuardUI.whenHistoryReady();
+            const entry = await store.get('scan-1');
+            return {
+                mode: store.getMode(),
+                legacy: localStorage.getItem(key),
+                counts: await store.getCounts(),
+                reasons: await store.getDistinct(store.INDEXES.REASON),
+                domains: await store.getDistinct(store.INDEXES.DOMAIN),
+                entry: { registrableDomain: entry.registrableDomain, reasonCodes: entry.reasonCodes },
+            };
+        }, LEGACY_KEY);
+
+        expect(result.mode).toBe('indexeddb');
+        expect(result.legacy).toBeNull();
+        expect(result.counts.total).toBe(LEGACY.length);
+        expect(result.counts.threats).toBe(expectedIds(e => e.verdict === 'HIGH' || e.verdict === 'MEDIUM').length);
+        expect(result.reasons).toEqual([...REASONS].sort());
+        expect(result.domains).toEqual([...DOMAINS].sort());
+        expect(result.entry).toEqual({ registrableDomain: 'example.org', reasonCodes: ['URL_SHORTENER', 'SUSPICIOUS_TLD'] });
+    });
+
+    // ==========================================================================
+    // QUERIES
+    // ==========================================================================
+
+    test('should page the whole history newest first', async ({ page }) => {
+        const pages = await page.evaluate(async () => {
+            const store = (window as any).MehrGuardHistoryStore;
+            const out = [];
+            for (let offset = 0; offset < 60; offset += 20) {
+                const { items, total } = await store.query({ offset, limit: 20 });
+                out.push({ ids: items.map((item: { id: string }) => item.id), total });
+            }
+            return out;
+        });
+
+        const all = LEGACY.map(entry => entry.id);
+        expect(pages.map(p => p.total)).toEqual([45, 45, 45]);
+        expect(pages.map(p => p.ids)).toEqual([all.slice(0, 20), all.slice(20, 40), all.slice(40)]);
+    });
+
+    test('should filter through the verdict, domain and reason indexes', async ({ page }) => {
+        const result = await page.evaluate(async () => {
+            const store = (window as any).MehrGuardHistoryStore;
+            const ids = async (options: object) => {
+                const { items, total } = await store.query({ limit: 100, ...options });
+                return { ids: items.map((item: { id: string }) => item.id), total };
+            };
+            return {
+                verdict: await ids({ verdict: 'HIGH' }),
+                domain: await ids({ registrableDomain: 'example.net' }),
+                reason: await ids({ reasonCode: 'IP_HOST' }),
+                combined: await ids({ verdict: 'MEDIUM', registrableDomain: 'example.org' }),
+                text: await ids({ text: 'host1', verdict: 'MEDIUM' }),
+                secondPage: await ids({ reasonCode: 'URL_SHORTENER', offset: 5, limit: 5 }),
+            };
+        });
+
+        const verdict = expectedIds(e => e.verdict === 'HIGH');
+        const domain = expectedIds(e => e.url.includes('example.net'));
+        const reason = expectedIds(e => e.analysis.reasons.some(r => r.code === 'IP_HOST'));
+        const combined = expectedIds(e => e.verdict === 'MEDIUM' && e.url.includes('example.org'));
+        const text = expectedIds(e => e.url.includes('host1') && e.verdict === 'MEDIUM');
+        const shortener = expectedIds(e => e.analysis.reasons.some(r => r.code === 'URL_SHORTENER'));
+
+        expect(result.verdict).toEqual({ ids: verdict, total: verdict.length });
+        expect(result.domain).toEqual({ ids: domain, total: domain.length });
+        expect(result.reason).toEqual({ ids: reason, total: reason.length });
+        expect(result.combined).toEqual({ ids: combined, total: combined.length });
+        expect(result.text).toEqual({ ids: text, total: text.length });
+        expect(result.secondPage).toEqual({ ids: shortener.slice(5, 10), total: shortener.length });
+    });
+
+    // ==========================================================================
+    // RETENTION
+    // ==========================================================================
+
+    test('should keep everything with the default retention setting', async ({ page }) => {
+        const result = await page.evaluate(async () => {
+            const ui = (window as any).MehrGuardUI;
+            const removed = await ui.applyHistoryRetention();
+            const { total } = await (window as any).MehrGuardHistoryStore.getCounts();
+            return { removed, total, days: ui.getSettings().historyRetentionDays };
+        });
+
+        expect(result.days).toBe(0);
+        expect(result.removed).toBe(0);
+        expect(result.total).toBe(LEGACY.length);
+    });
+
+    test('should delete only scans older than the retention period', async ({ page }) => {
+        const result = await page.evaluate(async () => {
+            const store = (window as any).MehrGuardHistoryStore;
+            const removed = await store.applyRetention({ maxAgeDays: 30 });
+            const { items, total } = await store.query({ limit: 100 });
+            return { removed, total, oldest: items[items.length - 1].id };
+        });
+
+        // scan-30 is 30 days and a minute old
+        expect(result.removed).toBe(15);
+        expect(result.total).toBe(30);
+        expect(result.oldest).toBe('scan-29');
+    });
+});
@@ -0,0 +1,105 @@
+/**
+ * Mehr Guard Web App E2E Tests - Image Pre-processing
+ *
+ * Runs the hard-image fixture set through the scanner's pre-processing
+ * pipeline (MehrGuardDecoder.decodeImage) and records which stage decoded
+ * each image, so the stage order and parameters can be tuned.
+ *
+ * @author Mehr Guard Team
+ * @license Apache-2.0
+ */
+
+import { test, expect } from '@playwright/test';
+import * as fs from 'fs';
+import * as path from 'path';
+import manifest from './fixtures/hard-images/manifest.json';
+
+const FIXTURE_DIR = path.join(__dirname, 'fixtures', 'hard-images');
+
+function readFixture(file: string): string {
+    const base64 = fs.readFileSync(path.join(FIXTURE_DIR, file)).toString('base64');
+    return `data:image/png;base64,${base64}`;
+}
+
+test.describe('Image Pre-processing', () => {
+    test.beforeEach(async ({ page }) => {
+        await page.goto('/scanner.html');
+        await page.waitForFunction(() => !!(window as any).MehrGuardDecoder && !!(window as any).MehrGuardImagePipeline);
+    });
+
+    // ==========================================================================
+    // HARD IMAGE FIXTURES
+    // ==========================================================================
+
+    for (const fixture of manifest.fixtures) {
+        test(`should decode ${fixture.file}`, async ({ page }) => {
+            test.setTimeout(60 * 1000);
+
+            const result = await page.evaluate(async (dataUrl) => {
+                const img = new Image();
+                img.src = dataUrl;
+                await img.decode();
+
+                const decoded = await (window as any).MehrGuardDecoder.decodeImage(img);
+                return {
+                    decoder: decoded.decoder,
+                    stage: decoded.stage,
+                    variant: decoded.variant,
+                    attempts: decoded.attempts.length,
+                    durationMs: Math.round(decoded.durationMs),
+                    codes: decoded.codes.map((code: any) => ({
+                        data: code.data,
+                        symbology: code.symbology,
+                        corners: code.corners.length,
+                    })),
+                };
+            }, readFixture(fixture.file));
+
+            test.info().annotations.push({
+                type: 'stage',
+                description: `${result.stage} ${result.variant} via ${result.decoder} ` +
+                    `(${result.attempts} attempts, ${result.durationMs} ms)`,
+            });
+
+            expect(result.stage).not.toBeNull();
+            expect(result.codes[0]).toMatchObject({
+                data: fixture.expected,
+                symbology: fixture.symbology,
+            });
+            expect(result.codes[0].corners).toBe(4);
+        });
+    }
+
+    // ==========================================================================
+    // PIPELINE BEHAVIOUR
+    // ==========================================================================
+
+    test('should run the pipeline in a worker', async ({ page }) => {
+        const decoder = await page.evaluate(async (dataUrl) => {
+            const img = new Image();
+            img.src = dataUrl;
+            await img.decode();
+            return (await (window as any).MehrGuardDecoder.decodeImage(img)).decoder;
+        }, readFixture('blurred.png'));
+
+        expect(decoder).toBe('worker');
+    });
+
+    test('should report no stage for an image without a code', async ({ page }) => {
+        const result = await page.evaluate(async () => {
+            const canvas = document.createElement('canvas');
+            canvas.width = 320;
+            canvas.height = 240;
+            const ctx = canvas.getContext('2d')!;
+            ctx.fillStyle = '#f5f5f5';
+            ctx.fillRect(0, 0, canvas.width, canvas.height);
+
+            const decoded = await (window as any).MehrGuardDecoder.decodeImage(canvas);
+            return { stage: decoded.stage, codes: decoded.codes.length, attempts: decoded.attempts.length };
+        });
+
+        expect(result.stage).toBeNull();
+        expect(result.codes).toBe(0);
+        expect(result.attempts).toBeGreaterThan(0);
+    });
+});
@@ -0,0 +1,157 @@
+/**
+ * Mehr Guard Web App E2E Tests - MISP Import
+ *
+ * Imports a small MISP event fixture (tests/fixtures/misp) the way the
+ * Trust Centre does, with MehrGuardMisp.parseEvent() and
+ * MehrGuardPolicy.addSharedIntel(), and checks which hosts and URLs it
+ * flags, what reaches the engine's threat-intel set, and that importing
+ * the event again or removing it updates both.
+ *
+ * misp.js and policy.js only need localStorage, so these run in Node
+ * without a page; the engine's `mehrguardSetSharedIntel` bridge is
+ * replaced with a recorder.
+ *
+ * @author Mehr Guard Team
+ * @license Apache-2.0
+ */
+
+import { test, expect } from '@playwright/test';
+import * as fs from 'fs';
+import * as path from 'path';
+import { installBrowserGlobals } from './helpers/memory-storage';
+
+const storage = installBrowserGlobals();
+const bridge = globalThis as any;
+const RESOURCES = path.join(__dirname, '..', '..', 'src', 'jsMain', 'resources');
+const MehrGuardMisp = require(path.join(RESOURCES, 'misp.js'));
+const MehrGuardPolicy = require(path.join(RESOURCES, 'policy.js'));
+
+const FIXTURE = fs.readFileSync(path.join(__dirname, 'fixtures', 'misp', 'phishing-event.json'), 'utf8');
+const EVENT_UUID = '5f1c2a3b-8d4e-4f6a-9b7c-1d2e3f4a5b6c';
+
+// Every list pushed to the engine, in order
+let engineIntel: string[][] = [];
+
+function importEvent(text: string) {
+    const result = MehrGuardMisp.parseEvent(text);
+    if (result.valid) MehrGuardPolicy.addSharedIntel(result.event, 'phishing-event.json');
+    return result;
+}
+
+function flaggedBy(url: string) {
+    const decision = MehrGuardPolicy.evaluate({ url, verdict: 'SAFE', score: 2 });
+    return decision.source === 'shared_intel'
+        ? { verdict: decision.verdict, rule: decision.rule, matchType: decision.matchType, event: decision.sharedIntel.uuid }
+        : null;
+}
+
+test.describe('MISP Import', () => {
+    test.beforeEach(() => {
+        MehrGuardPolicy.getSharedIntel().forEach((event: { uuid: string }) => MehrGuardPolicy.removeSharedIntel(event.uuid));
+        storage.clear();
+        engineIntel = [];
+        bridge.mehrguardSetSharedIntel = (list: string[]) => engineIntel.push(list);
+        delete bridge.mehrguardThreatLookup;
+        delete bridge.mehrguardOrgPolicyEvaluate;
+    });
+
+    // ==========================================================================
+    // PARSING
+    // ==========================================================================
+
+    test('should read only the detection indicators from the event', async () => {
+        const result = MehrGuardMisp.parseEvent(FIXTURE);
+
+        expect(result.valid).toBe(true);
+        expect(result.event).toEqual({
+            uuid: EVENT_UUID,
+            info: 'Parcel delivery QR phishing wave',
+            orgName: 'Example CERT',
+            date: '2026-09-14',
+            domains: ['parcel-fees.example', 'parcel-redelivery.example'],
+            hostnames: ['www.track-my-parcel.example.net'],
+            urls: ['http://192.0.2.44/login', 'https://cdn.example.org/parcel/pay.html'],
+        });
+        expect(result.warnings).toEqual([
+            '1 attributes not marked for detection (to_ids) were ignored',
+            '1 attributes of other types were ignored',
+            '1 attributes with unreadable values were ignored',
+        ]);
+    });
+
+    test('should reject an event with nothing to detect', async () => {
+        const event = JSON.parse(FIXTURE);
+        event.Event.Attribute.forEach((attribute: { to_ids: unknown }) => { attribute.to_ids = false; });
+        event.Event.Object = [];
+
+        const result = importEvent(JSON.stringify(event));
+        expect(result.valid).toBe(false);
+        expect(MehrGuardPolicy.getSharedIntel()).toEqual([]);
+    });
+
+    // ==========================================================================
+    // FLAGGED HOSTS
+    // ==========================================================================
+
+    test('should flag the imported domains, hosts and URLs', async () => {
+        importEvent(FIXTURE);
+
+        const event = EVENT_UUID;
+        expect(flaggedBy('https://parcel-redelivery.example/')).toEqual(
+            { verdict: 'MALICIOUS', rule: 'parcel-redelivery.example', matchType: 'exact', event });
+        expect(flaggedBy('https://pay.parcel-redelivery.example/fees')).toEqual(
+            { verdict: 'MALICIOUS', rule: 'parcel-redelivery.example', matchType: 'wildcard', event });
+        expect(flaggedBy('https://parcel-fees.example/')).toEqual(
+            { verdict: 'MALICIOUS', rule: 'parcel-fees.example', matchType: 'exact', event });
+        expect(flaggedBy('https://track-my-parcel.example.net/id/42')).toEqual(
+            { verdict: 'MALICIOUS', rule: 'track-my-parcel.example.net', matchType: 'exact', event });
+        expect(flaggedBy('https://www.track-my-parcel.example.net/')).toEqual(
+            { verdict: 'MALICIOUS', rule: 'track-my-parcel.example.net', matchType: 'exact', event });
+        expect(flaggedBy('https://cdn.example.org/parcel/pay.html')).toEqual(
+            { verdict: 'MALICIOUS', rule: 'https://cdn.example.org/parcel/pay.html', matchType: 'url', event });
+        expect(flaggedBy('http://192.0.2.44/login')).toEqual(
+            { verdict: 'MALICIOUS', rule: 'http://192.0.2.44/login', matchType: 'url', event });
+    });
+
+    test('should not flag hosts the event only mentions', async () => {
+        importEvent(FIXTURE);
+
+        expect(flaggedBy('https://courier.example.com/')).toBeNull(); // to_ids false
+        expect(flaggedBy('https://old-campaign.example/')).toBeNull(); // deleted
+        expect(flaggedBy('https://cdn.example.org/')).toBeNull(); // only one URL on the host is listed
+        expect(flaggedBy('https://shop.track-my-parcel.example.net/')).toBeNull(); // hostnames are exact
+        expect(flaggedBy('http://192.0.2.44/')).toBeNull();
+    });
+
+    // ==========================================================================
+    // ENGINE SYNC
+    // ==========================================================================
+
+    test('should load the domains and hosts into the engine', async () => {
+        importEvent(FIXTURE);
+
+        expect(engineIntel).toEqual([['parcel-fees.example', 'parcel-redelivery.example', 'track-my-parcel.example.net']]);
+    });
+
+    test('should replace an event imported again instead of adding a copy', async () => {
+        importEvent(FIXTURE);
+        const updated = JSON.parse(FIXTURE);
+        updated.Event.Attribute = updated.Event.Attribute.filter((attribute: { value: string }) =>
+            attribute.value !== 'parcel-redelivery.example');
+        importEvent(JSON.stringify(updated));
+
+        expect(MehrGuardPolicy.getSharedIntel()).toHaveLength(1);
+        expect(flaggedBy('https://parcel-redelivery.example/')).toBeNull();
+        expect(flaggedBy('https://parcel-fees.example/')).not.toBeNull();
+        expect(engineIntel[engineIntel.length - 1]).toEqual(['parcel-fees.example', 'track-my-parcel.example.net']);
+    });
+
+    test('should stop flagging hosts once the event is removed', async () => {
+        importEvent(FIXTURE);
+        MehrGuardPolicy.removeSharedIntel(EVENT_UUID);
+
+        expect(flaggedBy('https://parcel-redelivery.example/')).toBeNull();
+        expect(flaggedBy('https://cdn.example.org/parcel/pay.html')).toBeNull();
+        expect(engineIntel[engineIntel.length - 1]).toEqual([]);
+    });
+});
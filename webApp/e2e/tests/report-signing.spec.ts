@@ -0,0 +1,167 @@
+/**
+ * Mehr Guard Web App E2E Tests - Report Signing
+ *
+ * Signs reports with this install's key on the Verify Report page and
+ * checks what verify() and the page make of them: untouched files are
+ * VALID, edited ones or ones with bytes after the trailer are ALTERED, and
+ * a file edited and signed again with some other key is only trusted once
+ * the user trusts that key.
+ *
+ * @author Mehr Guard Team
+ * @license Apache-2.0
+ */
+
+import { test, expect, Page } from '@playwright/test';
+
+const REPORT = {
+    schemaVersion: '1.1.0',
+    url: 'http://paypa1-login.xyz/verify',
+    verdict: 'MALICIOUS',
+    score: 92,
+};
+
+const PDF = '%PDF-1.4\n1 0 obj\n<< /Type /Catalog >>\nendobj\ntrailer\n<< /Root 1 0 R >>\n%%EOF\n';
+
+/**
+ * Edit a signed JSON report and sign it again with a freshly generated key,
+ * the way anyone could without access to this install's key
+ */
+async function resignWithNewKey(page: Page, signed: string): Promise<{ text: string; fingerprint: string }> {
+    return page.evaluate(async (text) => {
+        const signing = (window as any).MehrGuardSigning;
+        const subtle = crypto.subtle;
+        const toHex = (buffer: ArrayBuffer) =>
+            Array.from(new Uint8Array(buffer), byte => byte.toString(16).padStart(2, '0')).join('');
+        const encode = (value: string) => new TextEncoder().encode(value);
+
+        const { signature, ...report } = JSON.parse(text);
+        report.verdict = 'SAFE';
+        report.score = 0;
+
+        const keys = await subtle.generateKey({ name: 'ECDSA', namedCurve: 'P-256' }, true, ['sign', 'verify']);
+        const jwk = await subtle.exportKey('jwk', keys.publicKey);
+        const spki = await subtle.exportKey('spki', keys.publicKey);
+        const fingerprint = toHex(await subtle.digest('SHA-256', spki)).toUpperCase().match(/.{4}/g)!.join(' ');
+
+        const statement = {
+            ...signature,
+            content_sha256: toHex(await subtle.digest('SHA-256', encode(signing.canonicalJson(report)))),
+            key_fingerprint: fingerprint,
+            public_key: { kty: jwk.kty, crv: jwk.crv, x: jwk.x, y: jwk.y },
+        };
+        delete statement.value;
+        const value = await subtle.sign({ name: 'ECDSA', hash: 'SHA-256' }, keys.privateKey,
+            encode(signing.canonicalJson(statement)));
+
+        const forged = { ...report, signature: { ...statement, value: btoa(String.fromCharCode(...new Uint8Array(value))) } };
+        return { text: JSON.stringify(forged), fingerprint };
+    }, signed);
+}
+
+async function signReport(page: Page): Promise<string> {
+    return page.evaluate(async (report) => {
+        return JSON.stringify(await (window as any).MehrGuardSigning.signReport(report));
+    }, REPORT);
+}
+
+async function verify(page: Page, text: string) {
+    return page.evaluate(async (file) => (window as any).MehrGuardSigning.verify(file), text);
+}
+
+async function dropOnPage(page: Page, text: string) {
+    await page.locator('#verifyFileInput').setInputFiles({
+        name: 'report.json',
+        mimeType: 'application/json',
+        buffer: Buffer.from(text),
+    });
+    await expect(page.locator('#verifyResult')).toBeVisible();
+}
+
+test.describe('Report Signing', () => {
+    test.beforeEach(async ({ page }) => {
+        await page.goto('/verify.html');
+        await page.waitForFunction(() => !!(window as any).MehrGuardSigning);
+    });
+
+    // ==========================================================================
+    // THIS INSTALL
+    // ==========================================================================
+
+    test('should verify a report signed here as valid', async ({ page }) => {
+        const result = await verify(page, await signReport(page));
+
+        expect(result.status).toBe('valid');
+        expect(result.thisInstall).toBe(true);
+        expect(result.checks).toEqual({ hash: true, signature: true, fingerprint: true });
+    });
+
+    test('should report an edited report as altered', async ({ page }) => {
+        const signed = JSON.parse(await signReport(page));
+        signed.verdict = 'SAFE';
+
+        const result = await verify(page, JSON.stringify(signed));
+        expect(result.status).toBe('altered');
+        expect(result.checks.hash).toBe(false);
+    });
+
+    test('should report bytes after the signature trailer as altered', async ({ page }) => {
+        const results = await page.evaluate(async (pdf) => {
+            const signing = (window as any).MehrGuardSigning;
+            const signed = await signing.signDocument(pdf, 'pdf');
+            const appended = new Uint8Array([...signed, ...new TextEncoder().encode('<script>alert(1)</script>\n')]);
+            return { signed: await signing.verify(signed), appended: await signing.verify(appended) };
+        }, PDF);
+
+        expect(results.signed.status).toBe('valid');
+        expect(results.appended.status).toBe('altered');
+        expect(results.appended.checks).toMatchObject({ hash: true, signature: true, trailer: false });
+    });
+
+    // ==========================================================================
+    // OTHER KEYS
+    // ==========================================================================
+
+    test('should not trust a report signed again with another key', async ({ page }) => {
+        const forged = await resignWithNewKey(page, await signReport(page));
+
+        const result = await verify(page, forged.text);
+        expect(result.status).toBe('signed-by-unknown-key');
+        expect(result.thisInstall).toBe(false);
+        expect(result.trusted).toBe(false);
+        expect(result.fingerprint).toBe(forged.fingerprint);
+
+        await dropOnPage(page, forged.text);
+        await expect(page.locator('#verifyStatus')).toHaveClass(/unverified/);
+        await expect(page.locator('#verifyStatus')).not.toHaveClass(/\bvalid\b/);
+        await expect(page.locator('#verifyStatusTitle')).toHaveText('Signed by an unknown key');
+        await expect(page.locator('#verifyTrustBtn')).toBeVisible();
+    });
+
+    test('should verify another key once the user trusts it', async ({ page }) => {
+        const forged = await resignWithNewKey(page, await signReport(page));
+        await dropOnPage(page, forged.text);
+
+        page.once('dialog', dialog => dialog.accept());
+        await page.locator('#verifyTrustBtn').click();
+
+        await expect(page.locator('#verifyStatus')).toHaveClass(/\bvalid\b/);
+        await expect(page.locator('#verifyTrustBtn')).toBeHidden();
+        await expect(page.locator('#trustedKeysList')).toContainText(forged.fingerprint);
+
+        const result = await verify(page, forged.text);
+        expect(result.status).toBe('valid');
+        expect(result.trusted).toBe(true);
+    });
+
+    test('should stop trusting a removed key', async ({ page }) => {
+        const forged = await resignWithNewKey(page, await signReport(page));
+        const result = await page.evaluate(async ({ text, fingerprint }) => {
+            const signing = (window as any).MehrGuardSigning;
+            signing.trustKey(fingerprint);
+            signing.forgetKey(fingerprint);
+            return signing.verify(text);
+        }, forged);
+
+        expect(result.status).toBe('signed-by-unknown-key');
+    });
+});
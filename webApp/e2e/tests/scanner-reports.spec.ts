@@ -0,0 +1,143 @@
+/**
+ * Mehr Guard Web App E2E Tests - PDF and Email Reports
+ *
+ * Renders the scanner's PDF and email report cards with hostile content
+ * (link annotations and headers carrying quotes and markup) and checks
+ * that it stays text instead of becoming attributes or elements, and that
+ * a spoofed display name does not pass for the sender address.
+ *
+ * @author Mehr Guard Team
+ * @license Apache-2.0
+ */
+
+import { test, expect } from '@playwright/test';
+
+// scanner.js page globals
+declare const ScannerState: any;
+declare function renderPdfReport(): void;
+declare function renderEmailReport(): void;
+
+const HOSTILE_URL = 'https://x.example/" onmouseover="window.__injected=1" data-x="<img src=x>';
+
+test.describe('Scanner Reports', () => {
+    test.beforeEach(async ({ page }) => {
+        await page.goto('/scanner.html');
+        await page.waitForFunction(() => !!(window as any).MehrGuardPdfScan);
+    });
+
+    // ==========================================================================
+    // PDF REPORT
+    // ==========================================================================
+
+    test('should keep PDF link annotations out of the markup', async ({ page }) => {
+        const result = await page.evaluate((url) => {
+            ScannerState.pdfReport = {
+                fileName: 'invoice.pdf',
+                pageCount: 1,
+                scannedPages: 1,
+                truncated: false,
+                isFull: false,
+                status: 'done',
+                items: [{
+                    index: 1,
+                    page: 1,
+                    kind: 'link',
+                    content: url,
+                    symbology: null,
+                    thumbnail: null,
+                    forensics: null,
+                    status: 'done',
+                    scanId: 'scan-1',
+                    result: { url, verdict: 'MALICIOUS', score: 90, payload: null },
+                }],
+            };
+            renderPdfReport();
+
+            const results = document.getElementById('pdfResults')!;
+            const label = results.querySelector('.session-label');
+            return {
+                title: label?.getAttribute('title'),
+                text: label?.textContent,
+                injected: results.querySelectorAll('[onmouseover], [data-x], img').length,
+            };
+        }, HOSTILE_URL);
+
+        expect(result.injected).toBe(0);
+        expect(result.title).toBe(HOSTILE_URL);
+        expect(result.text).toBe(HOSTILE_URL);
+    });
+
+    // ==========================================================================
+    // EMAIL REPORT
+    // ==========================================================================
+
+    test('should keep email headers, attachment names and links out of the markup', async ({ page }) => {
+        const result = await page.evaluate((url) => {
+            ScannerState.emailReport = {
+                fileName: 'message.eml',
+                message: {
+                    subject: url,
+                    date: '',
+                    from: { name: url, address: 'x@evil.example', domain: 'evil.example' },
+                    to: '',
+                    replyTo: { name: '', address: url, domain: '' },
+                    returnPath: null,
+                    auth: {},
+                },
+                attachments: [{ name: url, type: 'text/html', size: 1 }],
+                flags: [{ id: 'risky-attachment', severity: 'high', message: 'Risky', detail: url }],
+                isFull: false,
+                status: 'done',
+                items: [{
+                    index: 1,
+                    group: url,
+                    kind: 'link',
+                    content: url,
+                    symbology: null,
+                    thumbnail: null,
+                    forensics: null,
+                    status: 'done',
+                    scanId: 'scan-1',
+                    result: { url, verdict: 'MALICIOUS', score: 90, payload: null },
+                }],
+            };
+            renderEmailReport();
+
+            const card = document.getElementById('emailCard')!;
+            return {
+                titles: Array.from(card.querySelectorAll('#emailHeaders dd')).map(dd => dd.getAttribute('title')),
+                label: card.querySelector('#emailResults .session-label')?.getAttribute('title'),
+                injected: card.querySelectorAll('[onmouseover], [data-x], img').length,
+            };
+        }, HOSTILE_URL);
+
+        expect(result.injected).toBe(0);
+        expect(result.titles).toEqual([
+            `${HOSTILE_URL} <x@evil.example>`,
+            HOSTILE_URL,
+            HOSTILE_URL,
+        ]);
+        expect(result.label).toBe(HOSTILE_URL);
+    });
+
+    test('should take the sender from the angle-addr, not the quoted display name', async ({ page }) => {
+        const result = await page.evaluate(() => {
+            const raw = [
+                'From: "PayPal <service@paypal.com>" <x@evil.ru>',
+                'Subject: Your account',
+                'Content-Type: text/plain',
+                '',
+                'Hello',
+            ].join('\r\n');
+            const parsed = (window as any).MehrGuardEmailScan.parse(raw);
+            return {
+                from: parsed.message.from,
+                flags: parsed.flags.map((flag: { id: string }) => flag.id),
+            };
+        });
+
+        expect(result.from.address).toBe('x@evil.ru');
+        expect(result.from.name).toBe('PayPal <service@paypal.com>');
+        expect(result.flags).toContain('display-name-address');
+    });
+});
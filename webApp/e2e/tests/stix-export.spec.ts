@@ -0,0 +1,155 @@
+/**
+ * Mehr Guard Web App E2E Tests - STIX 2.1 Export
+ *
+ * Builds bundles from SAFE, SUSPICIOUS and MALICIOUS scans with stix.js
+ * and checks them with the local STIX 2.1 validator, and that the same
+ * scans always give the same ids. stix.js only needs WebCrypto, so these
+ * run in Node without a page.
+ *
+ * @author Mehr Guard Team
+ * @license Apache-2.0
+ */
+
+import { test, expect } from '@playwright/test';
+import * as crypto from 'crypto';
+import * as path from 'path';
+import { validateStixBundle } from './helpers/stix-validator';
+
+// stix.js registers itself on window and exports the same API
+(globalThis as any).window = globalThis;
+const MehrGuardStix = require(path.join(__dirname, '..', '..', 'src', 'jsMain', 'resources', 'stix.js'));
+
+// STIX 2.1 namespace for observable ids (section 2.9)
+const SCO_NAMESPACE = '00abedb4-aa42-466c-9c01-fed23315a9b7';
+
+const SCANS = {
+    safe: {
+        scanId: 'scan-safe',
+        url: 'https://www.example.com/',
+        verdict: 'SAFE',
+        score: 4,
+        timestamp: Date.UTC(2025, 5, 1, 9, 0, 0),
+        analysis: { reasons: [{ code: 'ANALYSIS_COMPLETE' }] },
+        payload: null,
+    },
+    suspicious: {
+        scanId: 'scan-suspicious',
+        url: 'https://bit.ly/3xYz',
+        verdict: 'SUSPICIOUS',
+        score: 48,
+        timestamp: Date.UTC(2025, 5, 2, 9, 0, 0),
+        analysis: { reasons: [{ code: 'URL_SHORTENER' }] },
+        payload: null,
+    },
+    malicious: {
+        scanId: 'scan-malicious',
+        url: 'http://paypa1-login.xyz/verify?password=1',
+        verdict: 'MALICIOUS',
+        score: 92,
+        timestamp: Date.UTC(2025, 5, 3, 9, 0, 0),
+        analysis: { reasons: [{ code: 'BRAND_IMPERSONATION' }, { code: 'CREDENTIAL_PARAM' }] },
+        payload: null,
+    },
+};
+
+/**
+ * RFC 4122 UUIDv5, computed here so the ids are not checked against
+ * stix.js's own implementation
+ */
+function uuidV5(namespace: string, name: string): string {
+    const hash = crypto.createHash('sha1')
+        .update(Buffer.from(namespace.replace(/-/g, ''), 'hex'))
+        .update(name)
+        .digest()
+        .subarray(0, 16);
+    hash[6] = (hash[6] & 0x0f) | 0x50;
+    hash[8] = (hash[8] & 0x3f) | 0x80;
+    const hex = hash.toString('hex');
+    return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+}
+
+async function build(scans: object[]) {
+    const { bundle } = await MehrGuardStix.buildBundle(scans);
+    return bundle;
+}
+
+function ofType(bundle: any, type: string): any[] {
+    return bundle.objects.filter((object: any) => object.type === type);
+}
+
+test.describe('STIX Export', () => {
+    // ==========================================================================
+    // VALIDATION
+    // ==========================================================================
+
+    test('should produce a valid bundle for a SAFE scan', async () => {
+        const bundle = await build([SCANS.safe]);
+
+        expect(validateStixBundle(bundle)).toEqual([]);
+        expect(ofType(bundle, 'observed-data')).toHaveLength(1);
+        expect(ofType(bundle, 'indicator')).toHaveLength(0);
+        expect(ofType(bundle, 'relationship')).toHaveLength(0);
+    });
+
+    test('should produce a valid bundle for a SUSPICIOUS scan', async () => {
+        const bundle = await build([SCANS.suspicious]);
+
+        expect(validateStixBundle(bundle)).toEqual([]);
+        const indicators = ofType(bundle, 'indicator');
+        expect(indicators).toHaveLength(1);
+        expect(indicators[0].pattern).toBe("[url:value = 'https://bit.ly/3xYz']");
+        expect(indicators[0].indicator_types).toEqual(['anomalous-activity']);
+        expect(ofType(bundle, 'relationship')).toHaveLength(1);
+    });
+
+    test('should produce a valid bundle for a MALICIOUS scan', async () => {
+        const bundle = await build([SCANS.malicious]);
+
+        expect(validateStixBundle(bundle)).toEqual([]);
+        const patterns = ofType(bundle, 'indicator').map(indicator => indicator.pattern).sort();
+        expect(patterns).toEqual([
+            "[domain-name:value = 'paypa1-login.xyz']",
+            "[url:value = 'http://paypa1-login.xyz/verify?password=1']",
+        ]);
+        const observed = ofType(bundle, 'observed-data')[0];
+        ofType(bundle, 'relationship').forEach(relationship => {
+            expect(relationship.relationship_type).toBe('based-on');
+            expect(relationship.target_ref).toBe(observed.id);
+        });
+    });
+
+    test('should produce a valid bundle for mixed scans', async () => {
+        const bundle = await build(Object.values(SCANS));
+
+        expect(validateStixBundle(bundle)).toEqual([]);
+        expect(ofType(bundle, 'observed-data')).toHaveLength(3);
+    });
+
+    test('should report refs that leave the bundle', async () => {
+        const bundle = await build([SCANS.malicious]);
+        bundle.objects = bundle.objects.filter((object: any) => object.type !== 'observed-data');
+
+        const errors = validateStixBundle(bundle);
+        expect(errors.some(error => error.includes('target_ref points outside the bundle'))).toBe(true);
+    });
+
+    // ==========================================================================
+    // DETERMINISM
+    // ==========================================================================
+
+    test('should give the same ids for the same scans in any order', async () => {
+        const first = await build(Object.values(SCANS));
+        const second = await build(Object.values(SCANS).reverse());
+
+        expect(second.id).toBe(first.id);
+        expect(second.objects.map((object: any) => object.id)).toEqual(first.objects.map((object: any) => object.id));
+        expect(MehrGuardStix.stringify(second)).toBe(MehrGuardStix.stringify(first));
+    });
+
+    test('should give observables the STIX deterministic ids', async () => {
+        const bundle = await build([SCANS.safe]);
+
+        const domain = ofType(bundle, 'domain-name')[0];
+        expect(domain.id).toBe(`domain-name--${uuidV5(SCO_NAMESPACE, '{"value":"www.example.com"}')}`);
+    });
+});
@@ -0,0 +1,146 @@
+/**
+ * Mehr Guard Web App E2E Tests - Trust Policy
+ *
+ * Runs policy.js against stored Trust Centre lists and checks which rule
+ * decides the verdict: blocklist and threat intel always beat the
+ * allowlists, and allowlists only overrule the engine's heuristics.
+ * Domain rules fall back to exact hosts when the public-suffix parser is
+ * unavailable.
+ *
+ * The engine bridge functions (`mehrguardThreatLookup`,
+ * `mehrguardParseDomain`, `mehrguardOrgPolicyEvaluate`) are replaced with
+ * small tables, so these run in Node without a page.
+ *
+ * @author Mehr Guard Team
+ * @license Apache-2.0
+ */
+
+import { test, expect } from '@playwright/test';
+import * as path from 'path';
+import { installBrowserGlobals } from './helpers/memory-storage';
+
+const storage = installBrowserGlobals();
+const bridge = globalThis as any;
+const MehrGuardPolicy = require(path.join(__dirname, '..', '..', 'src', 'jsMain', 'resources', 'policy.js'));
+
+const ALLOWLIST_KEY = 'mehrguard_allowlist';
+const BLOCKLIST_KEY = 'mehrguard_blocklist';
+const ORG_POLICY_KEY = 'mehrguard_org_policy';
+
+// Hosts the engine's threat-intel database lists
+const KNOWN_BAD = new Set(['evil.example.com']);
+
+// What the engine's public-suffix parser returns for the hosts used here
+const REGISTRABLE: Record<string, string> = {
+    'example.co.uk': 'example.co.uk',
+    'shop.example.co.uk': 'example.co.uk',
+    'other.co.uk': 'other.co.uk',
+    'co.uk': '',
+};
+
+function setList(key: string, domains: string[]) {
+    storage.setItem(key, JSON.stringify(domains.map(domain => ({ domain, addedAt: 0 }))));
+}
+
+function evaluate(url: string, verdict = 'SAFE', score = 5) {
+    return MehrGuardPolicy.evaluate({ url, verdict, score });
+}
+
+test.describe('Trust Policy', () => {
+    test.beforeEach(() => {
+        MehrGuardPolicy.getSharedIntel().forEach((event: { uuid: string }) => MehrGuardPolicy.removeSharedIntel(event.uuid));
+        storage.clear();
+        bridge.mehrguardThreatLookup = (url: string) => ({ isKnownBad: KNOWN_BAD.has(MehrGuardPolicy.extractHost(url)) });
+        delete bridge.mehrguardParseDomain;
+        delete bridge.mehrguardOrgPolicyEvaluate;
+    });
+
+    // ==========================================================================
+    // RULE PRECEDENCE
+    // ==========================================================================
+
+    test('should let the allowlist overrule a heuristic verdict', async () => {
+        setList(ALLOWLIST_KEY, ['intranet.example.com']);
+
+        const decision = evaluate('https://intranet.example.com/login', 'MALICIOUS', 80);
+        expect(decision).toMatchObject({ verdict: 'SAFE', score: 80, source: 'allowlist', changed: true });
+    });
+
+    test('should not let the allowlist overrule a threat-intel hit', async () => {
+        setList(ALLOWLIST_KEY, ['*.example.com']);
+
+        const decision = evaluate('https://evil.example.com/login', 'MALICIOUS', 100);
+        expect(decision).toMatchObject({ verdict: 'MALICIOUS', score: 100, source: null, changed: false });
+    });
+
+    test('should not let the organisation allowlist overrule a threat-intel hit', async () => {
+        storage.setItem(ORG_POLICY_KEY, JSON.stringify({ json: '{}', summary: {} }));
+        bridge.mehrguardOrgPolicyEvaluate = () => ({ status: 'ALLOWED', orgId: 'acme', orgName: 'Acme' });
+
+        expect(evaluate('https://evil.example.com/', 'MALICIOUS', 100).verdict).toBe('MALICIOUS');
+        expect(evaluate('https://intranet.example.com/', 'SUSPICIOUS', 40)).toMatchObject({
+            verdict: 'SAFE',
+            source: 'org_policy',
+        });
+    });
+
+    test('should not let either allowlist overrule shared threat intel', async () => {
+        setList(ALLOWLIST_KEY, ['partner-flagged.example.net']);
+        storage.setItem(ORG_POLICY_KEY, JSON.stringify({ json: '{}', summary: {} }));
+        bridge.mehrguardOrgPolicyEvaluate = () => ({ status: 'ALLOWED', orgId: 'acme', orgName: 'Acme' });
+        MehrGuardPolicy.addSharedIntel({
+            uuid: 'event-1',
+            info: 'Partner phishing wave',
+            orgName: 'Partner CERT',
+            domains: [],
+            hostnames: ['partner-flagged.example.net'],
+            urls: [],
+        });
+
+        const decision = evaluate('https://partner-flagged.example.net/', 'SAFE', 3);
+        expect(decision).toMatchObject({ verdict: 'MALICIOUS', score: 100, source: 'shared_intel' });
+        expect(decision.sharedIntel.uuid).toBe('event-1');
+    });
+
+    test('should let the blocklist win over the allowlist', async () => {
+        setList(ALLOWLIST_KEY, ['*.example.org']);
+        setList(BLOCKLIST_KEY, ['login.example.org']);
+
+        expect(evaluate('https://login.example.org/')).toMatchObject({ verdict: 'MALICIOUS', source: 'blocklist' });
+        expect(evaluate('https://www.example.org/')).toMatchObject({ verdict: 'SAFE', source: 'allowlist' });
+    });
+
+    test('should keep a threat-intel verdict under Low sensitivity', async () => {
+        storage.setItem('mehrguard_trust_settings', JSON.stringify({ sensitivity: 1 }));
+
+        expect(evaluate('https://evil.example.com/', 'MALICIOUS', 40).verdict).toBe('MALICIOUS');
+        expect(evaluate('https://fine.example.com/', 'MALICIOUS', 40)).toMatchObject({
+            verdict: 'SUSPICIOUS',
+            source: 'sensitivity',
+        });
+    });
+
+    // ==========================================================================
+    // DOMAIN RULES
+    // ==========================================================================
+
+    test('should only match exact hosts without the domain parser', async () => {
+        expect(MehrGuardPolicy.getRegistrableDomain('shop.example.co.uk')).toBe('');
+        expect(MehrGuardPolicy.matchDomainRule('shop.example.co.uk', 'co.uk')).toBeNull();
+        expect(MehrGuardPolicy.matchDomainRule('shop.example.co.uk', 'example.co.uk')).toBeNull();
+        expect(MehrGuardPolicy.matchDomainRule('example.co.uk', 'example.co.uk')).toBe('exact');
+        expect(MehrGuardPolicy.matchDomainRule('shop.example.co.uk', '*.example.co.uk')).toBe('wildcard');
+
+        setList(ALLOWLIST_KEY, ['example.co.uk']);
+        expect(evaluate('https://other.co.uk/', 'MALICIOUS', 90).verdict).toBe('MALICIOUS');
+    });
+
+    test('should match registrable domains with the domain parser', async () => {
+        bridge.mehrguardParseDomain = (host: string) => ({ registrableDomain: REGISTRABLE[host] ?? host });
+
+        expect(MehrGuardPolicy.getRegistrableDomain('shop.example.co.uk')).toBe('example.co.uk');
+        expect(MehrGuardPolicy.matchDomainRule('shop.example.co.uk', 'example.co.uk')).toBe('registrable');
+        expect(MehrGuardPolicy.matchDomainRule('shop.example.co.uk', 'co.uk')).toBeNull();
+        expect(MehrGuardPolicy.matchDomainRule('other.co.uk', 'example.co.uk')).toBeNull();
+    });
+});
@@ -0,0 +1,196 @@
+/*
+ * Copyright 2025-2026 Mehr Guard Contributors
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+package com.raouf.mehrguard.web
+
+import com.raouf.mehrguard.core.PhishingEngine
+import com.raouf.mehrguard.engine.HeuristicsEngine
+import com.raouf.mehrguard.intel.ThreatIntelLookup
+import com.raouf.mehrguard.ml.EnsemblePhishingScorer
+import com.raouf.mehrguard.model.ReasonCode
+import com.raouf.mehrguard.security.UnicodeRiskAnalyzer
+import org.w3c.dom.url.URL
+
+/** Engine version reported by `mehrguardEngineInfo` and the worker host */
+const val ENGINE_VERSION = "1.19.0"
+
+/**
+ * Analysis engines shared by the page bridges and the worker host.
+ *
+ * [analyze] runs the full pipeline (PhishingEngine, heuristics, ML ensemble,
+ * threat intel, unicode) and returns a plain, structured-cloneable object so
+ * the same result can be posted out of a Web Worker or returned directly.
+ */
+class EngineComponents {
+    val engine = PhishingEngine()
+    val heuristicsEngine = HeuristicsEngine()
+    val mlScorer = EnsemblePhishingScorer.default
+    var threatIntel = ThreatIntelLookup.createDefault()
+        private set
+    val unicodeAnalyzer = UnicodeRiskAnalyzer()
+
+    /**
+     * Replace the shared threat-intel domains merged into the bundled deny
+     * list. Later lookups and analyses see the new set.
+     */
+    fun setSharedIntel(domains: List<String>) {
+        threatIntel = ThreatIntelLookup.createDefault(domains)
+    }
+
+    /**
+     * Full analysis of one URL:
+     * `{url, score, verdict, flags, brand, reasons, heuristicScore, ml, intel, unicode, versions}`.
+     * `brand` is the impersonated brand, or null when none was detected.
+     * `unicode` is null when the URL has no parseable host.
+     */
+    fun analyze(url: String): dynamic {
+        val assessment = engine.analyzeBlocking(url)
+        val heuristicResult = heuristicsEngine.analyze(url)
+
+        val obj = js("{}")
+        obj.url = url
+        obj.score = assessment.score
+        obj.verdict = assessment.verdict.name
+        obj.flags = assessment.flags.toTypedArray()
+        obj.brand = assessment.details.brandMatch
+        obj.heuristicScore = heuristicResult.score
+        obj.reasons = reasonsToJs(heuristicResult.reasons)
+        obj.ml = mlScore(url)
+        obj.intel = threatLookup(url)
+        obj.unicode = extractHost(url)?.let { unicodeAnalysis(it) }
+        obj.versions = dataVersions()
+        return obj
+    }
+
+    /**
+     * Engine and bundled data versions, recorded with every analysis so a
+     * stored result can be traced to the rules that produced it.
+     */
+    fun dataVersions(): dynamic {
+        val intel = threatIntel.getMetadata()
+        val obj = js("{}")
+        obj.engine = ENGINE_VERSION
+        obj.mlModel = EnsemblePhishingScorer.MODEL_VERSION
+        obj.threatIntel = intel.version
+        obj.threatIntelEntries = intel.entryCount
+        return obj
+    }
+
+    fun mlScore(url: String): dynamic {
+        val result = mlScorer.scoreWithDetails(url)
+        val obj = js("{}")
+        obj.ensembleScore = result.ensembleScore
+        obj.charScore = result.charScore
+        obj.featureScore = result.featureScore
+        obj.confidence = result.confidence
+        obj.isPhishing = result.isPhishing
+        obj.charRiskLevel = result.charRiskLevel.name
+        obj.modelVersion = result.modelVersion
+        return obj
+    }
+
+    fun threatLookup(url: String): dynamic {
+        val result = threatIntel.lookup(url)
+        val obj = js("{}")
+        obj.isKnownBad = result.isKnownBad
+        obj.confidence = result.confidence.name
+        obj.category = result.category?.name
+        return obj
+    }
+
+    fun unicodeAnalysis(host: String): dynamic {
+        val result = unicodeAnalyzer.analyze(host)
+        val obj = js("{}")
+        obj.hasRisk = result.hasRisk
+        obj.isPunycode = result.isPunycode
+        obj.hasMixedScript = result.hasMixedScript
+        obj.hasConfusables = result.hasConfusables
+        obj.hasZeroWidth = result.hasZeroWidth
+        obj.riskScore = result.riskScore
+        obj.safeDisplayHost = unicodeAnalyzer.getSafeDisplayHost(host)
+        return obj
+    }
+
+    fun reasonsToJs(reasons: List<ReasonCode>): Array<dynamic> =
+        reasons.map { reason ->
+            val r = js("{}")
+            r.code = reason.code
+            r.severity = reason.severity.name
+            r.description = reason.description
+            r
+        }.toTypedArray()
+
+    private fun extractHost(url: String): String? = try {
+        URL(url).hostname.ifBlank { null }
+    } catch (e: Throwable) {
+        null
+    }
+}
+
+/**
+ * True when the bundle was loaded with `new Worker('webApp.js')`.
+ */
+fun isWorkerContext(): Boolean =
+    js("typeof window === 'undefined' && typeof self !== 'undefined' && typeof self.postMessage === 'function'") as Boolean
+
+/**
+ * Serve analysis requests inside a dedicated Web Worker.
+ *
+ * Protocol (see engine-host.js):
+ * - out `{type: 'ready', engineVersion}` once the engines are built,
+ *   or `{type: 'init_error', error}` if they could not be
+ * - in  `{type: 'analyze', id, url}`
+ * - out `{type: 'result', id, result}` or `{type: 'error', id, error}`
+ * - in  `{type: 'intel', domains}` replaces the shared threat-intel domains
+ */
+fun startEngineWorker() {
+    val scope: dynamic = js("self")
+
+    val components = try {
+        EngineComponents()
+    } catch (e: Throwable) {
+        val msg = js("{}")
+        msg.type = "init_error"
+        msg.error = e.message ?: "Engine initialization failed"
+        scope.postMessage(msg)
+        return
+    }
+
+    scope.onmessage = { event: dynamic ->
+        val request = event.data
+        if (request?.type == "analyze") {
+            val response = js("{}")
+            response.id = request.id
+            try {
+                response.result = components.analyze(request.url as String)
+                response.type = "result"
+            } catch (e: Throwable) {
+                response.type = "error"
+                response.error = e.message ?: "Analysis failed"
+            }
+            scope.postMessage(response)
+        } else if (request?.type == "intel") {
+            val domains = (request.domains as Array<String>).toList()
+            components.setSharedIntel(domains)
+        }
+    }
+
+    val ready = js("{}")
+    ready.type = "ready"
+    ready.engineVersion = ENGINE_VERSION
+    scope.postMessage(ready)
+}
+
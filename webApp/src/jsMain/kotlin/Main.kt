@@ -16,7 +16,6 @@
 
 package com.raouf.mehrguard.web
 
-import com.raouf.mehrguard.core.PhishingEngine
 import kotlinx.browser.document
 import kotlinx.browser.window
 import org.w3c.dom.Element
@@ -33,17 +32,21 @@ import org.w3c.dom.events.Event
  * All analysis happens client-side - no data leaves the browser.
  */
 fun main() {
+    // Loaded by engine-host.js as a Web Worker: serve analysis requests only
+    if (isWorkerContext()) {
+        startEngineWorker()
+        return
+    }
+
     console.log("🛡️ Mehr Guard Web loaded - Kotlin/JS initialized")
 
     // Initialize PhishingEngine - same code as Android, iOS, and Desktop
-    val engine = PhishingEngine()
+    val components = EngineComponents()
+    val engine = components.engine
     console.log("📦 PhishingEngine ready for analysis")
 
     // Initialize new engine components
-    val heuristicsEngine = com.raouf.mehrguard.engine.HeuristicsEngine()
-    val mlScorer = com.raouf.mehrguard.ml.EnsemblePhishingScorer.default
-    val threatIntel = com.raouf.mehrguard.intel.ThreatIntelLookup.createDefault()
-    val unicodeAnalyzer = com.raouf.mehrguard.security.UnicodeRiskAnalyzer()
+    val heuristicsEngine = components.heuristicsEngine
     val psl = com.raouf.mehrguard.engine.PublicSuffixList()
     console.log("🧠 ML Scorer, Threat Intel, and Unicode Analyzer ready")
 
@@ -51,90 +54,85 @@ fun main() {
     val urlInput = document.getElementById("urlInput") as? HTMLInputElement
     val analyzeBtn = document.getElementById("analyzeBtn") as? HTMLButtonElement
 
-    // Expose the analyze function globally for JavaScript to call
+    // Expose the analyze function globally for JavaScript to call.
+    // Results are published on the MehrGuardUI analysis bus (analysis:start/complete/error).
+    var nextRequestId = 1
     window.asDynamic().mehrguardAnalyze = { url: String ->
         console.log("🔍 Analyzing URL: $url")
+        val requestId = nextRequestId++
 
         // Show loading state
         analyzeBtn?.classList?.add("loading")
         analyzeBtn?.innerHTML = """<div class="spinner"></div><span>Analyzing...</span>"""
         analyzeBtn?.disabled = true
 
-        // Run analysis asynchronously to allow UI update
-        window.setTimeout({
-            try {
-                // Run analysis using SHARED KMP PhishingEngine
-                val assessment = engine.analyzeBlocking(url)
-
-                // Get enhanced analysis from new components
-                val heuristicResult = heuristicsEngine.analyze(url)
-                val mlResult = mlScorer.scoreWithDetails(url)
-                val threatResult = threatIntel.lookup(url)
-                
-                console.log("✅ Analysis complete: Score=${assessment.score}, Verdict=${assessment.verdict}")
-                console.log("   ML Score: ${(mlResult.ensembleScore * 100).toInt()}%")
-                console.log("   Reason Codes: ${heuristicResult.reasons.size}")
-                console.log("   Known Bad: ${threatResult.isKnownBad}")
-
-                // Convert flags to JS array
-                val flagsArray = assessment.flags.toTypedArray()
-                
-                // Convert reason codes to JS array
-                val reasonCodes = heuristicResult.reasons.map { reason ->
-                    val r = js("{}")
-                    r.code = reason.code
-                    r.severity = reason.severity.name
-                    r.description = reason.description
-                    r
-                }.toTypedArray()
-
-                // Call the display function defined in HTML with enhanced data
-                window.asDynamic().displayResult(
-                    assessment.score,
-                    assessment.verdict.name,
-                    flagsArray,
-                    url
-                )
-                
-                // Also expose enhanced analysis data for advanced UI
-                val details = js("{}")
-                details.score = assessment.score
-                details.verdict = assessment.verdict.name
-                details.mlScore = (mlResult.ensembleScore * 100).toInt()
-                details.mlConfidence = (mlResult.confidence * 100).toInt()
-                details.charScore = (mlResult.charScore * 100).toInt()
-                details.featureScore = (mlResult.featureScore * 100).toInt()
-                details.isKnownBad = threatResult.isKnownBad
-                details.threatConfidence = threatResult.confidence.name
-                details.heuristicScore = heuristicResult.score
-                details.reasonCount = heuristicResult.reasons.size
-                window.asDynamic().lastAnalysisDetails = details
-                
-            } catch (e: Exception) {
-                console.error("❌ Analysis error: ${e.message}")
-                window.asDynamic().showToast("Error analyzing URL: ${e.message}")
+        val resetButton = {
+            analyzeBtn?.classList?.remove("loading")
+            analyzeBtn?.innerHTML = """<span class="material-icons-round">search</span>Analyze URL"""
+            analyzeBtn?.disabled = false
+        }
 
-                // Reset button
-                analyzeBtn?.classList?.remove("loading")
-                analyzeBtn?.innerHTML = """<span class="material-icons-round">search</span>Analyze URL"""
-                analyzeBtn?.disabled = false
+        publishAnalysis("analysis:start", requestId, url)
+
+        // Prefer the worker host (engine-host.js) so the UI thread stays free
+        val analyzeAsync = window.asDynamic().mehrguardAnalyzeAsync
+        val pending: Promise<dynamic> = if (analyzeAsync != null) {
+            analyzeAsync(url).unsafeCast<Promise<dynamic>>()
+        } else {
+            Promise { resolve, reject ->
+                window.setTimeout({
+                    try {
+                        resolve(components.analyze(url))
+                    } catch (e: Throwable) {
+                        reject(e)
+                    }
+                }, 0)
             }
-        }, 100)
+        }
 
+        pending.then({ result: dynamic ->
+            console.log("✅ Analysis complete: Score=${result.score}, Verdict=${result.verdict}")
+            publishAnalysis("analysis:complete", requestId, url, result = result)
+        }).catch({ e: Throwable ->
+            console.error("❌ Analysis error: ${e.message}")
+            resetButton()
+            publishAnalysis("analysis:error", requestId, url, error = e.message ?: "Analysis failed")
+        })
     }
 
-    // Expose ML scoring function
-    window.asDynamic().mehrguardMlScore = { url: String ->
+    // Expose the full analysis synchronously (used by engine-host.js when workers are unavailable)
+    window.asDynamic().mehrguardAnalyzeDetailed = { url: String ->
+        try {
+            components.analyze(url)
+        } catch (e: Exception) {
+            console.error("Analysis error: ${e.message}")
+            val err = js("{}")
+            err.error = e.message
+            err
+        }
+    }
+
+    // Expose synchronous assessment (no page UI side effects) for comparing several codes
+    window.asDynamic().mehrguardAssess = { url: String ->
         try {
-            val result = mlScorer.scoreWithDetails(url)
+            val assessment = engine.analyzeBlocking(url)
             val obj = js("{}")
-            obj.ensembleScore = result.ensembleScore
-            obj.charScore = result.charScore
-            obj.featureScore = result.featureScore
-            obj.confidence = result.confidence
-            obj.isPhishing = result.isPhishing
-            obj.charRiskLevel = result.charRiskLevel.name
+            obj.score = assessment.score
+            obj.verdict = assessment.verdict.name
+            obj.flags = assessment.flags.toTypedArray()
             obj
+        } catch (e: Exception) {
+            console.error("Assessment error: ${e.message}")
+            val err = js("{}")
+            err.error = e.message
+            err
+        }
+    }
+
+    // Expose ML scoring function
+    window.asDynamic().mehrguardMlScore = { url: String ->
+        try {
+            components.mlScore(url)
         } catch (e: Exception) {
             console.error("ML scoring error: ${e.message}")
             val err = js("{}")
@@ -146,12 +144,7 @@ fun main() {
     // Expose threat intel lookup
     window.asDynamic().mehrguardThreatLookup = { url: String ->
         try {
-            val result = threatIntel.lookup(url)
-            val obj = js("{}")
-            obj.isKnownBad = result.isKnownBad
-            obj.confidence = result.confidence.name
-            obj.category = result.category?.name
-            obj
+            components.threatLookup(url)
         } catch (e: Exception) {
             console.error("Threat lookup error: ${e.message}")
             val err = js("{}")
@@ -163,17 +156,7 @@ fun main() {
     // Expose unicode risk analysis
     window.asDynamic().mehrguardUnicodeAnalysis = { host: String ->
         try {
-            val result = unicodeAnalyzer.analyze(host)
-            val safeDisplay = unicodeAnalyzer.getSafeDisplayHost(host)
-            val obj = js("{}")
-            obj.hasRisk = result.hasRisk
-            obj.isPunycode = result.isPunycode
-            obj.hasMixedScript = result.hasMixedScript
-            obj.hasConfusables = result.hasConfusables
-            obj.hasZeroWidth = result.hasZeroWidth
-            obj.riskScore = result.riskScore
-            obj.safeDisplayHost = safeDisplay
-            obj
+            components.unicodeAnalysis(host)
         } catch (e: Exception) {
             console.error("Unicode analysis error: ${e.message}")
             val err = js("{}")
@@ -199,6 +182,21 @@ fun main() {
         }
     }
 
+    // Expose brand database entries (abuse contacts for abuse reports)
+    window.asDynamic().mehrguardBrandInfo = { brand: String ->
+        val config = com.raouf.mehrguard.engine.BrandDatabase.brands[brand.trim().lowercase()]
+        if (config == null) {
+            null
+        } else {
+            val obj = js("{}")
+            obj.brand = brand.trim().lowercase()
+            obj.category = config.category.name
+            obj.officialDomains = config.officialDomains.toTypedArray()
+            obj.abuseContact = config.abuseContact
+            obj
+        }
+    }
+
     // Expose heuristics analysis with reason codes
     window.asDynamic().mehrguardHeuristics = { url: String ->
         try {
@@ -207,13 +205,7 @@ fun main() {
             obj.score = result.score
             obj.flagCount = result.flags.size
             obj.reasonCount = result.reasons.size
-            obj.reasons = result.reasons.map { reason ->
-                val r = js("{}")
-                r.code = reason.code
-                r.severity = reason.severity.name
-                r.description = reason.description
-                r
-            }.toTypedArray()
+            obj.reasons = components.reasonsToJs(result.reasons)
             obj
         } catch (e: Exception) {
             console.error("Heuristics error: ${e.message}")
@@ -223,16 +215,135 @@ fun main() {
         }
     }
 
+    // Expose non-URL QR payload analysis (Wi-Fi, vCard, SMS, tel, mailto, crypto, EMV, ...)
+    window.asDynamic().mehrguardAnalyzePayload = { content: String ->
+        try {
+            val result = com.raouf.mehrguard.payload.QrPayloadAnalyzer.analyze(content)
+            val obj = js("{}")
+            obj.payloadType = result.payloadType.name
+            obj.displayName = result.payloadType.displayName
+            obj.isUrl = result.payloadType in com.raouf.mehrguard.policy.QrPayloadType.urlTypes
+            obj.isPayment = result.payloadType in com.raouf.mehrguard.policy.QrPayloadType.paymentTypes
+            obj.riskScore = result.riskScore
+            obj.verdict = result.verdict.name
+            obj.recommendation = result.recommendation
+            obj.signals = result.signals.map { signal ->
+                val s = js("{}")
+                s.name = signal.name
+                s.description = signal.description
+                s.riskPoints = signal.riskPoints
+                s
+            }.toTypedArray()
+            val parsed = js("{}")
+            result.parsedData.forEach { (key, value) -> parsed[key] = value }
+            obj.parsedData = parsed
+            obj
+        } catch (e: Exception) {
+            console.error("Payload analysis error: ${e.message}")
+            val err = js("{}")
+            err.error = e.message
+            err
+        }
+    }
+
+    // Expose QR payload type detection so pages route content the way the engine does
+    window.asDynamic().mehrguardDetectPayloadType = { content: String ->
+        val payloadType = com.raouf.mehrguard.policy.QrPayloadType.detect(content)
+        val obj = js("{}")
+        obj.payloadType = payloadType.name
+        obj.isUrl = payloadType in com.raouf.mehrguard.policy.QrPayloadType.urlTypes
+        obj
+    }
+
+    // Expose organisation policy (OrgPolicy JSON) parsing
+    window.asDynamic().mehrguardOrgPolicyParse = { json: String ->
+        try {
+            val policy = com.raouf.mehrguard.policy.OrgPolicy.fromJson(json)
+            val obj = js("{}")
+            obj.version = policy.version
+            obj.orgId = policy.orgId
+            obj.orgName = policy.orgName
+            obj.strictMode = policy.strictMode
+            obj.allowedDomains = policy.allowedDomains.toTypedArray()
+            obj.blockedDomains = policy.blockedDomains.toTypedArray()
+            obj.blockedTlds = policy.blockedTlds.toTypedArray()
+            obj.blockedCategories = policy.blockedCategories.toTypedArray()
+            obj.allowedBrands = policy.allowedBrands.toTypedArray()
+            obj.allowedPayloadTypes = policy.allowedPayloadTypes.map { it.name }.toTypedArray()
+            obj.allPayloadTypesAllowed = policy.allowedPayloadTypes == com.raouf.mehrguard.policy.OrgPolicy.DEFAULT.allowedPayloadTypes
+            obj.requireHttps = policy.requireHttps
+            obj.blockIpAddresses = policy.blockIpAddresses
+            obj.blockShorteners = policy.blockShorteners
+            obj.maxUrlLength = policy.maxUrlLength
+            obj.safeThreshold = policy.safeThreshold
+            obj.suspiciousThreshold = policy.suspiciousThreshold
+            obj.expiresAt = policy.expiresAt
+            obj.contactEmail = policy.contactEmail
+            obj.normalizedJson = policy.toJson()
+            obj
+        } catch (e: Exception) {
+            console.error("Org policy parse error: ${e.message}")
+            val err = js("{}")
+            err.error = e.message
+            err
+        }
+    }
+
+    // Expose organisation policy enforcement for URLs and non-URL payloads
+    window.asDynamic().mehrguardOrgPolicyEvaluate = { json: String, content: String ->
+        try {
+            val policy = com.raouf.mehrguard.policy.OrgPolicy.fromJson(json)
+            val payloadType = com.raouf.mehrguard.policy.QrPayloadType.detect(content)
+            val result = policy.evaluatePayload(content, payloadType)
+            val obj = js("{}")
+            obj.payloadType = payloadType.name
+            obj.orgId = policy.orgId
+            obj.orgName = policy.orgName
+            when (result) {
+                is com.raouf.mehrguard.policy.PolicyResult.Allowed -> {
+                    obj.status = "ALLOWED"
+                    obj.reason = result.reason
+                }
+                is com.raouf.mehrguard.policy.PolicyResult.Blocked -> {
+                    obj.status = "BLOCKED"
+                    obj.reason = result.reason
+                    obj.blockReason = result.blockReason.name
+                }
+                is com.raouf.mehrguard.policy.PolicyResult.RequiresReview -> {
+                    obj.status = "REQUIRES_REVIEW"
+                    obj.reason = result.reason
+                }
+                com.raouf.mehrguard.policy.PolicyResult.PassedPolicy -> {
+                    obj.status = "PASSED"
+                }
+            }
+            obj
+        } catch (e: Exception) {
+            console.error("Org policy evaluation error: ${e.message}")
+            val err = js("{}")
+            err.error = e.message
+            err
+        }
+    }
+
     // Expose engine info
     val engineInfo = js("{}")
-    engineInfo.version = "1.19.0"
+    engineInfo.version = ENGINE_VERSION
     engineInfo.mlModelSize = "~10KB"
     engineInfo.heuristicCount = 25
     engineInfo.brandCount = 52
-    engineInfo.threatIntelEntries = threatIntel.getStats().exactSetSize
-    engineInfo.capabilities = arrayOf("heuristics", "ml", "brand_detection", "threat_intel", "unicode_analysis", "psl")
+    engineInfo.threatIntelEntries = components.threatIntel.getStats().exactSetSize
+    engineInfo.dataVersions = components.dataVersions()
+    engineInfo.capabilities = arrayOf("heuristics", "ml", "brand_detection", "threat_intel", "unicode_analysis", "psl", "payload_analysis", "org_policy", "multi_qr", "worker_host", "shared_intel", "brand_info")
     window.asDynamic().mehrguardEngineInfo = engineInfo
 
+    // Expose shared threat intel loading (MISP indicators imported on the trust page)
+    window.asDynamic().mehrguardSetSharedIntel = { domains: Array<String> ->
+        components.setSharedIntel(domains.toList())
+        engineInfo.threatIntelEntries = components.threatIntel.getStats().exactSetSize
+        engineInfo.dataVersions = components.dataVersions()
+    }
+
     // Expose translation function for WebStringKey lookups
     window.asDynamic().mehrguardGetTranslation = { key: String -> 
         try {
@@ -331,6 +442,23 @@ fun main() {
     console.log("   • 100% client-side: ✓")
 }
 
+/**
+ * Publish an analysis event on the shared MehrGuardUI bus (shared-ui.js).
+ */
+private fun publishAnalysis(type: String, requestId: Int, url: String, result: dynamic = null, error: String? = null) {
+    val bus = window.asDynamic().MehrGuardUI
+    if (bus?.emitAnalysis == null) {
+        console.warn("Analysis bus unavailable - $type for $url not delivered")
+        return
+    }
+    val detail = js("{}")
+    detail.requestId = requestId
+    detail.url = url
+    if (result != null) detail.result = result
+    if (error != null) detail.error = error
+    bus.emitAnalysis(type, detail)
+}
+
 fun initializeLocalization() {
     console.log("🌍 Initializing localization")
     val body = document.body as? Element
@@ -0,0 +1,460 @@
+/**
+ * Mehr Guard Abuse Reports
+ *
+ * Builds ready-to-send abuse reports for a scanned link as RFC 5322 .eml
+ * files: a plain-text description of the threat with the JSON scan report
+ * (schemas/report-v1.schema.json) attached as evidence.
+ *
+ * Nothing is sent from the app. The user downloads the .eml and sends it
+ * from their own mail client, so the app stays offline. Files are marked
+ * `X-Unsent: 1`, which mail clients that support it open as an editable
+ * draft.
+ *
+ * Recipients come from three places:
+ *   soc    the organisation's security team, set in the Trust Centre or
+ *          taken from the organisation policy's contactEmail
+ *   brand  the impersonated brand's abuse contact from the brand database
+ *   cert   a national CERT (or other reporting service) set in the Trust Centre
+ *
+ * @author Mehr Guard Team
+ * @version 2.4.1
+ */
+
+(function () {
+    'use strict';
+
+    // ==========================================================================
+    // CONFIGURATION
+    // ==========================================================================
+
+    const APP_VERSION = '2.4.1';
+    const SETTINGS_KEY = 'mehrguard_abuse_report';
+
+    const RECIPIENT = {
+        SOC: 'soc',
+        BRAND: 'brand',
+        CERT: 'cert',
+    };
+
+    // Reporting addresses offered as suggestions for the CERT recipient
+    const CERT_PRESETS = [
+        { name: 'UK NCSC Suspicious Email Reporting Service', address: 'report@phishing.gov.uk' },
+        { name: 'US CISA', address: 'phishing-report@us-cert.gov' },
+        { name: 'Anti-Phishing Working Group', address: 'reportphishing@apwg.org' },
+    ];
+
+    const DEFAULT_SETTINGS = {
+        socEmail: '',
+        certEmail: '',
+        reporterName: '',
+        reporterEmail: '',
+    };
+
+    // Report verdicts as worded in the review report
+    const VERDICT_LABELS = {
+        MALICIOUS: 'High risk',
+        SUSPICIOUS: 'Suspicious',
+        SAFE: 'Safe',
+        UNKNOWN: 'Unknown',
+    };
+
+    // From address when the user has not set theirs; .invalid never resolves
+    const FALLBACK_FROM = 'reporter@mehrguard.invalid';
+
+    const LINE_LENGTH = 76;
+
+    // ==========================================================================
+    // SETTINGS
+    // ==========================================================================
+
+    function getSettings() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(SETTINGS_KEY) || '{}');
+            return { ...DEFAULT_SETTINGS, ...(stored && typeof stored === 'object' ? stored : {}) };
+        } catch (e) {
+            return { ...DEFAULT_SETTINGS };
+        }
+    }
+
+    /**
+     * Validate and store the recipient settings. Empty values clear a field.
+     * @returns {{valid: boolean, errors: string[]}}
+     */
+    function saveSettings(settings) {
+        const next = {};
+        const errors = [];
+
+        Object.keys(DEFAULT_SETTINGS).forEach(key => {
+            next[key] = String(settings[key] ?? '').trim();
+        });
+        [['socEmail', 'Security team'], ['certEmail', 'CERT'], ['reporterEmail', 'Your email']].forEach(([key, label]) => {
+            if (next[key] && !isEmail(next[key])) {
+                errors.push(`${label}: "${next[key]}" is not a valid email address`);
+            }
+        });
+        if (/[\r\n]/.test(next.reporterName)) {
+            errors.push('Your name must be a single line');
+        }
+
+        if (errors.length > 0) {
+            return { valid: false, errors };
+        }
+
+        try {
+            localStorage.setItem(SETTINGS_KEY, JSON.stringify(next));
+        } catch (e) {
+            console.error('[AbuseReport] Failed to store settings:', e);
+            return { valid: false, errors: ['Could not save the settings in this browser'] };
+        }
+        return { valid: true, errors };
+    }
+
+    /**
+     * A plain addr-spec (local@domain) with nothing that would need quoting
+     * or could break a header
+     */
+    function isEmail(value) {
+        return typeof value === 'string' &&
+            value.length <= 254 &&
+            /^[A-Za-z0-9.!#$%&'*+/=?^_`{|}~-]+@[A-Za-z0-9](?:[A-Za-z0-9-]*[A-Za-z0-9])?(?:\.[A-Za-z0-9](?:[A-Za-z0-9-]*[A-Za-z0-9])?)+$/.test(value);
+    }
+
+    // ==========================================================================
+    // RECIPIENTS
+    // ==========================================================================
+
+    /**
+     * Everyone the scan could be reported to. Recipients without an address
+     * are still listed, with a hint on where to set one.
+     * @param {Object} data - Report data (MehrGuardReport.fromScan)
+     * @returns {Array<{type: string, label: string, address: string|null, source: string|null, hint: string|null}>}
+     */
+    function getRecipients(data) {
+        const settings = getSettings();
+
+        const orgContact = window.MehrGuardPolicy?.getOrgPolicy()?.summary?.contactEmail || null;
+        const soc = settings.socEmail || (isEmail(orgContact) ? orgContact : null);
+
+        const brand = getBrand(data);
+        const brandContact = brand ? window.mehrguardBrandInfo?.(brand)?.abuseContact || null : null;
+
+        return [
+            {
+                type: RECIPIENT.SOC,
+                label: 'Security team (SOC)',
+                address: soc,
+                source: settings.socEmail ? 'settings' : soc ? 'org_policy' : null,
+                hint: soc ? null : 'Set your security team address in the Trust Centre',
+            },
+            {
+                type: RECIPIENT.BRAND,
+                label: brand ? `${brand} abuse contact` : 'Impersonated brand',
+                address: isEmail(brandContact) ? brandContact : null,
+                source: brandContact ? 'brand_database' : null,
+                hint: !brand
+                    ? 'No brand impersonation was detected'
+                    : brandContact ? null : 'No abuse contact is listed for this brand',
+            },
+            {
+                type: RECIPIENT.CERT,
+                label: 'National CERT',
+                address: settings.certEmail || null,
+                source: settings.certEmail ? 'settings' : null,
+                hint: settings.certEmail ? null : 'Set your CERT\'s reporting address in the Trust Centre',
+            },
+        ];
+    }
+
+    function getBrand(data) {
+        return window.MehrGuardReviewReport?.getBrand(data) || data.analysis?.brand || null;
+    }
+
+    // ==========================================================================
+    // REPORT
+    // ==========================================================================
+
+    /**
+     * Build the .eml for a scanned link.
+     * @param {Object} data - Report data (MehrGuardReport.fromScan) for a URL scan
+     * @param {Object} options
+     * @param {string[]} options.to - Recipient addresses
+     * @param {Object} options.evidence - JSON report attached as evidence
+     *   (signed by signing.js when available)
+     * @param {number} [options.now=Date.now()]
+     * @returns {{eml: string, filename: string}}
+     */
+    function buildEml(data, options) {
+        const url = parseUrl(data.url);
+        if (!url) {
+            throw new TypeError('Only scanned links can be reported');
+        }
+        const to = (options.to || []).filter(isEmail);
+        if (to.length === 0) {
+            throw new RangeError('Choose at least one recipient');
+        }
+
+        const settings = getSettings();
+        const now = options.now ?? Date.now();
+        const token = randomToken();
+        const fromAddress = settings.reporterEmail || FALLBACK_FROM;
+        const evidenceName = getEvidenceFilename(data, now);
+        const brand = getBrand(data);
+        const label = VERDICT_LABELS[data.verdict] || VERDICT_LABELS.UNKNOWN;
+
+        const boundary = `=_mehrguard_${token}`;
+        const headers = [
+            ['From', formatMailbox(settings.reporterName, fromAddress)],
+            ['To', to.join(', ')],
+            ['Subject', `Phishing report: ${defangHost(url.hostname)}${brand ? ` impersonating ${brand}` : ''} (${label})`],
+            ['Date', toRfc5322Date(now)],
+            ['Message-ID', `<${token}@${fromAddress.split('@')[1]}>`],
+            ['MIME-Version', '1.0'],
+            ['X-Mailer', `Mehr Guard ${APP_VERSION}`],
+            ['X-Unsent', '1'],
+            ['Content-Type', `multipart/mixed; boundary="${boundary}"`],
+        ];
+
+        const evidence = JSON.stringify(options.evidence, null, 2) + '\n';
+        const lines = [
+            ...headers.map(([name, value]) => foldHeader(name, value)),
+            '',
+            'This is a multi-part message in MIME format.',
+            '',
+            `--${boundary}`,
+            'Content-Type: text/plain; charset=utf-8',
+            'Content-Transfer-Encoding: quoted-printable',
+            '',
+            encodeQuotedPrintable(buildBody(data, url, { brand, label, evidenceName, evidence: options.evidence, settings })),
+            '',
+            `--${boundary}`,
+            `Content-Type: application/json; name="${evidenceName}"`,
+            `Content-Disposition: attachment; filename="${evidenceName}"`,
+            'Content-Transfer-Encoding: base64',
+            '',
+            ...wrapBase64(toBase64(encodeUtf8(evidence))),
+            '',
+            `--${boundary}--`,
+            '',
+        ];
+
+        return {
+            eml: lines.join('\r\n'),
+            filename: `mehrguard_abuse_report_${url.hostname.replace(/[^a-z0-9.-]/gi, '_')}_${new Date(now).toISOString().slice(0, 10)}.eml`,
+        };
+    }
+
+    function buildBody(data, url, { brand, label, evidenceName, evidence, settings }) {
+        const analysis = data.analysis;
+        const intel = analysis?.intel;
+        const reasons = (analysis?.reasons || []).filter(reason => reason.code !== 'ANALYSIS_COMPLETE');
+
+        const lines = [
+            'Hello,',
+            '',
+            'I would like to report a suspected phishing link. It was found in a QR code and flagged by ' +
+            'Mehr Guard, an offline QR code security scanner.',
+            '',
+            `Reported URL (defanged): ${defangUrl(url)}`,
+            `Host: ${defangHost(url.hostname)}`,
+        ];
+        if (brand) {
+            lines.push(`Impersonated brand: ${brand}`);
+        }
+        lines.push(`Verdict: ${label} (risk score ${Math.round(Number(data.score) || 0)}/100)`);
+        if (data.timestamp) {
+            lines.push(`Scanned: ${new Date(data.timestamp).toISOString().replace('T', ' ').replace(/\.\d+Z$/, ' UTC')}`);
+        }
+        if (intel?.isKnownBad) {
+            lines.push(`Threat intel: listed${intel.category ? ` as ${intel.category}` : ''}` +
+                `${intel.confidence ? ` (${String(intel.confidence).toLowerCase()} confidence)` : ''}`);
+        }
+
+        if (reasons.length > 0) {
+            lines.push('', 'Detection reasons:');
+            reasons.forEach(reason => {
+                lines.push(`- ${reason.code}${reason.severity ? ` (${reason.severity})` : ''}` +
+                    `${reason.description ? `: ${reason.description}` : ''}`);
+            });
+        }
+
+        lines.push(
+            '',
+            `The full analysis is attached as ${evidenceName} (Mehr Guard scan report, schema ` +
+            `${evidence?.schema_version || 'unknown'}).`,
+        );
+        if (evidence?.signature) {
+            lines.push(`The attachment is digitally signed. Signing key fingerprint: ${evidence.signature.key_fingerprint}`);
+        }
+        lines.push(
+            '',
+            'Please investigate and take the site down if it is confirmed to be malicious.',
+            '',
+            'The link is defanged (hxxp, [.]) so it cannot be opened by accident. Restore it only in a safe ' +
+            'analysis environment.',
+        );
+        if (settings.reporterName) {
+            lines.push('', settings.reporterName);
+        }
+        return lines.join('\n');
+    }
+
+    function getEvidenceFilename(data, now) {
+        const id = String(data.scanId || new Date(now).toISOString().slice(0, 10)).replace(/[^A-Za-z0-9_-]/g, '_');
+        return `mehrguard_evidence_${id}.json`;
+    }
+
+    // ==========================================================================
+    // DEFANGING
+    // ==========================================================================
+
+    function parseUrl(value) {
+        try {
+            const url = new URL(value);
+            return /^https?:$/.test(url.protocol) ? url : null;
+        } catch (e) {
+            return null;
+        }
+    }
+
+    /**
+     * hxxp(s) scheme and [.] in the host, the usual convention for sharing
+     * malicious links. Credentials stay, since phishing links use them to
+     * disguise the real host.
+     */
+    function defangUrl(url) {
+        const credentials = url.username
+            ? `${url.username}${url.password ? `:${url.password}` : ''}@`
+            : '';
+        const port = url.port ? `:${url.port}` : '';
+        return `${url.protocol.replace(/^http/, 'hxxp')}//${credentials}${defangHost(url.hostname)}${port}` +
+            `${url.pathname}${url.search}${url.hash}`;
+    }
+
+    /**
+     * Defanged form of a URL string, or null if it is not an http(s) link
+     */
+    function defang(value) {
+        const url = parseUrl(value);
+        return url ? defangUrl(url) : null;
+    }
+
+    function defangHost(host) {
+        return host.replace(/\./g, '[.]');
+    }
+
+    // ==========================================================================
+    // RFC 5322 / MIME ENCODING
+    // ==========================================================================
+
+    /**
+     * Header line folded at spaces to stay within 78 characters where possible
+     */
+    function foldHeader(name, value) {
+        const words = encodeHeaderValue(value).split(' ');
+        const lines = [];
+        let line = `${name}:`;
+        words.forEach(word => {
+            if (line.length + 1 + word.length > 78 && line.length > name.length + 1) {
+                lines.push(line);
+                line = '';
+            }
+            line += ` ${word}`;
+        });
+        lines.push(line);
+        return lines.join('\r\n');
+    }
+
+    /**
+     * Printable ASCII is kept as is; anything else becomes RFC 2047 encoded
+     * words, each under 75 characters
+     */
+    function encodeHeaderValue(value) {
+        const text = String(value).replace(/[\r\n]+/g, ' ');
+        if (/^[\x20-\x7e]*$/.test(text)) return text;
+
+        const words = [];
+        let chunk = '';
+        for (const char of text) {
+            if (encodeUtf8(chunk + char).length > 45) {
+                words.push(chunk);
+                chunk = '';
+            }
+            chunk += char;
+        }
+        if (chunk) words.push(chunk);
+        return words.map(word => `=?UTF-8?B?${toBase64(encodeUtf8(word))}?=`).join(' ');
+    }
+
+    function formatMailbox(name, address) {
+        if (!name) return address;
+        const display = /^[\x20-\x7e]*$/.test(name)
+            ? `"${name.replace(/["\\]/g, '\\$&')}"`
+            : encodeHeaderValue(name);
+        return `${display} <${address}>`;
+    }
+
+    function toRfc5322Date(timestamp) {
+        return new Date(timestamp).toUTCString().replace(/GMT$/, '+0000');
+    }
+
+    /**
+     * Quoted-printable (RFC 2045) with CRLF line ends and soft breaks
+     */
+    function encodeQuotedPrintable(text) {
+        return text.split('\n').map(line => {
+            const bytes = encodeUtf8(line);
+            let out = '';
+            let current = '';
+            bytes.forEach((byte, i) => {
+                const isLast = i === bytes.length - 1;
+                const literal = (byte >= 33 && byte <= 126 && byte !== 61) || ((byte === 32 || byte === 9) && !isLast);
+                const token = literal ? String.fromCharCode(byte) : `=${byte.toString(16).toUpperCase().padStart(2, '0')}`;
+                if (current.length + token.length > LINE_LENGTH - 1) {
+                    out += `${current}=\r\n`;
+                    current = '';
+                }
+                current += token;
+            });
+            return out + current;
+        }).join('\r\n');
+    }
+
+    function wrapBase64(base64) {
+        return base64.match(new RegExp(`.{1,${LINE_LENGTH}}`, 'g')) || [];
+    }
+
+    function encodeUtf8(text) {
+        return new TextEncoder().encode(text);
+    }
+
+    function toBase64(bytes) {
+        let binary = '';
+        for (let i = 0; i < bytes.length; i += 0x8000) {
+            binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+        }
+        return btoa(binary);
+    }
+
+    function randomToken() {
+        const bytes = new Uint8Array(16);
+        crypto.getRandomValues(bytes);
+        return Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+    }
+
+    // Expose public API
+    window.MehrGuardAbuseReport = {
+        RECIPIENT,
+        CERT_PRESETS,
+        getSettings,
+        saveSettings,
+        isEmail,
+        getRecipients,
+        buildEml,
+        defang,
+    };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = window.MehrGuardAbuseReport;
+    }
+
+})();
@@ -0,0 +1,207 @@
+/**
+ * Mehr Guard 2D Barcode Detection
+ *
+ * Adds Data Matrix, Aztec and PDF417 to the QR detection in multiqr.js,
+ * using the bundled ZXing decoder (zxing.min.js) so it works offline.
+ * Boarding passes (Aztec), parcel labels (Data Matrix) and IDs or
+ * invoices (PDF417) carry URLs and payloads just like QR codes, and their
+ * content goes through the same analysis.
+ *
+ * Every code carries a `symbology` using the BarcodeDetector format names
+ * (`qr_code`, `data_matrix`, `aztec`, `pdf417`), so results from the
+ * native decoder and from this module look the same.
+ *
+ * Runs on pages and in decoder-worker.js (no DOM access).
+ *
+ * @author Mehr Guard Team
+ * @version 2.4.1
+ */
+
+(function () {
+    'use strict';
+
+    // ==========================================================================
+    // CONFIGURATION
+    // ==========================================================================
+
+    const SYMBOLOGY = {
+        QR_CODE: 'qr_code',
+        DATA_MATRIX: 'data_matrix',
+        AZTEC: 'aztec',
+        PDF417: 'pdf417',
+    };
+
+    const LABELS = {
+        qr_code: 'QR code',
+        data_matrix: 'Data Matrix',
+        aztec: 'Aztec',
+        pdf417: 'PDF417',
+    };
+
+    // ZXing reader class for each non-QR symbology
+    const READERS = {
+        data_matrix: 'DataMatrixReader',
+        aztec: 'AztecCodeReader',
+        pdf417: 'PDF417Reader',
+    };
+
+    const OTHER_SYMBOLOGIES = Object.keys(READERS);
+
+    let readers = null;
+
+    // ==========================================================================
+    // ZXING
+    // ==========================================================================
+
+    function getZXing() {
+        return typeof window.ZXing === 'object' ? window.ZXing : null;
+    }
+
+    function getReaders() {
+        const ZXing = getZXing();
+        if (!ZXing) return null;
+        if (!readers) {
+            readers = OTHER_SYMBOLOGIES.map(symbology => ({
+                symbology,
+                reader: new ZXing[READERS[symbology]](),
+            }));
+        }
+        return readers;
+    }
+
+    /**
+     * Greyscale copy of RGBA pixels, optionally inverted (light codes on dark)
+     */
+    function toLuminance(imageData, invert) {
+        const { data, width, height } = imageData;
+        const luminance = new Uint8ClampedArray(width * height);
+        for (let i = 0, p = 0; i < luminance.length; i++, p += 4) {
+            // Same weighting ZXing uses for RGB sources
+            const value = (data[p] + 2 * data[p + 1] + data[p + 2]) >> 2;
+            luminance[i] = invert ? 255 - value : value;
+        }
+        return luminance;
+    }
+
+    /**
+     * Outline of a ZXing result. Data Matrix and Aztec report four corners in
+     * order; PDF417 reports row start/stop points, so its bounding box is used.
+     */
+    function getCorners(result) {
+        const points = (result.getResultPoints() || [])
+            .filter(Boolean)
+            .map(point => ({ x: point.getX(), y: point.getY() }));
+        if (points.length === 4 && result.getBarcodeFormat() !== getZXing().BarcodeFormat.PDF_417) {
+            return points;
+        }
+        if (points.length < 2) return [];
+
+        const xs = points.map(p => p.x);
+        const ys = points.map(p => p.y);
+        const left = Math.min(...xs);
+        const right = Math.max(...xs);
+        const top = Math.min(...ys);
+        const bottom = Math.max(...ys);
+        return [
+            { x: left, y: top },
+            { x: right, y: top },
+            { x: right, y: bottom },
+            { x: left, y: bottom },
+        ];
+    }
+
+    // ==========================================================================
+    // DETECTION
+    // ==========================================================================
+
+    /**
+     * Decode Data Matrix, Aztec and PDF417 codes (one of each at most).
+     * ZXing's Data Matrix and Aztec detectors search outward from the image
+     * centre, so codes near the edge of a wide image can be missed.
+     * @param {ImageData} imageData - Frame or image pixels
+     * @param {Object} [options]
+     * @param {string} [options.inversionAttempts='dontInvert'] - 'attemptBoth' also
+     *        tries light-on-dark codes
+     * @returns {Array<{data: string, corners: Array<{x: number, y: number}>, symbology: string}>}
+     */
+    function detectOther(imageData, options = {}) {
+        const ZXing = getZXing();
+        const available = getReaders();
+        if (!ZXing || !available || !imageData) return [];
+
+        const { width, height } = imageData;
+        const passes = options.inversionAttempts === 'attemptBoth' ? [false, true] : [false];
+        const hints = new Map([[ZXing.DecodeHintType.TRY_HARDER, true]]);
+        const codes = [];
+
+        for (const invert of passes) {
+            const source = new ZXing.RGBLuminanceSource(toLuminance(imageData, invert), width, height);
+            const bitmap = new ZXing.BinaryBitmap(new ZXing.HybridBinarizer(source));
+
+            available.forEach(({ symbology, reader }) => {
+                if (codes.some(code => code.symbology === symbology)) return;
+                try {
+                    const result = reader.decode(bitmap, hints);
+                    const data = result.getText();
+                    if (data) codes.push({ data, corners: getCorners(result), symbology });
+                } catch (e) {
+                    // ZXing throws NotFound/Checksum/Format exceptions for "no code here"
+                } finally {
+                    reader.reset?.();
+                }
+            });
+        }
+        return codes;
+    }
+
+    /**
+     * Decode every QR code (multiqr.js) plus Data Matrix, Aztec and PDF417.
+     *
+     * @param {ImageData} imageData - Frame or image pixels (left untouched)
+     * @param {Object} [options] - Passed to MehrGuardMultiQr.detectAll, plus:
+     * @param {string} [options.otherSymbologies='fallback'] - 'always' searches for
+     *        the other symbologies in every image; 'fallback' only when no QR code
+     *        was found (cheap enough for camera frames); 'never' skips them
+     * @returns {Array<{index: number, data: string, corners: Array<{x: number, y: number}>, symbology: string}>}
+     */
+    function detectAll(imageData, options = {}) {
+        const qrCodes = window.MehrGuardMultiQr
+            ? window.MehrGuardMultiQr.detectAll(imageData, options)
+            : [];
+        const codes = qrCodes.map(code => ({ ...code, symbology: SYMBOLOGY.QR_CODE }));
+
+        const mode = options.otherSymbologies || 'fallback';
+        if (mode === 'always' || (mode === 'fallback' && codes.length === 0)) {
+            detectOther(imageData, options)
+                .filter(other => !codes.some(code => code.data === other.data))
+                .forEach(other => codes.push(other));
+        }
+
+        return codes.map((code, i) => ({ ...code, index: i + 1 }));
+    }
+
+    function isAvailable() {
+        return !!getZXing();
+    }
+
+    /**
+     * Display name for a symbology (untranslated); unknown values default to QR
+     */
+    function getLabel(symbology) {
+        return LABELS[symbology] || LABELS.qr_code;
+    }
+
+    // Expose public API
+    window.MehrGuardBarcodes = {
+        SYMBOLOGY,
+        detectAll,
+        detectOther,
+        isAvailable,
+        getLabel,
+    };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = window.MehrGuardBarcodes;
+    }
+
+})();
@@ -0,0 +1,847 @@
+/**
+ * Mehr Guard Batch Analysis Page Controller
+ *
+ * Triage lists of URLs (pasted, or imported from .txt/.csv) without
+ * leaving the page. Each entry runs through the shared engine in the
+ * worker host (`mehrguardAnalyzeAsync`) and the Trust Centre policy, and
+ * lands in a sortable table that can be exported as CSV or JSON.
+ *
+ * The scanner's continuous mode opens this page with `?scans=<ids>` to
+ * review a camera session; those rows come from history as recorded and
+ * are not analysed again.
+ *
+ * @author Mehr Guard Team
+ * @version 2.4.1
+ */
+
+// =============================================================================
+// CONFIGURATION
+// =============================================================================
+
+const BatchConfig = {
+    version: '2.4.1',
+    maxEntries: 1000,
+    maxFileSize: 2 * 1024 * 1024, // 2 MB
+    chunkSize: 10, // Re-render the table every N rows
+    timeout: 10000, // Per-URL analysis timeout (ms)
+    topReasons: 3,
+};
+
+// Higher rank = worse; used for sorting and the summary
+const VerdictRank = {
+    MALICIOUS: 3,
+    SUSPICIOUS: 2,
+    UNKNOWN: 1,
+    SAFE: 0,
+};
+
+// History entries store verdicts as risk levels
+const HistoryVerdicts = {
+    HIGH: 'MALICIOUS',
+    MEDIUM: 'SUSPICIOUS',
+    SAFE: 'SAFE',
+};
+
+const SeverityRank = {
+    CRITICAL: 4,
+    HIGH: 3,
+    MEDIUM: 2,
+    LOW: 1,
+    INFO: 0,
+};
+
+// =============================================================================
+// STATE
+// =============================================================================
+
+const BatchState = {
+    rows: [],
+    source: 'input', // 'input', or 'camera_session' for rows loaded from history
+    isRunning: false,
+    abortController: null,
+    sort: { key: 'index', direction: 'ascending' },
+    isSidebarOpen: false,
+};
+
+function translateText(text) {
+    if (window.mehrguardTranslateText) {
+        return window.mehrguardTranslateText(text);
+    }
+    return text;
+}
+
+function formatText(template, params) {
+    if (window.mehrguardFormatText) {
+        return window.mehrguardFormatText(template, params);
+    }
+    return template;
+}
+
+// =============================================================================
+// DOM ELEMENTS
+// =============================================================================
+
+const elements = {
+    // Sidebar
+    sidebar: null,
+    menuToggle: null,
+
+    // Input
+    batchInput: null,
+    batchInputCount: null,
+    importFileBtn: null,
+    batchFileInput: null,
+    clearBatchBtn: null,
+    runBatchBtn: null,
+    cancelBatchBtn: null,
+    batchProgress: null,
+    batchProgressBar: null,
+
+    // Results
+    batchResults: null,
+    batchSummary: null,
+    batchTable: null,
+    batchTableBody: null,
+    exportCsvBtn: null,
+    exportJsonBtn: null,
+
+    // Toast
+    toast: null,
+    toastMessage: null,
+};
+
+// =============================================================================
+// INITIALIZATION
+// =============================================================================
+
+document.addEventListener('DOMContentLoaded', () => {
+    console.log('[Mehr Guard Batch] Initializing v' + BatchConfig.version);
+
+    cacheElements();
+    setupEventListeners();
+    updateInputCount();
+
+    // Start the engine worker so the first run does not wait for it
+    window.MehrGuardEngineHost?.warmUp();
+
+    loadScanSession();
+
+    window.mehrguardApplyTranslations?.(document.body);
+
+    console.log('[Mehr Guard Batch] Ready');
+});
+
+/**
+ * Cache frequently accessed DOM elements
+ */
+function cacheElements() {
+    elements.sidebar = document.getElementById('sidebar');
+    elements.menuToggle = document.getElementById('menuToggle');
+    elements.batchInput = document.getElementById('batchInput');
+    elements.batchInputCount = document.getElementById('batchInputCount');
+    elements.importFileBtn = document.getElementById('importFileBtn');
+    elements.batchFileInput = document.getElementById('batchFileInput');
+    elements.clearBatchBtn = document.getElementById('clearBatchBtn');
+    elements.runBatchBtn = document.getElementById('runBatchBtn');
+    elements.cancelBatchBtn = document.getElementById('cancelBatchBtn');
+    elements.batchProgress = document.getElementById('batchProgress');
+    elements.batchProgressBar = document.getElementById('batchProgressBar');
+    elements.batchResults = document.getElementById('batchResults');
+    elements.batchSummary = document.getElementById('batchSummary');
+    elements.batchTable = document.getElementById('batchTable');
+    elements.batchTableBody = document.getElementById('batchTableBody');
+    elements.exportCsvBtn = document.getElementById('exportCsvBtn');
+    elements.exportJsonBtn = document.getElementById('exportJsonBtn');
+    elements.toast = document.getElementById('toast');
+    elements.toastMessage = document.getElementById('toastMessage');
+}
+
+/**
+ * Setup all event listeners
+ */
+function setupEventListeners() {
+    // Mobile menu toggle
+    elements.menuToggle?.addEventListener('click', toggleSidebar);
+
+    // Input
+    elements.batchInput?.addEventListener('input', updateInputCount);
+    elements.importFileBtn?.addEventListener('click', () => elements.batchFileInput?.click());
+    elements.batchFileInput?.addEventListener('change', handleFileImport);
+    elements.clearBatchBtn?.addEventListener('click', clearBatch);
+    elements.runBatchBtn?.addEventListener('click', runBatch);
+    elements.cancelBatchBtn?.addEventListener('click', cancelBatch);
+
+    // Table sorting
+    elements.batchTable?.querySelectorAll('th[data-sort]').forEach(header => {
+        header.addEventListener('click', () => sortBy(header.dataset.sort));
+    });
+
+    // Export
+    elements.exportCsvBtn?.addEventListener('click', exportCsv);
+    elements.exportJsonBtn?.addEventListener('click', exportJson);
+
+    // Keyboard shortcuts
+    setupKeyboardShortcuts();
+
+    // Click outside sidebar to close (mobile)
+    document.addEventListener('click', (e) => {
+        if (BatchState.isSidebarOpen &&
+            !elements.sidebar?.contains(e.target) &&
+            !elements.menuToggle?.contains(e.target)) {
+            closeSidebar();
+        }
+    });
+}
+
+// =============================================================================
+// INPUT PARSING
+// =============================================================================
+
+/**
+ * Undo common defanging used in threat feeds: hxxp://, [.], (.), [:]
+ */
+function refang(value) {
+    return value
+        .replace(/^hxxp(s?):\/\//i, 'http$1://')
+        .replace(/\[\.\]|\(\.\)|\{\.\}/g, '.')
+        .replace(/\[:\]/g, ':');
+}
+
+/**
+ * Normalize a candidate entry to an analysable URL, or null if it is not one
+ */
+function toUrl(value) {
+    const candidate = refang(value.trim().replace(/^["'<]+|["'>,;]+$/g, ''));
+    if (!candidate) return null;
+
+    const withScheme = /^[a-z][a-z0-9+.-]*:\/\//i.test(candidate) ? candidate : `https://${candidate}`;
+    try {
+        const url = new URL(withScheme);
+        if (url.protocol !== 'http:' && url.protocol !== 'https:') return null;
+        // Bare words ("url", "verdict") are headers or notes, not hosts
+        if (!url.hostname.includes('.') && url.hostname !== 'localhost') return null;
+        return withScheme;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Split one CSV line into cells (RFC 4180 quoting)
+ */
+function parseCsvLine(line) {
+    const cells = [];
+    let current = '';
+    let quoted = false;
+
+    for (let i = 0; i < line.length; i++) {
+        const char = line[i];
+        if (quoted) {
+            if (char === '"' && line[i + 1] === '"') {
+                current += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                current += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',' || char === ';' || char === '\t') {
+            cells.push(current);
+            current = '';
+        } else {
+            current += char;
+        }
+    }
+    cells.push(current);
+    return cells;
+}
+
+/**
+ * Extract URLs from pasted text or an imported file.
+ * Plain text: one entry per line (whitespace-separated tokens are split).
+ * CSV: every cell that parses as a URL or host, so header rows and extra
+ * columns (sender, timestamp, ...) are ignored.
+ *
+ * @param {string} text - Raw input
+ * @param {boolean} [isCsv=false] - Parse lines as CSV records
+ * @returns {{entries: Array<{input: string, url: string|null}>, duplicates: number, truncated: boolean}}
+ */
+function parseBatchInput(text, isCsv = false) {
+    const seen = new Set();
+    const entries = [];
+    let duplicates = 0;
+    let truncated = false;
+
+    const lines = (text || '').split(/\r?\n/);
+    for (const rawLine of lines) {
+        const line = rawLine.trim();
+        if (!line || line.startsWith('#')) continue;
+
+        const tokens = isCsv
+            ? parseCsvLine(line).filter(cell => toUrl(cell))
+            : line.split(/\s+/);
+
+        for (const token of tokens) {
+            const url = toUrl(token);
+            const key = url ? url.toLowerCase() : token;
+            if (seen.has(key)) {
+                duplicates++;
+                continue;
+            }
+            if (entries.length >= BatchConfig.maxEntries) {
+                truncated = true;
+                break;
+            }
+            seen.add(key);
+            entries.push({ input: token, url });
+        }
+        if (truncated) break;
+    }
+
+    return { entries, duplicates, truncated };
+}
+
+function updateInputCount() {
+    if (!elements.batchInputCount) return;
+    const { entries } = parseBatchInput(elements.batchInput?.value || '');
+    elements.batchInputCount.textContent = entries.length === 1
+        ? translateText('1 URL')
+        : formatText('{count} URLs', { count: entries.length });
+}
+
+/**
+ * Load a .txt/.csv file into the input box
+ */
+function handleFileImport(event) {
+    const file = event.target.files?.[0];
+    event.target.value = '';
+    if (!file) return;
+
+    if (file.size > BatchConfig.maxFileSize) {
+        showToast('File is too large (max 2 MB)', 'error');
+        return;
+    }
+
+    const reader = new FileReader();
+    reader.onload = () => {
+        const isCsv = /\.csv$/i.test(file.name) || file.type === 'text/csv';
+        const { entries } = parseBatchInput(String(reader.result || ''), isCsv);
+        const urls = entries.filter(entry => entry.url).map(entry => entry.input);
+
+        if (urls.length === 0) {
+            showToast('No URLs found in file', 'warning');
+            return;
+        }
+
+        elements.batchInput.value = urls.join('\n');
+        updateInputCount();
+        showToast(formatText('Imported {count} URLs from {file}', { count: urls.length, file: file.name }), 'success');
+    };
+    reader.onerror = () => showToast('Could not read the selected file', 'error');
+    reader.readAsText(file);
+}
+
+function clearBatch() {
+    if (BatchState.isRunning) return;
+    elements.batchInput.value = '';
+    BatchState.rows = [];
+    BatchState.source = 'input';
+    updateInputCount();
+    elements.batchResults?.classList.add('hidden');
+}
+
+// =============================================================================
+// CAMERA SESSION
+// =============================================================================
+
+/**
+ * Show the scans of a continuous camera session (batch.html?scans=id1,id2)
+ */
+async function loadScanSession() {
+    const ids = (new URLSearchParams(window.location.search).get('scans') || '')
+        .split(',')
+        .filter(Boolean)
+        .slice(0, BatchConfig.maxEntries);
+    if (ids.length === 0 || !window.MehrGuardUI) return;
+
+    const scans = (await Promise.all(ids.map(id => window.MehrGuardUI.loadScanById(id)))).filter(Boolean);
+    if (scans.length === 0) {
+        showToast('Scan session not found in history', 'warning');
+        return;
+    }
+    if (BatchState.isRunning) return;
+
+    BatchState.rows = scans.map((scan, i) => toSessionRow(scan, i + 1));
+    BatchState.source = 'camera_session';
+    elements.batchResults?.classList.remove('hidden');
+    renderResults();
+
+    showToast(scans.length === ids.length
+        ? formatText('Loaded {count} codes from the camera session', { count: scans.length })
+        : formatText('Loaded {count} of {total} codes; the rest are no longer in history', {
+            count: scans.length,
+            total: ids.length,
+        }), scans.length === ids.length ? 'success' : 'warning');
+}
+
+/**
+ * Table row for a stored scan, using the analysis recorded at scan time
+ */
+function toSessionRow(scan, index) {
+    const analysis = scan.analysis;
+    return {
+        index,
+        input: scan.url,
+        url: scan.url,
+        scanId: scan.id,
+        verdict: HistoryVerdicts[scan.verdict] || 'UNKNOWN',
+        score: scan.score || 0,
+        reasons: (analysis?.reasons || [])
+            .map(reason => ({ code: reason.code, severity: reason.severity, description: reason.description }))
+            .sort((a, b) => (SeverityRank[b.severity] ?? 0) - (SeverityRank[a.severity] ?? 0)),
+        mlScore: analysis?.ml ? Math.round((analysis.ml.ensembleScore || 0) * 100) : null,
+        policy: scan.policy || null,
+        error: null,
+    };
+}
+
+// =============================================================================
+// ANALYSIS
+// =============================================================================
+
+/**
+ * Analyze one entry in the engine worker and apply the Trust Centre policy
+ * @param {{input: string, url: string|null}} entry
+ * @param {number} index - 1-based input position
+ * @param {AbortSignal} [signal] - Cancels the request
+ */
+async function analyzeEntry(entry, index, signal) {
+    const row = {
+        index,
+        input: entry.input,
+        url: entry.url || entry.input,
+        verdict: 'UNKNOWN',
+        score: 0,
+        reasons: [],
+        mlScore: null,
+        policy: null,
+        error: null,
+    };
+
+    if (!entry.url) {
+        row.error = 'Not a valid URL';
+        return row;
+    }
+
+    try {
+        const result = await window.mehrguardAnalyzeAsync(entry.url, { signal, timeout: BatchConfig.timeout });
+        row.verdict = result.verdict;
+        row.score = result.score || 0;
+        row.reasons = (result.reasons || [])
+            .map(reason => ({ code: reason.code, severity: reason.severity, description: reason.description }))
+            .sort((a, b) => (SeverityRank[b.severity] ?? 0) - (SeverityRank[a.severity] ?? 0));
+        if (result.ml) {
+            row.mlScore = Math.round((result.ml.ensembleScore || 0) * 100);
+        }
+
+        const decision = window.MehrGuardPolicy?.evaluate({ url: entry.url, verdict: row.verdict, score: row.score });
+        if (decision) {
+            row.verdict = decision.verdict;
+            row.score = decision.score;
+            row.policy = window.MehrGuardPolicy.toRecord(decision);
+        }
+    } catch (e) {
+        if (e.name === 'AbortError') throw e;
+        console.error('[Batch] Analysis error for', entry.url, e);
+        row.error = e.name === 'TimeoutError' ? 'Analysis timed out' : (e.message || 'Analysis failed');
+    }
+
+    return row;
+}
+
+/**
+ * Analyze every entry in the engine worker; the page stays responsive and
+ * the table refreshes every `chunkSize` rows
+ */
+async function runBatch() {
+    if (BatchState.isRunning) return;
+
+    if (typeof window.mehrguardAnalyzeAsync !== 'function') {
+        showToast('Engine initializing...', 'warning');
+        return;
+    }
+
+    const { entries, duplicates, truncated } = parseBatchInput(elements.batchInput?.value || '');
+    if (entries.length === 0) {
+        showToast('Paste or import at least one URL', 'warning');
+        return;
+    }
+    if (truncated) {
+        showToast(formatText('Only the first {count} URLs will be analysed', { count: BatchConfig.maxEntries }), 'warning');
+    } else if (duplicates > 0) {
+        showToast(formatText('Skipped {count} duplicate URLs', { count: duplicates }), 'info');
+    }
+
+    const controller = new AbortController();
+    BatchState.rows = [];
+    BatchState.source = 'input';
+    BatchState.isRunning = true;
+    BatchState.abortController = controller;
+    setRunningUi(true);
+    elements.batchResults?.classList.remove('hidden');
+
+    const startedAt = performance.now();
+
+    try {
+        for (let i = 0; i < entries.length; i++) {
+            BatchState.rows.push(await analyzeEntry(entries[i], i + 1, controller.signal));
+
+            updateProgress(BatchState.rows.length, entries.length);
+            if (BatchState.rows.length % BatchConfig.chunkSize === 0) renderResults();
+        }
+    } catch (e) {
+        if (e.name !== 'AbortError') throw e;
+    }
+
+    const cancelled = controller.signal.aborted;
+    BatchState.isRunning = false;
+    BatchState.abortController = null;
+    setRunningUi(false);
+    renderResults();
+
+    const seconds = ((performance.now() - startedAt) / 1000).toFixed(1);
+    showToast(cancelled
+        ? formatText('Stopped after {count} URLs', { count: BatchState.rows.length })
+        : formatText('Analysed {count} URLs in {seconds}s', { count: BatchState.rows.length, seconds }),
+        cancelled ? 'warning' : 'success');
+}
+
+function cancelBatch() {
+    BatchState.abortController?.abort();
+}
+
+function setRunningUi(running) {
+    elements.runBatchBtn.disabled = running;
+    elements.importFileBtn.disabled = running;
+    elements.clearBatchBtn.disabled = running;
+    elements.cancelBatchBtn?.classList.toggle('hidden', !running);
+    elements.batchProgress?.classList.toggle('hidden', !running);
+    if (running) updateProgress(0, 1);
+}
+
+function updateProgress(done, total) {
+    const percent = Math.round((done / total) * 100);
+    if (elements.batchProgressBar) elements.batchProgressBar.style.width = `${percent}%`;
+    elements.batchProgress?.setAttribute('aria-valuenow', String(percent));
+}
+
+// =============================================================================
+// RESULTS TABLE
+// =============================================================================
+
+function getSortValue(row, key) {
+    switch (key) {
+        case 'verdict':
+            return VerdictRank[row.verdict] ?? 1;
+        case 'reasons':
+            return row.reasons.length > 0 ? SeverityRank[row.reasons[0].severity] * 1000 + row.reasons.length : -1;
+        case 'mlScore':
+            return row.mlScore ?? -1;
+        case 'url':
+            return row.url.toLowerCase();
+        default:
+            return row[key];
+    }
+}
+
+function sortBy(key) {
+    const current = BatchState.sort;
+    BatchState.sort = {
+        key,
+        direction: current.key === key && current.direction === 'ascending' ? 'descending' : 'ascending',
+    };
+    renderResults();
+}
+
+function getSortedRows() {
+    const { key, direction } = BatchState.sort;
+    const factor = direction === 'ascending' ? 1 : -1;
+    return [...BatchState.rows].sort((a, b) => {
+        const left = getSortValue(a, key);
+        const right = getSortValue(b, key);
+        if (left < right) return -factor;
+        if (left > right) return factor;
+        return a.index - b.index;
+    });
+}
+
+function renderResults() {
+    renderSummary();
+
+    elements.batchTable?.querySelectorAll('th[data-sort]').forEach(header => {
+        if (header.dataset.sort === BatchState.sort.key) {
+            header.setAttribute('aria-sort', BatchState.sort.direction);
+        } else {
+            header.removeAttribute('aria-sort');
+        }
+    });
+
+    if (!elements.batchTableBody) return;
+
+    elements.batchTableBody.innerHTML = getSortedRows().map(row => {
+        const verdictClass = row.verdict.toLowerCase();
+        // Stored scans open as recorded; others are re-analysed from the URL
+        const resultsLink = row.scanId
+            ? `results.html?scanId=${encodeURIComponent(row.scanId)}`
+            : `results.html?url=${encodeURIComponent(encodeURIComponent(row.url))}&verdict=${row.verdict}&score=${row.score}`;
+        const reasons = row.reasons.slice(0, BatchConfig.topReasons);
+
+        return `
+            <tr>
+                <td class="numeric">${row.index}</td>
+                <td class="batch-url">
+                    ${row.error
+                ? escapeHtml(row.input)
+                : `<a href="${resultsLink}" target="_blank" rel="noopener">${escapeHtml(row.url)}</a>`}
+                    ${row.error ? `<span class="batch-error">${escapeHtml(translateText(row.error))}</span>` : ''}
+                </td>
+                <td>
+                    <span class="verdict-pill ${verdictClass}">${escapeHtml(translateText(row.verdict))}</span>
+                    ${row.policy?.changed ? `<span class="policy-tag">${escapeHtml(getPolicyLabel(row.policy))}</span>` : ''}
+                </td>
+                <td class="numeric">${row.error ? '—' : Math.round(row.score)}</td>
+                <td>
+                    <div class="reason-list">
+                        ${reasons.map(reason => `
+                            <span class="reason-code" title="${escapeHtml(reason.description || '')}">${escapeHtml(reason.code)}</span>
+                        `).join('') || '—'}
+                    </div>
+                </td>
+                <td class="numeric">${row.mlScore === null ? '—' : `${row.mlScore}%`}</td>
+            </tr>
+        `;
+    }).join('');
+}
+
+function renderSummary() {
+    if (!elements.batchSummary) return;
+
+    const counts = { MALICIOUS: 0, SUSPICIOUS: 0, SAFE: 0, UNKNOWN: 0 };
+    BatchState.rows.forEach(row => {
+        counts[row.verdict] = (counts[row.verdict] || 0) + 1;
+    });
+
+    elements.batchSummary.innerHTML = `
+        <span class="summary-chip">${formatText('{count} analysed', { count: BatchState.rows.length })}</span>
+        ${Object.entries(counts)
+            .filter(([, count]) => count > 0)
+            .map(([verdict, count]) => `
+                <span class="summary-chip ${verdict.toLowerCase()}">${count} ${escapeHtml(translateText(verdict))}</span>
+            `).join('')}
+    `;
+}
+
+function getPolicyLabel(policy) {
+    switch (policy.source) {
+        case 'blocklist':
+            return translateText('Blocklist');
+        case 'allowlist':
+            return translateText('Allowlist');
+        case 'org_policy':
+            return translateText('Organisation policy');
+        case 'shared_intel':
+            return translateText('Shared threat intel');
+        case 'sensitivity':
+            return translateText('Sensitivity');
+        default:
+            return policy.source;
+    }
+}
+
+// =============================================================================
+// EXPORT
+// =============================================================================
+
+/**
+ * Quote a CSV cell; prefix cells that spreadsheets would run as formulas
+ */
+function toCsvCell(value) {
+    let text = value === null || value === undefined ? '' : String(value);
+    if (/^[=+\-@\t\r]/.test(text)) {
+        text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function exportCsv() {
+    if (BatchState.rows.length === 0) return;
+
+    const header = ['index', 'url', 'verdict', 'score', 'reason_codes', 'ml_score', 'policy', 'error'];
+    const lines = getSortedRows().map(row => [
+        row.index,
+        row.url,
+        row.verdict,
+        row.error ? '' : Math.round(row.score),
+        row.reasons.map(reason => reason.code).join(' '),
+        row.mlScore ?? '',
+        row.policy?.source || '',
+        row.error || '',
+    ].map(toCsvCell).join(','));
+
+    downloadFile([header.join(','), ...lines].join('\r\n'), 'text/csv', 'csv');
+}
+
+function exportJson() {
+    if (BatchState.rows.length === 0) return;
+
+    const report = {
+        reportType: 'Mehr Guard Batch Analysis',
+        source: BatchState.source,
+        generatedAt: new Date().toISOString(),
+        engineVersion: window.mehrguardEngineInfo?.version || null,
+        count: BatchState.rows.length,
+        results: getSortedRows().map(row => ({
+            index: row.index,
+            url: row.url,
+            scanId: row.scanId || null,
+            verdict: row.verdict,
+            score: row.error ? null : row.score,
+            mlScore: row.mlScore,
+            reasons: row.reasons,
+            policy: row.policy,
+            error: row.error,
+        })),
+    };
+
+    downloadFile(JSON.stringify(report, null, 2), 'application/json', 'json');
+}
+
+function downloadFile(content, type, extension) {
+    const blob = new Blob([content], { type });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `mehrguard-batch-${new Date().toISOString().split('T')[0]}.${extension}`;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+
+    showToast(formatText('Exported {count} rows', { count: BatchState.rows.length }), 'success');
+}
+
+// =============================================================================
+// SIDEBAR CONTROLS
+// =============================================================================
+
+function toggleSidebar() {
+    if (BatchState.isSidebarOpen) {
+        closeSidebar();
+    } else {
+        openSidebar();
+    }
+}
+
+function openSidebar() {
+    elements.sidebar?.classList.add('open');
+    BatchState.isSidebarOpen = true;
+}
+
+function closeSidebar() {
+    elements.sidebar?.classList.remove('open');
+    BatchState.isSidebarOpen = false;
+}
+
+// =============================================================================
+// KEYBOARD SHORTCUTS
+// =============================================================================
+
+function setupKeyboardShortcuts() {
+    document.addEventListener('keydown', (e) => {
+        // Escape - stop a running batch or close sidebar
+        if (e.key === 'Escape') {
+            if (BatchState.isRunning) {
+                cancelBatch();
+            } else if (BatchState.isSidebarOpen) {
+                closeSidebar();
+            }
+        }
+
+        // Ctrl/Cmd + Enter - analyze
+        if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) {
+            e.preventDefault();
+            runBatch();
+        }
+    });
+}
+
+// =============================================================================
+// UI HELPERS
+// =============================================================================
+
+/**
+ * Show a toast notification
+ */
+function showToast(message, type = 'success') {
+    if (!elements.toast || !elements.toastMessage) return;
+
+    elements.toastMessage.textContent = translateText(message);
+
+    const icon = elements.toast.querySelector('.toast-icon');
+    if (icon) {
+        switch (type) {
+            case 'success':
+                icon.textContent = 'check_circle';
+                icon.style.color = '#10b981';
+                break;
+            case 'warning':
+                icon.textContent = 'warning';
+                icon.style.color = '#f59e0b';
+                break;
+            case 'error':
+                icon.textContent = 'error';
+                icon.style.color = '#ef4444';
+                break;
+            case 'info':
+                icon.textContent = 'info';
+                icon.style.color = '#3b82f6';
+                break;
+        }
+    }
+
+    elements.toast.classList.remove('hidden');
+    elements.toast.classList.add('show');
+
+    setTimeout(() => {
+        elements.toast.classList.remove('show');
+        setTimeout(() => {
+            elements.toast.classList.add('hidden');
+        }, 300);
+    }, 3000);
+}
+
+function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+}
+
+// =============================================================================
+// EXPORTS FOR TESTING
+// =============================================================================
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        BatchConfig,
+        BatchState,
+        parseBatchInput,
+        parseCsvLine,
+        refang,
+        toUrl,
+        toCsvCell,
+        analyzeEntry,
+        toSessionRow,
+    };
+}
@@ -0,0 +1,223 @@
+/**
+ * Mehr Guard Clipboard Scanning
+ *
+ * Reads QR code screenshots and links from the clipboard, either from a
+ * paste event (Ctrl/Cmd+V anywhere outside a text field) or from the async
+ * Clipboard API behind a "Scan clipboard" button. Pages decide what to do
+ * with the result: images go through the scanner's QR pipeline, text is
+ * analysed as a URL or QR payload.
+ *
+ * The dashboard has no QR decoder, so it hands clipboard content over to
+ * scanner.html through sessionStorage (`stash` / `takeStash`).
+ *
+ * @author Mehr Guard Team
+ * @version 2.4.1
+ */
+
+(function () {
+    'use strict';
+
+    // ==========================================================================
+    // CONFIGURATION
+    // ==========================================================================
+
+    const STASH_KEY = 'mehrguard_clipboard_handoff';
+
+    // sessionStorage holds about 5 MB per origin, and data URLs grow by a third
+    const MAX_STASH_BYTES = 3 * 1024 * 1024;
+
+    const ERROR_MESSAGES = {
+        NotAllowedError: 'Clipboard access is blocked. Allow it in your browser\'s site settings, or press Ctrl+V (⌘V on Mac) to paste instead.',
+        NotSupportedError: 'This browser cannot read the clipboard from a button. Press Ctrl+V (⌘V on Mac) to paste instead.',
+        NotFoundError: 'The clipboard has no image or text to scan',
+        QuotaExceededError: 'This image is too large to hand over. Paste it on the Scanner page instead.',
+    };
+
+    function createError(name, message) {
+        if (typeof DOMException === 'function') {
+            return new DOMException(message, name);
+        }
+        const error = new Error(message);
+        error.name = name;
+        return error;
+    }
+
+    // ==========================================================================
+    // READING
+    // ==========================================================================
+
+    function toTextContent(text) {
+        const value = String(text || '').trim();
+        return value ? { type: 'text', text: value } : null;
+    }
+
+    function isEditableTarget(target) {
+        return !!(target?.isContentEditable || target?.closest?.('input, textarea, select'));
+    }
+
+    /**
+     * Clipboard content of a paste event.
+     * @param {ClipboardEvent} event
+     * @returns {{type: 'image', blob: Blob}|{type: 'text', text: string}|null}
+     *          null when the paste is meant for a text field or holds nothing usable
+     */
+    function fromPasteEvent(event) {
+        if (isEditableTarget(event.target)) return null;
+
+        const data = event.clipboardData;
+        if (!data) return null;
+
+        const image = Array.from(data.files || []).find(file => file.type.startsWith('image/')) ||
+            Array.from(data.items || [])
+                .find(item => item.kind === 'file' && item.type.startsWith('image/'))
+                ?.getAsFile();
+        if (image) return { type: 'image', blob: image };
+
+        return toTextContent(data.getData('text/plain'));
+    }
+
+    /**
+     * Read the clipboard through the async Clipboard API. The browser asks
+     * for permission first where it requires one.
+     * @returns {Promise<{type: 'image', blob: Blob}|{type: 'text', text: string}>}
+     *          Rejects with NotSupportedError, NotAllowedError or NotFoundError
+     */
+    async function read() {
+        const clipboard = navigator.clipboard;
+        const canRead = typeof clipboard?.read === 'function';
+        if (!canRead && typeof clipboard?.readText !== 'function') {
+            throw createError('NotSupportedError', 'Clipboard API unavailable');
+        }
+
+        try {
+            if (!canRead) {
+                const content = toTextContent(await clipboard.readText());
+                if (content) return content;
+            } else {
+                const items = await clipboard.read();
+                // Prefer an image: screenshots often carry a text/html twin
+                for (const item of items) {
+                    const type = item.types.find(t => t.startsWith('image/'));
+                    if (type) return { type: 'image', blob: await item.getType(type) };
+                }
+                for (const item of items) {
+                    if (!item.types.includes('text/plain')) continue;
+                    const content = toTextContent(await (await item.getType('text/plain')).text());
+                    if (content) return content;
+                }
+            }
+        } catch (e) {
+            if (e.name === 'NotAllowedError' || e.name === 'SecurityError') {
+                throw createError('NotAllowedError', e.message);
+            }
+            throw e;
+        }
+
+        throw createError('NotFoundError', 'Clipboard is empty');
+    }
+
+    /**
+     * @returns {Promise<string>} 'granted', 'denied', 'prompt', or 'unknown'
+     *          where the browser does not expose the clipboard permission
+     */
+    async function getPermissionState() {
+        try {
+            const status = await navigator.permissions.query({ name: 'clipboard-read' });
+            return status.state;
+        } catch (e) {
+            return 'unknown';
+        }
+    }
+
+    /**
+     * User-facing message for a `read` or `stash` failure (untranslated).
+     */
+    function describeError(error) {
+        return ERROR_MESSAGES[error?.name] || 'Could not read the clipboard';
+    }
+
+    // ==========================================================================
+    // HAND-OFF TO THE SCANNER
+    // ==========================================================================
+
+    function readAsDataUrl(blob) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(reader.result);
+            reader.onerror = () => reject(reader.error);
+            reader.readAsDataURL(blob);
+        });
+    }
+
+    function dataUrlToBlob(dataUrl) {
+        const [header, base64] = dataUrl.split(',');
+        const type = header.slice('data:'.length).split(';')[0];
+        const binary = atob(base64);
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+        return new Blob([bytes], { type });
+    }
+
+    /**
+     * Keep clipboard content for the next page opened in this tab.
+     * @returns {Promise<void>} Rejects with QuotaExceededError for large images
+     */
+    async function stash(content) {
+        let value;
+        if (content.type === 'image') {
+            if (content.blob.size > MAX_STASH_BYTES) {
+                throw createError('QuotaExceededError', 'Image too large to stash');
+            }
+            value = { type: 'image', dataUrl: await readAsDataUrl(content.blob) };
+        } else {
+            value = { type: 'text', text: content.text };
+        }
+
+        try {
+            sessionStorage.setItem(STASH_KEY, JSON.stringify(value));
+        } catch (e) {
+            throw createError('QuotaExceededError', e.message);
+        }
+    }
+
+    /**
+     * Take (and clear) content stashed by another page.
+     * @returns {{type: 'image', blob: Blob}|{type: 'text', text: string}|null}
+     */
+    function takeStash() {
+        let value;
+        try {
+            value = JSON.parse(sessionStorage.getItem(STASH_KEY) || 'null');
+            sessionStorage.removeItem(STASH_KEY);
+        } catch (e) {
+            console.warn('[Clipboard] Ignoring unreadable hand-off:', e);
+            return null;
+        }
+
+        if (value?.type === 'image' && /^data:image\/[\w.+-]+;base64,/.test(value.dataUrl || '')) {
+            try {
+                return { type: 'image', blob: dataUrlToBlob(value.dataUrl) };
+            } catch (e) {
+                console.warn('[Clipboard] Ignoring unreadable hand-off:', e);
+                return null;
+            }
+        }
+        if (value?.type === 'text') return toTextContent(value.text);
+        return null;
+    }
+
+    // Expose public API
+    window.MehrGuardClipboardScan = {
+        fromPasteEvent,
+        read,
+        getPermissionState,
+        describeError,
+        stash,
+        takeStash,
+    };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = window.MehrGuardClipboardScan;
+    }
+
+})();
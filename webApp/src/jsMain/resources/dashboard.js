@@ -43,8 +43,12 @@ const elements = {
     // Buttons
     startScanBtn: null,
     importBtn: null,
+    clipboardBtn: null,
     updateDbBtn: null,
 
+    // Email drop target
+    heroSection: null,
+
     // Table
     recentScansBody: null,
 
@@ -73,6 +77,7 @@ document.addEventListener('DOMContentLoaded', () => {
 
     // Render UI (fetches data from Shared UI)
     renderUI();
+    window.MehrGuardUI?.whenHistoryReady?.().then(renderHistory);
     window.mehrguardApplyTranslations?.(document.body);
 
     console.log('[Mehr Guard Dashboard] Ready');
@@ -97,6 +102,7 @@ function cacheElements() {
     elements.dbVersion = document.getElementById('dbVersion');
     elements.dbLastUpdate = document.getElementById('dbLastUpdate');
     elements.dbSignatures = document.getElementById('dbSignatures');
+    elements.heroSection = document.querySelector('.hero-section');
 }
 
 /**
@@ -120,6 +126,16 @@ function setupEventListeners() {
     // Import button
     elements.importBtn?.addEventListener('click', handleImport);
 
+    // Clipboard: explicit button, or Ctrl/Cmd+V anywhere outside a text field
+    elements.clipboardBtn = document.getElementById('clipboardBtn');
+    elements.clipboardBtn?.addEventListener('click', scanClipboard);
+    document.addEventListener('paste', handlePaste);
+
+    // Email triage: .eml files dropped anywhere on the page
+    document.addEventListener('dragover', handleDragOver);
+    document.addEventListener('dragleave', handleDragLeave);
+    document.addEventListener('drop', handleDrop);
+
     // Update database button
     elements.updateDbBtn?.addEventListener('click', handleUpdateDb);
 
@@ -430,6 +446,9 @@ function handleUpdateDb() {
  * Setup Kotlin/JS engine bridge
  */
 function setupKotlinBridge() {
+    // Start the engine worker now so the first analysis does not wait for it
+    window.MehrGuardEngineHost?.warmUp();
+
     // Fallback if Kotlin engine hasn't loaded yet
     if (!window.mehrguardAnalyze) {
         window.mehrguardAnalyze = (url) => {
@@ -438,40 +457,66 @@ function setupKotlinBridge() {
         };
     }
 
-    // Override displayResult to handle results on dashboard
-    const originalDisplayResult = window.displayResult;
-    window.displayResult = (score, verdict, flags, url) => {
-        // Reset analyze button
-        if (elements.analyzeBtn) {
-            elements.analyzeBtn.classList.remove('loading');
-            elements.analyzeBtn.innerHTML = `<span class="material-symbols-outlined">security</span> ${translateText('Analyze')}`;
+    // Engine results arrive on the shared analysis bus
+    window.MehrGuardUI?.onAnalysis((event) => {
+        if (event.type === 'analysis:complete') {
+            handleAnalysisComplete(event.url, event.result);
+        } else if (event.type === 'analysis:error') {
+            resetAnalyzeButton();
+            showToast(formatText('Error analyzing URL: {error}', { error: event.error }), 'error');
         }
+    });
+}
 
-        // Save to MehrGuardUI scan history
-        if (window.MehrGuardUI && window.MehrGuardUI.addScanToHistory) {
-            window.MehrGuardUI.addScanToHistory({
-                url: url,
-                verdict: verdict === 'MALICIOUS' ? 'HIGH' :
-                    verdict === 'SUSPICIOUS' ? 'MEDIUM' :
-                        verdict === 'SAFE' ? 'SAFE' : 'LOW',
-                score: score || 0,
-                signals: flags || []
-            });
-            console.log('[Dashboard] Saved scan to history:', url, verdict);
-        }
+function resetAnalyzeButton() {
+    if (elements.analyzeBtn) {
+        elements.analyzeBtn.classList.remove('loading');
+        elements.analyzeBtn.innerHTML = `<span class="material-symbols-outlined">security</span> ${translateText('Analyze')}`;
+    }
+}
 
-        // Navigate to results page with data (using relative path for file:// compatibility)
-        const params = new URLSearchParams();
-        params.set('url', encodeURIComponent(url));
-        params.set('verdict', verdict);
-        params.set('score', score);
-        window.location.href = `results.html?${params.toString()}`;
+/**
+ * Record a finished engine analysis and open it on results.html
+ * @param {string} url - Analyzed URL
+ * @param {Object} result - Engine result ({score, verdict, flags, reasons, ml, intel, unicode})
+ */
+function handleAnalysisComplete(url, result) {
+    const { score, verdict, flags } = result;
+
+    resetAnalyzeButton();
+
+    // Apply Trust Centre allowlist/blocklist/sensitivity before anything is shown
+    const decision = window.MehrGuardPolicy
+        ? window.MehrGuardPolicy.evaluate({ url, verdict, score })
+        : null;
+    const finalVerdict = decision ? decision.verdict : verdict;
+    const finalScore = decision ? decision.score : score;
+
+    // Save to MehrGuardUI scan history
+    let entry = null;
+    if (window.MehrGuardUI && window.MehrGuardUI.addScanToHistory) {
+        entry = window.MehrGuardUI.addScanToHistory({
+            url: url,
+            verdict: finalVerdict === 'MALICIOUS' ? 'HIGH' :
+                finalVerdict === 'SUSPICIOUS' ? 'MEDIUM' :
+                    finalVerdict === 'SAFE' ? 'SAFE' : 'LOW',
+            score: finalScore || 0,
+            signals: flags || [],
+            policy: window.MehrGuardPolicy?.toRecord(decision) || null,
+            analysis: window.MehrGuardUI.createAnalysisSnapshot(result)
+        });
+        console.log('[Dashboard] Saved scan to history:', url, finalVerdict);
+    }
 
-        // Also call original if exists
-        if (originalDisplayResult) {
-            originalDisplayResult(score, verdict, flags, url);
-        }
-    };
+    // Navigate to results page with data (using relative path for file:// compatibility)
+    const params = new URLSearchParams();
+    if (entry?.id) {
+        params.set('scanId', entry.id);
+    }
+    params.set('url', encodeURIComponent(url));
+    params.set('verdict', finalVerdict);
+    params.set('score', finalScore);
+    window.location.href = `results.html?${params.toString()}`;
 }
 
 /**
@@ -512,11 +557,63 @@ function analyzeUrl() {
         // Fallback: Navigate to results with URL
         showToast('Engine not ready - please wait', 'warning');
         // SECURITY: Do NOT navigate with fake SAFE verdict - wait for engine
-        if (elements.analyzeBtn) {
-            elements.analyzeBtn.classList.remove('loading');
-            elements.analyzeBtn.innerHTML = `<span class="material-symbols-outlined">security</span> ${translateText('Analyze')}`;
-        }
+        resetAnalyzeButton();
+    }
+}
+
+// =============================================================================
+// CLIPBOARD
+// =============================================================================
+
+function handlePaste(e) {
+    const content = window.MehrGuardClipboardScan?.fromPasteEvent(e);
+    if (!content) return;
+
+    e.preventDefault();
+    scanClipboardContent(content);
+}
+
+/**
+ * "Scan Clipboard" action: read the clipboard through the Clipboard API
+ */
+async function scanClipboard() {
+    const clipboard = window.MehrGuardClipboardScan;
+    if (!clipboard) return;
+
+    if (await clipboard.getPermissionState() === 'prompt') {
+        showToast('Allow clipboard access when your browser asks', 'info');
+    }
+
+    let content;
+    try {
+        content = await clipboard.read();
+    } catch (e) {
+        console.warn('[Dashboard] Clipboard read failed:', e);
+        showToast(clipboard.describeError(e), e.name === 'NotFoundError' ? 'warning' : 'error');
+        return;
+    }
+    scanClipboardContent(content);
+}
+
+/**
+ * Analyse a pasted URL here; QR images and other payloads need the
+ * scanner's decoder and payload analyzer, so they are handed over to it
+ */
+async function scanClipboardContent(content) {
+    if (content.type === 'text' && isValidUrl(content.text)) {
+        if (elements.urlInput) elements.urlInput.value = content.text;
+        analyzeUrl();
+        return;
+    }
+
+    try {
+        await window.MehrGuardClipboardScan.stash(content);
+    } catch (e) {
+        console.warn('[Dashboard] Clipboard hand-off failed:', e);
+        showToast(window.MehrGuardClipboardScan.describeError(e), 'error');
+        return;
     }
+    window.location.href = 'scanner.html?source=clipboard';
 }
 
 /**
@@ -531,6 +628,54 @@ function isValidUrl(string) {
     }
 }
 
+// =============================================================================
+// EMAIL DROP
+// =============================================================================
+
+function isFileDrag(e) {
+    return Array.from(e.dataTransfer?.types || []).includes('Files');
+}
+
+function handleDragOver(e) {
+    if (!isFileDrag(e)) return;
+    e.preventDefault();
+    e.dataTransfer.dropEffect = 'copy';
+    elements.heroSection?.classList.add('drag-over');
+}
+
+function handleDragLeave(e) {
+    // Only when the pointer leaves the window, not when it crosses children
+    if (!e.relatedTarget) elements.heroSection?.classList.remove('drag-over');
+}
+
+/**
+ * Hand a dropped .eml over to the scanner, which has the QR decoders
+ * for the images and PDFs inside it
+ */
+async function handleDrop(e) {
+    if (!isFileDrag(e)) return;
+    e.preventDefault();
+    elements.heroSection?.classList.remove('drag-over');
+
+    const file = e.dataTransfer.files?.[0];
+    const emailScan = window.MehrGuardEmailScan;
+    if (!file || !emailScan?.isEml(file)) {
+        showToast('Drop a saved email (.eml) to triage it', 'warning');
+        return;
+    }
+
+    try {
+        emailScan.stash({ name: file.name, raw: await emailScan.read(file) });
+    } catch (err) {
+        console.warn('[Dashboard] Email hand-off failed:', err);
+        showToast(err.name === 'QuotaExceededError'
+            ? 'This email is too large to hand over. Drop it on the Scanner page instead.'
+            : 'Failed to read email', 'error');
+        return;
+    }
+    window.location.href = 'scanner.html?source=email';
+}
+
 // =============================================================================
 // SIDEBAR CONTROLS
 // =============================================================================
@@ -642,5 +787,7 @@ if (typeof module !== 'undefined' && module.exports) {
     module.exports = {
         DashboardState,
         DashboardConfig,
+        scanClipboardContent,
+        handleDrop,
     };
 }
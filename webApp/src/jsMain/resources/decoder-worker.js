@@ -0,0 +1,49 @@
+/**
+ * Mehr Guard QR Decoder Worker
+ *
+ * jsQR/ZXing fallback for decoder.js when the browser has no BarcodeDetector.
+ * Camera frames arrive as transferred ImageBitmaps and are read back
+ * through an OffscreenCanvas, so neither the pixel copy nor the decode
+ * runs on the page's main thread. Detection is the same search the page
+ * uses: every QR code (multiqr.js), then Data Matrix, Aztec and PDF417
+ * (barcodes.js).
+ *
+ * @author Mehr Guard Team
+ * @version 2.4.1
+ */
+
+'use strict';
+
+// The detection scripts publish on `window`
+self.window = self;
+importScripts('jsQR.min.js', 'zxing.min.js', 'multiqr.js', 'barcodes.js');
+
+let canvas = null;
+let ctx = null;
+
+self.onmessage = (event) => {
+    const message = event.data || {};
+    if (message.type !== 'decode') return;
+
+    const { id, bitmap, options } = message;
+    try {
+        if (!canvas) {
+            canvas = new OffscreenCanvas(bitmap.width, bitmap.height);
+            ctx = canvas.getContext('2d', { willReadFrequently: true });
+        } else if (canvas.width !== bitmap.width || canvas.height !== bitmap.height) {
+            canvas.width = bitmap.width;
+            canvas.height = bitmap.height;
+        }
+
+        ctx.drawImage(bitmap, 0, 0);
+        const imageData = ctx.getImageData(0, 0, bitmap.width, bitmap.height);
+        const codes = self.MehrGuardBarcodes.detectAll(imageData, options);
+        self.postMessage({ type: 'result', id, codes });
+    } catch (e) {
+        self.postMessage({ type: 'error', id, error: e.message });
+    } finally {
+        bitmap.close();
+    }
+};
+
+self.postMessage({ type: 'ready' });
@@ -0,0 +1,626 @@
+/**
+ * Mehr Guard QR Decoder
+ *
+ * Decodes camera frames with the fastest decoder the browser offers:
+ *
+ * 1. `BarcodeDetector` (native, usually hardware assisted, finds every
+ *    code in one call)
+ * 2. jsQR and ZXing in a Web Worker, reading pixels through an
+ *    OffscreenCanvas (decoder-worker.js)
+ * 3. jsQR and ZXing on the main thread, as before
+ *
+ * Besides QR codes, Data Matrix, Aztec and PDF417 are decoded (natively
+ * where BarcodeDetector supports them, otherwise through barcodes.js), and
+ * each code reports its `symbology`.
+ *
+ * Each frame is cropped to a region and downscaled before decoding, and the
+ * returned corners are mapped back to full-frame coordinates. A decoder that
+ * fails is dropped for the rest of the page's life and the next one is used.
+ * Latency and success rate are kept per decoder for the scanner's dev panel.
+ *
+ * `decodeFrame(source, {region, maxSide, tileLevels, inversionAttempts})`
+ * resolves to `{decoder, codes, durationMs, sample}`.
+ *
+ * `decodeImage(source)` is the second chance for uploaded images that gave
+ * no code: it runs the image-pipeline.js pre-processing stages in
+ * image-pipeline-worker.js and reports which stage decoded the image.
+ *
+ * @author Mehr Guard Team
+ * @version 2.4.1
+ */
+
+(function () {
+    'use strict';
+
+    // ==========================================================================
+    // CONFIGURATION
+    // ==========================================================================
+
+    const DECODER = {
+        NATIVE: 'native',
+        WORKER: 'worker',
+        MAIN_THREAD: 'main_thread',
+    };
+
+    // Fallback order when no decoder is forced
+    const DECODER_ORDER = [DECODER.NATIVE, DECODER.WORKER, DECODER.MAIN_THREAD];
+
+    const WORKER_URL = 'decoder-worker.js';
+    const WORKER_STARTUP_TIMEOUT = 5000;
+    const WORKER_TIMEOUT = 2000; // Per frame; a stuck worker is replaced
+
+    // BarcodeDetector format names; QR is required, the rest are used when supported
+    const NATIVE_FORMATS = ['qr_code', 'data_matrix', 'aztec', 'pdf417'];
+
+    const DEFAULT_MAX_SIDE = 960;
+    const LATENCY_SAMPLES = 100; // Recent decodes kept for the p95
+
+    // Image pre-processing (decodeImage)
+    const PIPELINE_WORKER_URL = 'image-pipeline-worker.js';
+    const PIPELINE_MAX_SIDE = 4096; // Larger images are downscaled before the pipeline
+    const PIPELINE_DEADLINE = 8000; // No new pipeline attempts after this
+    const PIPELINE_TIMEOUT = 15000; // A worker still busy after this is replaced
+
+    // ==========================================================================
+    // STATE
+    // ==========================================================================
+
+    let preferred = null; // Forced decoder, or null for the fallback order
+    let nativeDetector = null; // Promise<BarcodeDetector|null>
+    let mainCanvas = null;
+
+    const unavailable = new Set(); // Decoders that failed and are skipped
+
+    function createWorkerState(url, onCrash) {
+        return {
+            url,
+            onCrash, // (reason) => void, for errors the worker cannot recover from
+            worker: null,
+            ready: null, // Promise resolved when the worker reports ready
+            nextId: 1,
+            pending: new Map(), // id -> {resolve, reject, timer}
+        };
+    }
+
+    const workerState = createWorkerState(WORKER_URL,
+        reason => markUnavailable(DECODER.WORKER, reason));
+
+    let pipelineWorkerFailed = false;
+    const pipelineWorkerState = createWorkerState(PIPELINE_WORKER_URL, reason => {
+        if (pipelineWorkerFailed) return;
+        console.warn('[Decoder] Disabling image pre-processing worker:', reason);
+        pipelineWorkerFailed = true;
+        stopWorker(pipelineWorkerState, reason);
+    });
+
+    const stats = {};
+    let pipelineStats = createPipelineStats();
+
+    function createStats() {
+        return { frames: 0, hits: 0, errors: 0, totalMs: 0, lastMs: null, samples: [] };
+    }
+
+    function createPipelineStats() {
+        return { runs: 0, hits: 0, timeouts: 0, totalMs: 0, stages: {} };
+    }
+
+    function createError(name, message) {
+        if (typeof DOMException === 'function') {
+            return new DOMException(message, name);
+        }
+        const error = new Error(message);
+        error.name = name;
+        return error;
+    }
+
+    // ==========================================================================
+    // AVAILABILITY
+    // ==========================================================================
+
+    function getNativeDetector() {
+        if (!nativeDetector) {
+            nativeDetector = (async () => {
+                if (typeof window.BarcodeDetector !== 'function') return null;
+                try {
+                    const supported = await window.BarcodeDetector.getSupportedFormats();
+                    if (!supported.includes('qr_code')) return null;
+                    const formats = NATIVE_FORMATS.filter(format => supported.includes(format));
+                    return new window.BarcodeDetector({ formats });
+                } catch (e) {
+                    console.warn('[Decoder] BarcodeDetector unavailable:', e);
+                    return null;
+                }
+            })();
+        }
+        return nativeDetector;
+    }
+
+    function canUseWorker() {
+        return typeof Worker === 'function' &&
+            typeof OffscreenCanvas === 'function' &&
+            typeof createImageBitmap === 'function' &&
+            location.protocol !== 'file:';
+    }
+
+    async function isAvailable(decoder) {
+        if (unavailable.has(decoder)) return false;
+        switch (decoder) {
+            case DECODER.NATIVE:
+                return typeof createImageBitmap === 'function' && !!(await getNativeDetector());
+            case DECODER.WORKER:
+                return canUseWorker();
+            case DECODER.MAIN_THREAD:
+                return typeof window.jsQR === 'function' || !!window.MehrGuardBarcodes?.isAvailable();
+            default:
+                return false;
+        }
+    }
+
+    /**
+     * Which decoders can run in this browser.
+     * @returns {Promise<Object<string, boolean>>}
+     */
+    async function getAvailability() {
+        const result = {};
+        for (const decoder of DECODER_ORDER) {
+            result[decoder] = await isAvailable(decoder);
+        }
+        return result;
+    }
+
+    async function resolveDecoder() {
+        if (preferred && await isAvailable(preferred)) return preferred;
+        for (const decoder of DECODER_ORDER) {
+            if (await isAvailable(decoder)) return decoder;
+        }
+        return null;
+    }
+
+    function markUnavailable(decoder, reason) {
+        if (unavailable.has(decoder)) return;
+        console.warn(`[Decoder] Disabling ${decoder} decoder:`, reason);
+        unavailable.add(decoder);
+        if (decoder === DECODER.WORKER) stopWorker(workerState, reason);
+    }
+
+    // ==========================================================================
+    // SAMPLING
+    // ==========================================================================
+
+    function getSourceSize(source) {
+        return {
+            width: source.videoWidth || source.naturalWidth || source.width || 0,
+            height: source.videoHeight || source.naturalHeight || source.height || 0,
+        };
+    }
+
+    /**
+     * Crop rectangle in source pixels and the size it is decoded at.
+     * @param {{width: number, height: number}} frame - Source size
+     * @param {{x: number, y: number, width: number, height: number}} [region] - Crop (default: whole frame)
+     * @param {number} [maxSide] - Longest side after downscaling
+     * @returns {{sx: number, sy: number, sw: number, sh: number, width: number, height: number, scale: number}}
+     */
+    function getSample(frame, region, maxSide = DEFAULT_MAX_SIDE) {
+        const sx = Math.max(0, Math.round(region?.x || 0));
+        const sy = Math.max(0, Math.round(region?.y || 0));
+        const sw = Math.max(1, Math.min(frame.width - sx, Math.round(region?.width || frame.width)));
+        const sh = Math.max(1, Math.min(frame.height - sy, Math.round(region?.height || frame.height)));
+        const scale = Math.min(1, maxSide / Math.max(sw, sh));
+        return {
+            sx,
+            sy,
+            sw,
+            sh,
+            width: Math.max(1, Math.round(sw * scale)),
+            height: Math.max(1, Math.round(sh * scale)),
+            scale,
+        };
+    }
+
+    function toFrameCorners(corners, sample) {
+        return corners.map(p => ({
+            x: sample.sx + p.x * (sample.sw / sample.width),
+            y: sample.sy + p.y * (sample.sh / sample.height),
+        }));
+    }
+
+    function createSampleBitmap(source, sample) {
+        return createImageBitmap(source, sample.sx, sample.sy, sample.sw, sample.sh, {
+            resizeWidth: sample.width,
+            resizeHeight: sample.height,
+            resizeQuality: 'low',
+        });
+    }
+
+    // ==========================================================================
+    // DECODERS
+    // ==========================================================================
+
+    async function decodeNative(source, sample) {
+        const detector = await getNativeDetector();
+        const bitmap = await createSampleBitmap(source, sample);
+        try {
+            const barcodes = await detector.detect(bitmap);
+            return barcodes
+                .filter(barcode => barcode.rawValue)
+                .map((barcode, i) => ({
+                    index: i + 1,
+                    data: barcode.rawValue,
+                    corners: barcode.cornerPoints || [],
+                    symbology: barcode.format,
+                }));
+        } finally {
+            bitmap.close();
+        }
+    }
+
+    function startWorker(state) {
+        if (state.ready) return state.ready;
+
+        state.ready = new Promise((resolve, reject) => {
+            let worker;
+            try {
+                worker = new Worker(state.url);
+            } catch (e) {
+                reject(e);
+                return;
+            }
+            state.worker = worker;
+
+            const startupTimer = setTimeout(() => {
+                reject(new Error(`${state.url} startup timed out`));
+            }, WORKER_STARTUP_TIMEOUT);
+
+            worker.onmessage = (event) => {
+                const message = event.data || {};
+                if (message.type === 'ready') {
+                    clearTimeout(startupTimer);
+                    resolve(worker);
+                    return;
+                }
+
+                const request = state.pending.get(message.id);
+                if (!request) return;
+                state.pending.delete(message.id);
+                clearTimeout(request.timer);
+                if (message.type === 'result') {
+                    request.resolve(message);
+                } else {
+                    request.reject(new Error(message.error || 'Decode failed'));
+                }
+            };
+            worker.onerror = (event) => {
+                event.preventDefault?.();
+                clearTimeout(startupTimer);
+                const reason = event.message || `${state.url} crashed`;
+                reject(new Error(reason));
+                state.onCrash(reason);
+            };
+        });
+        return state.ready;
+    }
+
+    function stopWorker(state, reason) {
+        state.worker?.terminate();
+        state.worker = null;
+        state.ready = null;
+        state.pending.forEach(request => {
+            clearTimeout(request.timer);
+            request.reject(new Error(reason || 'Worker stopped'));
+        });
+        state.pending.clear();
+    }
+
+    /**
+     * Send a transferred ImageBitmap to a worker and wait for its reply.
+     * A worker that does not answer within `timeout` is replaced (jsQR
+     * cannot be interrupted) and the request rejects with TimeoutError.
+     */
+    async function postToWorker(state, message, bitmap, timeout) {
+        const worker = await startWorker(state);
+        const id = state.nextId++;
+
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => {
+                state.pending.delete(id);
+                stopWorker(state, 'Decode timed out');
+                reject(createError('TimeoutError', `Decode timed out after ${timeout} ms`));
+            }, timeout);
+            state.pending.set(id, { resolve, reject, timer });
+            worker.postMessage({ ...message, id, bitmap }, [bitmap]);
+        });
+    }
+
+    async function decodeInWorker(source, sample, options) {
+        await startWorker(workerState);
+        const bitmap = await createSampleBitmap(source, sample);
+        const reply = await postToWorker(workerState, {
+            type: 'decode',
+            options: {
+                inversionAttempts: options.inversionAttempts,
+                tileLevels: options.tileLevels,
+                otherSymbologies: options.otherSymbologies,
+            },
+        }, bitmap, WORKER_TIMEOUT);
+        return reply.codes;
+    }
+
+    function decodeOnMainThread(source, sample, options) {
+        if (!mainCanvas) mainCanvas = document.createElement('canvas');
+        mainCanvas.width = sample.width;
+        mainCanvas.height = sample.height;
+
+        const ctx = mainCanvas.getContext('2d', { willReadFrequently: true });
+        ctx.drawImage(source, sample.sx, sample.sy, sample.sw, sample.sh, 0, 0, sample.width, sample.height);
+        const imageData = ctx.getImageData(0, 0, sample.width, sample.height);
+
+        if (window.MehrGuardBarcodes) {
+            return window.MehrGuardBarcodes.detectAll(imageData, options);
+        }
+        if (window.MehrGuardMultiQr) {
+            return window.MehrGuardMultiQr.detectAll(imageData, options)
+                .map(code => ({ ...code, symbology: 'qr_code' }));
+        }
+        const code = window.jsQR(imageData.data, imageData.width, imageData.height,
+            { inversionAttempts: options.inversionAttempts });
+        return code ? [{ index: 1, data: code.data, corners: [], symbology: 'qr_code' }] : [];
+    }
+
+    function runDecoder(decoder, source, sample, options) {
+        switch (decoder) {
+            case DECODER.NATIVE:
+                return decodeNative(source, sample);
+            case DECODER.WORKER:
+                return decodeInWorker(source, sample, options);
+            default:
+                return Promise.resolve(decodeOnMainThread(source, sample, options));
+        }
+    }
+
+    // ==========================================================================
+    // IMAGE PRE-PROCESSING
+    // ==========================================================================
+
+    function canUsePipelineWorker() {
+        return canUseWorker() && !pipelineWorkerFailed;
+    }
+
+    async function runPipelineInWorker(source, sample, options) {
+        await startWorker(pipelineWorkerState);
+        const bitmap = await createSampleBitmap(source, sample);
+        const reply = await postToWorker(pipelineWorkerState, { type: 'run', options }, bitmap, PIPELINE_TIMEOUT);
+        return reply.result;
+    }
+
+    function runPipelineOnMainThread(source, sample, options) {
+        if (!mainCanvas) mainCanvas = document.createElement('canvas');
+        mainCanvas.width = sample.width;
+        mainCanvas.height = sample.height;
+
+        const ctx = mainCanvas.getContext('2d', { willReadFrequently: true });
+        ctx.drawImage(source, sample.sx, sample.sy, sample.sw, sample.sh, 0, 0, sample.width, sample.height);
+        return window.MehrGuardImagePipeline.run(ctx.getImageData(0, 0, sample.width, sample.height), options);
+    }
+
+    // ==========================================================================
+    // STATISTICS
+    // ==========================================================================
+
+    function record(decoder, { found, failed, durationMs }) {
+        const entry = stats[decoder] || (stats[decoder] = createStats());
+        entry.frames++;
+        if (failed) {
+            entry.errors++;
+            return;
+        }
+        if (found) entry.hits++;
+        entry.totalMs += durationMs;
+        entry.lastMs = durationMs;
+        entry.samples.push(durationMs);
+        if (entry.samples.length > LATENCY_SAMPLES) entry.samples.shift();
+    }
+
+    function getPercentile(samples, percentile) {
+        if (samples.length === 0) return null;
+        const sorted = [...samples].sort((a, b) => a - b);
+        return sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * percentile))];
+    }
+
+    /**
+     * Decode latency and success rate per decoder that has run.
+     * @returns {Array<{decoder: string, frames: number, hits: number, errors: number,
+     *          successRate: number|null, avgMs: number|null, p95Ms: number|null, lastMs: number|null}>}
+     */
+    function getStats() {
+        return DECODER_ORDER.filter(decoder => stats[decoder]).map(decoder => {
+            const entry = stats[decoder];
+            const decoded = entry.frames - entry.errors;
+            return {
+                decoder,
+                frames: entry.frames,
+                hits: entry.hits,
+                errors: entry.errors,
+                successRate: entry.frames > 0 ? entry.hits / entry.frames : null,
+                avgMs: decoded > 0 ? entry.totalMs / decoded : null,
+                p95Ms: getPercentile(entry.samples, 0.95),
+                lastMs: entry.lastMs,
+            };
+        });
+    }
+
+    function recordPipeline({ stage, timedOut, durationMs }) {
+        pipelineStats.runs++;
+        pipelineStats.totalMs += durationMs;
+        if (timedOut) pipelineStats.timeouts++;
+        if (stage) {
+            pipelineStats.hits++;
+            pipelineStats.stages[stage] = (pipelineStats.stages[stage] || 0) + 1;
+        }
+    }
+
+    /**
+     * How often image pre-processing ran and which stage decoded each image.
+     * @returns {{runs: number, hits: number, timeouts: number, avgMs: number|null,
+     *          stages: Object<string, number>}}
+     */
+    function getPipelineStats() {
+        return {
+            runs: pipelineStats.runs,
+            hits: pipelineStats.hits,
+            timeouts: pipelineStats.timeouts,
+            avgMs: pipelineStats.runs > 0 ? pipelineStats.totalMs / pipelineStats.runs : null,
+            stages: { ...pipelineStats.stages },
+        };
+    }
+
+    function resetStats() {
+        Object.keys(stats).forEach(decoder => delete stats[decoder]);
+        pipelineStats = createPipelineStats();
+    }
+
+    // ==========================================================================
+    // PUBLIC API
+    // ==========================================================================
+
+    /**
+     * Decode every QR code in a frame.
+     *
+     * @param {HTMLVideoElement|HTMLCanvasElement|ImageBitmap} source - Frame source
+     * @param {Object} [options]
+     * @param {{x: number, y: number, width: number, height: number}} [options.region] - Crop in source pixels
+     * @param {number} [options.maxSide=960] - Longest side the crop is downscaled to
+     * @param {number[]} [options.tileLevels] - jsQR tile search levels (the native decoder finds
+     *        every code without tiling)
+     * @param {string} [options.inversionAttempts='dontInvert'] - jsQR inversion mode
+     * @param {string} [options.otherSymbologies='fallback'] - When ZXing looks for
+     *        Data Matrix, Aztec and PDF417 (see MehrGuardBarcodes.detectAll)
+     * @returns {Promise<{decoder: string|null, codes: Array<{index: number, data: string,
+     *          corners: Array<{x: number, y: number}>, symbology: string}>, durationMs: number,
+     *          sample: {width: number, height: number}|null}>}
+     *          Never rejects; a failed decoder is disabled and reported as no codes
+     */
+    async function decodeFrame(source, options = {}) {
+        const frame = getSourceSize(source);
+        const decoder = await resolveDecoder();
+        if (!decoder || frame.width === 0 || frame.height === 0) {
+            return { decoder, codes: [], durationMs: 0, sample: null };
+        }
+
+        const sample = getSample(frame, options.region, options.maxSide);
+        const decodeOptions = {
+            inversionAttempts: options.inversionAttempts || 'dontInvert',
+            tileLevels: options.tileLevels || [],
+            otherSymbologies: options.otherSymbologies || 'fallback',
+        };
+
+        const started = performance.now();
+        let codes;
+        try {
+            codes = await runDecoder(decoder, source, sample, decodeOptions);
+        } catch (e) {
+            record(decoder, { failed: true });
+            // A timeout only replaces the worker; anything else rules the decoder out
+            if (e.name !== 'TimeoutError') markUnavailable(decoder, e.message);
+            return { decoder, codes: [], durationMs: performance.now() - started, sample: null };
+        }
+        const durationMs = performance.now() - started;
+
+        record(decoder, { found: codes.length > 0, durationMs });
+        return {
+            decoder,
+            codes: codes.map(code => ({ ...code, corners: toFrameCorners(code.corners, sample) })),
+            durationMs,
+            sample: { width: sample.width, height: sample.height },
+        };
+    }
+
+    /**
+     * Retry an image that gave no code through the pre-processing stages of
+     * image-pipeline.js, in a worker where possible (on the main thread when
+     * workers are unavailable and image-pipeline.js is loaded on the page).
+     *
+     * @param {HTMLImageElement|HTMLCanvasElement|ImageBitmap} source - Image
+     * @param {Object} [options]
+     * @param {string[]} [options.stages] - Stages to run (default: all)
+     * @param {number} [options.deadlineMs=8000] - Stop starting new attempts after this
+     * @returns {Promise<{decoder: string|null, codes: Array<{index: number, data: string,
+     *          corners: Array<{x: number, y: number}>, symbology: string}>, stage: string|null,
+     *          variant: string|null, attempts: Array<{stage: string, variant: string, found: boolean,
+     *          ms: number}>, timedOut: boolean, durationMs: number}>}
+     *          Corners are in source coordinates. Never rejects; `stage` is null when
+     *          nothing decoded
+     */
+    async function decodeImage(source, options = {}) {
+        const frame = getSourceSize(source);
+        const empty = { codes: [], stage: null, variant: null, attempts: [], timedOut: false, durationMs: 0 };
+        const decoder = canUsePipelineWorker() ? DECODER.WORKER
+            : window.MehrGuardImagePipeline ? DECODER.MAIN_THREAD : null;
+        if (!decoder || frame.width === 0 || frame.height === 0) {
+            return { decoder: null, ...empty };
+        }
+
+        const sample = getSample(frame, null, PIPELINE_MAX_SIDE);
+        const pipelineOptions = {
+            stages: options.stages,
+            deadlineMs: options.deadlineMs || PIPELINE_DEADLINE,
+        };
+
+        let result;
+        let usedDecoder = decoder;
+        try {
+            result = decoder === DECODER.WORKER
+                ? await runPipelineInWorker(source, sample, pipelineOptions)
+                : runPipelineOnMainThread(source, sample, pipelineOptions);
+        } catch (e) {
+            if (e.name === 'TimeoutError') {
+                result = { ...empty, timedOut: true, durationMs: PIPELINE_TIMEOUT };
+            } else if (decoder === DECODER.WORKER && window.MehrGuardImagePipeline) {
+                pipelineWorkerState.onCrash(e.message);
+                usedDecoder = DECODER.MAIN_THREAD;
+                result = runPipelineOnMainThread(source, sample, pipelineOptions);
+            } else {
+                console.warn('[Decoder] Image pre-processing failed:', e);
+                return { decoder, ...empty };
+            }
+        }
+
+        recordPipeline(result);
+        return {
+            decoder: usedDecoder,
+            ...result,
+            codes: result.codes.map(code => ({ ...code, corners: toFrameCorners(code.corners, sample) })),
+        };
+    }
+
+    /**
+     * Force a decoder (falls back to the usual order while it is unavailable).
+     * @param {string|null} decoder - One of DECODER, or null for automatic
+     */
+    function setPreferredDecoder(decoder) {
+        preferred = Object.values(DECODER).includes(decoder) ? decoder : null;
+    }
+
+    function getPreferredDecoder() {
+        return preferred;
+    }
+
+    // Expose public API
+    window.MehrGuardDecoder = {
+        DECODER,
+        decodeFrame,
+        decodeImage,
+        getAvailability,
+        getSample,
+        getStats,
+        getPipelineStats,
+        resetStats,
+        setPreferredDecoder,
+        getPreferredDecoder,
+    };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = window.MehrGuardDecoder;
+    }
+
+})();
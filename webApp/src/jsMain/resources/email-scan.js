@@ -0,0 +1,740 @@
+/**
+ * Mehr Guard Email Triage
+ *
+ * Parses a saved email message (.eml, RFC 5322 / MIME) offline and pulls
+ * out everything worth analysing: link targets, URLs written in the text,
+ * and the images and PDFs that may carry a QR code, whether inline or
+ * attached. Quoted-printable, base64 and RFC 2047/2231 encoded headers
+ * and file names are decoded here; nothing in the message is fetched,
+ * rendered or run.
+ *
+ * Header and body red flags (Reply-To or Return-Path on another domain,
+ * failed SPF/DKIM/DMARC, an address in the display name, link text that
+ * names a different site, risky attachments) are reported alongside.
+ * Decoding the images is left to the page, which owns the decoders.
+ *
+ * The dashboard has no QR decoder, so it hands dropped messages over to
+ * scanner.html through sessionStorage (`stash` / `takeStash`).
+ *
+ * @author Mehr Guard Team
+ * @version 2.4.1
+ */
+
+(function () {
+    'use strict';
+
+    // ==========================================================================
+    // CONFIGURATION
+    // ==========================================================================
+
+    const STASH_KEY = 'mehrguard_email_handoff';
+
+    // sessionStorage holds about 5 MB per origin
+    const MAX_STASH_BYTES = 3 * 1024 * 1024;
+
+    // Nesting allowed for multiparts and forwarded messages, and parts read
+    // per message, so a crafted file cannot keep the parser busy
+    const MAX_DEPTH = 10;
+    const MAX_PARTS = 500;
+
+    const SEVERITY = {
+        HIGH: 'high',
+        MEDIUM: 'medium',
+        INFO: 'info',
+    };
+
+    // Link schemes that are not worth analysing
+    const IGNORED_SCHEMES = new Set(['mailto:', 'tel:', 'sms:', 'cid:', 'mid:']);
+
+    // URLs written out in text (bare www. hosts are analysed as https://)
+    const TEXT_URL_PATTERN = /\b(?:https?:\/\/|www\.)[^\s<>"'`{}|\\^]+/gi;
+
+    // Attachments that open as a page or run as code; HTML and SVG
+    // attachments are a common way to ship a credential form
+    const RISKY_EXTENSIONS = /\.(?:html?|xhtml|shtml|svg|hta|js|jse|vbs|vbe|wsf|ps1|bat|cmd|exe|scr|com|pif|msi|lnk|jar|iso|img|vhdx?|one|docm|xlsm|pptm)$/i;
+
+    const AUTH_METHODS = ['spf', 'dkim', 'dmarc'];
+
+    // Link text like "Invoice.pdf" is a file name, not a host
+    const FILE_NAME_PATTERN = /\.(?:pdf|docx?|xlsx?|pptx?|csv|txt|zip|rar|7z|png|jpe?g|gif|html?|eml|ics)$/i;
+
+    // ==========================================================================
+    // BYTES AND TEXT
+    // ==========================================================================
+
+    // The message is kept as a binary string (one char per byte) until each
+    // part's charset is known
+
+    function bytesToBinary(bytes) {
+        let binary = '';
+        for (let i = 0; i < bytes.length; i += 0x8000) {
+            binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+        }
+        return binary;
+    }
+
+    function binaryToBytes(binary) {
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i) & 0xff;
+        return bytes;
+    }
+
+    /**
+     * Decode bytes in a declared charset. Unknown labels and invalid UTF-8
+     * fall back to Windows-1252, which never fails.
+     */
+    function decodeText(bytes, charset) {
+        const label = String(charset || 'utf-8').trim().toLowerCase();
+        try {
+            return new TextDecoder(label, { fatal: label === 'utf-8' || label === 'utf8' }).decode(bytes);
+        } catch (e) {
+            return new TextDecoder('windows-1252').decode(bytes);
+        }
+    }
+
+    function decodeBase64(text) {
+        const clean = text.replace(/[^A-Za-z0-9+/]/g, '');
+        // A dangling sixth bit cannot form a byte
+        const usable = clean.slice(0, clean.length - (clean.length % 4 === 1 ? 1 : 0));
+        try {
+            return atob(usable + '='.repeat((4 - usable.length % 4) % 4));
+        } catch (e) {
+            return '';
+        }
+    }
+
+    function decodeQuotedPrintable(text) {
+        return text
+            .replace(/[ \t]+(?=\r?\n)/g, '')
+            .replace(/=\r?\n/g, '')
+            .replace(/=([0-9A-Fa-f]{2})/g, (_, hex) => String.fromCharCode(parseInt(hex, 16)));
+    }
+
+    // ==========================================================================
+    // HEADERS
+    // ==========================================================================
+
+    /**
+     * RFC 2047 encoded words (=?charset?B|Q?text?=); whitespace between two
+     * adjacent encoded words is dropped
+     */
+    function decodeHeaderValue(binary) {
+        const text = decodeText(binaryToBytes(binary), 'utf-8');
+        return text
+            .replace(/(\?=)\s+(?==\?)/g, '$1')
+            .replace(/=\?([^?\s]+)\?([BbQq])\?([^?]*)\?=/g, (match, charset, encoding, encoded) => {
+                const raw = encoding.toUpperCase() === 'B'
+                    ? decodeBase64(encoded)
+                    : decodeQuotedPrintable(encoded.replace(/_/g, ' '));
+                // RFC 2231 language suffix: charset*lang
+                return decodeText(binaryToBytes(raw), charset.split('*')[0]);
+            });
+    }
+
+    /**
+     * Unfold and split a header block into [{name, value}], names lowercased
+     * and values decoded
+     */
+    function parseHeaders(block) {
+        const headers = [];
+        block.replace(/\r?\n(?=[ \t])/g, '').split(/\r?\n/).forEach(line => {
+            const colon = line.indexOf(':');
+            if (colon <= 0) return; // mbox "From " separator or garbage
+            headers.push({
+                name: line.slice(0, colon).trim().toLowerCase(),
+                value: decodeHeaderValue(line.slice(colon + 1).trim()),
+            });
+        });
+        return headers;
+    }
+
+    function getHeader(headers, name) {
+        return headers.find(header => header.name === name)?.value || '';
+    }
+
+    /**
+     * Split `type/subtype; key=value; ...` into its value and parameters,
+     * joining RFC 2231 continuations (key*0, key*1*) and decoding key*=
+     * charset''percent-encoded values
+     */
+    function parseStructuredHeader(value) {
+        const [first, ...rest] = splitParams(value);
+        const parts = {};
+        rest.forEach(param => {
+            const eq = param.indexOf('=');
+            if (eq <= 0) return;
+            const key = param.slice(0, eq).trim().toLowerCase();
+            let val = param.slice(eq + 1).trim();
+            if (val.startsWith('"') && val.endsWith('"') && val.length >= 2) {
+                val = val.slice(1, -1).replace(/\\(.)/g, '$1');
+            }
+            const match = key.match(/^([^*]+)(?:\*(\d+))?(\*)?$/);
+            if (!match) return;
+            const [, base, index = '0', extended] = match;
+            (parts[base] = parts[base] || []).push({ index: Number(index), value: val, extended: !!extended });
+        });
+
+        const params = {};
+        Object.entries(parts).forEach(([key, all]) => {
+            // Senders often give a plain fallback next to the key*= form
+            const sections = all
+                .filter(section => section.extended || !all.some(other => other.extended && other.index === section.index))
+                .sort((a, b) => a.index - b.index);
+            let charset = null;
+            params[key] = sections.map((section, i) => {
+                if (!section.extended) return section.value;
+                let val = section.value;
+                if (i === 0) {
+                    const quote = val.match(/^([^']*)'[^']*'(.*)$/);
+                    if (quote) {
+                        charset = quote[1] || null;
+                        val = quote[2];
+                    }
+                }
+                const raw = val.replace(/%([0-9A-Fa-f]{2})/g, (_, hex) => String.fromCharCode(parseInt(hex, 16)));
+                return charset ? decodeText(binaryToBytes(raw), charset) : raw;
+            }).join('');
+        });
+
+        return { value: (first || '').trim().toLowerCase(), params };
+    }
+
+    function splitParams(value) {
+        const out = [];
+        let current = '';
+        let quoted = false;
+        for (let i = 0; i < value.length; i++) {
+            const ch = value[i];
+            if (ch === '\\' && quoted) {
+                current += ch + (value[++i] || '');
+                continue;
+            }
+            if (ch === '"') quoted = !quoted;
+            if (ch === ';' && !quoted) {
+                out.push(current);
+                current = '';
+            } else {
+                current += ch;
+            }
+        }
+        out.push(current);
+        return out;
+    }
+
+    // ==========================================================================
+    // ADDRESSES AND DOMAINS
+    // ==========================================================================
+
+    /**
+     * First mailbox of an address header. Quoted strings and comments are
+     * skipped when looking for the angle-addr, and the last one wins: a
+     * display name such as "PayPal <service@paypal.com>" is not the address.
+     * @returns {{name: string, address: string, domain: string}|null}
+     */
+    function parseAddress(value) {
+        if (!value) return null;
+        let phrase = '';
+        let comment = '';
+        let angle = null;
+        let address = null;
+        let quoted = false;
+        let depth = 0;
+        for (let i = 0; i < value.length; i++) {
+            const ch = value[i];
+            if (angle !== null) {
+                if (ch === '>') {
+                    address = angle;
+                    angle = null;
+                } else {
+                    angle += ch;
+                }
+            } else if (quoted) {
+                if (ch === '\\') phrase += value[++i] || '';
+                else if (ch === '"') quoted = false;
+                else phrase += ch;
+            } else if (depth) {
+                if (ch === '\\') comment += value[++i] || '';
+                else if (ch === '(') depth++;
+                else if (ch === ')') depth--;
+                else comment += ch;
+            } else if (ch === '"') {
+                quoted = true;
+            } else if (ch === '(') {
+                depth = 1;
+                comment += ' ';
+            } else if (ch === '<') {
+                angle = '';
+            } else if (ch === ',' && (address !== null || phrase.includes('@'))) {
+                break;
+            } else {
+                phrase += ch;
+            }
+        }
+        phrase = phrase.replace(/\s+/g, ' ').trim();
+        comment = comment.replace(/\s+/g, ' ').trim();
+        let name = comment;
+        if (address !== null) {
+            name = phrase || comment;
+        } else {
+            address = phrase;
+        }
+        address = address.trim().toLowerCase();
+        const at = address.lastIndexOf('@');
+        return {
+            name,
+            address,
+            domain: at >= 0 ? address.slice(at + 1).replace(/\.$/, '') : '',
+        };
+    }
+
+    /**
+     * Registrable domain (eTLD+1) via the engine's public suffix list, or
+     * the last two labels when the engine is not loaded
+     */
+    function getRegistrableDomain(host) {
+        if (!host) return '';
+        if (/^[\d.]+$/.test(host) || host.includes(':')) return host;
+        const parsed = typeof window.mehrguardParseDomain === 'function'
+            ? window.mehrguardParseDomain(host)
+            : null;
+        if (parsed && !parsed.error && parsed.registrableDomain) {
+            return String(parsed.registrableDomain).toLowerCase();
+        }
+        return host.split('.').slice(-2).join('.');
+    }
+
+    function getHost(url) {
+        try {
+            return new URL(url).hostname.toLowerCase().replace(/^\[|\]$/g, '');
+        } catch (e) {
+            return '';
+        }
+    }
+
+    function isSameSite(domainA, domainB) {
+        return getRegistrableDomain(domainA) === getRegistrableDomain(domainB);
+    }
+
+    // ==========================================================================
+    // MIME TREE
+    // ==========================================================================
+
+    function splitHeaderBlock(raw) {
+        const match = raw.match(/\r?\n\r?\n/);
+        if (!match) return { head: raw, body: '' };
+        return { head: raw.slice(0, match.index), body: raw.slice(match.index + match[0].length) };
+    }
+
+    function escapeRegExp(text) {
+        return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    }
+
+    function splitMultipart(body, boundary) {
+        const delimiter = new RegExp(`(?:^|\\r?\\n)--${escapeRegExp(boundary)}(--)?[ \\t]*(?=\\r?\\n|$)`, 'g');
+        const parts = [];
+        let start = -1;
+        let match;
+        while ((match = delimiter.exec(body))) {
+            if (start >= 0) parts.push(body.slice(start, match.index));
+            if (match[1]) return parts;
+            start = match.index + match[0].length;
+            // Skip the line break that ends the delimiter line
+            const lineBreak = body.slice(start).match(/^\r?\n/);
+            if (lineBreak) start += lineBreak[0].length;
+        }
+        // No closing delimiter: keep what is there
+        if (start >= 0) parts.push(body.slice(start));
+        return parts;
+    }
+
+    /**
+     * Parse one MIME entity and its children.
+     * @param {string} raw - Binary string of headers and body
+     * @param {Object} state - {parts: number} counted across the message
+     */
+    function parseEntity(raw, depth, state, defaultType = 'text/plain') {
+        state.parts++;
+        const { head, body } = splitHeaderBlock(raw);
+        const headers = parseHeaders(head);
+        const contentType = parseStructuredHeader(getHeader(headers, 'content-type') || defaultType);
+        const disposition = parseStructuredHeader(getHeader(headers, 'content-disposition'));
+        const entity = {
+            headers,
+            type: contentType.value || defaultType,
+            charset: contentType.params.charset || null,
+            disposition: disposition.value || null,
+            filename: disposition.params.filename || contentType.params.name || '',
+            contentId: getHeader(headers, 'content-id').replace(/^<|>$/g, ''),
+            encoding: getHeader(headers, 'content-transfer-encoding').trim().toLowerCase(),
+            body,
+            children: [],
+            message: null,
+        };
+
+        if (depth >= MAX_DEPTH || state.parts >= MAX_PARTS) return entity;
+
+        if (entity.type.startsWith('multipart/')) {
+            const boundary = contentType.params.boundary;
+            const parts = boundary ? splitMultipart(body, boundary) : [];
+            const childType = entity.type === 'multipart/digest' ? 'message/rfc822' : 'text/plain';
+            for (const part of parts) {
+                if (state.parts >= MAX_PARTS) break;
+                entity.children.push(parseEntity(part, depth + 1, state, childType));
+            }
+            // No boundary, or none of its delimiters in the body: read the
+            // body as plain text rather than drop it
+            if (parts.length === 0) entity.type = 'text/plain';
+        } else if (entity.type === 'message/rfc822') {
+            entity.message = parseEntity(decodeBody(entity), depth + 1, state);
+        }
+        return entity;
+    }
+
+    /**
+     * Body of a leaf entity with its transfer encoding removed (binary string)
+     */
+    function decodeBody(entity) {
+        switch (entity.encoding) {
+            case 'base64':
+                return decodeBase64(entity.body);
+            case 'quoted-printable':
+                return decodeQuotedPrintable(entity.body);
+            default:
+                return entity.body;
+        }
+    }
+
+    // ==========================================================================
+    // EXTRACTION
+    // ==========================================================================
+
+    function isAttachment(entity) {
+        return entity.disposition === 'attachment' || (!!entity.filename && entity.disposition !== 'inline');
+    }
+
+    function isPdfEntity(entity) {
+        return entity.type === 'application/pdf' || /\.pdf$/i.test(entity.filename);
+    }
+
+    function trimTextUrl(url) {
+        let trimmed = url.replace(/[.,;:!?'"]+$/, '');
+        // Keep a closing bracket only when the URL opened one
+        while (/[)\]]$/.test(trimmed)) {
+            const close = trimmed.slice(-1);
+            const open = close === ')' ? '(' : '[';
+            if (trimmed.split(open).length >= trimmed.split(close).length) break;
+            trimmed = trimmed.slice(0, -1).replace(/[.,;:!?'"]+$/, '');
+        }
+        return /^www\./i.test(trimmed) ? `https://${trimmed}` : trimmed;
+    }
+
+    function findTextUrls(text) {
+        return (text.match(TEXT_URL_PATTERN) || []).map(trimTextUrl).filter(url => url.length > 'https://'.length);
+    }
+
+    function isAnalysableHref(href) {
+        const scheme = href.match(/^([a-z][a-z0-9+.-]*:)/i)?.[1].toLowerCase();
+        return !!scheme && !IGNORED_SCHEMES.has(scheme);
+    }
+
+    /**
+     * Link targets, visible text and data: images of an HTML body. The
+     * document is parsed inert (DOMParser runs no scripts and loads nothing).
+     */
+    function readHtml(html) {
+        if (typeof DOMParser !== 'function') {
+            const text = html.replace(/<(style|script)\b[\s\S]*?<\/\1>/gi, ' ').replace(/<[^>]+>/g, ' ');
+            return { anchors: [], text, dataImages: [] };
+        }
+
+        const doc = new DOMParser().parseFromString(html, 'text/html');
+        doc.querySelectorAll('script, style, template').forEach(node => node.remove());
+
+        const anchors = Array.from(doc.querySelectorAll('a[href], area[href]')).map(node => ({
+            href: (node.getAttribute('href') || '').trim(),
+            text: (node.textContent || '').replace(/\s+/g, ' ').trim(),
+        }));
+        const dataImages = Array.from(doc.querySelectorAll('img[src^="data:image/"]'))
+            .map(node => node.getAttribute('src'));
+
+        return { anchors, text: doc.body?.textContent || '', dataImages };
+    }
+
+    function fromDataUrl(dataUrl) {
+        const match = dataUrl.match(/^data:([\w.+/-]+)?((?:;[^,;]*)*?)(;base64)?,(.*)$/is);
+        if (!match) return null;
+        // Percent escapes are bytes, not UTF-8; a malformed one such as %ZZ
+        // is left as is instead of throwing out of parse()
+        const raw = match[3]
+            ? decodeBase64(match[4])
+            : match[4].replace(/%([0-9A-Fa-f]{2})/g, (_, hex) => String.fromCharCode(parseInt(hex, 16)));
+        return { type: (match[1] || 'application/octet-stream').toLowerCase(), bytes: binaryToBytes(raw) };
+    }
+
+    /**
+     * The host a piece of link text names, if it reads as a URL or domain
+     * (a bare file name such as "Invoice.pdf" does not)
+     */
+    function getTextHost(text) {
+        const candidate = text.trim().replace(/[.,;:!?]+$/, '');
+        if (/\s/.test(candidate) || !/^(?:https?:\/\/)?(?:[a-z0-9-]+\.)+[a-z]{2,}(?:[/:?#]\S*)?$/i.test(candidate)) {
+            return '';
+        }
+        if (!/^(?:https?:\/\/|www\.)/i.test(candidate) && FILE_NAME_PATTERN.test(candidate)) {
+            return '';
+        }
+        return getHost(/^https?:\/\//i.test(candidate) ? candidate : `https://${candidate}`);
+    }
+
+    function walk(entity, out, depth = 0) {
+        if (entity.message) {
+            walk(entity.message, out, depth + 1);
+            return;
+        }
+        if (entity.children.length > 0) {
+            entity.children.forEach(child => walk(child, out, depth + 1));
+            return;
+        }
+
+        const attachment = isAttachment(entity);
+        const data = decodeBody(entity);
+        if (attachment) {
+            out.attachments.push({
+                name: entity.filename || entity.type,
+                type: entity.type,
+                size: data.length,
+            });
+        }
+
+        if (entity.type.startsWith('image/')) {
+            out.images.push({
+                name: entity.filename || entity.contentId || entity.type,
+                type: entity.type,
+                bytes: binaryToBytes(data),
+                inline: !attachment,
+            });
+        } else if (isPdfEntity(entity)) {
+            out.pdfs.push({
+                name: entity.filename || 'document.pdf',
+                bytes: binaryToBytes(data),
+            });
+        } else if (entity.type === 'text/html' && !attachment) {
+            const html = readHtml(decodeText(binaryToBytes(data), entity.charset));
+            html.anchors.forEach(anchor => {
+                if (!isAnalysableHref(anchor.href)) return;
+                out.links.push({ url: anchor.href, source: 'href', text: anchor.text });
+            });
+            findTextUrls(html.text).forEach(url => out.links.push({ url, source: 'text' }));
+            html.dataImages.forEach((src, i) => {
+                const image = fromDataUrl(src);
+                if (image) out.images.push({ name: `inline-image-${i + 1}`, ...image, inline: true });
+            });
+        } else if (entity.type.startsWith('text/') && !attachment) {
+            const text = decodeText(binaryToBytes(data), entity.charset);
+            findTextUrls(text).forEach(url => out.links.push({ url, source: 'text' }));
+        }
+    }
+
+    // ==========================================================================
+    // RED FLAGS
+    // ==========================================================================
+
+    function flag(id, severity, message, detail = null) {
+        return { id, severity, message, detail };
+    }
+
+    /**
+     * Results of the receiving server's SPF, DKIM and DMARC checks
+     * @returns {Object<string, string>} e.g. {spf: 'pass', dmarc: 'fail'}
+     */
+    function readAuthResults(headers) {
+        const results = {};
+        // The topmost header was added by the receiving server; ARC results
+        // stand in when a forwarder dropped it
+        const header = headers.find(h => h.name === 'authentication-results') ||
+            headers.find(h => h.name === 'arc-authentication-results');
+        if (!header) return results;
+
+        AUTH_METHODS.forEach(method => {
+            const match = header.value.match(new RegExp(`\\b${method}\\s*=\\s*([a-z]+)`, 'i'));
+            if (match) results[method] = match[1].toLowerCase();
+        });
+        return results;
+    }
+
+    function findFlags(message, links, attachments) {
+        const flags = [];
+        const { from, replyTo, returnPath } = message;
+
+        if (from?.domain && replyTo?.domain && !isSameSite(from.domain, replyTo.domain)) {
+            flags.push(flag('reply-to-mismatch', SEVERITY.HIGH,
+                'Replies go to a different domain than the sender',
+                `From: ${from.address}\nReply-To: ${replyTo.address}`));
+        }
+        if (from?.domain && returnPath?.domain && !isSameSite(from.domain, returnPath.domain)) {
+            flags.push(flag('return-path-mismatch', SEVERITY.MEDIUM,
+                'Bounces go to a different domain than the sender',
+                `From: ${from.address}\nReturn-Path: ${returnPath.address}`));
+        }
+
+        const namedAddress = from?.name.match(/[^\s<>"@]+@([a-z0-9.-]+\.[a-z]{2,})/i);
+        if (namedAddress && from.domain && !isSameSite(namedAddress[1].toLowerCase(), from.domain)) {
+            flags.push(flag('display-name-address', SEVERITY.HIGH,
+                'Sender name shows a different address',
+                `${from.name} <${from.address}>`));
+        }
+        if (from && !from.domain) {
+            flags.push(flag('missing-sender', SEVERITY.MEDIUM, 'No valid sender address'));
+        }
+
+        const failed = Object.entries(message.auth)
+            .filter(([, result]) => result === 'fail' || result === 'softfail' || result === 'permerror')
+            .map(([method, result]) => `${method.toUpperCase()} ${result}`);
+        if (failed.length > 0) {
+            flags.push(flag('authentication-failed', SEVERITY.HIGH,
+                'Sender authentication failed', failed.join(', ')));
+        }
+
+        const mismatched = links.filter(link => {
+            if (link.source !== 'href' || !link.text) return false;
+            const textHost = getTextHost(link.text);
+            const hrefHost = getHost(link.url);
+            return textHost && hrefHost && !isSameSite(textHost, hrefHost);
+        });
+        if (mismatched.length > 0) {
+            flags.push(flag('link-text-mismatch', SEVERITY.HIGH,
+                'Link text names a different site than the link opens',
+                mismatched.slice(0, 5).map(link => `${link.text} → ${link.url}`).join('\n')));
+        }
+
+        const risky = attachments.filter(attachment => RISKY_EXTENSIONS.test(attachment.name) ||
+            attachment.type === 'text/html' || attachment.type === 'image/svg+xml');
+        if (risky.length > 0) {
+            flags.push(flag('risky-attachment', SEVERITY.HIGH,
+                'Has attachments that open as a web page or run as code',
+                risky.map(attachment => attachment.name).join('\n')));
+        }
+
+        return flags;
+    }
+
+    // ==========================================================================
+    // PUBLIC FUNCTIONS
+    // ==========================================================================
+
+    /**
+     * Whether a file is a saved email message, by MIME type or extension
+     * @param {File|Blob} file
+     */
+    function isEml(file) {
+        if (!file) return false;
+        return file.type === 'message/rfc822' || /\.eml$/i.test(file.name || '');
+    }
+
+    /**
+     * Read a message file as a binary string (one char per byte), the
+     * input `parse` expects
+     * @param {File|Blob} file
+     * @returns {Promise<string>}
+     */
+    async function read(file) {
+        return bytesToBinary(new Uint8Array(await file.arrayBuffer()));
+    }
+
+    /**
+     * Parse a message and extract everything worth analysing.
+     *
+     * Links are de-duplicated; one found both as a link target and in the
+     * text keeps its link text. Images and PDFs are returned as bytes for
+     * the page to decode.
+     *
+     * @param {string} raw - Binary string of the .eml file (see `read`)
+     * @returns {{message: {subject: string, date: string, from: Object|null, to: string,
+     *          replyTo: Object|null, returnPath: Object|null, auth: Object<string, string>},
+     *          links: Array<{url: string, source: string, text?: string}>,
+     *          images: Array<{name: string, type: string, bytes: Uint8Array, inline: boolean}>,
+     *          pdfs: Array<{name: string, bytes: Uint8Array}>,
+     *          attachments: Array<{name: string, type: string, size: number}>,
+     *          flags: Array<{id: string, severity: string, message: string, detail: string|null}>}}
+     *          Addresses are {name, address, domain}; messages and details are untranslated
+     */
+    function parse(raw) {
+        const root = parseEntity(String(raw || '').replace(/^\xEF\xBB\xBF/, ''), 0, { parts: 0 });
+        const headers = root.headers;
+
+        const message = {
+            subject: getHeader(headers, 'subject'),
+            date: getHeader(headers, 'date'),
+            from: parseAddress(getHeader(headers, 'from')),
+            to: getHeader(headers, 'to'),
+            replyTo: parseAddress(getHeader(headers, 'reply-to')),
+            returnPath: parseAddress(getHeader(headers, 'return-path')),
+            auth: readAuthResults(headers),
+        };
+
+        const out = { links: [], images: [], pdfs: [], attachments: [] };
+        walk(root, out);
+
+        const links = new Map();
+        out.links.forEach(link => {
+            const known = links.get(link.url);
+            if (!known) links.set(link.url, link);
+            else if (!known.text && link.text) links.set(link.url, link);
+        });
+
+        return {
+            message,
+            links: [...links.values()],
+            images: out.images,
+            pdfs: out.pdfs,
+            attachments: out.attachments,
+            flags: findFlags(message, out.links, out.attachments),
+        };
+    }
+
+    /**
+     * Keep a message for the next page opened in this tab.
+     * @param {{name: string, raw: string}} email - File name and binary string
+     * @throws {Error} QuotaExceededError for large messages
+     */
+    function stash(email) {
+        const error = new Error('Message too large to stash');
+        error.name = 'QuotaExceededError';
+        if (email.raw.length > MAX_STASH_BYTES) throw error;
+        try {
+            sessionStorage.setItem(STASH_KEY, JSON.stringify({ name: email.name, raw: email.raw }));
+        } catch (e) {
+            throw error;
+        }
+    }
+
+    /**
+     * Take (and clear) a message stashed by another page.
+     * @returns {{name: string, raw: string}|null}
+     */
+    function takeStash() {
+        try {
+            const value = JSON.parse(sessionStorage.getItem(STASH_KEY) || 'null');
+            sessionStorage.removeItem(STASH_KEY);
+            return typeof value?.raw === 'string' ? { name: String(value.name || 'message.eml'), raw: value.raw } : null;
+        } catch (e) {
+            console.warn('[Email] Ignoring unreadable hand-off:', e);
+            return null;
+        }
+    }
+
+    // Expose public API
+    window.MehrGuardEmailScan = {
+        SEVERITY,
+        isEml,
+        read,
+        parse,
+        stash,
+        takeStash,
+    };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = window.MehrGuardEmailScan;
+    }
+
+})();
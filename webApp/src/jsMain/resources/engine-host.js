@@ -0,0 +1,348 @@
+/**
+ * Mehr Guard Engine Host
+ *
+ * Runs the Kotlin/JS engine in a dedicated Web Worker so analysis never
+ * blocks the camera preview, the visualizer or a batch run. The worker is
+ * the same `webApp.js` bundle; its `main()` detects the worker scope and
+ * only serves analysis requests (see EngineHost.kt).
+ *
+ * `window.mehrguardAnalyzeAsync(url, {timeout, signal})` resolves to
+ * `{url, score, verdict, flags, brand, reasons, heuristicScore, ml, intel,
+ * unicode, versions, durationMs}`.
+ *
+ * Shared threat-intel domains (`setSharedIntel`) are sent to every worker
+ * as soon as it is ready, including workers started after a restart.
+ *
+ * Requests run one at a time. Cancelling or timing out the running request
+ * terminates the worker (synchronous engine code cannot be interrupted any
+ * other way) and a fresh one is started for the rest of the queue. Where
+ * workers are unavailable (file://, old browsers, startup failure) the
+ * same analysis runs on the main thread via `mehrguardAnalyzeDetailed`.
+ *
+ * @author Mehr Guard Team
+ * @version 2.4.1
+ */
+
+(function () {
+    'use strict';
+
+    // ==========================================================================
+    // CONFIGURATION
+    // ==========================================================================
+
+    const DEFAULT_TIMEOUT = 10000; // Per request, measured from dispatch
+    const STARTUP_TIMEOUT = 15000; // Worker must report ready within this
+
+    const MODE = {
+        IDLE: 'idle',
+        STARTING: 'starting',
+        WORKER: 'worker',
+        MAIN_THREAD: 'main_thread',
+    };
+
+    // ==========================================================================
+    // STATE
+    // ==========================================================================
+
+    let worker = null;
+    let mode = MODE.IDLE;
+    let startupTimer = null;
+    let nextId = 1;
+    let current = null; // Request being analysed
+    let sharedIntel = null; // Domains for the worker's threat-intel set
+    const queue = [];
+
+    const stats = {
+        completed: 0,
+        failed: 0,
+        cancelled: 0,
+        timedOut: 0,
+        restarts: 0,
+        lastDurationMs: null,
+    };
+
+    // ==========================================================================
+    // ERRORS
+    // ==========================================================================
+
+    function createError(name, message) {
+        if (typeof DOMException === 'function') {
+            return new DOMException(message, name);
+        }
+        const error = new Error(message);
+        error.name = name;
+        return error;
+    }
+
+    // ==========================================================================
+    // WORKER LIFECYCLE
+    // ==========================================================================
+
+    function getBundleUrl() {
+        const script = document.querySelector('script[src$="webApp.js"]');
+        return script ? script.src : 'webApp.js';
+    }
+
+    function startWorker() {
+        if (typeof Worker !== 'function' || location.protocol === 'file:') {
+            useMainThread('Web Workers unavailable');
+            return;
+        }
+
+        mode = MODE.STARTING;
+        try {
+            worker = new Worker(getBundleUrl());
+        } catch (e) {
+            useMainThread(e.message);
+            return;
+        }
+
+        worker.onmessage = handleWorkerMessage;
+        worker.onerror = (event) => {
+            event.preventDefault?.();
+            if (mode === MODE.STARTING) {
+                useMainThread(event.message || 'Worker failed to start');
+            } else if (current) {
+                failCurrent(createError('OperationError', event.message || 'Engine worker crashed'), true);
+            } else {
+                restartWorker();
+            }
+        };
+
+        startupTimer = setTimeout(() => {
+            if (mode === MODE.STARTING) useMainThread('Worker startup timed out');
+        }, STARTUP_TIMEOUT);
+    }
+
+    function stopWorker() {
+        clearTimeout(startupTimer);
+        worker?.terminate();
+        worker = null;
+    }
+
+    function restartWorker() {
+        stopWorker();
+        stats.restarts++;
+        startWorker();
+    }
+
+    /**
+     * Give up on the worker and analyse on the main thread from now on.
+     * Any request that was dispatched to the worker is retried there.
+     */
+    function useMainThread(reason) {
+        console.warn('[EngineHost] Falling back to main thread:', reason);
+        stopWorker();
+        mode = MODE.MAIN_THREAD;
+        if (current) {
+            queue.unshift(current);
+            clearTimeout(current.timer);
+            current = null;
+        }
+        pump();
+    }
+
+    function handleWorkerMessage(event) {
+        const message = event.data || {};
+
+        if (message.type === 'ready') {
+            clearTimeout(startupTimer);
+            mode = MODE.WORKER;
+            console.log('[EngineHost] Worker ready, engine', message.engineVersion);
+            if (sharedIntel) {
+                worker.postMessage({ type: 'intel', domains: sharedIntel });
+            }
+            pump();
+            return;
+        }
+
+        if (message.type === 'init_error') {
+            useMainThread(message.error);
+            return;
+        }
+
+        if (!current || message.id !== current.id) return;
+
+        if (message.type === 'result') {
+            finishCurrent(message.result);
+        } else {
+            failCurrent(new Error(message.error || 'Analysis failed'));
+        }
+    }
+
+    // ==========================================================================
+    // QUEUE
+    // ==========================================================================
+
+    function pump() {
+        if (current || queue.length === 0) return;
+
+        if (mode === MODE.IDLE) {
+            startWorker();
+        }
+        if (mode !== MODE.WORKER && mode !== MODE.MAIN_THREAD) return;
+
+        current = queue.shift();
+        current.startedAt = performance.now();
+
+        if (mode === MODE.WORKER) {
+            current.timer = setTimeout(() => {
+                stats.timedOut++;
+                failCurrent(createError('TimeoutError', `Analysis timed out after ${current.timeout} ms`), true);
+            }, current.timeout);
+            worker.postMessage({ type: 'analyze', id: current.id, url: current.url });
+        } else {
+            runOnMainThread(current);
+        }
+    }
+
+    function runOnMainThread(request) {
+        // Yield first so a burst of requests does not freeze the page in one go
+        setTimeout(() => {
+            if (current !== request) return;
+            if (typeof window.mehrguardAnalyzeDetailed !== 'function') {
+                failCurrent(new Error('Engine not loaded'));
+                return;
+            }
+            const result = window.mehrguardAnalyzeDetailed(request.url);
+            if (!result || result.error) {
+                failCurrent(new Error(result?.error || 'Analysis failed'));
+            } else {
+                // Same shape as a structured clone from the worker
+                finishCurrent(JSON.parse(JSON.stringify(result)));
+            }
+        }, 0);
+    }
+
+    function settle(request) {
+        clearTimeout(request.timer);
+        request.signal?.removeEventListener('abort', request.onAbort);
+        if (current === request) current = null;
+    }
+
+    function finishCurrent(result) {
+        const request = current;
+        stats.completed++;
+        stats.lastDurationMs = Math.round(performance.now() - request.startedAt);
+        settle(request);
+        result.durationMs = stats.lastDurationMs;
+        request.resolve(result);
+        pump();
+    }
+
+    /**
+     * @param {Error} error - Rejection for the running request
+     * @param {boolean} [restart=false] - Replace the worker before the next request
+     */
+    function failCurrent(error, restart = false) {
+        const request = current;
+        if (!request) return;
+        stats.failed++;
+        settle(request);
+        if (restart && mode !== MODE.MAIN_THREAD) restartWorker();
+        request.reject(error);
+        pump();
+    }
+
+    function cancel(request, error) {
+        stats.cancelled++;
+        if (request === current) {
+            settle(request);
+            // The worker is busy with this request; replace it
+            if (mode === MODE.WORKER) restartWorker();
+        } else {
+            const index = queue.indexOf(request);
+            if (index !== -1) queue.splice(index, 1);
+            settle(request);
+        }
+        request.reject(error);
+        pump();
+    }
+
+    // ==========================================================================
+    // PUBLIC API
+    // ==========================================================================
+
+    /**
+     * Analyze a URL off the main thread.
+     * @param {string} url - URL to analyze
+     * @param {Object} [options]
+     * @param {number} [options.timeout=10000] - Milliseconds allowed once analysis starts
+     * @param {AbortSignal} [options.signal] - Cancels the request (queued or running)
+     * @returns {Promise<{url: string, score: number, verdict: string, flags: string[], brand: string|null,
+     *          reasons: Array<{code: string, severity: string, description: string}>,
+     *          heuristicScore: number, ml: Object, intel: Object, unicode: Object|null,
+     *          versions: Object, durationMs: number}>}
+     *          Rejects with AbortError, TimeoutError or an engine Error
+     */
+    function analyze(url, options = {}) {
+        const signal = options.signal;
+        if (signal?.aborted) {
+            return Promise.reject(createError('AbortError', 'Analysis cancelled'));
+        }
+
+        return new Promise((resolve, reject) => {
+            const request = {
+                id: nextId++,
+                url,
+                timeout: options.timeout || DEFAULT_TIMEOUT,
+                signal,
+                resolve,
+                reject,
+                timer: null,
+                startedAt: 0,
+            };
+            request.onAbort = () => cancel(request, createError('AbortError', 'Analysis cancelled'));
+            signal?.addEventListener('abort', request.onAbort, { once: true });
+
+            queue.push(request);
+            pump();
+        });
+    }
+
+    /**
+     * Reject every queued and running request.
+     */
+    function cancelAll() {
+        [...queue, ...(current ? [current] : [])].forEach(request =>
+            cancel(request, createError('AbortError', 'Analysis cancelled')));
+    }
+
+    /**
+     * Start the worker ahead of the first request so it is ready when needed.
+     */
+    function warmUp() {
+        if (mode === MODE.IDLE) startWorker();
+    }
+
+    /**
+     * Merge shared threat-intel domains into the worker's bundled deny list.
+     * The main-thread engine is updated separately via `mehrguardSetSharedIntel`.
+     * @param {string[]} domains - Replaces any list sent before
+     */
+    function setSharedIntel(domains) {
+        sharedIntel = domains.slice();
+        if (mode === MODE.WORKER) {
+            worker.postMessage({ type: 'intel', domains: sharedIntel });
+        }
+    }
+
+    function getStatus() {
+        return { mode, queued: queue.length, busy: !!current, ...stats };
+    }
+
+    // Expose public API
+    window.MehrGuardEngineHost = {
+        analyze,
+        cancelAll,
+        warmUp,
+        setSharedIntel,
+        getStatus,
+    };
+    window.mehrguardAnalyzeAsync = analyze;
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = window.MehrGuardEngineHost;
+    }
+
+})();
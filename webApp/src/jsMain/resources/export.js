@@ -2,7 +2,8 @@
  * Mehr Guard Report Export Page Controller
  * 
  * Handles format selection, report generation,
- * export actions, and live preview updates.
+ * export actions, and live preview updates, plus the
+ * multi-scan security review report.
  * 
  * @author Mehr Guard Team
  * @version 2.4.1
@@ -16,6 +17,8 @@ const ExportConfig = {
     version: '2.4.1',
     defaultFormat: 'pdf',
     reportDataKey: 'mehrguard_last_analysis',
+    pageSizeKey: 'mehrguard_report_page_size',
+    reviewDefaultDays: 7,
 };
 
 // =============================================================================
@@ -24,7 +27,9 @@ const ExportConfig = {
 
 const ExportState = {
     selectedFormat: 'pdf',
+    pageSize: 'A4',
     reportData: null,
+    reviewRequest: 0, // Ignores summaries that finish after a newer filter change
     isSidebarOpen: false,
 };
 
@@ -53,6 +58,7 @@ const elements = {
 
     // Format selection
     formatRadios: null,
+    pageSizeSelect: null,
 
     // Actions
     exportBtn: null,
@@ -69,6 +75,15 @@ const elements = {
     analysisSummary: null,
     jsonPreview: null,
 
+    // Review report
+    reviewFrom: null,
+    reviewTo: null,
+    reviewVerdict: null,
+    reviewReason: null,
+    reviewFormat: null,
+    reviewSummary: null,
+    reviewExportBtn: null,
+
     // Toast
     toast: null,
     toastMessage: null,
@@ -78,14 +93,14 @@ const elements = {
 // INITIALIZATION
 // =============================================================================
 
-document.addEventListener('DOMContentLoaded', () => {
+document.addEventListener('DOMContentLoaded', async () => {
     console.log('[Mehr Guard Export] Initializing v' + ExportConfig.version);
 
     // Cache DOM elements
     cacheElements();
 
-    // Load last analysis data
-    loadReportData();
+    // Load the scan to report on (history is read from IndexedDB)
+    await loadReportData();
 
     // Setup event listeners
     setupEventListeners();
@@ -93,6 +108,9 @@ document.addEventListener('DOMContentLoaded', () => {
     // Update preview with data
     updatePreview();
 
+    // Review report filters and counts
+    await setupReviewReport();
+
     window.mehrguardApplyTranslations?.(document.body);
 
     console.log('[Mehr Guard Export] Ready');
@@ -105,6 +123,7 @@ function cacheElements() {
     elements.sidebar = document.getElementById('sidebar');
     elements.menuToggle = document.getElementById('menuToggle');
     elements.formatRadios = document.querySelectorAll('input[name="format"]');
+    elements.pageSizeSelect = document.getElementById('pageSizeSelect');
     elements.exportBtn = document.getElementById('exportBtn');
     elements.copyBtn = document.getElementById('copyBtn');
     elements.shareBtn = document.getElementById('shareBtn');
@@ -116,6 +135,13 @@ function cacheElements() {
     elements.targetUrl = document.getElementById('targetUrl');
     elements.analysisSummary = document.getElementById('analysisSummary');
     elements.jsonPreview = document.getElementById('jsonPreview');
+    elements.reviewFrom = document.getElementById('reviewFrom');
+    elements.reviewTo = document.getElementById('reviewTo');
+    elements.reviewVerdict = document.getElementById('reviewVerdict');
+    elements.reviewReason = document.getElementById('reviewReason');
+    elements.reviewFormat = document.getElementById('reviewFormat');
+    elements.reviewSummary = document.getElementById('reviewSummary');
+    elements.reviewExportBtn = document.getElementById('reviewExportBtn');
     elements.toast = document.getElementById('toast');
     elements.toastMessage = document.getElementById('toastMessage');
 }
@@ -132,6 +158,16 @@ function setupEventListeners() {
         radio.addEventListener('change', handleFormatChange);
     });
 
+    // Paper size (PDF only), remembered between visits
+    ExportState.pageSize = localStorage.getItem(ExportConfig.pageSizeKey) || getDefaultPageSize();
+    if (elements.pageSizeSelect) {
+        elements.pageSizeSelect.value = ExportState.pageSize;
+        elements.pageSizeSelect.addEventListener('change', (e) => {
+            ExportState.pageSize = e.target.value;
+            localStorage.setItem(ExportConfig.pageSizeKey, ExportState.pageSize);
+        });
+    }
+
     // Export button
     elements.exportBtn?.addEventListener('click', exportReport);
 
@@ -141,6 +177,12 @@ function setupEventListeners() {
     // Share button
     elements.shareBtn?.addEventListener('click', shareReport);
 
+    // Review report
+    [elements.reviewFrom, elements.reviewTo, elements.reviewVerdict, elements.reviewReason].forEach(input => {
+        input?.addEventListener('change', updateReviewSummary);
+    });
+    elements.reviewExportBtn?.addEventListener('click', exportReviewReport);
+
     // Keyboard shortcuts
     setupKeyboardShortcuts();
 
@@ -159,16 +201,24 @@ function setupEventListeners() {
 // =============================================================================
 
 /**
- * Load report data from localStorage or URL params
+ * Load report data: a scan named by ?scanId=, URL params, the last
+ * analysis, or the most recent scan in history
+ * @returns {Promise<void>}
  */
-function loadReportData() {
-    // Try to get from URL params first
+async function loadReportData() {
     const params = new URLSearchParams(window.location.search);
+    const scanIdParam = params.get('scanId');
     const urlParam = params.get('url');
     const verdictParam = params.get('verdict');
     const scoreParam = params.get('score');
 
-    if (urlParam) {
+    await window.MehrGuardUI?.whenHistoryReady?.();
+
+    const scan = scanIdParam ? await window.MehrGuardUI?.loadScanById?.(scanIdParam) : null;
+
+    if (scan) {
+        ExportState.reportData = window.MehrGuardReport.fromScan(scan);
+    } else if (urlParam) {
         ExportState.reportData = {
             url: decodeURIComponent(urlParam),
             verdict: verdictParam || 'UNKNOWN',
@@ -185,6 +235,11 @@ function loadReportData() {
         } catch (e) {
             console.error('[Export] Failed to load report data:', e);
         }
+
+        const recent = window.MehrGuardUI?.getScanHistory?.()[0];
+        if (!ExportState.reportData && recent) {
+            ExportState.reportData = window.MehrGuardReport.fromScan(recent);
+        }
     }
 
     // If still no data, use EMPTY STATE (not fake demo)
@@ -203,10 +258,6 @@ function getEmptyStateData() {
         score: 0,
         verdict: 'UNKNOWN',
         timestamp: Date.now(),
-        threatType: '',
-        sslIssuer: '',
-        redirects: 0,
-        heuristics: [],
         summary: '',
         isEmpty: true,
     };
@@ -229,14 +280,29 @@ function handleFormatChange(event) {
  * Update filename in preview based on selected format
  */
 function updateFilename() {
-    const scanId = Math.floor(Math.random() * 10000);
-    const ext = ExportState.selectedFormat === 'pdf' ? 'pdf' : 'json';
-
     if (elements.previewFilename) {
-        elements.previewFilename.textContent = `scan_result_id_${scanId}.${ext}`;
+        elements.previewFilename.textContent = getReportFilename(ExportState.selectedFormat);
     }
 }
 
+/**
+ * Download name for the current report; stable for the same scan
+ */
+function getReportFilename(format) {
+    const data = ExportState.reportData || {};
+    const id = data.scanId || data.timestamp || Date.now();
+    const extensions = { pdf: 'pdf', json: 'json', stix: 'stix.json', misp: 'misp.json' };
+    return `mehrguard_report_${id}.${extensions[format] || 'json'}`;
+}
+
+/**
+ * US Letter for North American locales, A4 everywhere else
+ */
+function getDefaultPageSize() {
+    const language = navigator.language || 'en-US';
+    return /-(US|CA|MX|PH)$/i.test(language) ? 'LETTER' : 'A4';
+}
+
 // =============================================================================
 // PREVIEW UPDATES
 // =============================================================================
@@ -299,17 +365,27 @@ function updatePreview() {
 }
 
 /**
- * Update JSON preview section
+ * Update JSON preview section with the indicators the JSON report will carry
  */
 function updateJsonPreview(data) {
-    if (!elements.jsonPreview) return;
-
-    const jsonData = {
-        threat_type: translateText(data.threatType || 'Phishing'),
-        ssl_issuer: data.sslIssuer || "Let's Encrypt (R3)",
-        redirects: data.redirects || 2,
-        heuristics: data.heuristics || ['suspicious_tld', 'subdomain_chaining'],
-    };
+    if (!elements.jsonPreview || !window.MehrGuardReport) return;
+
+    const report = window.MehrGuardReport.build(data);
+    const jsonData = report.payload
+        ? {
+            payload_type: report.payload.type,
+            signals: report.payload.signals.map(signal => signal.name),
+            engine_version: report.engine.version,
+            unknown: report.unknown,
+        }
+        : {
+            reason_codes: report.analysis?.reasons?.map(reason => reason.code) ?? null,
+            ml: report.analysis?.ml ?? null,
+            threat_intel: report.analysis?.threat_intel ?? null,
+            unicode_risk: report.analysis?.unicode?.has_risk ?? null,
+            engine_version: report.engine.version,
+            unknown: report.unknown,
+        };
 
     elements.jsonPreview.innerHTML = formatJsonWithColors(jsonData);
 }
@@ -318,12 +394,13 @@ function updateJsonPreview(data) {
  * Format JSON with syntax highlighting
  */
 function formatJsonWithColors(obj) {
-    const json = JSON.stringify(obj, null, 2);
+    const json = escapeHtml(JSON.stringify(obj, null, 2));
 
     return json
         .replace(/"([^"]+)":/g, '<span class="json-key">"$1"</span>:')
-        .replace(/: "([^"]+)"/g, ': <span class="json-string">"$1"</span>')
-        .replace(/: (\d+)/g, ': <span class="json-number">$1</span>');
+        .replace(/: "([^"]*)"/g, ': <span class="json-string">"$1"</span>')
+        .replace(/^(\s*)"([^"]*)"(,?)$/gm, '$1<span class="json-string">"$2"</span>$3')
+        .replace(/: (-?\d+(?:\.\d+)?(?:e[+-]?\d+)?)/gi, ': <span class="json-number">$1</span>');
 }
 
 // =============================================================================
@@ -343,6 +420,10 @@ function exportReport() {
     setTimeout(() => {
         if (format === 'pdf') {
             exportAsPDF(data);
+        } else if (format === 'stix') {
+            exportAsSTIX(data);
+        } else if (format === 'misp') {
+            exportAsMISP(data);
         } else {
             exportAsJSON(data);
         }
@@ -350,123 +431,819 @@ function exportReport() {
 }
 
 /**
- * Export as PDF (generates HTML and triggers print)
+ * Export as PDF, generated offline by pdf-writer.js, signed and downloaded
+ * directly
  */
-function exportAsPDF(data) {
-    // Create a printable version
-    const printWindow = window.open('', '_blank');
-    const date = new Date();
-    const verdictMap = {
-        SAFE: translateText('Safe'),
-        SUSPICIOUS: translateText('Suspicious'),
-        MALICIOUS: translateText('High Risk'),
-    };
-    const verdictLabel = verdictMap[data.verdict] || translateText(data.verdict);
-    const riskScoreLabel = translateText('Risk Score');
-    const generatedOn = formatText('Generated on {date} • {time} UTC', {
-        date: formatDate(date),
-        time: formatTime(date)
-    });
-    const reportTitle = translateText('Mehr Guard Threat Analysis Report');
-    const targetUrlLabel = translateText('Target URL');
-    const technicalIndicatorsLabel = translateText('Technical Indicators');
-    const verifiedBy = formatText('Verified by Mehr Guard Enterprise v{version}', {
-        version: ExportConfig.version
-    });
-
-    const htmlContent = `
-<!DOCTYPE html>
-<html>
-<head>
-    <title>${translateText('Mehr Guard Threat Report')}</title>
-    <style>
-        body { font-family: 'Inter', sans-serif; padding: 40px; max-width: 800px; margin: 0 auto; }
-        h1 { color: #111; margin-bottom: 10px; }
-        .meta { color: #666; font-size: 14px; margin-bottom: 30px; }
-        .verdict { padding: 20px; background: ${data.verdict === 'SAFE' ? '#d1fae5' : '#fee2e2'}; border-radius: 8px; margin-bottom: 20px; }
-        .verdict h2 { color: ${data.verdict === 'SAFE' ? '#059669' : '#dc2626'}; margin: 0; }
-        .section { margin-bottom: 20px; }
-        .label { font-size: 12px; font-weight: 600; color: #666; text-transform: uppercase; letter-spacing: 0.05em; margin-bottom: 8px; }
-        .url { padding: 12px; background: #f3f4f6; border-radius: 4px; font-family: monospace; word-break: break-all; }
-        .json { padding: 16px; background: #1f2937; color: #10b981; border-radius: 8px; font-family: monospace; font-size: 12px; white-space: pre; }
-        .footer { margin-top: 40px; padding-top: 20px; border-top: 1px solid #e5e7eb; text-align: center; color: #9ca3af; font-size: 12px; }
-    </style>
-</head>
-<body>
-    <h1>${reportTitle}</h1>
-    <p class="meta">${generatedOn}</p>
-    
-    <div class="verdict">
-        <h2>${verdictLabel} - ${riskScoreLabel}: ${data.score}/100</h2>
-    </div>
-    
-    <div class="section">
-        <div class="label">${targetUrlLabel}</div>
-        <div class="url">${escapeHtml(data.url)}</div>
-    </div>
-    
-    <div class="section">
-        <div class="label">${technicalIndicatorsLabel}</div>
-        <div class="json">${JSON.stringify({
-        threat_type: data.threatType || 'Phishing',
-        ssl_issuer: data.sslIssuer || "Let's Encrypt (R3)",
-        redirects: data.redirects || 2,
-        heuristics: data.heuristics || ['suspicious_tld', 'subdomain_chaining'],
-    }, null, 2)}</div>
-    </div>
-    
-    <div class="footer">
-        ${verifiedBy}
-    </div>
-</body>
-</html>
-    `;
+async function exportAsPDF(data) {
+    if (!window.MehrGuardPdf) {
+        showToast('PDF export unavailable', 'error');
+        return;
+    }
 
-    printWindow.document.write(htmlContent);
-    printWindow.document.close();
-    printWindow.focus();
+    // Scans from before snapshots were stored: analyse once now
+    const reportData = data.analysis || data.payload || !data.url
+        ? data
+        : { ...data, analysis: captureEngineSnapshot(data.url) };
 
-    setTimeout(() => {
-        printWindow.print();
-        showToast('PDF report ready for download', 'success');
-    }, 500);
+    const identity = await getSigningIdentity();
+    try {
+        const bytes = buildPdfReport(reportData, ExportState.pageSize, { keyFingerprint: identity?.fingerprint });
+        const { content, signed } = await signExport(bytes, 'pdf', identity);
+        downloadFile(new Blob([content], { type: 'application/pdf' }), getReportFilename('pdf'));
+        showSignedToast('PDF report downloaded', signed);
+    } catch (e) {
+        console.error('[Export] PDF generation failed:', e);
+        showToast('Failed to generate PDF report', 'error');
+    }
 }
 
 /**
- * Export as JSON file
+ * Run the engine for a URL that has no stored analysis
+ * @returns {Object|null} Analysis snapshot
  */
-function exportAsJSON(data) {
-    const jsonData = {
-        version: ExportConfig.version,
-        generated_at: new Date().toISOString(),
-        scan_result: {
-            url: data.url,
-            verdict: data.verdict,
-            risk_score: data.score,
-            threat_type: data.threatType || 'Phishing',
-            ssl_issuer: data.sslIssuer || "Let's Encrypt (R3)",
-            redirect_count: data.redirects || 2,
-            heuristics: data.heuristics || ['suspicious_tld', 'subdomain_chaining'],
-        },
-        metadata: {
-            engine_version: '2.4.1',
-            analysis_mode: 'offline',
-            platform: navigator.platform,
-        },
-    };
+function captureEngineSnapshot(url) {
+    if (typeof window.mehrguardAnalyzeDetailed !== 'function') return null;
+    try {
+        const startedAt = performance.now();
+        const result = window.mehrguardAnalyzeDetailed(url);
+        if (result && !result.error) {
+            result.durationMs = Math.round(performance.now() - startedAt);
+        }
+        return window.MehrGuardUI?.createAnalysisSnapshot(result) || null;
+    } catch (e) {
+        console.warn('[Export] Engine analysis error:', e);
+        return null;
+    }
+}
 
-    const blob = new Blob([JSON.stringify(jsonData, null, 2)], { type: 'application/json' });
+function downloadFile(blob, filename) {
     const url = URL.createObjectURL(blob);
-
     const a = document.createElement('a');
     a.href = url;
-    a.download = `mehrguard_report_${Date.now()}.json`;
+    a.download = filename;
     document.body.appendChild(a);
     a.click();
     document.body.removeChild(a);
     URL.revokeObjectURL(url);
+}
+
+// =============================================================================
+// SIGNING
+// =============================================================================
 
-    showToast('JSON report downloaded', 'success');
+/**
+ * This install's signing identity, or null when reports cannot be signed
+ * here (no WebCrypto or IndexedDB). Reports are then exported unsigned.
+ */
+async function getSigningIdentity() {
+    if (!window.MehrGuardSigning) return null;
+    try {
+        return await window.MehrGuardSigning.getIdentity();
+    } catch (e) {
+        console.warn('[Export] Report signing unavailable:', e);
+        return null;
+    }
+}
+
+/**
+ * Sign an export with signing.js: a JSON report object, or PDF/HTML content
+ * @param {Object|Uint8Array|string} content
+ * @param {string} type - json, pdf or html
+ * @param {Object|null} identity - From getSigningIdentity()
+ * @returns {Promise<{content: Object|Uint8Array|string, signed: boolean}>}
+ */
+async function signExport(content, type, identity) {
+    if (!identity) return { content, signed: false };
+    try {
+        const signing = window.MehrGuardSigning;
+        const signed = type === 'json'
+            ? await signing.signReport(content)
+            : await signing.signDocument(content, type);
+        return { content: signed, signed: true };
+    } catch (e) {
+        console.error('[Export] Signing failed:', e);
+        return { content, signed: false };
+    }
+}
+
+function showSignedToast(message, signed) {
+    if (signed) {
+        showToast(message, 'success');
+    } else {
+        showToast(formatText('{message} without a signature', { message: translateText(message) }), 'warning');
+    }
+}
+
+// =============================================================================
+// PDF REPORT
+// =============================================================================
+
+// The PDF uses the standard PDF fonts, which only cover Latin-1, so report
+// text stays in English and hosts are shown in their ASCII (punycode) form.
+const PdfReport = {
+    margin: 48,
+    footerHeight: 28,
+    labelWidth: 128,
+    thumbnailSize: 104,
+    colors: {
+        text: [17, 24, 39],
+        muted: [107, 114, 128],
+        border: [229, 231, 235],
+        barTrack: [243, 244, 246],
+        bar: [25, 93, 230],
+    },
+    verdicts: {
+        SAFE: { label: 'Safe', fill: [209, 250, 229], accent: [5, 150, 105],
+            description: 'No significant threat indicators were found.' },
+        SUSPICIOUS: { label: 'Suspicious', fill: [254, 243, 199], accent: [180, 83, 9],
+            description: 'Some indicators suggest caution before opening this content.' },
+        MALICIOUS: { label: 'High Risk', fill: [254, 226, 226], accent: [220, 38, 38],
+            description: 'Strong indicators of phishing or malicious content.' },
+        UNKNOWN: { label: 'Unknown', fill: [241, 245, 249], accent: [71, 85, 105],
+            description: 'No verdict was recorded. Treat this content as untrusted.' },
+    },
+    severities: {
+        CRITICAL: [220, 38, 38],
+        HIGH: [220, 38, 38],
+        MEDIUM: [180, 83, 9],
+        LOW: [71, 85, 105],
+        INFO: [25, 93, 230],
+    },
+};
+
+/**
+ * Lay out the threat report as a PDF.
+ * Depends only on the report data and page size, so the same scan always
+ * produces the same file.
+ * @param {Object} data - Report data (see MehrGuardReport.fromScan)
+ * @param {string} [pageSize='A4'] - A4 or LETTER
+ * @param {Object} [options]
+ * @param {string} [options.keyFingerprint] - Signing key, printed at the end
+ * @returns {Uint8Array} PDF bytes
+ */
+function buildPdfReport(data, pageSize = 'A4', options = {}) {
+    const doc = window.MehrGuardPdf.createDocument({
+        pageSize,
+        title: 'Mehr Guard Threat Analysis Report',
+        subject: toAsciiUrl(data.url),
+        creationDate: data.timestamp,
+    });
+
+    const layout = createPdfLayout(doc);
+    layout.newPage();
+    drawScanReport(layout, data, 'Mehr Guard Threat Analysis Report');
+    if (options.keyFingerprint) drawSignatureNote(layout, options.keyFingerprint);
+    drawPdfFooters(doc);
+
+    return doc.toBytes();
+}
+
+/**
+ * Page cursor and text helpers shared by the single-scan and review PDFs.
+ * `page` and `y` (baseline, from the top) move as content is added.
+ */
+function createPdfLayout(doc) {
+    const { margin, colors } = PdfReport;
+
+    const layout = {
+        doc,
+        width: doc.width - margin * 2,
+        bottom: doc.height - margin - PdfReport.footerHeight,
+        page: null,
+        y: margin,
+
+        newPage() {
+            layout.page = doc.addPage();
+            layout.y = margin;
+        },
+
+        ensureSpace(height) {
+            if (layout.y + height > layout.bottom) layout.newPage();
+        },
+
+        heading(text) {
+            layout.ensureSpace(48);
+            layout.y += 22;
+            layout.page.text(margin, layout.y, text.toUpperCase(), { font: 'bold', size: 9, color: colors.muted });
+            layout.y += 6;
+            layout.page.line(margin, layout.y, margin + layout.width, layout.y, { color: colors.border, lineWidth: 0.5 });
+            layout.y += 16;
+        },
+
+        paragraph(text, style = {}) {
+            const size = style.size || 10;
+            const font = style.font || 'regular';
+            const x = style.x ?? margin;
+            const lineHeight = size * 1.4;
+            doc.wrap(text, font, size, style.width || layout.width).forEach(line => {
+                layout.ensureSpace(lineHeight);
+                layout.page.text(x, layout.y, line, { font, size, color: style.color || colors.text });
+                layout.y += lineHeight;
+            });
+        },
+
+        row(label, value, style = {}) {
+            const { labelWidth } = PdfReport;
+            const rowWidth = style.width || layout.width;
+            layout.ensureSpace(14);
+            layout.page.text(margin, layout.y, label, { size: 9, color: colors.muted });
+            layout.paragraph(value, { ...style, x: margin + labelWidth, width: rowWidth - labelWidth, size: style.size || 10 });
+            layout.y += 4;
+        },
+
+        scoreBar(label, value) {
+            const { labelWidth } = PdfReport;
+            const barWidth = layout.width - labelWidth - 56;
+            layout.ensureSpace(18);
+            layout.page.text(margin, layout.y, label, { size: 9, color: colors.muted });
+            if (typeof value !== 'number' || Number.isNaN(value)) {
+                layout.page.text(margin + labelWidth, layout.y, 'Not available', { size: 10, color: colors.muted });
+            } else {
+                const ratio = Math.max(0, Math.min(1, value));
+                layout.page.rect(margin + labelWidth, layout.y - 7, barWidth, 7, { fill: colors.barTrack });
+                layout.page.rect(margin + labelWidth, layout.y - 7, barWidth * ratio, 7, { fill: colors.bar });
+                layout.page.text(margin + layout.width, layout.y, `${Math.round(ratio * 100)}%`, { font: 'bold', size: 10, align: 'right' });
+            }
+            layout.y += 18;
+        },
+    };
+
+    return layout;
+}
+
+/**
+ * Verdict banner, scanned content, findings and analysis details for one
+ * scan, from the current position of the layout
+ * @param {Object} layout - From createPdfLayout()
+ * @param {Object} data - Report data (see MehrGuardReport.fromScan)
+ * @param {string} title - Heading above the verdict banner
+ */
+function drawScanReport(layout, data, title) {
+    const { margin, colors } = PdfReport;
+    const { doc, width } = layout;
+    const analysis = data.analysis || null;
+    const verdict = PdfReport.verdicts[data.verdict] || PdfReport.verdicts.UNKNOWN;
+
+    // Title
+    layout.y += 18;
+    layout.page.text(margin, layout.y, title, { font: 'bold', size: 18, color: colors.text });
+    layout.y += 16;
+    const scanned = data.timestamp ? `Scanned ${formatUtcTimestamp(data.timestamp)}` : 'Scan time not recorded';
+    layout.page.text(margin, layout.y, data.scanId ? `${scanned}  |  Scan ID ${data.scanId}` : scanned, { size: 9, color: colors.muted });
+    layout.y += 18;
+
+    // Verdict banner
+    const bannerHeight = 60;
+    layout.page.rect(margin, layout.y, width, bannerHeight, { fill: verdict.fill });
+    layout.page.rect(margin, layout.y, 6, bannerHeight, { fill: verdict.accent });
+    layout.page.text(margin + 20, layout.y + 26, verdict.label.toUpperCase(), { font: 'bold', size: 16, color: verdict.accent });
+    layout.page.text(margin + 20, layout.y + 44, verdict.description, { size: 9, color: colors.text });
+    layout.page.text(margin + width - 16, layout.y + 30, `${Math.round(data.score || 0)}/100`,
+        { font: 'bold', size: 20, color: verdict.accent, align: 'right' });
+    layout.page.text(margin + width - 16, layout.y + 44, 'RISK SCORE', { size: 7, color: colors.muted, align: 'right' });
+    layout.y += bannerHeight;
+
+    // Scanned content, with the code thumbnail alongside
+    let thumbnail = null;
+    if (data.qrThumbnail) {
+        try {
+            thumbnail = doc.addJpeg(data.qrThumbnail);
+        } catch (e) {
+            console.warn('[Export] Skipping unreadable QR thumbnail:', e);
+        }
+    }
+    const thumbSize = PdfReport.thumbnailSize;
+    if (thumbnail) layout.ensureSpace(thumbSize + 48);
+    layout.heading('Scanned content');
+    const top = layout.y;
+    const thumbnailPage = layout.page;
+    const columnWidth = thumbnail ? width - thumbSize - 16 : width;
+
+    if (thumbnail) {
+        const scale = (thumbSize - 8) / Math.max(thumbnail.width, thumbnail.height);
+        const imageWidth = thumbnail.width * scale;
+        const imageHeight = thumbnail.height * scale;
+        const boxX = margin + width - thumbSize;
+        const boxY = top - 10;
+        layout.page.rect(boxX, boxY, thumbSize, thumbSize, { stroke: colors.border, lineWidth: 0.75 });
+        layout.page.image(thumbnail, boxX + (thumbSize - imageWidth) / 2, boxY + (thumbSize - imageHeight) / 2,
+            imageWidth, imageHeight);
+        layout.page.text(boxX + thumbSize / 2, boxY + thumbSize + 11, 'Scanned code', { size: 7, color: colors.muted, align: 'center' });
+    }
+
+    if (data.payload) {
+        layout.row('Content', data.url || '', { font: 'mono', size: 9, width: columnWidth });
+        layout.row('Content type', data.payload.displayName || data.payload.payloadType || 'Unknown', { width: columnWidth });
+    } else {
+        layout.row('URL', toAsciiUrl(data.url) || 'Not recorded', { font: 'mono', size: 9, width: columnWidth });
+        const unicode = analysis?.unicode;
+        const host = unicode?.safeDisplayHost || getAsciiHost(data.url);
+        if (host) {
+            layout.row('Host (safe display)', host, { font: 'mono', size: 9, width: columnWidth });
+        }
+        if (unicode && (unicode.isPunycode || unicode.hasMixedScript || unicode.hasConfusables || unicode.hasZeroWidth)) {
+            const issues = [
+                unicode.isPunycode && 'internationalised (punycode) domain',
+                unicode.hasMixedScript && 'mixed scripts',
+                unicode.hasConfusables && 'look-alike characters',
+                unicode.hasZeroWidth && 'zero-width characters',
+            ].filter(Boolean);
+            layout.row('Unicode', `Host contains ${issues.join(', ')}; shown in ASCII form above.`, { width: columnWidth });
+        }
+        if (analysis?.intel?.isKnownBad) {
+            layout.row('Threat intel', `Listed in offline threat intelligence (${analysis.intel.category || 'uncategorised'}, ` +
+                `${analysis.intel.confidence || 'unknown'} confidence)`, { width: columnWidth });
+        }
+    }
+    if (thumbnail && layout.page === thumbnailPage) {
+        layout.y = Math.max(layout.y, top + thumbSize + 8);
+    }
+
+    // Reason codes, or payload signals for non-URL content
+    if (data.payload) {
+        const signals = data.payload.signals || [];
+        layout.heading(`Payload signals (${signals.length})`);
+        if (signals.length === 0) {
+            layout.paragraph('No risk signals were found in this content.', { color: colors.muted });
+        }
+        signals.forEach(signal => {
+            layout.ensureSpace(30);
+            layout.page.text(margin, layout.y, signal.name, { font: 'bold', size: 9, color: colors.text });
+            layout.page.text(margin + width, layout.y, `+${signal.riskPoints || 0}`, { font: 'bold', size: 8, color: colors.muted, align: 'right' });
+            layout.y += 13;
+            layout.paragraph(signal.description || '', { size: 9, color: colors.muted });
+            layout.y += 6;
+        });
+    } else {
+        const reasons = analysis?.reasons || [];
+        layout.heading(`Reason codes (${reasons.length})`);
+        if (!analysis) {
+            layout.paragraph('No engine analysis was stored with this scan.', { color: colors.muted });
+        } else if (reasons.length === 0) {
+            layout.paragraph('The engine reported no reason codes for this URL.', { color: colors.muted });
+        }
+        reasons.forEach(reason => {
+            layout.ensureSpace(30);
+            layout.page.text(margin, layout.y, reason.code, { font: 'mono', size: 9, color: colors.text });
+            layout.page.text(margin + width, layout.y, reason.severity || '', {
+                font: 'bold',
+                size: 8,
+                color: PdfReport.severities[reason.severity] || colors.muted,
+                align: 'right',
+            });
+            layout.y += 13;
+            layout.paragraph(reason.description || '', { size: 9, color: colors.muted });
+            layout.y += 6;
+        });
+
+        // ML sub-scores
+        layout.heading('Machine learning scores');
+        const ml = analysis?.ml;
+        if (!ml) {
+            layout.paragraph('No ML scores were recorded for this scan.', { color: colors.muted });
+        } else {
+            layout.scoreBar('Ensemble score', ml.ensembleScore);
+            layout.scoreBar('Character model', ml.charScore);
+            layout.scoreBar('Feature model', ml.featureScore);
+            layout.scoreBar('Confidence', ml.confidence);
+            layout.row('Character risk', ml.charRiskLevel || 'Unknown');
+        }
+    }
+
+    // Engine and data versions
+    layout.heading('Analysis details');
+    layout.row('Engine', analysis?.engineVersion ? `Mehr Guard engine ${analysis.engineVersion}` : 'Not recorded');
+    if (analysis?.dataVersions) {
+        const versions = analysis.dataVersions;
+        layout.row('ML model', versions.mlModel || 'Not recorded');
+        layout.row('Threat intel', versions.threatIntel
+            ? `${versions.threatIntel}${versions.threatIntelEntries != null ? ` (${versions.threatIntelEntries} entries)` : ''}`
+            : 'Not recorded');
+    }
+    if (analysis?.heuristicScore != null) {
+        layout.row('Heuristic score', String(analysis.heuristicScore));
+    }
+    layout.row('Analysis time', typeof analysis?.durationMs === 'number' ? `${analysis.durationMs} ms` : 'Not recorded');
+    layout.row('Mode', 'Offline, on-device analysis');
+}
+
+/**
+ * Fingerprint of the key the file is signed with, for the reader to compare
+ * on the Verify Report page
+ */
+function drawSignatureNote(layout, fingerprint) {
+    layout.heading('Report Signature');
+    layout.paragraph('This file is digitally signed by the Mehr Guard install with the key below. ' +
+        'Open it on the Verify Report page in Mehr Guard to check that it has not been altered since it was generated.',
+    { size: 9, color: PdfReport.colors.muted });
+    layout.y += 6;
+    layout.row('Key fingerprint', fingerprint, { font: 'mono', size: 9 });
+}
+
+/**
+ * Footer with page numbers on every page, once the page count is known
+ */
+function drawPdfFooters(doc) {
+    const { margin, colors } = PdfReport;
+    const width = doc.width - margin * 2;
+    doc.pages.forEach((p, i) => {
+        const footerY = doc.height - margin + 8;
+        p.line(margin, footerY - 14, margin + width, footerY - 14, { color: colors.border, lineWidth: 0.5 });
+        p.text(margin, footerY, `Mehr Guard v${ExportConfig.version}`, { size: 8, color: colors.muted });
+        p.text(margin + width, footerY, `Page ${i + 1} of ${doc.pages.length}`, { size: 8, color: colors.muted, align: 'right' });
+    });
+}
+
+/**
+ * URL with the host in ASCII (punycode) form and non-ASCII path characters
+ * percent-encoded, as the URL parser produces
+ */
+function toAsciiUrl(url) {
+    if (!url) return '';
+    try {
+        return new URL(url).href;
+    } catch (e) {
+        return url;
+    }
+}
+
+function getAsciiHost(url) {
+    try {
+        return new URL(url).hostname;
+    } catch (e) {
+        return '';
+    }
+}
+
+function formatUtcTimestamp(timestamp) {
+    return new Date(timestamp).toISOString().replace('T', ' ').replace(/\.\d+Z$/, ' UTC');
+}
+
+/**
+ * Export as a JSON report (schemas/report-v1.schema.json).
+ * Only the stored analysis is used, and the signed report is validated
+ * against the shipped schema before it is downloaded.
+ */
+async function exportAsJSON(data) {
+    if (!window.MehrGuardReport) {
+        showToast('JSON export unavailable', 'error');
+        return;
+    }
+
+    const identity = await getSigningIdentity();
+    const { content: report, signed } = await signExport(window.MehrGuardReport.build(data), 'json', identity);
+
+    let validation;
+    try {
+        const schema = await window.MehrGuardReport.loadSchema();
+        validation = window.MehrGuardReport.validate(report, schema);
+    } catch (e) {
+        console.error('[Export] Could not load the report schema:', e);
+        showToast('Could not validate the report', 'error');
+        return;
+    }
+
+    if (!validation.valid) {
+        console.error('[Export] Report failed schema validation:', validation.errors);
+        showToast('Report failed schema validation', 'error');
+        return;
+    }
+
+    const blob = new Blob([JSON.stringify(report, null, 2)], { type: 'application/json' });
+    downloadFile(blob, getReportFilename('json'));
+
+    showSignedToast('JSON report downloaded', signed);
+}
+
+/**
+ * Export as a STIX 2.1 bundle (stix.js) for threat-intel platforms
+ */
+async function exportAsSTIX(data) {
+    if (!window.MehrGuardStix) {
+        showToast('STIX export unavailable', 'error');
+        return;
+    }
+
+    try {
+        const { bundle, skipped } = await window.MehrGuardStix.buildBundle([data]);
+        if (skipped > 0) {
+            showToast('STIX export needs a scanned URL', 'warning');
+            return;
+        }
+        const blob = new Blob([window.MehrGuardStix.stringify(bundle)], { type: 'application/stix+json;version=2.1' });
+        downloadFile(blob, getReportFilename('stix'));
+        showToast('STIX bundle downloaded', 'success');
+    } catch (e) {
+        console.error('[Export] STIX generation failed:', e);
+        showToast('Failed to generate STIX bundle', 'error');
+    }
+}
+
+/**
+ * Export as a MISP event (misp.js) for sharing with a MISP instance
+ */
+function exportAsMISP(data) {
+    if (!window.MehrGuardMisp) {
+        showToast('MISP export unavailable', 'error');
+        return;
+    }
+
+    try {
+        const { event } = window.MehrGuardMisp.buildEvent([data]);
+        if (!event) {
+            showToast('MISP export needs a scanned URL', 'warning');
+            return;
+        }
+        const blob = new Blob([JSON.stringify(event, null, 2) + '\n'], { type: 'application/json' });
+        downloadFile(blob, getReportFilename('misp'));
+        showToast('MISP event downloaded', 'success');
+    } catch (e) {
+        console.error('[Export] MISP generation failed:', e);
+        showToast('Failed to generate MISP event', 'error');
+    }
+}
+
+// =============================================================================
+// REVIEW REPORT
+// =============================================================================
+
+/**
+ * Default to the last week and list the reason codes seen in history
+ */
+async function setupReviewReport() {
+    if (!elements.reviewFrom || !elements.reviewTo) return;
+
+    const today = new Date().toISOString().slice(0, 10);
+    const weekAgo = new Date(Date.now() - (ExportConfig.reviewDefaultDays - 1) * 24 * 60 * 60 * 1000)
+        .toISOString().slice(0, 10);
+    elements.reviewFrom.value = weekAgo;
+    elements.reviewTo.value = today;
+
+    const store = window.MehrGuardHistoryStore;
+    if (elements.reviewReason && store) {
+        try {
+            const codes = await store.getDistinct(store.INDEXES.REASON);
+            elements.reviewReason.innerHTML = `<option value="">${translateText('All reason codes')}</option>` +
+                codes.map(code => `<option value="${escapeHtml(code)}">${escapeHtml(code)}</option>`).join('');
+        } catch (e) {
+            console.error('[Export] Failed to list reason codes:', e);
+        }
+    }
+
+    await updateReviewSummary();
+}
+
+/**
+ * Review filter from the form. Dates are whole UTC days, matching the
+ * report's trend buckets.
+ * @returns {{from: number|null, to: number|null, verdict: string, reasonCode: string}}
+ */
+function getReviewFilter() {
+    const day = (value, time) => {
+        const timestamp = value ? Date.parse(`${value}T${time}Z`) : NaN;
+        return Number.isNaN(timestamp) ? null : timestamp;
+    };
+    return {
+        from: day(elements.reviewFrom?.value, '00:00:00.000'),
+        to: day(elements.reviewTo?.value, '23:59:59.999'),
+        verdict: elements.reviewVerdict?.value || '',
+        reasonCode: elements.reviewReason?.value || '',
+    };
+}
+
+/**
+ * Select and summarise the scans for the current filter
+ * @returns {Promise<Object|null>} Review from MehrGuardReviewReport.build, or null
+ */
+async function loadReview() {
+    const filter = getReviewFilter();
+    if (filter.from != null && filter.to != null && filter.from > filter.to) {
+        throw new RangeError('The start date is after the end date');
+    }
+    const { scans, total } = await window.MehrGuardReviewReport.collect(filter);
+    return window.MehrGuardReviewReport.build(scans, { filter, total });
+}
+
+async function updateReviewSummary() {
+    if (!elements.reviewSummary || !window.MehrGuardReviewReport) return;
+
+    const request = ++ExportState.reviewRequest;
+    let review;
+    try {
+        review = await loadReview();
+    } catch (e) {
+        if (request !== ExportState.reviewRequest) return;
+        elements.reviewSummary.textContent = translateText(e instanceof RangeError
+            ? e.message
+            : 'Could not read scan history');
+        return;
+    }
+    if (request !== ExportState.reviewRequest) return;
+
+    const { summary } = review;
+    if (summary.scanCount === 0) {
+        elements.reviewSummary.textContent = translateText('No scans match these filters.');
+        return;
+    }
+
+    const { VERDICTS, VERDICT_LABELS } = window.MehrGuardReviewReport;
+    elements.reviewSummary.innerHTML = `
+        <div class="review-counts">
+            ${VERDICTS.map(verdict => `
+                <span class="review-count ${verdict.toLowerCase()}">
+                    <strong>${summary.verdicts[verdict]}</strong>
+                    ${escapeHtml(translateText(VERDICT_LABELS[verdict]))}
+                </span>
+            `).join('')}
+        </div>
+        <p>${escapeHtml(window.MehrGuardReviewReport.describeCounts(summary))}</p>
+    `;
+}
+
+/**
+ * Build the review for the current filter and download it in the chosen format
+ */
+async function exportReviewReport() {
+    if (!window.MehrGuardReviewReport) {
+        showToast('Review report unavailable', 'error');
+        return;
+    }
+
+    const format = elements.reviewFormat?.value || 'pdf';
+    let review;
+    try {
+        review = await loadReview();
+    } catch (e) {
+        console.error('[Export] Review selection failed:', e);
+        showToast(e instanceof RangeError ? e.message : 'Could not read scan history', 'error');
+        return;
+    }
+
+    if (review.scans.length === 0) {
+        showToast('No scans match these filters', 'warning');
+        return;
+    }
+
+    if (format === 'pdf' && !window.MehrGuardPdf) {
+        showToast('PDF export unavailable', 'error');
+        return;
+    }
+
+    // CSV is left unsigned: a signature line would break spreadsheet imports
+    const identity = format === 'csv' ? null : await getSigningIdentity();
+    const keyFingerprint = identity?.fingerprint;
+
+    try {
+        let blob;
+        let signed = false;
+        if (format === 'csv') {
+            blob = new Blob([window.MehrGuardReviewReport.toCsv(review)], { type: 'text/csv' });
+        } else if (format === 'html') {
+            const html = window.MehrGuardReviewReport.toHtml(review, { keyFingerprint });
+            const result = await signExport(html, 'html', identity);
+            blob = new Blob([result.content], { type: 'text/html' });
+            signed = result.signed;
+        } else {
+            const result = await signExport(buildReviewPdf(review, ExportState.pageSize, { keyFingerprint }), 'pdf', identity);
+            blob = new Blob([result.content], { type: 'application/pdf' });
+            signed = result.signed;
+        }
+        downloadFile(blob, getReviewFilename(review, format));
+
+        const message = formatText('Review report with {count} scans downloaded', { count: review.scans.length });
+        if (format === 'csv') {
+            showToast(message, 'success');
+        } else {
+            showSignedToast(message, signed);
+        }
+    } catch (e) {
+        console.error('[Export] Review report failed:', e);
+        showToast('Failed to generate review report', 'error');
+    }
+}
+
+function getReviewFilename(review, format) {
+    const date = (timestamp) => (timestamp == null ? 'all' : new Date(timestamp).toISOString().slice(0, 10));
+    return `mehrguard_review_${date(review.period.from)}_${date(review.period.to)}.${format}`;
+}
+
+/**
+ * Lay out a review as a PDF: summary pages, then one section per scan
+ * starting on its own page, drawn like the single-scan report.
+ * @param {Object} review - From MehrGuardReviewReport.build
+ * @param {string} [pageSize='A4'] - A4 or LETTER
+ * @param {Object} [options]
+ * @param {string} [options.keyFingerprint] - Signing key, printed after the summary
+ * @returns {Uint8Array} PDF bytes
+ */
+function buildReviewPdf(review, pageSize = 'A4', options = {}) {
+    const { margin, colors } = PdfReport;
+    const report = window.MehrGuardReviewReport;
+    const { summary } = review;
+
+    const doc = window.MehrGuardPdf.createDocument({
+        pageSize,
+        title: 'Mehr Guard Security Review',
+        subject: report.describePeriod(review),
+        creationDate: review.generatedAt,
+    });
+    const layout = createPdfLayout(doc);
+    const { width } = layout;
+    layout.newPage();
+
+    // Title
+    layout.y += 18;
+    layout.page.text(margin, layout.y, 'Mehr Guard Security Review', { font: 'bold', size: 18, color: colors.text });
+    layout.y += 16;
+    layout.page.text(margin, layout.y, `${report.describePeriod(review)}  |  Generated ${formatUtcTimestamp(review.generatedAt)}`,
+        { size: 9, color: colors.muted });
+    layout.y += 13;
+    layout.page.text(margin, layout.y, report.describeFilter(review), { size: 9, color: colors.muted });
+    layout.y += 18;
+
+    // Verdict counts
+    const gap = 8;
+    const boxWidth = (width - gap * 3) / 4;
+    const boxHeight = 52;
+    report.VERDICTS.forEach((key, i) => {
+        const verdict = PdfReport.verdicts[key];
+        const x = margin + i * (boxWidth + gap);
+        layout.page.rect(x, layout.y, boxWidth, boxHeight, { fill: verdict.fill });
+        layout.page.rect(x, layout.y, 4, boxHeight, { fill: verdict.accent });
+        layout.page.text(x + 14, layout.y + 26, String(summary.verdicts[key]), { font: 'bold', size: 18, color: verdict.accent });
+        layout.page.text(x + 14, layout.y + 42, verdict.label.toUpperCase(), { size: 7, color: colors.muted });
+    });
+    layout.y += boxHeight + 18;
+    layout.paragraph(report.describeCounts(summary), { size: 9 });
+
+    // Top targeted brands
+    layout.heading('Top targeted brands');
+    if (summary.topBrands.length === 0) {
+        layout.paragraph('No brand impersonation was detected in these scans.', { color: colors.muted });
+    }
+    summary.topBrands.forEach(brand => layout.row(brand.name, report.plural(brand.count, 'scan')));
+
+    // Top reason codes
+    layout.heading('Top reason codes');
+    if (summary.topReasons.length === 0) {
+        layout.paragraph('No reason codes were recorded for these scans.', { color: colors.muted });
+    }
+    summary.topReasons.forEach(reason => {
+        layout.ensureSpace(16);
+        layout.page.text(margin, layout.y, reason.code, { font: 'mono', size: 9, color: colors.text });
+        layout.page.text(margin + width - 60, layout.y, reason.severity || '', {
+            font: 'bold',
+            size: 8,
+            color: PdfReport.severities[reason.severity] || colors.muted,
+            align: 'right',
+        });
+        layout.page.text(margin + width, layout.y, String(reason.count), { font: 'bold', size: 9, align: 'right' });
+        layout.y += 16;
+    });
+
+    // Verdict trend: one stacked bar per day or week
+    const { trend } = summary;
+    layout.heading(`Verdict trend (${trend.interval === 'week' ? 'weekly' : 'daily'}, UTC)`);
+    const max = Math.max(1, ...trend.buckets.map(bucket => bucket.total));
+    const barX = margin + 72;
+    const barWidth = width - 72 - 40;
+    trend.buckets.forEach(bucket => {
+        layout.ensureSpace(14);
+        const label = new Date(bucket.start).toISOString().slice(0, 10);
+        layout.page.text(margin, layout.y, label, { size: 8, color: colors.muted });
+        let x = barX;
+        report.VERDICTS.forEach(key => {
+            if (bucket[key] === 0) return;
+            const segment = barWidth * bucket[key] / max;
+            layout.page.rect(x, layout.y - 7, segment, 8, { fill: PdfReport.verdicts[key].accent });
+            x += segment;
+        });
+        layout.page.text(margin + width, layout.y, String(bucket.total), { size: 8, align: 'right' });
+        layout.y += 14;
+    });
+    if (trend.buckets.length > 0) {
+        layout.ensureSpace(16);
+        layout.y += 4;
+        let x = barX;
+        report.VERDICTS.forEach(key => {
+            const verdict = PdfReport.verdicts[key];
+            layout.page.rect(x, layout.y - 7, 8, 8, { fill: verdict.accent });
+            layout.page.text(x + 12, layout.y, verdict.label, { size: 8, color: colors.muted });
+            x += 12 + doc.measure(verdict.label, 'regular', 8) + 16;
+        });
+        layout.y += 14;
+    }
+
+    if (options.keyFingerprint) drawSignatureNote(layout, options.keyFingerprint);
+
+    // Per-scan details
+    review.scans.forEach((scan, i) => {
+        layout.newPage();
+        drawScanReport(layout, scan, `Scan ${i + 1} of ${review.scans.length}`);
+    });
+
+    drawPdfFooters(doc);
+    return doc.toBytes();
 }
 
 /**
@@ -492,13 +1269,10 @@ async function copyReport() {
         '',
         formatText('URL: {url}', { url: data.url }),
         formatText('Verdict: {verdict}', { verdict: verdictLabel }),
-        formatText('Risk Score: {score}/100', { score: data.score }),
+        formatText('Risk Score: {score}/100', { score: data.score ?? 0 }),
         '',
         translateText('Technical Indicators:'),
-        formatText('- Threat Type: {type}', { type: translateText(data.threatType || 'Phishing') }),
-        formatText('- SSL Issuer: {issuer}', { issuer: data.sslIssuer || "Let's Encrypt (R3)" }),
-        formatText('- Redirects: {count}', { count: data.redirects || 2 }),
-        formatText('- Heuristics: {list}', { list: (data.heuristics || ['suspicious_tld', 'subdomain_chaining']).join(', ') }),
+        ...getIndicatorLines(data),
         '',
         formatText('Verified by Mehr Guard Enterprise v{version}', { version: ExportConfig.version })
     ];
@@ -513,6 +1287,40 @@ async function copyReport() {
     }
 }
 
+/**
+ * Plain-text indicator lines from the stored analysis; unrecorded values
+ * read "Unknown"
+ */
+function getIndicatorLines(data) {
+    const unknown = translateText('Unknown');
+    const report = window.MehrGuardReport?.build(data);
+    if (!report) return [];
+
+    if (report.payload) {
+        const signals = report.payload.signals.map(signal => signal.name);
+        return [
+            formatText('- Content Type: {type}', { type: report.payload.display_name || report.payload.type || unknown }),
+            formatText('- Signals: {list}', { list: signals.length ? signals.join(', ') : translateText('None') }),
+            formatText('- Engine Version: {version}', { version: report.engine.version || unknown }),
+        ];
+    }
+
+    const analysis = report.analysis;
+    const reasons = analysis?.reasons;
+    const mlScore = analysis?.ml?.ensemble_score;
+    const intel = analysis?.threat_intel;
+    return [
+        formatText('- Reason Codes: {list}', {
+            list: reasons ? (reasons.map(reason => reason.code).join(', ') || translateText('None')) : unknown
+        }),
+        formatText('- ML Score: {score}', { score: typeof mlScore === 'number' ? `${Math.round(mlScore * 100)}%` : unknown }),
+        formatText('- Threat Intel: {status}', {
+            status: intel ? translateText(intel.listed ? 'Listed' : 'Not listed') : unknown
+        }),
+        formatText('- Engine Version: {version}', { version: report.engine.version || unknown }),
+    ];
+}
+
 /**
  * Share report using Web Share API
  */
@@ -521,7 +1329,7 @@ async function shareReport() {
 
     const shareData = {
         title: 'Mehr Guard Threat Report',
-        text: `URL: ${data.url}\nVerdict: ${data.verdict}\nRisk Score: ${data.score}/100`,
+        text: `URL: ${data.url}\nVerdict: ${data.verdict}\nRisk Score: ${data.score ?? 0}/100`,
         url: window.location.href,
     };
 
@@ -678,6 +1486,13 @@ if (typeof module !== 'undefined' && module.exports) {
     module.exports = {
         ExportState,
         ExportConfig,
+        buildPdfReport,
+        buildReviewPdf,
+        signExport,
+        getReviewFilter,
+        exportAsJSON,
+        exportAsSTIX,
+        exportAsMISP,
         exportReport,
         copyReport,
         shareReport,
@@ -0,0 +1,634 @@
+/**
+ * Mehr Guard History Store
+ *
+ * Keeps every scan in IndexedDB rather than a single capped localStorage
+ * array, so history is no longer silently truncated at 50 entries and a
+ * scan does not rewrite the whole history.
+ *
+ * Entries are indexed by timestamp, verdict, registrable domain and reason
+ * code (one index key per reason in the stored analysis snapshot), and by
+ * each of those paired with the timestamp, so a page of history is read
+ * newest first without loading the rest. The old `mehrguard_scan_history`
+ * array is moved into the database the first time it is opened. Where
+ * IndexedDB is unavailable the store falls back to that same localStorage
+ * key with the old 50-entry cap.
+ *
+ * Every method is asynchronous; MehrGuardUI keeps the synchronous
+ * `getScanHistory()` API on top of it (see shared-ui.js).
+ *
+ * @author Mehr Guard Team
+ * @version 2.4.1
+ */
+
+(function () {
+    'use strict';
+
+    // ==========================================================================
+    // CONFIGURATION
+    // ==========================================================================
+
+    const DB_NAME = 'mehrguard';
+    const DB_VERSION = 2;
+    const STORE_NAME = 'scans';
+
+    const LEGACY_KEY = 'mehrguard_scan_history';
+    const LOCAL_LIMIT = 50; // Fallback store keeps the old cap
+
+    const DEFAULT_PAGE_SIZE = 20;
+
+    const INDEXES = Object.freeze({
+        TIMESTAMP: 'timestamp',
+        VERDICT: 'verdict',
+        DOMAIN: 'registrableDomain',
+        REASON: 'reasonCodes',
+    });
+
+    // Filter value + timestamp, so a filtered page is read newest first
+    // straight from the index (version 2)
+    const PAGE_INDEXES = Object.freeze({
+        VERDICT: 'verdict_timestamp',
+        DOMAIN: 'registrableDomain_timestamp',
+        REASON: 'reasonCode_timestamp',
+    });
+
+    const MODE = {
+        IDLE: 'idle',
+        INDEXED_DB: 'indexeddb',
+        LOCAL: 'local',
+    };
+
+    const DAY_MS = 24 * 60 * 60 * 1000;
+
+    // ==========================================================================
+    // STATE
+    // ==========================================================================
+
+    let dbPromise = null;
+    let mode = MODE.IDLE;
+
+    // ==========================================================================
+    // INDEX FIELDS
+    // ==========================================================================
+
+    function extractHost(url) {
+        if (!url) return null;
+        try {
+            const parsed = new URL(/^[a-z][a-z0-9+.-]*:/i.test(url) ? url : `http://${url}`);
+            return parsed.hostname ? parsed.hostname.toLowerCase() : null;
+        } catch (e) {
+            return null;
+        }
+    }
+
+    /**
+     * Registrable domain (eTLD+1) of a URL via the engine's public suffix
+     * list, or the last two labels when the engine is not loaded.
+     * @returns {string|undefined} Undefined so the entry is left out of the index
+     */
+    function getRegistrableDomain(url) {
+        const host = extractHost(url);
+        if (!host) return undefined;
+        if (/^[\d.]+$/.test(host) || host.includes(':')) return host;
+
+        const parsed = typeof window.mehrguardParseDomain === 'function'
+            ? window.mehrguardParseDomain(host)
+            : null;
+        if (parsed && !parsed.error && parsed.registrableDomain) {
+            return parsed.registrableDomain;
+        }
+        return host.split('.').slice(-2).join('.');
+    }
+
+    /**
+     * Copy of a history entry with the derived fields used by the indexes.
+     * IndexedDB rejects null keys, so missing values are left undefined.
+     */
+    function withIndexFields(entry) {
+        const reasons = entry.analysis?.reasons || [];
+        const timestamp = Number(entry.timestamp) || Date.now();
+        const reasonCodes = [...new Set(reasons.map(reason => reason.code).filter(Boolean))];
+        return {
+            ...entry,
+            timestamp,
+            verdict: entry.verdict || 'UNKNOWN',
+            registrableDomain: entry.registrableDomain || getRegistrableDomain(entry.url),
+            reasonCodes,
+            // One [code, timestamp] key per reason for the multi-entry page index
+            reasonKeys: reasonCodes.map(code => [code, timestamp]),
+        };
+    }
+
+    // ==========================================================================
+    // INDEXEDDB HELPERS
+    // ==========================================================================
+
+    function promisify(request) {
+        return new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    function transactionDone(tx) {
+        return new Promise((resolve, reject) => {
+            tx.oncomplete = () => resolve();
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+        });
+    }
+
+    function openDatabase() {
+        if (typeof indexedDB === 'undefined') {
+            return Promise.reject(new Error('IndexedDB not supported'));
+        }
+
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+            request.onupgradeneeded = (event) => {
+                const upgrade = request.transaction;
+                if (event.oldVersion < 1) {
+                    const store = request.result.createObjectStore(STORE_NAME, { keyPath: 'id' });
+                    store.createIndex(INDEXES.TIMESTAMP, 'timestamp');
+                    store.createIndex(INDEXES.VERDICT, 'verdict');
+                    store.createIndex(INDEXES.DOMAIN, 'registrableDomain');
+                    store.createIndex(INDEXES.REASON, 'reasonCodes', { multiEntry: true });
+                }
+                if (event.oldVersion < 2) {
+                    const store = upgrade.objectStore(STORE_NAME);
+                    store.createIndex(PAGE_INDEXES.VERDICT, ['verdict', 'timestamp']);
+                    store.createIndex(PAGE_INDEXES.DOMAIN, ['registrableDomain', 'timestamp']);
+                    store.createIndex(PAGE_INDEXES.REASON, 'reasonKeys', { multiEntry: true });
+                    // Version 1 entries have no reasonKeys yet
+                    if (event.oldVersion >= 1) {
+                        store.openCursor().onsuccess = (e) => {
+                            const cursor = e.target.result;
+                            if (!cursor) return;
+                            cursor.update(withIndexFields(cursor.value));
+                            cursor.continue();
+                        };
+                    }
+                }
+            };
+            request.onsuccess = () => {
+                const db = request.result;
+                // Let a newer version in another tab upgrade the schema
+                db.onversionchange = () => db.close();
+                resolve(db);
+            };
+            request.onerror = () => reject(request.error);
+            request.onblocked = () => reject(new Error('History database upgrade blocked by another tab'));
+        });
+    }
+
+    /**
+     * Move the old localStorage array into the database. The key is only
+     * removed once the write has committed, so an interrupted migration
+     * simply runs again (entries are keyed by id).
+     */
+    async function migrateLegacy(db) {
+        const stored = localStorage.getItem(LEGACY_KEY);
+        if (!stored) return 0;
+
+        let entries;
+        try {
+            entries = JSON.parse(stored);
+        } catch (e) {
+            console.warn('[HistoryStore] Discarding unreadable legacy history');
+            localStorage.removeItem(LEGACY_KEY);
+            return 0;
+        }
+
+        const valid = Array.isArray(entries) ? entries.filter(entry => entry && entry.id) : [];
+        if (valid.length > 0) {
+            const tx = db.transaction(STORE_NAME, 'readwrite');
+            valid.forEach(entry => tx.objectStore(STORE_NAME).put(withIndexFields(entry)));
+            await transactionDone(tx);
+        }
+
+        localStorage.removeItem(LEGACY_KEY);
+        console.log(`[HistoryStore] Migrated ${valid.length} scans from localStorage`);
+        return valid.length;
+    }
+
+    // ==========================================================================
+    // LOCALSTORAGE FALLBACK
+    // ==========================================================================
+
+    function readLocal() {
+        try {
+            const entries = JSON.parse(localStorage.getItem(LEGACY_KEY) || '[]');
+            return Array.isArray(entries) ? entries.map(withIndexFields) : [];
+        } catch (e) {
+            return [];
+        }
+    }
+
+    function writeLocal(entries) {
+        const sorted = [...entries].sort((a, b) => b.timestamp - a.timestamp);
+        localStorage.setItem(LEGACY_KEY, JSON.stringify(sorted.slice(0, LOCAL_LIMIT)));
+    }
+
+    // ==========================================================================
+    // LIFECYCLE
+    // ==========================================================================
+
+    /**
+     * Open the database (and migrate legacy history) once per page.
+     * @returns {Promise<IDBDatabase|null>} Null when running on the localStorage fallback
+     */
+    function open() {
+        if (!dbPromise) {
+            dbPromise = openDatabase()
+                .then(async (db) => {
+                    await migrateLegacy(db);
+                    mode = MODE.INDEXED_DB;
+                    return db;
+                })
+                .catch((e) => {
+                    console.warn('[HistoryStore] IndexedDB unavailable, using localStorage:', e?.message || e);
+                    mode = MODE.LOCAL;
+                    return null;
+                });
+        }
+        return dbPromise;
+    }
+
+    // ==========================================================================
+    // READS
+    // ==========================================================================
+
+    /**
+     * Entries that can match the filter, read through the most selective
+     * index available. The caller still applies the full filter. Only
+     * free-text search reads candidates this way; everything else is paged
+     * through a cursor (see queryIndexed).
+     */
+    async function readCandidates(filter) {
+        const db = await open();
+        if (!db) return readLocal();
+
+        const store = db.transaction(STORE_NAME).objectStore(STORE_NAME);
+        if (filter.reasonCode) {
+            return promisify(store.index(INDEXES.REASON).getAll(filter.reasonCode));
+        }
+        if (filter.registrableDomain) {
+            return promisify(store.index(INDEXES.DOMAIN).getAll(filter.registrableDomain));
+        }
+        if (filter.verdict) {
+            return promisify(store.index(INDEXES.VERDICT).getAll(filter.verdict));
+        }
+        const range = timeRange(filter.from, filter.to);
+        return promisify(store.index(INDEXES.TIMESTAMP).getAll(range));
+    }
+
+    function timeRange(from, to) {
+        if (typeof IDBKeyRange === 'undefined') return null;
+        if (from != null && to != null) return IDBKeyRange.bound(from, to);
+        if (from != null) return IDBKeyRange.lowerBound(from);
+        if (to != null) return IDBKeyRange.upperBound(to);
+        return null;
+    }
+
+    function matchesFilter(entry, filter) {
+        if (filter.verdict && entry.verdict !== filter.verdict) return false;
+        if (filter.registrableDomain && entry.registrableDomain !== filter.registrableDomain) return false;
+        if (filter.reasonCode && !entry.reasonCodes?.includes(filter.reasonCode)) return false;
+        if (filter.from != null && entry.timestamp < filter.from) return false;
+        if (filter.to != null && entry.timestamp > filter.to) return false;
+        if (filter.text) {
+            const text = filter.text.toLowerCase();
+            const haystack = [entry.url, entry.registrableDomain, ...(entry.reasonCodes || [])]
+                .filter(Boolean)
+                .join(' ')
+                .toLowerCase();
+            if (!haystack.includes(text)) return false;
+        }
+        return true;
+    }
+
+    /**
+     * Search history, newest first.
+     * @param {Object} [options]
+     * @param {string} [options.text] - Substring of the URL, domain or a reason code
+     * @param {string} [options.verdict] - HIGH, MEDIUM, LOW, SAFE or UNKNOWN
+     * @param {string} [options.registrableDomain] - Exact registrable domain
+     * @param {string} [options.reasonCode] - Exact reason code, e.g. IP_HOST
+     * @param {number} [options.from] - Earliest timestamp (ms)
+     * @param {number} [options.to] - Latest timestamp (ms)
+     * @param {number} [options.offset=0]
+     * @param {number} [options.limit=20]
+     * @returns {Promise<{items: Object[], total: number}>}
+     */
+    async function query(options = {}) {
+        const filter = {
+            ...options,
+            text: (options.text || '').trim(),
+        };
+        const offset = Math.max(0, options.offset || 0);
+        const limit = options.limit || DEFAULT_PAGE_SIZE;
+
+        const db = await open();
+        if (db && !filter.text) {
+            return queryIndexed(db, filter, offset, limit);
+        }
+
+        const candidates = await readCandidates(filter);
+        const matches = candidates
+            .filter(entry => matchesFilter(entry, filter))
+            .sort((a, b) => b.timestamp - a.timestamp);
+
+        return {
+            items: matches.slice(offset, offset + limit),
+            total: matches.length,
+        };
+    }
+
+    /**
+     * Page of a query without free text, newest first, read with a 'prev'
+     * cursor so only the page itself is loaded. One filter (plus the time
+     * range) is answered by its [value, timestamp] index; any further
+     * filter is checked entry by entry as the cursor walks that index.
+     */
+    async function queryIndexed(db, filter, offset, limit) {
+        const store = db.transaction(STORE_NAME).objectStore(STORE_NAME);
+        const from = filter.from ?? -Infinity;
+        const to = filter.to ?? Infinity;
+
+        let source = store.index(INDEXES.TIMESTAMP);
+        let range = timeRange(filter.from, filter.to);
+        const covered = { from: true, to: true };
+        if (filter.reasonCode) {
+            source = store.index(PAGE_INDEXES.REASON);
+            range = IDBKeyRange.bound([filter.reasonCode, from], [filter.reasonCode, to]);
+            covered.reasonCode = true;
+        } else if (filter.registrableDomain) {
+            source = store.index(PAGE_INDEXES.DOMAIN);
+            range = IDBKeyRange.bound([filter.registrableDomain, from], [filter.registrableDomain, to]);
+            covered.registrableDomain = true;
+        } else if (filter.verdict) {
+            source = store.index(PAGE_INDEXES.VERDICT);
+            range = IDBKeyRange.bound([filter.verdict, from], [filter.verdict, to]);
+            covered.verdict = true;
+        }
+
+        const rest = Object.fromEntries(['verdict', 'registrableDomain', 'reasonCode']
+            .filter(key => filter[key] && !covered[key])
+            .map(key => [key, filter[key]]));
+
+        if (Object.keys(rest).length === 0) {
+            const [total, items] = await Promise.all([
+                promisify(source.count(range)),
+                readPage(source, range, offset, limit),
+            ]);
+            return { items, total };
+        }
+
+        return new Promise((resolve, reject) => {
+            const items = [];
+            let total = 0;
+            const request = source.openCursor(range, 'prev');
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (!cursor) return resolve({ items, total });
+                if (matchesFilter(cursor.value, rest)) {
+                    if (total >= offset && items.length < limit) items.push(cursor.value);
+                    total++;
+                }
+                cursor.continue();
+            };
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * `limit` values from a 'prev' cursor, after skipping `offset`
+     */
+    function readPage(source, range, offset, limit) {
+        if (limit <= 0) return Promise.resolve([]);
+        return new Promise((resolve, reject) => {
+            const items = [];
+            let skipped = offset === 0;
+            const request = source.openCursor(range, 'prev');
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (!cursor) return resolve(items);
+                if (!skipped) {
+                    skipped = true;
+                    cursor.advance(offset);
+                    return;
+                }
+                items.push(cursor.value);
+                if (items.length < limit) {
+                    cursor.continue();
+                } else {
+                    resolve(items);
+                }
+            };
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Most recent entries, read from the end of the timestamp index.
+     * @param {number} limit
+     * @returns {Promise<Object[]>}
+     */
+    async function getRecent(limit) {
+        const db = await open();
+        if (!db) return readLocal().sort((a, b) => b.timestamp - a.timestamp).slice(0, limit);
+
+        const index = db.transaction(STORE_NAME).objectStore(STORE_NAME).index(INDEXES.TIMESTAMP);
+        return readPage(index, null, 0, limit);
+    }
+
+    /**
+     * @param {string} id - Scan id
+     * @returns {Promise<Object|undefined>}
+     */
+    async function get(id) {
+        const db = await open();
+        if (!db) return readLocal().find(entry => entry.id === id);
+        return promisify(db.transaction(STORE_NAME).objectStore(STORE_NAME).get(id));
+    }
+
+    /**
+     * Distinct keys of an index, e.g. every reason code seen so far.
+     * @param {string} indexName - One of INDEXES
+     * @returns {Promise<string[]>}
+     */
+    async function getDistinct(indexName) {
+        const db = await open();
+        if (!db) {
+            const values = readLocal().flatMap(entry => [].concat(entry[indexName] ?? []));
+            return [...new Set(values)].sort();
+        }
+
+        const index = db.transaction(STORE_NAME).objectStore(STORE_NAME).index(indexName);
+        return new Promise((resolve, reject) => {
+            const keys = [];
+            const request = index.openKeyCursor(null, 'nextunique');
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (cursor) {
+                    keys.push(cursor.key);
+                    cursor.continue();
+                } else {
+                    resolve(keys);
+                }
+            };
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Entry counts answered from the indexes, without reading the entries.
+     * @returns {Promise<{total: number, today: number, thisWeek: number, threats: number, safe: number}>}
+     */
+    async function getCounts() {
+        const db = await open();
+        const now = Date.now();
+
+        if (!db) {
+            const entries = readLocal();
+            return {
+                total: entries.length,
+                today: entries.filter(e => e.timestamp >= now - DAY_MS).length,
+                thisWeek: entries.filter(e => e.timestamp >= now - 7 * DAY_MS).length,
+                threats: entries.filter(e => e.verdict === 'HIGH' || e.verdict === 'MEDIUM').length,
+                safe: entries.filter(e => e.verdict === 'SAFE' || e.verdict === 'LOW').length,
+            };
+        }
+
+        const store = db.transaction(STORE_NAME).objectStore(STORE_NAME);
+        const byTime = store.index(INDEXES.TIMESTAMP);
+        const byVerdict = store.index(INDEXES.VERDICT);
+        const [total, today, thisWeek, high, medium, safe, low] = await Promise.all([
+            promisify(store.count()),
+            promisify(byTime.count(IDBKeyRange.lowerBound(now - DAY_MS))),
+            promisify(byTime.count(IDBKeyRange.lowerBound(now - 7 * DAY_MS))),
+            promisify(byVerdict.count('HIGH')),
+            promisify(byVerdict.count('MEDIUM')),
+            promisify(byVerdict.count('SAFE')),
+            promisify(byVerdict.count('LOW')),
+        ]);
+        return { total, today, thisWeek, threats: high + medium, safe: safe + low };
+    }
+
+    // ==========================================================================
+    // WRITES
+    // ==========================================================================
+
+    /**
+     * Insert or replace entries (matched by id) in one transaction.
+     * @param {Object[]} entries
+     * @returns {Promise<void>}
+     */
+    async function putAll(entries) {
+        const indexed = entries.filter(entry => entry && entry.id).map(withIndexFields);
+        if (indexed.length === 0) return;
+
+        const db = await open();
+        if (!db) {
+            const ids = new Set(indexed.map(entry => entry.id));
+            writeLocal([...indexed, ...readLocal().filter(entry => !ids.has(entry.id))]);
+            return;
+        }
+
+        const tx = db.transaction(STORE_NAME, 'readwrite');
+        indexed.forEach(entry => tx.objectStore(STORE_NAME).put(entry));
+        await transactionDone(tx);
+    }
+
+    function put(entry) {
+        return putAll([entry]);
+    }
+
+    async function clear() {
+        const db = await open();
+        if (!db) {
+            localStorage.removeItem(LEGACY_KEY);
+            return;
+        }
+        const tx = db.transaction(STORE_NAME, 'readwrite');
+        tx.objectStore(STORE_NAME).clear();
+        await transactionDone(tx);
+    }
+
+    /**
+     * Delete entries older than the retention period, then the oldest
+     * entries beyond the size limit.
+     * @param {Object} policy
+     * @param {number} [policy.maxAgeDays] - 0 or missing keeps entries forever
+     * @param {number} [policy.maxEntries] - 0 or missing means no limit
+     * @returns {Promise<number>} Number of entries removed
+     */
+    async function applyRetention(policy = {}) {
+        const cutoff = policy.maxAgeDays > 0 ? Date.now() - policy.maxAgeDays * DAY_MS : null;
+        const maxEntries = policy.maxEntries > 0 ? policy.maxEntries : Infinity;
+
+        const db = await open();
+        if (!db) {
+            const entries = readLocal();
+            const kept = entries
+                .filter(entry => cutoff === null || entry.timestamp >= cutoff)
+                .sort((a, b) => b.timestamp - a.timestamp)
+                .slice(0, maxEntries);
+            writeLocal(kept);
+            return entries.length - kept.length;
+        }
+
+        const tx = db.transaction(STORE_NAME, 'readwrite');
+        const done = transactionDone(tx);
+        const store = tx.objectStore(STORE_NAME);
+        const total = await promisify(store.count());
+        let removed = 0;
+
+        // Oldest first: delete while too old or while over the size limit
+        await new Promise((resolve, reject) => {
+            const request = store.index(INDEXES.TIMESTAMP).openCursor();
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (!cursor) return resolve();
+                const expired = cutoff !== null && cursor.key < cutoff;
+                if (!expired && total - removed <= maxEntries) return resolve();
+                cursor.delete();
+                removed++;
+                cursor.continue();
+            };
+            request.onerror = () => reject(request.error);
+        });
+        await done;
+
+        if (removed > 0) {
+            console.log(`[HistoryStore] Retention removed ${removed} scans`);
+        }
+        return removed;
+    }
+
+    function getMode() {
+        return mode;
+    }
+
+    // Expose public API
+    window.MehrGuardHistoryStore = {
+        INDEXES,
+        open,
+        query,
+        getRecent,
+        get,
+        getDistinct,
+        getCounts,
+        put,
+        putAll,
+        clear,
+        applyRetention,
+        getRegistrableDomain,
+        getMode,
+    };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = window.MehrGuardHistoryStore;
+    }
+
+})();
@@ -0,0 +1,38 @@
+/**
+ * Mehr Guard Image Pre-processing Worker
+ *
+ * Runs the image-pipeline.js retry stages for MehrGuardDecoder.decodeImage,
+ * so the filters and the repeated decodes of a large photo do not freeze
+ * the page. Images arrive as transferred ImageBitmaps and are read back
+ * through an OffscreenCanvas.
+ *
+ * @author Mehr Guard Team
+ * @version 2.4.1
+ */
+
+'use strict';
+
+// The detection scripts publish on `window`
+self.window = self;
+importScripts('jsQR.min.js', 'zxing.min.js', 'multiqr.js', 'barcodes.js', 'image-pipeline.js');
+
+self.onmessage = (event) => {
+    const message = event.data || {};
+    if (message.type !== 'run') return;
+
+    const { id, bitmap, options } = message;
+    try {
+        const canvas = new OffscreenCanvas(bitmap.width, bitmap.height);
+        const ctx = canvas.getContext('2d', { willReadFrequently: true });
+        ctx.drawImage(bitmap, 0, 0);
+        const imageData = ctx.getImageData(0, 0, bitmap.width, bitmap.height);
+        const result = self.MehrGuardImagePipeline.run(imageData, options);
+        self.postMessage({ type: 'result', id, result });
+    } catch (e) {
+        self.postMessage({ type: 'error', id, error: e.message });
+    } finally {
+        bitmap.close();
+    }
+};
+
+self.postMessage({ type: 'ready' });
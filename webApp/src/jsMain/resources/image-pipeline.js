@@ -0,0 +1,402 @@
+/**
+ * Mehr Guard Image Pre-processing Pipeline
+ *
+ * Second chance for uploaded and pasted images that yield no code on the
+ * first pass: photos of weathered posters, glare, uneven light, skew or
+ * 12-megapixel phone shots. The image is re-tried through a series of
+ * stages, cheapest first, until one of them decodes:
+ *
+ * 1. downscale  – smaller copies (jsQR struggles with huge, noisy photos)
+ * 2. contrast   – percentile contrast stretch (faded print, haze)
+ * 3. binarize   – adaptive threshold (glare, shadows, uneven light)
+ * 4. sharpen    – unsharp mask (soft focus, motion blur)
+ * 5. rotate     – 90°, 180° and 270° turns
+ * 6. tiles      – overlapping crops of large images (small codes)
+ *
+ * The result names the stage and variant that succeeded, plus every attempt
+ * with its timing, so the order and parameters can be tuned.
+ *
+ * Runs in image-pipeline-worker.js (see MehrGuardDecoder.decodeImage) and on
+ * pages as a fallback. No DOM access; detection goes through barcodes.js.
+ *
+ * @author Mehr Guard Team
+ * @version 2.4.1
+ */
+
+(function () {
+    'use strict';
+
+    // ==========================================================================
+    // CONFIGURATION
+    // ==========================================================================
+
+    const STAGE = {
+        DOWNSCALE: 'downscale',
+        CONTRAST: 'contrast',
+        BINARIZE: 'binarize',
+        SHARPEN: 'sharpen',
+        ROTATE: 'rotate',
+        TILES: 'tiles',
+    };
+
+    const STAGE_ORDER = [
+        STAGE.DOWNSCALE,
+        STAGE.CONTRAST,
+        STAGE.BINARIZE,
+        STAGE.SHARPEN,
+        STAGE.ROTATE,
+        STAGE.TILES,
+    ];
+
+    // Downscale stage sizes, cheapest first (only those smaller than the image are tried)
+    const DOWNSCALE_SIDES = [480, 800, 1280];
+
+    // Longest sides of the copies the filter stages work on. The smaller
+    // copy averages away sensor noise that jsQR's binarizer turns into speckle.
+    const FILTER_SIDES = [960, 480];
+
+    // Tiles are decoded at up to this size
+    const TILE_SIDE = 1280;
+
+    // Images at least this large are also searched tile by tile
+    const LARGE_IMAGE_SIDE = 1600;
+    const TILE_GRIDS = [2, 3];
+
+    // Contrast stretch clips this share of the darkest and brightest pixels
+    const CONTRAST_CLIP = 0.01;
+
+    // Adaptive threshold: window as a share of the shorter side, and how far
+    // below the local mean a pixel must be to count as dark
+    const THRESHOLD_WINDOW = 1 / 16;
+    const THRESHOLD_MIN_WINDOW = 15;
+    const THRESHOLD_OFFSET = 0.15;
+
+    const DEFAULT_DEADLINE_MS = 8000;
+
+    const now = () => (typeof performance !== 'undefined' ? performance.now() : Date.now());
+
+    // ==========================================================================
+    // PIXELS
+    // ==========================================================================
+
+    // Working images are greyscale: { gray: Uint8ClampedArray, width, height }
+
+    function toGray(imageData) {
+        const { data, width, height } = imageData;
+        const gray = new Uint8ClampedArray(width * height);
+        for (let i = 0, p = 0; i < gray.length; i++, p += 4) {
+            gray[i] = (data[p] + 2 * data[p + 1] + data[p + 2]) >> 2;
+        }
+        return { gray, width, height };
+    }
+
+    function toImageData(image) {
+        const { gray, width, height } = image;
+        const data = new Uint8ClampedArray(width * height * 4);
+        for (let i = 0, p = 0; i < gray.length; i++, p += 4) {
+            data[p] = data[p + 1] = data[p + 2] = gray[i];
+            data[p + 3] = 255;
+        }
+        return { data, width, height };
+    }
+
+    /**
+     * Area-average downscale so the longest side is at most `maxSide`.
+     * Returns the image unchanged when it is already small enough.
+     */
+    function downscale(image, maxSide) {
+        const { gray, width, height } = image;
+        const scale = maxSide / Math.max(width, height);
+        if (scale >= 1) return image;
+
+        const outWidth = Math.max(1, Math.round(width * scale));
+        const outHeight = Math.max(1, Math.round(height * scale));
+        const out = new Uint8ClampedArray(outWidth * outHeight);
+
+        for (let y = 0; y < outHeight; y++) {
+            const y0 = Math.floor(y * height / outHeight);
+            const y1 = Math.max(y0 + 1, Math.floor((y + 1) * height / outHeight));
+            for (let x = 0; x < outWidth; x++) {
+                const x0 = Math.floor(x * width / outWidth);
+                const x1 = Math.max(x0 + 1, Math.floor((x + 1) * width / outWidth));
+                let sum = 0;
+                for (let sy = y0; sy < y1; sy++) {
+                    const row = sy * width;
+                    for (let sx = x0; sx < x1; sx++) sum += gray[row + sx];
+                }
+                out[y * outWidth + x] = sum / ((y1 - y0) * (x1 - x0));
+            }
+        }
+        return { gray: out, width: outWidth, height: outHeight };
+    }
+
+    /**
+     * Stretch the levels between the 1st and 99th percentile to 0–255
+     */
+    function stretchContrast(image) {
+        const { gray, width, height } = image;
+        const histogram = new Uint32Array(256);
+        for (let i = 0; i < gray.length; i++) histogram[gray[i]]++;
+
+        const clip = gray.length * CONTRAST_CLIP;
+        let low = 0;
+        for (let count = 0; low < 255 && count + histogram[low] <= clip; low++) count += histogram[low];
+        let high = 255;
+        for (let count = 0; high > 0 && count + histogram[high] <= clip; high--) count += histogram[high];
+        if (high <= low) return image;
+
+        const range = high - low;
+        const out = new Uint8ClampedArray(gray.length);
+        for (let i = 0; i < gray.length; i++) out[i] = (gray[i] - low) * 255 / range;
+        return { gray: out, width, height };
+    }
+
+    /**
+     * Bradley adaptive threshold: a pixel is dark when it is clearly darker
+     * than the mean of the window around it, so glare and shadows that shift
+     * the whole neighbourhood do not flip modules.
+     */
+    function binarize(image) {
+        const { gray, width, height } = image;
+        const stride = width + 1;
+        const integral = new Float64Array(stride * (height + 1));
+        for (let y = 0; y < height; y++) {
+            let rowSum = 0;
+            for (let x = 0; x < width; x++) {
+                rowSum += gray[y * width + x];
+                integral[(y + 1) * stride + x + 1] = integral[y * stride + x + 1] + rowSum;
+            }
+        }
+
+        const half = Math.max(THRESHOLD_MIN_WINDOW, Math.round(Math.min(width, height) * THRESHOLD_WINDOW)) >> 1;
+        const out = new Uint8ClampedArray(gray.length);
+        for (let y = 0; y < height; y++) {
+            const y0 = Math.max(0, y - half);
+            const y1 = Math.min(height, y + half + 1);
+            for (let x = 0; x < width; x++) {
+                const x0 = Math.max(0, x - half);
+                const x1 = Math.min(width, x + half + 1);
+                const sum = integral[y1 * stride + x1] - integral[y0 * stride + x1] -
+                    integral[y1 * stride + x0] + integral[y0 * stride + x0];
+                const count = (y1 - y0) * (x1 - x0);
+                out[y * width + x] = gray[y * width + x] * count < sum * (1 - THRESHOLD_OFFSET) ? 0 : 255;
+            }
+        }
+        return { gray: out, width, height };
+    }
+
+    /**
+     * 3×3 unsharp mask (centre weighted against its four neighbours)
+     */
+    function sharpen(image) {
+        const { gray, width, height } = image;
+        const out = new Uint8ClampedArray(gray);
+        for (let y = 1; y < height - 1; y++) {
+            for (let x = 1; x < width - 1; x++) {
+                const i = y * width + x;
+                out[i] = 5 * gray[i] - gray[i - 1] - gray[i + 1] - gray[i - width] - gray[i + width];
+            }
+        }
+        return { gray: out, width, height };
+    }
+
+    /**
+     * Rotate clockwise by `turns` quarter turns
+     */
+    function rotate(image, turns) {
+        const { gray, width, height } = image;
+        const swap = turns % 2 === 1;
+        const outWidth = swap ? height : width;
+        const outHeight = swap ? width : height;
+        const out = new Uint8ClampedArray(gray.length);
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const [nx, ny] = turns === 1 ? [height - 1 - y, x]
+                    : turns === 2 ? [width - 1 - x, height - 1 - y]
+                        : [y, width - 1 - x];
+                out[ny * outWidth + nx] = gray[y * width + x];
+            }
+        }
+        return { gray: out, width: outWidth, height: outHeight };
+    }
+
+    function crop(image, region) {
+        const out = new Uint8ClampedArray(region.width * region.height);
+        for (let y = 0; y < region.height; y++) {
+            const start = (region.y + y) * image.width + region.x;
+            out.set(image.gray.subarray(start, start + region.width), y * region.width);
+        }
+        return { gray: out, width: region.width, height: region.height };
+    }
+
+    /**
+     * `count` overlapping windows along one axis (neighbours overlap by half)
+     */
+    function getSpans(length, count) {
+        const size = Math.floor(length * 2 / (count + 1));
+        return Array.from({ length: count }, (_, i) => ({
+            start: Math.min(length - size, Math.floor(i * size / 2)),
+            size,
+        }));
+    }
+
+    // ==========================================================================
+    // VARIANTS
+    // ==========================================================================
+
+    // A variant is one pre-processed copy of the image: `build()` returns the
+    // copy and a function mapping its points back to source coordinates
+
+    function fromRegion(region, image) {
+        const sx = region.width / image.width;
+        const sy = region.height / image.height;
+        return p => ({ x: region.x + p.x * sx, y: region.y + p.y * sy });
+    }
+
+    function fromRotated(image, turns) {
+        // Inverse of rotate(): from rotated coordinates back to `image`
+        const { width, height } = image;
+        if (turns === 1) return p => ({ x: p.y, y: height - 1 - p.x });
+        if (turns === 2) return p => ({ x: width - 1 - p.x, y: height - 1 - p.y });
+        return p => ({ x: width - 1 - p.y, y: p.x });
+    }
+
+    function getVariants(source) {
+        const variants = [];
+        const whole = { x: 0, y: 0, width: source.width, height: source.height };
+        const longest = Math.max(source.width, source.height);
+        const add = (stage, name, build) => variants.push({ stage, name, build });
+
+        // Contrast-stretched copies shared by the filter stages
+        const stretched = new Map();
+        const getStretched = (side) => {
+            if (!stretched.has(side)) stretched.set(side, stretchContrast(downscale(source, side)));
+            return stretched.get(side);
+        };
+        const filterSides = [...new Set(FILTER_SIDES.map(side => Math.min(side, longest)))];
+        const filtered = (filter, side) => () => {
+            const image = filter(getStretched(side));
+            return { image, toSource: fromRegion(whole, image) };
+        };
+
+        DOWNSCALE_SIDES.filter(side => side < longest).forEach(side => {
+            add(STAGE.DOWNSCALE, `${side}px`, () => {
+                const image = downscale(source, side);
+                return { image, toSource: fromRegion(whole, image) };
+            });
+        });
+        filterSides.forEach(side => add(STAGE.CONTRAST, `${side}px`, filtered(image => image, side)));
+        filterSides.forEach(side => add(STAGE.BINARIZE, `${side}px`, filtered(binarize, side)));
+        filterSides.forEach(side => add(STAGE.SHARPEN, `${side}px`, filtered(sharpen, side)));
+
+        [1, 2, 3].forEach(turns => {
+            add(STAGE.ROTATE, `${turns * 90}°`, () => {
+                const base = getStretched(filterSides[0]);
+                const toBase = fromRotated(base, turns);
+                const toSource = fromRegion(whole, base);
+                return { image: rotate(base, turns), toSource: p => toSource(toBase(p)) };
+            });
+        });
+
+        if (longest >= LARGE_IMAGE_SIDE) {
+            TILE_GRIDS.forEach(grid => {
+                getSpans(source.height, grid).forEach((ySpan, row) => {
+                    getSpans(source.width, grid).forEach((xSpan, col) => {
+                        const region = { x: xSpan.start, y: ySpan.start, width: xSpan.size, height: ySpan.size };
+                        add(STAGE.TILES, `${grid}×${grid} r${row + 1}c${col + 1}`, () => {
+                            const image = binarize(stretchContrast(downscale(crop(source, region), TILE_SIDE)));
+                            return { image, toSource: fromRegion(region, image) };
+                        });
+                    });
+                });
+            });
+        }
+
+        return variants;
+    }
+
+    // ==========================================================================
+    // PIPELINE
+    // ==========================================================================
+
+    function detect(imageData) {
+        if (window.MehrGuardBarcodes) {
+            return window.MehrGuardBarcodes.detectAll(imageData, {
+                inversionAttempts: 'attemptBoth',
+                tileLevels: [],
+                otherSymbologies: 'always',
+            });
+        }
+        if (window.MehrGuardMultiQr) {
+            return window.MehrGuardMultiQr.detectAll(imageData, { inversionAttempts: 'attemptBoth', tileLevels: [] })
+                .map(code => ({ ...code, symbology: 'qr_code' }));
+        }
+        return [];
+    }
+
+    /**
+     * Re-try decoding an image through the pre-processing stages until one
+     * finds a code.
+     *
+     * @param {ImageData} imageData - Image pixels (left untouched)
+     * @param {Object} [options]
+     * @param {string[]} [options.stages] - Stages to run, in STAGE_ORDER (default: all)
+     * @param {number} [options.deadlineMs=8000] - Stop starting new attempts after this
+     * @returns {{codes: Array<{index: number, data: string, corners: Array<{x: number, y: number}>, symbology: string}>,
+     *          stage: string|null, variant: string|null, timedOut: boolean, durationMs: number,
+     *          attempts: Array<{stage: string, variant: string, found: boolean, ms: number}>}}
+     *          Corners are in `imageData` coordinates; `stage` is null when nothing decoded
+     */
+    function run(imageData, options = {}) {
+        const started = now();
+        const deadline = started + (options.deadlineMs || DEFAULT_DEADLINE_MS);
+        const stages = options.stages || STAGE_ORDER;
+        const result = { codes: [], stage: null, variant: null, timedOut: false, durationMs: 0, attempts: [] };
+        if (!imageData || !imageData.width || !imageData.height) return result;
+
+        const source = toGray(imageData);
+        const variants = getVariants(source).filter(variant => stages.includes(variant.stage));
+
+        for (const variant of variants) {
+            if (now() > deadline) {
+                result.timedOut = true;
+                break;
+            }
+
+            const attemptStarted = now();
+            const { image, toSource } = variant.build();
+            const codes = detect(toImageData(image));
+            result.attempts.push({
+                stage: variant.stage,
+                variant: variant.name,
+                found: codes.length > 0,
+                ms: now() - attemptStarted,
+            });
+
+            if (codes.length > 0) {
+                result.codes = codes.map(code => ({
+                    ...code,
+                    corners: (code.corners || []).map(toSource),
+                }));
+                result.stage = variant.stage;
+                result.variant = variant.name;
+                break;
+            }
+        }
+
+        result.durationMs = now() - started;
+        return result;
+    }
+
+    // Expose public API
+    window.MehrGuardImagePipeline = {
+        STAGE,
+        STAGE_ORDER,
+        run,
+    };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = window.MehrGuardImagePipeline;
+    }
+
+})();
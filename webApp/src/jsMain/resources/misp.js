@@ -0,0 +1,360 @@
+/**
+ * Mehr Guard MISP Events
+ *
+ * Exchanges scans with MISP (the threat-sharing platform CERTs use):
+ * - buildEvent() turns URL scans into a MISP event with url, hostname,
+ *   domain and ip-dst attributes. Attributes of malicious scans are marked
+ *   `to_ids`; reason codes and verdicts become tags.
+ * - parseEvent() reads a MISP event JSON file and returns the indicators
+ *   that are marked `to_ids`, for MehrGuardPolicy.addSharedIntel().
+ *
+ * @author Mehr Guard Team
+ * @version 2.4.1
+ */
+
+(function () {
+    'use strict';
+
+    // ==========================================================================
+    // CONFIGURATION
+    // ==========================================================================
+
+    const ORG_NAME = 'Mehr Guard';
+    const CATEGORY = 'Network activity';
+
+    // MISP enums are strings in event JSON
+    const THREAT_LEVEL = { HIGH: '1', MEDIUM: '2', LOW: '3', UNDEFINED: '4' };
+    const ANALYSIS_COMPLETED = '2';
+    const DISTRIBUTION_ORGANISATION = '0';
+    const DISTRIBUTION_INHERIT = '5';
+
+    const EVENT_TAGS = ['tlp:amber', 'mehrguard:source="qr-scan"'];
+
+    // Verdicts from worst to best, for merging several scans of one indicator
+    const VERDICT_RANK = { MALICIOUS: 3, SUSPICIOUS: 2, UNKNOWN: 1, SAFE: 0 };
+
+    // Attribute types read on import, and what they become
+    const IMPORT_TYPES = {
+        url: 'urls',
+        uri: 'urls',
+        domain: 'domains',
+        'domain|ip': 'domains',
+        hostname: 'hostnames',
+        'hostname|port': 'hostnames',
+        'ip-dst': 'hostnames',
+        'ip-dst|port': 'hostnames',
+    };
+
+    const MAX_IMPORT_INDICATORS = 20000;
+
+    // ==========================================================================
+    // EXPORT
+    // ==========================================================================
+
+    /**
+     * Build a MISP event from scans.
+     * @param {Array<Object>} scans - Report data (MehrGuardReport.fromScan)
+     * @param {Object} [options]
+     * @param {number} [options.now=Date.now()] - Event timestamp
+     * @returns {{event: Object|null, skipped: number}} `{Event: {...}}`, or null
+     *   when none of the scans is a URL
+     */
+    function buildEvent(scans, options = {}) {
+        const now = options.now ?? Date.now();
+        const attributes = new Map();
+        let skipped = 0;
+        let latest = 0;
+        let worst = null;
+
+        scans.forEach(scan => {
+            const parsed = scan.payload || !scan.timestamp ? null : parseUrl(scan.url);
+            if (!parsed) {
+                skipped++;
+                return;
+            }
+
+            const verdict = VERDICT_RANK[scan.verdict] !== undefined ? scan.verdict : 'UNKNOWN';
+            const malicious = verdict === 'MALICIOUS';
+            const sighting = {
+                verdict,
+                score: Math.round(Number(scan.score) || 0),
+                timestamp: scan.timestamp,
+                tags: getScanTags(scan, verdict),
+            };
+            latest = Math.max(latest, scan.timestamp);
+            if (!worst || VERDICT_RANK[verdict] > VERDICT_RANK[worst]) worst = verdict;
+
+            addAttribute(attributes, 'url', parsed.url, malicious, sighting);
+
+            if (parsed.isIp) {
+                addAttribute(attributes, 'ip-dst', parsed.host, malicious, sighting);
+                return;
+            }
+
+            // Only the host is an indicator; its registrable domain is context,
+            // so a phishing page on a shared host does not flag the whole domain
+            const domain = getRegistrableDomain(parsed.url) || parsed.host;
+            if (domain === parsed.host) {
+                addAttribute(attributes, 'domain', domain, malicious, sighting);
+            } else {
+                addAttribute(attributes, 'hostname', parsed.host, malicious, sighting);
+                addAttribute(attributes, 'domain', domain, false, sighting);
+            }
+        });
+
+        if (attributes.size === 0) {
+            return { event: null, skipped };
+        }
+
+        const list = Array.from(attributes.values())
+            .sort((a, b) => compare(a.type, b.type) || compare(a.value, b.value))
+            .map(toMispAttribute);
+        const maliciousCount = list.filter(attribute => attribute.type === 'url' && attribute.to_ids).length;
+        const urlCount = list.filter(attribute => attribute.type === 'url').length;
+
+        return {
+            event: {
+                Event: {
+                    uuid: createUuid(),
+                    info: `Mehr Guard QR scans: ${urlCount} URL${urlCount === 1 ? '' : 's'}` +
+                        (maliciousCount ? `, ${maliciousCount} malicious` : ''),
+                    date: new Date(latest).toISOString().slice(0, 10),
+                    threat_level_id: worst === 'MALICIOUS' ? THREAT_LEVEL.HIGH
+                        : worst === 'SUSPICIOUS' ? THREAT_LEVEL.MEDIUM
+                            : worst === 'SAFE' ? THREAT_LEVEL.LOW : THREAT_LEVEL.UNDEFINED,
+                    analysis: ANALYSIS_COMPLETED,
+                    distribution: DISTRIBUTION_ORGANISATION,
+                    published: false,
+                    timestamp: toEpochSeconds(now),
+                    Orgc: { name: ORG_NAME },
+                    Tag: EVENT_TAGS.map(name => ({ name })),
+                    Attribute: list,
+                },
+            },
+            skipped,
+        };
+    }
+
+    function addAttribute(attributes, type, value, toIds, sighting) {
+        const key = `${type}|${value}`;
+        const attribute = attributes.get(key) || {
+            type,
+            value,
+            toIds: false,
+            verdict: sighting.verdict,
+            score: sighting.score,
+            first: sighting.timestamp,
+            last: sighting.timestamp,
+            tags: new Set(),
+        };
+        attribute.toIds = attribute.toIds || toIds;
+        if (VERDICT_RANK[sighting.verdict] > VERDICT_RANK[attribute.verdict]) attribute.verdict = sighting.verdict;
+        attribute.score = Math.max(attribute.score, sighting.score);
+        attribute.first = Math.min(attribute.first, sighting.timestamp);
+        attribute.last = Math.max(attribute.last, sighting.timestamp);
+        sighting.tags.forEach(tag => attribute.tags.add(tag));
+        attributes.set(key, attribute);
+    }
+
+    function toMispAttribute(attribute) {
+        return {
+            uuid: createUuid(),
+            type: attribute.type,
+            category: CATEGORY,
+            value: attribute.value,
+            to_ids: attribute.toIds,
+            distribution: DISTRIBUTION_INHERIT,
+            comment: `Mehr Guard verdict ${attribute.verdict} (risk score ${attribute.score}/100)`,
+            timestamp: toEpochSeconds(attribute.last),
+            first_seen: new Date(attribute.first).toISOString(),
+            last_seen: new Date(attribute.last).toISOString(),
+            Tag: Array.from(attribute.tags).sort().map(name => ({ name })),
+        };
+    }
+
+    /**
+     * Verdict tag plus one tag per reason code
+     */
+    function getScanTags(scan, verdict) {
+        const codes = (scan.analysis?.reasons || [])
+            .map(reason => reason.code)
+            .filter(code => code && code !== 'ANALYSIS_COMPLETE');
+        return [
+            `mehrguard:verdict="${verdict.toLowerCase()}"`,
+            ...new Set(codes.map(code => `mehrguard:reason="${code}"`)),
+        ];
+    }
+
+    // ==========================================================================
+    // IMPORT
+    // ==========================================================================
+
+    /**
+     * Read the detection indicators from a MISP event JSON file.
+     * Accepts `{Event: {...}}`, a bare event, or a REST search response.
+     * Only attributes marked `to_ids` are used, as MISP intends.
+     *
+     * @param {string} text - File contents
+     * @returns {{valid: boolean, errors: string[], warnings: string[],
+     *            event: {uuid: string|null, info: string, orgName: string, date: string,
+     *                    domains: string[], hostnames: string[], urls: string[]}|null}}
+     */
+    function parseEvent(text) {
+        const errors = [];
+        const warnings = [];
+
+        let json;
+        try {
+            json = JSON.parse(text);
+        } catch (e) {
+            return { valid: false, errors: ['File is not valid JSON'], warnings, event: null };
+        }
+
+        const event = json?.Event || json?.response?.[0]?.Event || (Array.isArray(json?.Attribute) ? json : null);
+        if (!event || typeof event !== 'object') {
+            return { valid: false, errors: ['Not a MISP event: no "Event" object found'], warnings, event: null };
+        }
+
+        const attributes = [
+            ...(Array.isArray(event.Attribute) ? event.Attribute : []),
+            ...(Array.isArray(event.Object) ? event.Object : [])
+                .flatMap(object => (Array.isArray(object?.Attribute) ? object.Attribute : [])),
+        ];
+
+        const found = { domains: new Set(), hostnames: new Set(), urls: new Set() };
+        let notForDetection = 0;
+        let otherTypes = 0;
+        let invalid = 0;
+
+        attributes.forEach(attribute => {
+            if (!attribute || isTrue(attribute.deleted)) return;
+
+            const target = IMPORT_TYPES[attribute.type];
+            if (!target) {
+                otherTypes++;
+                return;
+            }
+            if (!isTrue(attribute.to_ids)) {
+                notForDetection++;
+                return;
+            }
+
+            const value = normalizeValue(target, attribute.type, attribute.value);
+            if (value) {
+                found[target].add(value);
+            } else {
+                invalid++;
+            }
+        });
+
+        const total = found.domains.size + found.hostnames.size + found.urls.size;
+        if (total === 0) {
+            errors.push('The event has no url, domain or hostname attributes marked for detection (to_ids)');
+        } else if (total > MAX_IMPORT_INDICATORS) {
+            errors.push(`The event has ${total} indicators; at most ${MAX_IMPORT_INDICATORS} can be imported`);
+        }
+        if (notForDetection > 0) {
+            warnings.push(`${notForDetection} attributes not marked for detection (to_ids) were ignored`);
+        }
+        if (otherTypes > 0) {
+            warnings.push(`${otherTypes} attributes of other types were ignored`);
+        }
+        if (invalid > 0) {
+            warnings.push(`${invalid} attributes with unreadable values were ignored`);
+        }
+
+        return {
+            valid: errors.length === 0,
+            errors,
+            warnings,
+            event: errors.length === 0 ? {
+                uuid: typeof event.uuid === 'string' && event.uuid ? event.uuid : null,
+                info: String(event.info || 'Untitled MISP event'),
+                orgName: String(event.Orgc?.name || event.Org?.name || ''),
+                date: String(event.date || ''),
+                domains: Array.from(found.domains).sort(),
+                hostnames: Array.from(found.hostnames).sort(),
+                urls: Array.from(found.urls).sort(),
+            } : null,
+        };
+    }
+
+    function normalizeValue(target, type, value) {
+        if (typeof value !== 'string') return null;
+        // Composite types (domain|ip, hostname|port) keep their first part
+        const raw = (type.includes('|') ? value.split('|')[0] : value).trim();
+
+        if (target === 'urls') {
+            return parseUrl(raw)?.url || null;
+        }
+
+        const host = raw.toLowerCase().replace(/\.$/, '');
+        if (isIpv4(host)) return host;
+        const ascii = toAsciiHost(host);
+        return /^([a-z0-9_]([a-z0-9_-]*[a-z0-9_])?\.)+[a-z0-9-]{2,}$/.test(ascii) ? ascii : null;
+    }
+
+    // ==========================================================================
+    // HELPERS
+    // ==========================================================================
+
+    function parseUrl(content) {
+        let url;
+        try {
+            url = new URL(String(content || '').trim());
+        } catch (e) {
+            return null;
+        }
+        if ((url.protocol !== 'http:' && url.protocol !== 'https:') || !url.hostname) return null;
+        const host = url.hostname.replace(/^\[|\]$/g, '');
+        return { url: url.href, host, isIp: isIpv4(host) || host.includes(':') };
+    }
+
+    function toAsciiHost(host) {
+        try {
+            return new URL(`http://${host}`).hostname;
+        } catch (e) {
+            return host;
+        }
+    }
+
+    function isIpv4(host) {
+        return /^\d{1,3}(\.\d{1,3}){3}$/.test(host);
+    }
+
+    function getRegistrableDomain(url) {
+        return window.MehrGuardHistoryStore?.getRegistrableDomain(url) || null;
+    }
+
+    function isTrue(value) {
+        return value === true || value === 1 || value === '1' || value === 'true';
+    }
+
+    function toEpochSeconds(timestamp) {
+        return String(Math.floor(timestamp / 1000));
+    }
+
+    function compare(a, b) {
+        return a < b ? -1 : a > b ? 1 : 0;
+    }
+
+    function createUuid() {
+        if (typeof crypto.randomUUID === 'function') return crypto.randomUUID();
+        const bytes = crypto.getRandomValues(new Uint8Array(16));
+        bytes[6] = (bytes[6] & 0x0f) | 0x40;
+        bytes[8] = (bytes[8] & 0x3f) | 0x80;
+        const hex = Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+        return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+    }
+
+    // Expose public API
+    window.MehrGuardMisp = {
+        buildEvent,
+        parseEvent,
+    };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = window.MehrGuardMisp;
+    }
+
+})();
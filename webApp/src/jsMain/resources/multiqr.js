@@ -0,0 +1,442 @@
+/**
+ * Mehr Guard Multi-QR Detection
+ *
+ * Finds every QR code in a camera frame or image rather than stopping at
+ * the first one. jsQR only returns a single code, so each decoded region is
+ * masked out and the image is scanned again until nothing else decodes.
+ * jsQR also gives up when it sees finder patterns from several codes at
+ * once, so the same loop is repeated over overlapping tiles.
+ *
+ * Each code is then assessed on its own (URL engine or payload analyzer,
+ * plus the Trust Centre policy) so codes can be compared side by side.
+ * A safe code next to a malicious one is the signature of a sticker
+ * overlay attack on a printed poster.
+ *
+ * @author Mehr Guard Team
+ * @version 2.4.1
+ */
+
+(function () {
+    'use strict';
+
+    // ==========================================================================
+    // CONFIGURATION
+    // ==========================================================================
+
+    const MAX_CODES = 8;
+
+    // Mask slightly beyond the finder patterns so the quiet zone is removed too
+    const MASK_PADDING = 0.12;
+
+    // Tile levels tried after the full-image pass (see getTiles)
+    const DEFAULT_TILE_LEVELS = [2, 3, 4];
+
+    // Tiles smaller than this cannot hold a readable code
+    const MIN_TILE_SIZE = 64;
+
+    // Longest side of the stored code thumbnail, and the quiet zone kept around it
+    const THUMBNAIL_SIZE = 160;
+    const THUMBNAIL_PADDING = 0.1;
+
+    const VERDICT_COLORS = {
+        SAFE: '#10b981',
+        SUSPICIOUS: '#f59e0b',
+        MALICIOUS: '#ef4444',
+        UNKNOWN: '#64748b',
+    };
+
+    // ==========================================================================
+    // DETECTION
+    // ==========================================================================
+
+    function getCorners(location) {
+        return [
+            location.topLeftCorner,
+            location.topRightCorner,
+            location.bottomRightCorner,
+            location.bottomLeftCorner,
+        ];
+    }
+
+    function getCentroid(points) {
+        return {
+            x: points.reduce((sum, p) => sum + p.x, 0) / points.length,
+            y: points.reduce((sum, p) => sum + p.y, 0) / points.length,
+        };
+    }
+
+    /**
+     * Grow a quadrilateral outwards from its centroid.
+     */
+    function expandPolygon(points, factor) {
+        const center = getCentroid(points);
+        return points.map(p => ({
+            x: center.x + (p.x - center.x) * (1 + factor),
+            y: center.y + (p.y - center.y) * (1 + factor),
+        }));
+    }
+
+    /**
+     * Point-in-convex-polygon test (works for either winding order).
+     */
+    function isInsidePolygon(point, polygon) {
+        let sign = 0;
+        for (let i = 0; i < polygon.length; i++) {
+            const a = polygon[i];
+            const b = polygon[(i + 1) % polygon.length];
+            const cross = (b.x - a.x) * (point.y - a.y) - (b.y - a.y) * (point.x - a.x);
+            if (cross !== 0) {
+                if (sign === 0) sign = Math.sign(cross);
+                else if (Math.sign(cross) !== sign) return false;
+            }
+        }
+        return true;
+    }
+
+    /**
+     * Paint a polygon white in an RGBA buffer so jsQR no longer sees it.
+     */
+    function maskPolygon(data, width, height, polygon) {
+        const minX = Math.max(0, Math.floor(Math.min(...polygon.map(p => p.x))));
+        const maxX = Math.min(width - 1, Math.ceil(Math.max(...polygon.map(p => p.x))));
+        const minY = Math.max(0, Math.floor(Math.min(...polygon.map(p => p.y))));
+        const maxY = Math.min(height - 1, Math.ceil(Math.max(...polygon.map(p => p.y))));
+
+        for (let y = minY; y <= maxY; y++) {
+            for (let x = minX; x <= maxX; x++) {
+                if (isInsidePolygon({ x, y }, polygon)) {
+                    const offset = (y * width + x) * 4;
+                    data[offset] = 255;
+                    data[offset + 1] = 255;
+                    data[offset + 2] = 255;
+                }
+            }
+        }
+    }
+
+    /**
+     * Copy a rectangle out of an RGBA buffer.
+     */
+    function cropRegion(data, width, region) {
+        const out = new Uint8ClampedArray(region.width * region.height * 4);
+        for (let y = 0; y < region.height; y++) {
+            const start = ((region.y + y) * width + region.x) * 4;
+            out.set(data.subarray(start, start + region.width * 4), y * region.width * 4);
+        }
+        return out;
+    }
+
+    /**
+     * Overlapping windows along one axis: `count` windows, each 2/(count+1)
+     * of the length, so neighbours overlap by half a window.
+     */
+    function getSpans(length, count) {
+        if (count === 1) return [{ start: 0, size: length }];
+        const size = Math.floor(length * 2 / (count + 1));
+        return Array.from({ length: count }, (_, i) => ({
+            start: Math.min(length - size, Math.floor(i * size / 2)),
+            size,
+        }));
+    }
+
+    /**
+     * Windows for one tile level: every grid with up to `level` windows per
+     * axis and exactly `level` on at least one axis. Mixing counts gives
+     * full-height strips and full-width bands as well as squares, so a code
+     * can be isolated from neighbours on either side.
+     */
+    function getTiles(width, height, level) {
+        const tiles = [];
+        for (let cols = 1; cols <= level; cols++) {
+            for (let rows = 1; rows <= level; rows++) {
+                if (Math.max(cols, rows) !== level) continue;
+                getSpans(height, rows).forEach(y => {
+                    getSpans(width, cols).forEach(x => {
+                        if (x.size >= MIN_TILE_SIZE && y.size >= MIN_TILE_SIZE) {
+                            tiles.push({ x: x.start, y: y.start, width: x.size, height: y.size });
+                        }
+                    });
+                });
+            }
+        }
+        return tiles;
+    }
+
+    /**
+     * Decode every QR code in an image.
+     *
+     * @param {ImageData} imageData - Frame or image pixels (left untouched)
+     * @param {Object} [options]
+     * @param {string} [options.inversionAttempts='dontInvert'] - Passed to jsQR
+     * @param {number} [options.maxCodes=8] - Upper bound on codes per image
+     * @param {number[]} [options.tileLevels=[2, 3, 4]] - Tile levels to search after
+     *        the full-image pass; pass [] for a cheap full-image-only scan
+     * @returns {Array<{index: number, data: string, corners: Array<{x: number, y: number}>}>}
+     */
+    function detectAll(imageData, options = {}) {
+        const decode = window.jsQR;
+        if (typeof decode !== 'function' || !imageData) return [];
+
+        const { width, height } = imageData;
+        const inversionAttempts = options.inversionAttempts || 'dontInvert';
+        const maxCodes = options.maxCodes || MAX_CODES;
+        const tileLevels = options.tileLevels || DEFAULT_TILE_LEVELS;
+        const codes = [];
+        const masks = [];
+        let data = imageData.data;
+
+        // Decode-and-mask until the region yields nothing new
+        const scanRegion = (region) => {
+            while (codes.length < maxCodes) {
+                const pixels = region ? cropRegion(data, width, region) : data;
+                const code = decode(pixels,
+                    region ? region.width : width,
+                    region ? region.height : height,
+                    { inversionAttempts });
+                if (!code) return;
+
+                const corners = getCorners(code.location).map(p => ({
+                    x: p.x + (region ? region.x : 0),
+                    y: p.y + (region ? region.y : 0),
+                }));
+
+                // If the mask did not remove the last code, stop rather than loop forever
+                const center = getCentroid(corners);
+                if (masks.some(mask => isInsidePolygon(center, mask))) return;
+
+                codes.push({ index: codes.length + 1, data: code.data, corners });
+
+                // Copy on first mask so the caller's pixels stay intact
+                if (data === imageData.data) data = new Uint8ClampedArray(imageData.data);
+                const mask = expandPolygon(corners, MASK_PADDING);
+                maskPolygon(data, width, height, mask);
+                masks.push(mask);
+            }
+        };
+
+        scanRegion(null);
+        tileLevels.forEach(level => {
+            getTiles(width, height, level).forEach(tile => scanRegion(tile));
+        });
+
+        return codes;
+    }
+
+    // ==========================================================================
+    // ASSESSMENT
+    // ==========================================================================
+
+    function toHistoryVerdict(verdict) {
+        return verdict === 'MALICIOUS' ? 'HIGH' :
+            verdict === 'SUSPICIOUS' ? 'MEDIUM' :
+                verdict === 'SAFE' ? 'SAFE' : 'LOW';
+    }
+
+    function isHttpUrl(content) {
+        try {
+            const url = new URL(content.trim());
+            return url.protocol === 'http:' || url.protocol === 'https:';
+        } catch {
+            return false;
+        }
+    }
+
+    /**
+     * Score a URL in the engine worker, or synchronously if the host is absent.
+     * @returns {Promise<{score: number, verdict: string, flags: string[]}|null>}
+     */
+    async function assessUrl(url) {
+        try {
+            if (typeof window.mehrguardAnalyzeAsync === 'function') {
+                return await window.mehrguardAnalyzeAsync(url);
+            }
+            if (typeof window.mehrguardAssess === 'function') {
+                const assessment = window.mehrguardAssess(url);
+                return assessment && !assessment.error ? assessment : null;
+            }
+        } catch (e) {
+            console.warn('[MultiQr] Assessment failed:', e);
+        }
+        return null;
+    }
+
+    /**
+     * Analyze one decoded code without leaving the page.
+     * URLs go through the engine worker, other content through the payload
+     * analyzer; both then pass through the Trust Centre policy.
+     *
+     * @param {{index: number, data: string, corners: Array, symbology?: string}} code
+     * @returns {Promise<{index: number, content: string, url: string, verdict: string, score: number,
+     *            flags: string[], payload: Object|null, policy: Object|null, analysis: Object|null,
+     *            corners: Array, symbology: string}>}
+     */
+    async function assess(code) {
+        const content = code.data;
+        const result = {
+            index: code.index,
+            content,
+            url: content,
+            verdict: 'UNKNOWN',
+            score: 0,
+            flags: [],
+            payload: null,
+            policy: null,
+            analysis: null,
+            corners: code.corners,
+            symbology: code.symbology || 'qr_code',
+        };
+
+        let url = isHttpUrl(content) ? content.trim() : null;
+        let payload = null;
+
+        if (!url && window.MehrGuardPayload?.isAvailable()) {
+            payload = window.MehrGuardPayload.analyze(content);
+            if (payload?.isUrl) {
+                url = `https://${content.trim().replace(/^\/\//, '')}`;
+                payload = null;
+            }
+        }
+
+        if (url) {
+            const assessment = await assessUrl(url);
+            if (assessment) {
+                result.url = url;
+                result.verdict = assessment.verdict;
+                result.score = assessment.score || 0;
+                result.flags = Array.from(assessment.flags || []);
+                // Full worker results carry reason codes; keep them for history
+                if (assessment.reasons) {
+                    result.analysis = window.MehrGuardUI?.createAnalysisSnapshot(assessment) || null;
+                }
+            }
+        } else if (payload) {
+            result.url = window.MehrGuardPayload.redact(content);
+            result.verdict = window.MehrGuardPayload.toEngineVerdict(payload.verdict);
+            result.score = payload.riskScore;
+            result.flags = payload.signals.map(signal => signal.name);
+            result.payload = payload;
+        }
+
+        const decision = window.MehrGuardPolicy?.evaluate({
+            url: url || content,
+            verdict: result.verdict,
+            score: result.score,
+            payload: !url,
+        });
+        if (decision) {
+            result.verdict = decision.verdict;
+            result.score = decision.score;
+            result.policy = window.MehrGuardPolicy.toRecord(decision);
+        }
+
+        return result;
+    }
+
+    /**
+     * Look for the sticker-overlay pattern: at least one safe code and at
+     * least one malicious code in the same image.
+     * @returns {{detected: boolean, safe: number[], malicious: number[]}}
+     */
+    function findOverlayRisk(results) {
+        const safe = results.filter(r => r.verdict === 'SAFE').map(r => r.index);
+        const malicious = results.filter(r => r.verdict === 'MALICIOUS').map(r => r.index);
+        return { detected: safe.length > 0 && malicious.length > 0, safe, malicious };
+    }
+
+    // ==========================================================================
+    // THUMBNAILS
+    // ==========================================================================
+
+    /**
+     * Crop one code out of the scanned frame or image as a small greyscale
+     * JPEG, stored with the history entry so reports can show what was
+     * actually scanned.
+     * @param {HTMLCanvasElement} canvas - Canvas holding the frame or image
+     * @param {Array<{x: number, y: number}>} corners - Code corners from detectAll()
+     * @returns {string|null} JPEG data URL, or null when it cannot be captured
+     */
+    function captureThumbnail(canvas, corners) {
+        if (!canvas || !corners || corners.length < 3) return null;
+
+        const xs = corners.map(p => p.x);
+        const ys = corners.map(p => p.y);
+        const padding = (Math.max(...xs) - Math.min(...xs)) * THUMBNAIL_PADDING;
+        const left = Math.max(0, Math.min(...xs) - padding);
+        const top = Math.max(0, Math.min(...ys) - padding);
+        const width = Math.min(canvas.width, Math.max(...xs) + padding) - left;
+        const height = Math.min(canvas.height, Math.max(...ys) + padding) - top;
+        if (width < 8 || height < 8) return null;
+
+        try {
+            const scale = THUMBNAIL_SIZE / Math.max(width, height);
+            const thumbnail = document.createElement('canvas');
+            thumbnail.width = Math.round(width * scale);
+            thumbnail.height = Math.round(height * scale);
+
+            const ctx = thumbnail.getContext('2d');
+            ctx.filter = 'grayscale(1)';
+            ctx.drawImage(canvas, left, top, width, height, 0, 0, thumbnail.width, thumbnail.height);
+            return thumbnail.toDataURL('image/jpeg', 0.85);
+        } catch (e) {
+            console.warn('[MultiQR] Could not capture code thumbnail:', e);
+            return null;
+        }
+    }
+
+    // ==========================================================================
+    // OVERLAY
+    // ==========================================================================
+
+    /**
+     * Draw a numbered outline over each code, coloured by verdict.
+     * @param {CanvasRenderingContext2D} ctx - Context already holding the image
+     * @param {Array<{index: number, corners: Array, verdict?: string}>} codes
+     */
+    function drawOverlay(ctx, codes) {
+        const scale = Math.max(1, Math.min(ctx.canvas.width, ctx.canvas.height) / 400);
+
+        codes.forEach(code => {
+            const color = VERDICT_COLORS[code.verdict] || VERDICT_COLORS.UNKNOWN;
+            const [first, ...rest] = code.corners;
+
+            ctx.save();
+            ctx.lineWidth = 4 * scale;
+            ctx.strokeStyle = color;
+            ctx.fillStyle = `${color}33`;
+            ctx.beginPath();
+            ctx.moveTo(first.x, first.y);
+            rest.forEach(p => ctx.lineTo(p.x, p.y));
+            ctx.closePath();
+            ctx.fill();
+            ctx.stroke();
+
+            const radius = 16 * scale;
+            ctx.beginPath();
+            ctx.arc(first.x, first.y, radius, 0, Math.PI * 2);
+            ctx.fillStyle = color;
+            ctx.fill();
+            ctx.fillStyle = '#ffffff';
+            ctx.font = `700 ${Math.round(18 * scale)}px Inter, sans-serif`;
+            ctx.textAlign = 'center';
+            ctx.textBaseline = 'middle';
+            ctx.fillText(String(code.index), first.x, first.y);
+            ctx.restore();
+        });
+    }
+
+    // Expose public API
+    window.MehrGuardMultiQr = {
+        VERDICT_COLORS,
+        detectAll,
+        assess,
+        findOverlayRisk,
+        captureThumbnail,
+        drawOverlay,
+        toHistoryVerdict,
+    };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = window.MehrGuardMultiQr;
+    }
+
+})();
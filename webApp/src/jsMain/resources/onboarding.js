@@ -158,6 +158,12 @@ function loadSettings() {
         sensitivityEl.value = settings.sensitivity || 'balanced';
     }
 
+    // Update history retention select
+    const retentionEl = document.getElementById('settingHistoryRetention');
+    if (retentionEl) {
+        retentionEl.value = String(settings.historyRetentionDays ?? 0);
+    }
+
     // Update toggle switches
     const toggleMappings = {
         'settingAutoBlock': 'autoBlock',
@@ -207,6 +213,19 @@ function setupSettingsListeners() {
         });
     }
 
+    // History retention select
+    const retentionEl = document.getElementById('settingHistoryRetention');
+    if (retentionEl) {
+        retentionEl.addEventListener('change', async (e) => {
+            OnboardingState.settings.historyRetentionDays = Number(e.target.value);
+            saveSettings();
+            const removed = await window.MehrGuardUI.applyHistoryRetention?.() || 0;
+            showToast(removed > 0
+                ? formatText('History retention updated, {count} older scans removed', { count: removed })
+                : translateText('History retention updated'), 'success');
+        });
+    }
+
     // Toggle switches
     const toggleMappings = {
         'settingAutoBlock': { key: 'autoBlock', label: 'Auto-block' },
@@ -312,7 +331,8 @@ function resetSettings() {
         scanSummary: true,
         darkMode: true,
         compactView: false,
-        showConfidence: true
+        showConfidence: true,
+        historyRetentionDays: 0
     };
 
     OnboardingState.settings = defaults;
@@ -0,0 +1,273 @@
+/**
+ * Mehr Guard QR Payload Helpers
+ *
+ * Thin wrapper around the Kotlin `QrPayloadAnalyzer` bridge
+ * (`window.mehrguardAnalyzePayload`) for non-URL QR codes:
+ * Wi-Fi, vCard/MeCard, SMS, tel:, mailto:, crypto, UPI, EMV, geo, text.
+ *
+ * Provides verdict mapping, password redaction for history, result
+ * factors, and the type-specific detail rows shown on results.html.
+ *
+ * @author Mehr Guard Team
+ * @version 2.4.1
+ */
+
+(function () {
+    'use strict';
+
+    // ==========================================================================
+    // CONFIGURATION
+    // ==========================================================================
+
+    const CRYPTO_TYPES = ['BITCOIN', 'ETHEREUM', 'CRYPTO_OTHER'];
+    const CONTACT_TYPES = ['VCARD', 'MECARD'];
+
+    const TYPE_ICONS = {
+        WIFI: 'wifi',
+        VCARD: 'contact_page',
+        MECARD: 'contact_page',
+        SMS: 'sms',
+        PHONE: 'call',
+        EMAIL: 'mail',
+        BITCOIN: 'currency_bitcoin',
+        ETHEREUM: 'currency_exchange',
+        CRYPTO_OTHER: 'currency_exchange',
+        UPI: 'payments',
+        PAYPAL: 'payments',
+        WECHAT_PAY: 'payments',
+        ALIPAY: 'payments',
+        EMV_PAYMENT: 'point_of_sale',
+        GEO: 'location_on',
+        VEVENT: 'event',
+        TEXT: 'notes',
+    };
+
+    // ==========================================================================
+    // ANALYSIS
+    // ==========================================================================
+
+    function isAvailable() {
+        return typeof window.mehrguardAnalyzePayload === 'function';
+    }
+
+    /**
+     * True for content that should go to the payload analyzer rather than
+     * the URL engine. http(s) URLs and bare hosts such as `example.com` stay
+     * with the engine; the rest is typed by `QrPayloadType.detect` through
+     * `window.mehrguardDetectPayloadType`.
+     */
+    function isPayloadContent(content) {
+        if (!content || typeof window.mehrguardDetectPayloadType !== 'function') return false;
+        const trimmed = content.trim();
+        if (/^https?:\/\//i.test(trimmed)) return false;
+        try {
+            return !window.mehrguardDetectPayloadType(trimmed).isUrl;
+        } catch (e) {
+            console.error('[Payload] Bridge error:', e);
+            return false;
+        }
+    }
+
+    /**
+     * Analyze raw QR content with the shared engine.
+     * @param {string} content - Raw decoded QR text
+     * @returns {Object|null} Plain, JSON-safe analysis or null if unavailable
+     */
+    function analyze(content) {
+        if (!isAvailable() || !content) return null;
+        try {
+            const result = window.mehrguardAnalyzePayload(content);
+            if (!result || result.error) {
+                console.warn('[Payload] Analysis failed:', result?.error);
+                return null;
+            }
+            // Copy out of the Kotlin object so it survives JSON round-trips
+            return {
+                payloadType: result.payloadType,
+                displayName: result.displayName,
+                isUrl: !!result.isUrl,
+                isPayment: !!result.isPayment,
+                riskScore: result.riskScore || 0,
+                verdict: result.verdict,
+                recommendation: result.recommendation || '',
+                signals: Array.from(result.signals || []).map(signal => ({
+                    name: signal.name,
+                    description: signal.description,
+                    riskPoints: signal.riskPoints || 0,
+                })),
+                parsedData: { ...(result.parsedData || {}) },
+            };
+        } catch (e) {
+            console.error('[Payload] Bridge error:', e);
+            return null;
+        }
+    }
+
+    /**
+     * Map a PayloadVerdict to the engine verdict vocabulary used by the UI.
+     * CAUTION maps to SUSPICIOUS - NEVER default to safe.
+     */
+    function toEngineVerdict(payloadVerdict) {
+        switch (payloadVerdict) {
+            case 'SAFE':
+                return 'SAFE';
+            case 'CAUTION':
+            case 'SUSPICIOUS':
+                return 'SUSPICIOUS';
+            case 'DANGEROUS':
+                return 'MALICIOUS';
+            default:
+                return 'UNKNOWN';
+        }
+    }
+
+    /**
+     * Strip secrets before content is stored in history or put in a URL.
+     * Currently: the Wi-Fi password field.
+     */
+    function redact(content) {
+        if (!content) return '';
+        if (/^\s*wifi:/i.test(content)) {
+            return content.replace(/([:;])P:((?:\\.|[^;])*)/i, (match, sep, value) =>
+                value ? `${sep}P:••••••` : match);
+        }
+        return content;
+    }
+
+    // ==========================================================================
+    // PRESENTATION
+    // ==========================================================================
+
+    function getIcon(analysis) {
+        return TYPE_ICONS[analysis?.payloadType] || 'qr_code_2';
+    }
+
+    /**
+     * Short one-line label for lists (history, sidebars).
+     */
+    function summarize(analysis) {
+        if (!analysis) return '';
+        const data = analysis.parsedData || {};
+        const detail = data.ssid || data.merchantName || data.name || data.phone ||
+            data.email || data.address || data.payee || data.coordinates || '';
+        return detail ? `${analysis.displayName}: ${detail}` : analysis.displayName;
+    }
+
+    /**
+     * Convert analyzer signals into results-page factor cards.
+     */
+    function toFactors(analysis) {
+        if (!analysis) return [];
+        const category = (analysis.displayName || 'Payload').toUpperCase();
+        const factors = analysis.signals.map(signal => ({
+            type: signal.riskPoints >= 30 ? 'FAIL' :
+                signal.riskPoints >= 15 ? 'WARN' : 'INFO',
+            category,
+            title: signal.name,
+            description: signal.description,
+        }));
+        if (factors.length === 0) {
+            factors.push({
+                type: 'PASS',
+                category,
+                title: 'No Payload Risks Found',
+                description: analysis.recommendation || 'No risk signals were detected in this QR content.',
+            });
+        }
+        return factors;
+    }
+
+    function yesNo(value) {
+        return value === 'true' ? 'Yes' : 'No';
+    }
+
+    // Rows whose values are UI strings rather than decoded QR data
+    const UI_VALUE = { translate: true };
+
+    /**
+     * Type-specific detail rows for results.html.
+     * Only rows marked `translate` carry UI strings; all other values are
+     * decoded QR data and must be shown verbatim.
+     * @returns {Array<{label: string, value: string, flag?: boolean, mono?: boolean, translate?: boolean}>}
+     */
+    function getDetails(analysis) {
+        if (!analysis) return [];
+        const data = analysis.parsedData || {};
+        const type = analysis.payloadType;
+        const signalNames = analysis.signals.map(signal => signal.name);
+        const rows = [];
+        const add = (label, value, extra = {}) => {
+            if (value !== undefined && value !== null && value !== '') {
+                rows.push({ label, value: String(value), ...extra });
+            }
+        };
+
+        if (type === 'WIFI') {
+            const auth = (data.authType || '').toUpperCase();
+            const isOpen = !auth || auth === 'NOPASS' || auth === 'UNKNOWN' || data.hasPassword !== 'true';
+            add('Network name (SSID)', data.ssid || '—', {
+                flag: signalNames.some(name => name.startsWith('Suspicious SSID') || name === 'Potential Data Exfiltration'),
+            });
+            add('Encryption', isOpen ? 'None (open network)' : auth, { flag: isOpen || auth === 'WEP', translate: isOpen });
+            add('Hidden network', yesNo(String(data.hidden).toLowerCase()), {
+                ...UI_VALUE,
+                flag: String(data.hidden).toLowerCase() === 'true',
+            });
+            add('Password included', yesNo(data.hasPassword), UI_VALUE);
+        } else if (CONTACT_TYPES.includes(type)) {
+            add('Name', data.name);
+            add('Organisation', data.org, { flag: signalNames.includes('Sensitive Organization') });
+            add('Phone', data.phone, { flag: signalNames.includes('Premium Rate Number') });
+            add('Email', data.email);
+            add('Website', data.url, { mono: true, flag: signalNames.includes('Suspicious URL') });
+        } else if (type === 'SMS' || type === 'PHONE') {
+            const premium = data.premiumRate === 'true';
+            add(type === 'SMS' ? 'Recipient number' : 'Phone number', data.phone || '—', { mono: true, flag: premium });
+            add('Premium-rate number', yesNo(data.premiumRate), { ...UI_VALUE, flag: premium });
+            if (type === 'SMS') add('Message', data.body);
+        } else if (type === 'EMAIL') {
+            add('Recipient', data.email, { mono: true });
+        } else if (CRYPTO_TYPES.includes(type)) {
+            add('Destination address', data.address || '—', { mono: true, flag: true });
+            add('Amount', data.amount);
+            add('Label', data.label, { flag: signalNames.includes('Suspicious Label') });
+        } else if (type === 'UPI') {
+            add('Payee', data.payee, { mono: true });
+            add('Amount', data.amount);
+        } else if (type === 'EMV_PAYMENT') {
+            add('Merchant', data.merchantName || '—', { flag: !data.merchantName });
+            add('City', data.merchantCity);
+            add('Country', data.country);
+            add('Amount', data.amount ? `${data.amount} ${data.currency || ''}`.trim() : '');
+            add('Payment network', data.network, { mono: true });
+            add('Checksum valid', yesNo(data.checksumValid), { ...UI_VALUE, flag: data.checksumValid !== 'true' });
+        } else if (type === 'GEO') {
+            add('Coordinates', data.coordinates, { mono: true });
+        } else if (type === 'TEXT') {
+            add('Length', data.length);
+            add('URLs found', data.urlCount, { flag: parseInt(data.urlCount, 10) > 0 });
+        } else {
+            Object.keys(data).forEach(key => add(key, data[key]));
+        }
+
+        return rows;
+    }
+
+    // Expose public API
+    window.MehrGuardPayload = {
+        isAvailable,
+        isPayloadContent,
+        analyze,
+        toEngineVerdict,
+        redact,
+        getIcon,
+        summarize,
+        toFactors,
+        getDetails,
+    };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = window.MehrGuardPayload;
+    }
+
+})();
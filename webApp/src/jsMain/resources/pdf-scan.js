@@ -0,0 +1,209 @@
+/**
+ * Mehr Guard PDF Scanning
+ *
+ * Finds QR codes and links inside PDF documents, so a quishing attachment
+ * can be triaged without opening it in a reader. Each page is rendered
+ * offline with the bundled pdf.js (pdf.min.js + pdf.worker.min.js, 3.11.174)
+ * and searched for every code through MehrGuardDecoder.decodeFrame (native
+ * BarcodeDetector or the decoder worker); URI link annotations are read
+ * from the page as well.
+ *
+ * PDFs here are untrusted by definition: pdf.js runs with eval disabled
+ * (CVE-2024-4367), no XFA forms and no network fetches.
+ *
+ * @author Mehr Guard Team
+ * @version 2.4.1
+ */
+
+(function () {
+    'use strict';
+
+    // ==========================================================================
+    // CONFIGURATION
+    // ==========================================================================
+
+    const WORKER_URL = 'pdf.worker.min.js';
+
+    // Longest side of a rendered page; codes printed a few centimetres wide
+    // on an A4 invoice still get 3+ pixels per module
+    const RENDER_SIDE = 1800;
+
+    // PDF user units are points (1/72 inch)
+    const MIN_SCALE = 1;
+    const MAX_SCALE = 4;
+
+    const DEFAULT_MAX_PAGES = 50;
+
+    // Decoder options for rendered pages (see MehrGuardDecoder.decodeFrame)
+    const DETECT_OPTIONS = {
+        maxSide: RENDER_SIDE,
+        inversionAttempts: 'attemptBoth',
+        tileLevels: [2],
+        otherSymbologies: 'always',
+    };
+
+    // ==========================================================================
+    // PDF.JS
+    // ==========================================================================
+
+    function getPdfJs() {
+        const pdfjs = window.pdfjsLib;
+        if (!pdfjs?.getDocument) return null;
+        if (!pdfjs.GlobalWorkerOptions.workerSrc) {
+            pdfjs.GlobalWorkerOptions.workerSrc = WORKER_URL;
+        }
+        return pdfjs;
+    }
+
+    function isAvailable() {
+        return !!getPdfJs();
+    }
+
+    /**
+     * Whether a file is a PDF, by MIME type or extension (browsers leave
+     * the type empty for some downloads and mail attachments)
+     * @param {File|Blob} file
+     */
+    function isPdf(file) {
+        if (!file) return false;
+        return file.type === 'application/pdf' || /\.pdf$/i.test(file.name || '');
+    }
+
+    // ==========================================================================
+    // PAGES
+    // ==========================================================================
+
+    function getRenderScale(page) {
+        const viewport = page.getViewport({ scale: 1 });
+        const scale = RENDER_SIDE / Math.max(viewport.width, viewport.height);
+        return Math.min(MAX_SCALE, Math.max(MIN_SCALE, scale));
+    }
+
+    /**
+     * URI link annotations on a page. The raw URI is kept (pdf.js drops
+     * javascript: and other schemes it will not open), since those are
+     * exactly what the analysis should see.
+     */
+    async function getLinks(page) {
+        const annotations = await page.getAnnotations({ intent: 'display' });
+        const urls = annotations
+            .filter(annotation => annotation.subtype === 'Link')
+            .map(annotation => String(annotation.unsafeUrl || annotation.url || '').trim())
+            .filter(Boolean);
+        return [...new Set(urls)].map(url => ({ url }));
+    }
+
+    async function renderPage(page, canvas) {
+        const viewport = page.getViewport({ scale: getRenderScale(page) });
+        canvas.width = Math.ceil(viewport.width);
+        canvas.height = Math.ceil(viewport.height);
+
+        const ctx = canvas.getContext('2d', { willReadFrequently: true });
+        // Transparent areas would read as black
+        ctx.fillStyle = '#ffffff';
+        ctx.fillRect(0, 0, canvas.width, canvas.height);
+
+        await page.render({ canvasContext: ctx, viewport, annotationMode: getPdfJs().AnnotationMode.DISABLE }).promise;
+    }
+
+    /**
+     * Every code on a rendered page, decoded off the main thread where
+     * possible (pages are large and there can be many of them)
+     */
+    async function detectCodes(canvas) {
+        if (window.MehrGuardDecoder) {
+            const result = await window.MehrGuardDecoder.decodeFrame(canvas, DETECT_OPTIONS);
+            if (result.decoder) return result.codes;
+        }
+
+        const imageData = canvas.getContext('2d').getImageData(0, 0, canvas.width, canvas.height);
+        if (window.MehrGuardBarcodes) {
+            return window.MehrGuardBarcodes.detectAll(imageData, DETECT_OPTIONS);
+        }
+        return (window.MehrGuardMultiQr?.detectAll(imageData, DETECT_OPTIONS) || [])
+            .map(code => ({ ...code, symbology: 'qr_code' }));
+    }
+
+    // ==========================================================================
+    // SCANNING
+    // ==========================================================================
+
+    /**
+     * Render every page of a PDF and collect its codes and links.
+     *
+     * Pages are rendered one at a time into a single canvas, which is handed
+     * to `onPage` while it still holds that page (for thumbnails).
+     *
+     * @param {ArrayBuffer|Uint8Array} data - PDF file contents
+     * @param {Object} [options]
+     * @param {number} [options.maxPages=50] - Pages scanned at most
+     * @param {Function} [options.onPage] - Called with ({pageNumber, pageCount,
+     *        codes, links}, canvas) after each page
+     * @param {Function} [options.isCancelled] - Stops before the next page when it returns true
+     * @returns {Promise<{pageCount: number, scannedPages: number, truncated: boolean,
+     *          pages: Array<{pageNumber: number, codes: Array, links: Array<{url: string}>}>}>}
+     * @throws {Error} When pdf.js is missing, or the file is not a readable PDF
+     *         (pdf.js errors keep their name, e.g. PasswordException, InvalidPDFException)
+     */
+    async function scan(data, options = {}) {
+        const pdfjs = getPdfJs();
+        if (!pdfjs) throw new Error('PDF renderer is not available');
+
+        const maxPages = options.maxPages || DEFAULT_MAX_PAGES;
+        const task = pdfjs.getDocument({
+            data: new Uint8Array(data),
+            isEvalSupported: false,
+            enableXfa: false,
+            disableAutoFetch: true,
+            disableStream: true,
+            disableRange: true,
+            stopAtErrors: false,
+        });
+
+        const pdf = await task.promise;
+        const canvas = document.createElement('canvas');
+        const pageCount = pdf.numPages;
+        const pages = [];
+
+        try {
+            for (let pageNumber = 1; pageNumber <= Math.min(pageCount, maxPages); pageNumber++) {
+                if (options.isCancelled?.()) break;
+
+                const page = await pdf.getPage(pageNumber);
+                try {
+                    const links = await getLinks(page);
+                    await renderPage(page, canvas);
+                    const codes = await detectCodes(canvas);
+                    const result = { pageNumber, pageCount, codes, links };
+                    pages.push(result);
+                    options.onPage?.(result, canvas);
+                } finally {
+                    page.cleanup();
+                }
+            }
+        } finally {
+            canvas.width = 0;
+            canvas.height = 0;
+            await pdf.destroy();
+        }
+
+        return {
+            pageCount,
+            scannedPages: pages.length,
+            truncated: pageCount > maxPages,
+            pages,
+        };
+    }
+
+    // Expose public API
+    window.MehrGuardPdfScan = {
+        isAvailable,
+        isPdf,
+        scan,
+    };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = window.MehrGuardPdfScan;
+    }
+
+})();
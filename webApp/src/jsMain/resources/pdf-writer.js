@@ -0,0 +1,424 @@
+/**
+ * Mehr Guard PDF Writer
+ *
+ * Minimal PDF 1.4 writer for offline reports: text in the standard
+ * Helvetica / Helvetica-Bold / Courier fonts, filled and stroked
+ * rectangles, lines and JPEG images, on A4 or US Letter pages.
+ *
+ * Output is deterministic: the same calls produce the same bytes. Nothing
+ * time- or random-based is written unless passed in (`creationDate`), and
+ * there is no trailer /ID.
+ *
+ * The standard fonts only cover Windows-1252 (WinAnsiEncoding), so other
+ * characters are written as "?". Callers should pass ASCII forms where it
+ * matters, e.g. punycode hosts.
+ *
+ * Coordinates are in points (1/72 inch) measured from the top-left corner;
+ * the y of a text call is its baseline.
+ *
+ * @author Mehr Guard Team
+ * @version 2.4.1
+ */
+
+(function () {
+    'use strict';
+
+    // ==========================================================================
+    // CONFIGURATION
+    // ==========================================================================
+
+    const PAGE_SIZES = Object.freeze({
+        A4: Object.freeze({ width: 595.28, height: 841.89 }),
+        LETTER: Object.freeze({ width: 612, height: 792 }),
+    });
+
+    const FONTS = Object.freeze({
+        regular: { resource: 'F1', baseFont: 'Helvetica' },
+        bold: { resource: 'F2', baseFont: 'Helvetica-Bold' },
+        mono: { resource: 'F3', baseFont: 'Courier' },
+    });
+
+    // Advance widths (1/1000 em) for characters 32-126, from the Adobe AFM files
+    const HELVETICA_WIDTHS = [
+        278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+        556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+        1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+        667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+        333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+        556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584,
+    ];
+
+    const HELVETICA_BOLD_WIDTHS = [
+        278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+        556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+        975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+        667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+        333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+        611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584,
+    ];
+
+    const DEFAULT_WIDTH = 556; // Approximation for characters outside 32-126
+    const MONO_WIDTH = 600;
+
+    // Unicode characters that WinAnsiEncoding places in 0x80-0x9F
+    const WIN_ANSI_EXTRAS = {
+        0x20AC: 0x80, 0x201A: 0x82, 0x0192: 0x83, 0x201E: 0x84, 0x2026: 0x85,
+        0x2020: 0x86, 0x2021: 0x87, 0x02C6: 0x88, 0x2030: 0x89, 0x0160: 0x8A,
+        0x2039: 0x8B, 0x0152: 0x8C, 0x017D: 0x8E, 0x2018: 0x91, 0x2019: 0x92,
+        0x201C: 0x93, 0x201D: 0x94, 0x2022: 0x95, 0x2013: 0x96, 0x2014: 0x97,
+        0x02DC: 0x98, 0x2122: 0x99, 0x0161: 0x9A, 0x203A: 0x9B, 0x0153: 0x9C,
+        0x017E: 0x9E, 0x0178: 0x9F,
+    };
+
+    // ==========================================================================
+    // ENCODING HELPERS
+    // ==========================================================================
+
+    /**
+     * Convert a string to WinAnsi bytes held in a binary string.
+     * Unsupported characters become "?"; tabs and newlines become spaces.
+     */
+    function toWinAnsi(text) {
+        let out = '';
+        for (const char of String(text ?? '')) {
+            const code = char.codePointAt(0);
+            if (code === 9 || code === 10 || code === 13) {
+                out += ' ';
+            } else if ((code >= 32 && code <= 126) || (code >= 0xA0 && code <= 0xFF)) {
+                out += char;
+            } else if (WIN_ANSI_EXTRAS[code]) {
+                out += String.fromCharCode(WIN_ANSI_EXTRAS[code]);
+            } else {
+                out += '?';
+            }
+        }
+        return out;
+    }
+
+    function escapePdfString(binary) {
+        return binary.replace(/[\\()]/g, '\\$&');
+    }
+
+    /** Fixed-precision number, so output does not depend on float printing */
+    function num(value) {
+        return String(Number((Number(value) || 0).toFixed(2)));
+    }
+
+    function color(rgb) {
+        return rgb.map(c => num(Math.max(0, Math.min(255, c)) / 255)).join(' ');
+    }
+
+    function formatPdfDate(value) {
+        const date = new Date(value);
+        if (isNaN(date.getTime())) return null;
+        const pad = (n) => String(n).padStart(2, '0');
+        return `D:${date.getUTCFullYear()}${pad(date.getUTCMonth() + 1)}${pad(date.getUTCDate())}` +
+            `${pad(date.getUTCHours())}${pad(date.getUTCMinutes())}${pad(date.getUTCSeconds())}Z`;
+    }
+
+    function binaryToBytes(binary) {
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) {
+            bytes[i] = binary.charCodeAt(i) & 0xFF;
+        }
+        return bytes;
+    }
+
+    // ==========================================================================
+    // TEXT METRICS
+    // ==========================================================================
+
+    function charWidth(font, code) {
+        if (font === 'mono') return MONO_WIDTH;
+        const table = font === 'bold' ? HELVETICA_BOLD_WIDTHS : HELVETICA_WIDTHS;
+        return code >= 32 && code <= 126 ? table[code - 32] : DEFAULT_WIDTH;
+    }
+
+    /**
+     * Width of a string in points.
+     * @param {string} text
+     * @param {string} [font='regular'] - regular, bold or mono
+     * @param {number} [size=10] - Font size in points
+     */
+    function measure(text, font = 'regular', size = 10) {
+        const binary = toWinAnsi(text);
+        let units = 0;
+        for (let i = 0; i < binary.length; i++) {
+            units += charWidth(font, binary.charCodeAt(i));
+        }
+        return units * size / 1000;
+    }
+
+    /**
+     * Break text into lines no wider than maxWidth. Words longer than a
+     * line (URLs, hashes) are split between characters.
+     * @returns {string[]}
+     */
+    function wrap(text, font, size, maxWidth) {
+        const lines = [];
+
+        String(text ?? '').split('\n').forEach(paragraph => {
+            let line = '';
+            paragraph.split(/\s+/).filter(Boolean).forEach(word => {
+                const candidate = line ? `${line} ${word}` : word;
+                if (measure(candidate, font, size) <= maxWidth) {
+                    line = candidate;
+                    return;
+                }
+                if (line) lines.push(line);
+
+                // Split an over-long word across as many lines as it needs
+                line = '';
+                for (const char of word) {
+                    if (line && measure(line + char, font, size) > maxWidth) {
+                        lines.push(line);
+                        line = '';
+                    }
+                    line += char;
+                }
+            });
+            lines.push(line);
+        });
+
+        return lines;
+    }
+
+    // ==========================================================================
+    // IMAGES
+    // ==========================================================================
+
+    function dataUrlToBinary(dataUrl) {
+        const match = /^data:image\/jpeg;base64,(.+)$/i.exec(dataUrl || '');
+        if (!match) throw new Error('Only base64 JPEG data URLs are supported');
+        return atob(match[1]);
+    }
+
+    /**
+     * Read dimensions and colour components from a JPEG's SOF segment.
+     * @param {string} binary - JPEG bytes as a binary string
+     */
+    function readJpegInfo(binary) {
+        if (binary.charCodeAt(0) !== 0xFF || binary.charCodeAt(1) !== 0xD8) {
+            throw new Error('Not a JPEG image');
+        }
+
+        let offset = 2;
+        while (offset + 4 <= binary.length) {
+            if (binary.charCodeAt(offset) !== 0xFF) {
+                offset++;
+                continue;
+            }
+            const marker = binary.charCodeAt(offset + 1);
+            const length = (binary.charCodeAt(offset + 2) << 8) | binary.charCodeAt(offset + 3);
+            const isStartOfFrame = marker >= 0xC0 && marker <= 0xCF &&
+                marker !== 0xC4 && marker !== 0xC8 && marker !== 0xCC;
+
+            if (isStartOfFrame) {
+                return {
+                    height: (binary.charCodeAt(offset + 5) << 8) | binary.charCodeAt(offset + 6),
+                    width: (binary.charCodeAt(offset + 7) << 8) | binary.charCodeAt(offset + 8),
+                    components: binary.charCodeAt(offset + 9),
+                };
+            }
+            offset += 2 + length;
+        }
+        throw new Error('JPEG has no frame header');
+    }
+
+    // ==========================================================================
+    // DOCUMENT
+    // ==========================================================================
+
+    /**
+     * Start a new PDF document.
+     * @param {Object} [options]
+     * @param {string} [options.pageSize='A4'] - A4 or LETTER
+     * @param {string} [options.title]
+     * @param {string} [options.subject]
+     * @param {number|Date} [options.creationDate] - Written to the info dictionary when given
+     * @returns {Object} Document with addPage(), addJpeg(), measure(), wrap(), toBytes() and toBlob()
+     */
+    function createDocument(options = {}) {
+        const size = PAGE_SIZES[String(options.pageSize || 'A4').toUpperCase()];
+        if (!size) throw new Error(`Unknown page size: ${options.pageSize}`);
+
+        const pages = [];
+        const images = [];
+
+        function addPage() {
+            const ops = [];
+            const toY = (y) => size.height - y;
+
+            const page = {
+                width: size.width,
+                height: size.height,
+
+                /**
+                 * @param {number} x
+                 * @param {number} y - Baseline
+                 * @param {string} text
+                 * @param {{font?: string, size?: number, color?: number[], align?: string}} [style]
+                 */
+                text(x, y, text, style = {}) {
+                    const font = FONTS[style.font] ? style.font : 'regular';
+                    const fontSize = style.size || 10;
+                    let left = x;
+                    if (style.align === 'right') left = x - measure(text, font, fontSize);
+                    if (style.align === 'center') left = x - measure(text, font, fontSize) / 2;
+
+                    ops.push(`BT /${FONTS[font].resource} ${num(fontSize)} Tf ${color(style.color || [0, 0, 0])} rg ` +
+                        `${num(left)} ${num(toY(y))} Td (${escapePdfString(toWinAnsi(text))}) Tj ET`);
+                    return page;
+                },
+
+                /**
+                 * @param {{fill?: number[], stroke?: number[], lineWidth?: number}} [style]
+                 */
+                rect(x, y, width, height, style = {}) {
+                    const paint = style.fill && style.stroke ? 'B' : style.stroke ? 'S' : 'f';
+                    ops.push(['q',
+                        style.fill ? `${color(style.fill)} rg` : '',
+                        style.stroke ? `${color(style.stroke)} RG ${num(style.lineWidth || 1)} w` : '',
+                        `${num(x)} ${num(toY(y + height))} ${num(width)} ${num(height)} re ${paint} Q`,
+                    ].filter(Boolean).join(' '));
+                    return page;
+                },
+
+                /**
+                 * @param {{color?: number[], lineWidth?: number}} [style]
+                 */
+                line(x1, y1, x2, y2, style = {}) {
+                    ops.push(`q ${color(style.color || [0, 0, 0])} RG ${num(style.lineWidth || 1)} w ` +
+                        `${num(x1)} ${num(toY(y1))} m ${num(x2)} ${num(toY(y2))} l S Q`);
+                    return page;
+                },
+
+                /**
+                 * @param {{name: string}} image - From addJpeg()
+                 */
+                image(image, x, y, width, height) {
+                    ops.push(`q ${num(width)} 0 0 ${num(height)} ${num(x)} ${num(toY(y + height))} cm /${image.name} Do Q`);
+                    return page;
+                },
+
+                content() {
+                    return ops.join('\n');
+                },
+            };
+
+            pages.push(page);
+            return page;
+        }
+
+        /**
+         * Register a JPEG for use with page.image().
+         * @param {string} dataUrl - `data:image/jpeg;base64,...`
+         * @returns {{name: string, width: number, height: number}}
+         */
+        function addJpeg(dataUrl) {
+            const binary = dataUrlToBinary(dataUrl);
+            const info = readJpegInfo(binary);
+            const image = { name: `Im${images.length + 1}`, binary, ...info };
+            images.push(image);
+            return { name: image.name, width: info.width, height: info.height };
+        }
+
+        /**
+         * Serialize the document.
+         * @returns {Uint8Array}
+         */
+        function toBytes() {
+            if (pages.length === 0) addPage();
+
+            // Object numbers: 1 catalog, 2 page tree, 3 info, 4-6 fonts,
+            // then images, then a page and content stream per page
+            const fontIds = { regular: 4, bold: 5, mono: 6 };
+            const firstImageId = 7;
+            const firstPageId = firstImageId + images.length;
+            const pageIds = pages.map((_, i) => firstPageId + i * 2);
+
+            const objects = [];
+            objects[1] = '<< /Type /Catalog /Pages 2 0 R >>';
+            objects[2] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pages.length} >>`;
+
+            const info = ['/Producer (Mehr Guard)'];
+            if (options.title) info.push(`/Title (${escapePdfString(toWinAnsi(options.title))})`);
+            if (options.subject) info.push(`/Subject (${escapePdfString(toWinAnsi(options.subject))})`);
+            const created = options.creationDate != null ? formatPdfDate(options.creationDate) : null;
+            if (created) info.push(`/CreationDate (${created})`);
+            objects[3] = `<< ${info.join(' ')} >>`;
+
+            Object.entries(FONTS).forEach(([key, font]) => {
+                objects[fontIds[key]] = `<< /Type /Font /Subtype /Type1 /BaseFont /${font.baseFont} /Encoding /WinAnsiEncoding >>`;
+            });
+
+            const colorSpaces = { 1: '/DeviceGray', 3: '/DeviceRGB', 4: '/DeviceCMYK' };
+            images.forEach((image, i) => {
+                objects[firstImageId + i] = `<< /Type /XObject /Subtype /Image /Width ${image.width} /Height ${image.height} ` +
+                    `/ColorSpace ${colorSpaces[image.components] || '/DeviceRGB'} /BitsPerComponent 8 ` +
+                    `/Filter /DCTDecode /Length ${image.binary.length} >>\nstream\n${image.binary}\nendstream`;
+            });
+
+            const fontResources = Object.entries(FONTS)
+                .map(([key, font]) => `/${font.resource} ${fontIds[key]} 0 R`).join(' ');
+            const imageResources = images
+                .map((image, i) => `/${image.name} ${firstImageId + i} 0 R`).join(' ');
+
+            pages.forEach((page, i) => {
+                const pageId = pageIds[i];
+                const content = page.content();
+                objects[pageId] = `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${num(size.width)} ${num(size.height)}] ` +
+                    `/Resources << /Font << ${fontResources} >>${imageResources ? ` /XObject << ${imageResources} >>` : ''} >> ` +
+                    `/Contents ${pageId + 1} 0 R >>`;
+                objects[pageId + 1] = `<< /Length ${content.length} >>\nstream\n${content}\nendstream`;
+            });
+
+            // Binary comment marks the file as binary for transfer tools
+            let out = '%PDF-1.4\n%\xE2\xE3\xCF\xD3\n';
+            const offsets = [];
+            for (let id = 1; id < objects.length; id++) {
+                offsets[id] = out.length;
+                out += `${id} 0 obj\n${objects[id]}\nendobj\n`;
+            }
+
+            const xrefOffset = out.length;
+            out += `xref\n0 ${objects.length}\n0000000000 65535 f \n`;
+            for (let id = 1; id < objects.length; id++) {
+                out += `${String(offsets[id]).padStart(10, '0')} 00000 n \n`;
+            }
+            out += `trailer\n<< /Size ${objects.length} /Root 1 0 R /Info 3 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+
+            return binaryToBytes(out);
+        }
+
+        function toBlob() {
+            return new Blob([toBytes()], { type: 'application/pdf' });
+        }
+
+        return {
+            width: size.width,
+            height: size.height,
+            pages,
+            addPage,
+            addJpeg,
+            measure,
+            wrap,
+            toBytes,
+            toBlob,
+        };
+    }
+
+    // Expose public API
+    window.MehrGuardPdf = {
+        PAGE_SIZES,
+        createDocument,
+        measure,
+        wrap,
+        toWinAnsi,
+    };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = window.MehrGuardPdf;
+    }
+
+})();
@@ -0,0 +1,822 @@
+/**
+ * Mehr Guard Trust Policy
+ *
+ * Applies the user's Trust Centre configuration to engine verdicts:
+ * - Organisation policy (OrgPolicy JSON imported by IT)
+ * - Blocklist (always MALICIOUS)
+ * - Shared threat intel (MISP events from partners, always MALICIOUS)
+ * - Allowlist (SAFE, unless the URL is in the threat-intel database)
+ * - Sensitivity level (Low / Balanced / Paranoia threshold shift)
+ *
+ * Runs once, after the Kotlin engine returns and before the verdict is
+ * saved to history or shown on the results page. The returned decision
+ * records which list or setting changed the outcome so the results page
+ * can explain it.
+ *
+ * @author Mehr Guard Team
+ * @version 2.4.1
+ */
+
+(function () {
+    'use strict';
+
+    // ==========================================================================
+    // CONFIGURATION
+    // ==========================================================================
+
+    // Storage keys are shared with trust.js (TrustConfig)
+    const SETTINGS_KEY = 'mehrguard_trust_settings';
+    const ALLOWLIST_KEY = 'mehrguard_allowlist';
+    const BLOCKLIST_KEY = 'mehrguard_blocklist';
+    const ORG_POLICY_KEY = 'mehrguard_org_policy';
+    const SHARED_INTEL_KEY = 'mehrguard_shared_intel';
+
+    const DEFAULT_SENSITIVITY = 2;
+
+    // Mirrors DetectionConfig.LENIENT / DEFAULT / STRICT in the shared engine.
+    // Balanced (2) leaves the engine verdict untouched.
+    const SENSITIVITY_THRESHOLDS = {
+        1: { nameKey: 'SensitivityLow', safeThreshold: 20, suspiciousThreshold: 70 },
+        2: { nameKey: 'SensitivityBalanced', safeThreshold: 10, suspiciousThreshold: 50 },
+        3: { nameKey: 'SensitivityParanoia', safeThreshold: 5, suspiciousThreshold: 35 },
+    };
+
+    const SOURCE = {
+        ORG_POLICY: 'org_policy',
+        BLOCKLIST: 'blocklist',
+        SHARED_INTEL: 'shared_intel',
+        ALLOWLIST: 'allowlist',
+        SENSITIVITY: 'sensitivity',
+    };
+
+    // PolicyResult variants returned by mehrguardOrgPolicyEvaluate
+    const ORG_STATUS = {
+        ALLOWED: 'ALLOWED',
+        BLOCKED: 'BLOCKED',
+        REQUIRES_REVIEW: 'REQUIRES_REVIEW',
+        PASSED: 'PASSED',
+        THRESHOLD: 'THRESHOLD',
+    };
+
+    // Human-readable labels for OrgPolicy BlockReason values
+    const BLOCK_REASON_LABELS = {
+        DOMAIN_BLOCKED: 'Blocked domain',
+        TLD_BLOCKED: 'Blocked top-level domain',
+        PATTERN_MATCH: 'Blocked URL pattern',
+        HTTPS_REQUIRED: 'HTTPS required',
+        IP_ADDRESS: 'IP address URL',
+        SHORTENER: 'URL shortener',
+        LENGTH_EXCEEDED: 'URL too long',
+        PAYLOAD_TYPE_BLOCKED: 'QR content type not allowed',
+        SMISHING_DETECTED: 'SMS phishing pattern',
+        CATEGORY_BLOCKED: 'Blocked category',
+    };
+
+    // Field types understood by OrgPolicy.fromJson
+    const ORG_POLICY_FIELDS = {
+        version: 'string',
+        orgId: 'string',
+        orgName: 'string',
+        expiresAt: 'string',
+        contactEmail: 'string',
+        strictMode: 'boolean',
+        requireHttps: 'boolean',
+        blockIpAddresses: 'boolean',
+        blockShorteners: 'boolean',
+        maxUrlLength: 'number',
+        safeThreshold: 'number',
+        suspiciousThreshold: 'number',
+        customThresholds: 'object',
+        allowedDomains: 'array',
+        blockedDomains: 'array',
+        blockedTlds: 'array',
+        blockedCategories: 'array',
+        allowedBrands: 'array',
+        allowedPayloadTypes: 'array',
+    };
+
+    // Valid OrgPolicy fields the JSON importer does not read yet
+    const ORG_POLICY_IGNORED_FIELDS = ['blockedPatterns', 'allowedPatterns', 'sensitivebrands'];
+
+    // ==========================================================================
+    // SETTINGS ACCESS
+    // ==========================================================================
+
+    function readJson(key, fallback) {
+        try {
+            const raw = localStorage.getItem(key);
+            return raw ? JSON.parse(raw) : fallback;
+        } catch (e) {
+            console.warn('[Policy] Failed to read', key, e);
+            return fallback;
+        }
+    }
+
+    /**
+     * Read a domain list. Accepts both the current `{domain, addedAt}` format
+     * and the legacy plain-string format.
+     * @param {string} key - localStorage key
+     * @returns {string[]} Lowercased domain rules
+     */
+    function readDomainList(key) {
+        const list = readJson(key, []);
+        if (!Array.isArray(list)) return [];
+        return list
+            .map(item => (typeof item === 'string' ? item : item?.domain))
+            .filter(Boolean)
+            .map(domain => String(domain).trim().toLowerCase());
+    }
+
+    function getAllowlist() {
+        return readDomainList(ALLOWLIST_KEY);
+    }
+
+    function getBlocklist() {
+        return readDomainList(BLOCKLIST_KEY);
+    }
+
+    /**
+     * @returns {number} 1 = Low, 2 = Balanced, 3 = Paranoia
+     */
+    function getSensitivity() {
+        const settings = readJson(SETTINGS_KEY, {});
+        const level = parseInt(settings?.sensitivity, 10);
+        return SENSITIVITY_THRESHOLDS[level] ? level : DEFAULT_SENSITIVITY;
+    }
+
+    // ==========================================================================
+    // DOMAIN MATCHING
+    // ==========================================================================
+
+    function extractHost(url) {
+        if (!url) return '';
+        try {
+            const withProtocol = url.includes('://') ? url : `https://${url}`;
+            return new URL(withProtocol).hostname.toLowerCase().replace(/\.$/, '');
+        } catch (e) {
+            return '';
+        }
+    }
+
+    /**
+     * Resolve the registrable domain (eTLD+1) using the engine's
+     * public-suffix aware parser.
+     * @returns {string} Empty when the parser is unavailable or fails: a
+     *   last-two-labels guess would turn example.co.uk into co.uk, so rules
+     *   then only match exact hosts and wildcards
+     */
+    function getRegistrableDomain(host) {
+        if (!host) return '';
+        if (window.mehrguardParseDomain) {
+            try {
+                const parsed = window.mehrguardParseDomain(host);
+                if (parsed && !parsed.error && parsed.registrableDomain) {
+                    return String(parsed.registrableDomain).toLowerCase();
+                }
+            } catch (e) {
+                console.warn('[Policy] Domain parser error:', e);
+            }
+        }
+        return '';
+    }
+
+    /**
+     * Match a host against a single list rule.
+     *
+     * - `*.example.com` matches example.com and any subdomain
+     * - `example.com` matches the exact host, and any host whose
+     *   registrable domain is example.com (only when the domain parser
+     *   is available)
+     * - `login.example.com` matches only that host
+     *
+     * @returns {string|null} Match type ('exact', 'wildcard', 'registrable') or null
+     */
+    function matchDomainRule(host, rule) {
+        if (!host || !rule) return null;
+
+        if (rule.startsWith('*.')) {
+            const base = rule.substring(2);
+            return host === base || host.endsWith(`.${base}`) ? 'wildcard' : null;
+        }
+
+        if (host === rule) return 'exact';
+
+        const registrable = getRegistrableDomain(host);
+        if (registrable && registrable === rule && getRegistrableDomain(rule) === rule) {
+            return 'registrable';
+        }
+
+        return null;
+    }
+
+    function findMatch(host, rules) {
+        for (const rule of rules) {
+            const matchType = matchDomainRule(host, rule);
+            if (matchType) return { rule, matchType };
+        }
+        return null;
+    }
+
+    // ==========================================================================
+    // SHARED THREAT INTEL
+    // ==========================================================================
+
+    let sharedIntelIndex = null;
+
+    /**
+     * Imported MISP events, newest first
+     * @returns {Array<{uuid: string, info: string, orgName: string, date: string, fileName: string,
+     *          importedAt: number, domains: string[], hostnames: string[], urls: string[]}>}
+     */
+    function getSharedIntel() {
+        const events = readJson(SHARED_INTEL_KEY, []);
+        return Array.isArray(events) ? events : [];
+    }
+
+    /**
+     * Store the indicators of a parsed MISP event (MehrGuardMisp.parseEvent).
+     * Importing an event again replaces the earlier copy.
+     * @returns {boolean} False when the browser refused to store it
+     */
+    function addSharedIntel(event, fileName) {
+        const uuid = event.uuid || `local-${Date.now()}`;
+        const events = getSharedIntel().filter(existing => existing.uuid !== uuid);
+        events.unshift({
+            uuid,
+            info: event.info,
+            orgName: event.orgName,
+            date: event.date,
+            fileName: fileName || 'event.json',
+            importedAt: Date.now(),
+            domains: event.domains,
+            hostnames: event.hostnames,
+            urls: event.urls,
+        });
+
+        try {
+            localStorage.setItem(SHARED_INTEL_KEY, JSON.stringify(events));
+        } catch (e) {
+            console.error('[Policy] Failed to store shared threat intel:', e);
+            return false;
+        }
+        sharedIntelChanged();
+        return true;
+    }
+
+    function removeSharedIntel(uuid) {
+        const events = getSharedIntel().filter(event => event.uuid !== uuid);
+        localStorage.setItem(SHARED_INTEL_KEY, JSON.stringify(events));
+        sharedIntelChanged();
+    }
+
+    /**
+     * Lookup tables over every imported event, built on first use
+     */
+    function getSharedIntelIndex() {
+        if (sharedIntelIndex) return sharedIntelIndex;
+
+        const index = { urls: new Map(), hosts: new Map(), domains: new Map() };
+        // Oldest first so the newest event wins for indicators in several
+        getSharedIntel().slice().reverse().forEach(event => {
+            const source = { uuid: event.uuid, info: event.info, orgName: event.orgName };
+            (event.urls || []).forEach(url => index.urls.set(url, source));
+            (event.hostnames || []).forEach(host => index.hosts.set(stripWww(host), source));
+            (event.domains || []).forEach(domain => index.domains.set(domain, source));
+        });
+        sharedIntelIndex = index;
+        return index;
+    }
+
+    /**
+     * Match a URL against the shared indicators: the exact URL, the exact
+     * host (ignoring www.) for hostname indicators, or the domain and any
+     * subdomain for domain indicators.
+     * @returns {{rule: string, matchType: string, sharedIntel: Object}|null}
+     */
+    function findSharedIntelMatch(url, host) {
+        if (!host) return null;
+        const index = getSharedIntelIndex();
+
+        let href = null;
+        try {
+            href = new URL(url).href;
+        } catch (e) {
+            // Not an absolute URL; hosts can still match
+        }
+        if (href && index.urls.has(href)) {
+            return { rule: href, matchType: 'url', sharedIntel: index.urls.get(href) };
+        }
+
+        const bareHost = stripWww(host);
+        if (index.hosts.has(bareHost)) {
+            return { rule: bareHost, matchType: 'exact', sharedIntel: index.hosts.get(bareHost) };
+        }
+
+        const labels = host.split('.');
+        for (let i = 0; i < labels.length - 1; i++) {
+            const candidate = labels.slice(i).join('.');
+            if (index.domains.has(candidate)) {
+                return {
+                    rule: candidate,
+                    matchType: i === 0 ? 'exact' : 'wildcard',
+                    sharedIntel: index.domains.get(candidate),
+                };
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Load the shared domains and hosts into the engine's threat-intel set
+     * (mehrguardThreatLookup), on the page and in the analysis worker.
+     * URL indicators stay here: the engine set is keyed by host.
+     */
+    function syncSharedIntel() {
+        const hosts = new Set();
+        getSharedIntel().forEach(event => {
+            (event.domains || []).forEach(domain => hosts.add(domain));
+            (event.hostnames || []).forEach(host => hosts.add(stripWww(host)));
+        });
+        const list = Array.from(hosts).sort();
+
+        try {
+            window.mehrguardSetSharedIntel?.(list);
+        } catch (e) {
+            console.warn('[Policy] Could not load shared intel into the engine:', e);
+        }
+        window.MehrGuardEngineHost?.setSharedIntel?.(list);
+    }
+
+    function sharedIntelChanged() {
+        sharedIntelIndex = null;
+        syncSharedIntel();
+    }
+
+    function stripWww(host) {
+        return host.startsWith('www.') ? host.substring(4) : host;
+    }
+
+    // ==========================================================================
+    // ORGANISATION POLICY
+    // ==========================================================================
+
+    /**
+     * @returns {{json: string, fileName: string, importedAt: number, summary: Object}|null}
+     */
+    function getOrgPolicy() {
+        const stored = readJson(ORG_POLICY_KEY, null);
+        return stored && typeof stored.json === 'string' ? stored : null;
+    }
+
+    function isDomainRule(value) {
+        const host = value.startsWith('*.') ? value.substring(2) : value;
+        return /^[a-z0-9]+([\-.][a-z0-9]+)*\.[a-z]{2,}$/i.test(host) || host === 'localhost';
+    }
+
+    /**
+     * Validate an OrgPolicy JSON document before it is stored.
+     * Structural checks run here; the shared engine then parses it so the
+     * summary reflects exactly what will be enforced.
+     *
+     * @param {string} text - File contents
+     * @returns {{valid: boolean, errors: string[], warnings: string[], summary: Object|null}}
+     */
+    function validateOrgPolicy(text) {
+        const errors = [];
+        const warnings = [];
+        let data = null;
+
+        if (!text || !text.trim()) {
+            return { valid: false, errors: ['Policy file is empty'], warnings, summary: null };
+        }
+
+        try {
+            data = JSON.parse(text);
+        } catch (e) {
+            return { valid: false, errors: [`Invalid JSON: ${e.message}`], warnings, summary: null };
+        }
+
+        if (!data || typeof data !== 'object' || Array.isArray(data)) {
+            return { valid: false, errors: ['Policy must be a JSON object'], warnings, summary: null };
+        }
+
+        Object.keys(data).forEach(key => {
+            const expected = ORG_POLICY_FIELDS[key];
+            const value = data[key];
+
+            if (!expected) {
+                warnings.push(ORG_POLICY_IGNORED_FIELDS.includes(key)
+                    ? `"${key}" is not supported by the web importer and will be ignored`
+                    : `Unknown field "${key}" will be ignored`);
+                return;
+            }
+
+            const actual = Array.isArray(value) ? 'array' : value === null ? 'null' : typeof value;
+            if (actual !== expected) {
+                errors.push(`"${key}" must be ${expected === 'array' ? 'an array' : `a ${expected}`}`);
+                return;
+            }
+
+            if (expected === 'array' && value.some(item => typeof item !== 'string')) {
+                errors.push(`"${key}" must only contain strings`);
+            }
+        });
+
+        ['allowedDomains', 'blockedDomains'].forEach(key => {
+            (Array.isArray(data[key]) ? data[key] : [])
+                .filter(item => typeof item === 'string' && !isDomainRule(item.toLowerCase()))
+                .forEach(item => errors.push(`"${item}" in ${key} is not a valid domain or *.domain pattern`));
+        });
+
+        (Array.isArray(data.blockedTlds) ? data.blockedTlds : [])
+            .filter(tld => typeof tld === 'string' && !/^[a-z0-9-]+$/i.test(tld))
+            .forEach(tld => errors.push(`"${tld}" in blockedTlds must be a bare TLD such as "tk"`));
+
+        const thresholds = { ...(data.customThresholds || {}), ...data };
+        ['safeThreshold', 'suspiciousThreshold'].forEach(key => {
+            const value = thresholds[key];
+            if (value !== undefined && (typeof value !== 'number' || value < 0 || value > 100)) {
+                errors.push(`"${key}" must be a number from 0 to 100`);
+            }
+        });
+        if (typeof thresholds.safeThreshold === 'number' && typeof thresholds.suspiciousThreshold === 'number' &&
+            thresholds.safeThreshold >= thresholds.suspiciousThreshold) {
+            errors.push('"safeThreshold" must be lower than "suspiciousThreshold"');
+        }
+
+        if (data.maxUrlLength !== undefined &&
+            (!Number.isInteger(data.maxUrlLength) || data.maxUrlLength < 0)) {
+            errors.push('"maxUrlLength" must be a whole number (0 = no limit)');
+        }
+
+        if (typeof data.expiresAt === 'string') {
+            const expires = Date.parse(data.expiresAt);
+            if (Number.isNaN(expires)) {
+                warnings.push('"expiresAt" is not an ISO 8601 date');
+            } else if (expires < Date.now()) {
+                warnings.push('This policy has expired - ask your IT team for an updated file');
+            }
+        }
+
+        if (errors.length > 0) {
+            return { valid: false, errors, warnings, summary: null };
+        }
+
+        if (!window.mehrguardOrgPolicyParse) {
+            return { valid: false, errors: ['Policy engine is not loaded yet'], warnings, summary: null };
+        }
+
+        const parsed = window.mehrguardOrgPolicyParse(text);
+        if (!parsed || parsed.error) {
+            return { valid: false, errors: [`Policy engine rejected the file: ${parsed?.error || 'unknown error'}`], warnings, summary: null };
+        }
+
+        const summary = {
+            version: parsed.version,
+            orgId: parsed.orgId,
+            orgName: parsed.orgName,
+            strictMode: !!parsed.strictMode,
+            allowedDomains: Array.from(parsed.allowedDomains || []),
+            blockedDomains: Array.from(parsed.blockedDomains || []),
+            blockedTlds: Array.from(parsed.blockedTlds || []),
+            blockedCategories: Array.from(parsed.blockedCategories || []),
+            allowedBrands: Array.from(parsed.allowedBrands || []),
+            allowedPayloadTypes: Array.from(parsed.allowedPayloadTypes || []),
+            allPayloadTypesAllowed: !!parsed.allPayloadTypesAllowed,
+            requireHttps: !!parsed.requireHttps,
+            blockIpAddresses: !!parsed.blockIpAddresses,
+            blockShorteners: !!parsed.blockShorteners,
+            maxUrlLength: parsed.maxUrlLength || 0,
+            safeThreshold: parsed.safeThreshold ?? null,
+            suspiciousThreshold: parsed.suspiciousThreshold ?? null,
+            expiresAt: parsed.expiresAt || null,
+            contactEmail: parsed.contactEmail || null,
+            normalizedJson: parsed.normalizedJson || '',
+        };
+
+        const requestedTypes = Array.isArray(data.allowedPayloadTypes) ? data.allowedPayloadTypes.length : 0;
+        if (requestedTypes > 0 && (summary.allPayloadTypesAllowed || summary.allowedPayloadTypes.length < requestedTypes)) {
+            warnings.push('Some allowedPayloadTypes were not recognised and were ignored');
+        }
+
+        return { valid: true, errors, warnings, summary };
+    }
+
+    /**
+     * Validate and store an organisation policy.
+     * @returns {{valid: boolean, errors: string[], warnings: string[], summary: Object|null}}
+     */
+    function importOrgPolicy(text, fileName) {
+        const validation = validateOrgPolicy(text);
+        if (!validation.valid) return validation;
+
+        try {
+            localStorage.setItem(ORG_POLICY_KEY, JSON.stringify({
+                json: text,
+                fileName: fileName || 'policy.json',
+                importedAt: Date.now(),
+                summary: validation.summary,
+            }));
+        } catch (e) {
+            console.error('[Policy] Failed to store organisation policy:', e);
+            return { ...validation, valid: false, errors: ['Could not save the policy in this browser'] };
+        }
+
+        return validation;
+    }
+
+    function clearOrgPolicy() {
+        localStorage.removeItem(ORG_POLICY_KEY);
+    }
+
+    /**
+     * Run the stored organisation policy against raw scan content.
+     * @returns {{status: string, reason: string, blockReason: string|null,
+     *            orgId: string, orgName: string}|null} null when no policy applies
+     */
+    function evaluateOrgPolicy(content) {
+        const policy = getOrgPolicy();
+        if (!policy || !content || !window.mehrguardOrgPolicyEvaluate) return null;
+
+        try {
+            const result = window.mehrguardOrgPolicyEvaluate(policy.json, content);
+            if (!result || result.error) {
+                console.warn('[Policy] Organisation policy evaluation failed:', result?.error);
+                return null;
+            }
+            return {
+                status: result.status,
+                reason: result.reason || '',
+                blockReason: result.blockReason || null,
+                orgId: result.orgId,
+                orgName: result.orgName,
+            };
+        } catch (e) {
+            console.error('[Policy] Organisation policy bridge error:', e);
+            return null;
+        }
+    }
+
+    function getBlockReasonLabel(blockReason) {
+        return BLOCK_REASON_LABELS[blockReason] || blockReason || '';
+    }
+
+    /**
+     * Organisation custom thresholds only ever escalate a verdict, so a
+     * policy file cannot be used to hide a threat.
+     */
+    function applyOrgThresholds(verdict, score, summary) {
+        const safeThreshold = summary?.safeThreshold;
+        const suspiciousThreshold = summary?.suspiciousThreshold;
+
+        if (typeof suspiciousThreshold === 'number' && verdict !== 'MALICIOUS' &&
+            verdict !== 'UNKNOWN' && score >= suspiciousThreshold) {
+            return 'MALICIOUS';
+        }
+        if (typeof safeThreshold === 'number' && verdict === 'SAFE' && score > safeThreshold) {
+            return 'SUSPICIOUS';
+        }
+        return verdict;
+    }
+
+    // ==========================================================================
+    // EVALUATION
+    // ==========================================================================
+
+    function isKnownBad(url) {
+        if (!window.mehrguardThreatLookup) return false;
+        try {
+            return !!window.mehrguardThreatLookup(url)?.isKnownBad;
+        } catch (e) {
+            return false;
+        }
+    }
+
+    /**
+     * Shift an engine verdict according to the sensitivity level.
+     * Never relaxes a verdict for a URL in the threat-intel database,
+     * and never touches UNKNOWN (NEVER default to safe).
+     */
+    function applySensitivity(verdict, score, level, url) {
+        const thresholds = SENSITIVITY_THRESHOLDS[level];
+
+        if (level === 3) {
+            if (verdict === 'SAFE' && score > thresholds.safeThreshold) return 'SUSPICIOUS';
+            if (verdict === 'SUSPICIOUS' && score > thresholds.suspiciousThreshold) return 'MALICIOUS';
+        }
+
+        if (level === 1 && !isKnownBad(url)) {
+            if (verdict === 'MALICIOUS' && score <= thresholds.suspiciousThreshold) return 'SUSPICIOUS';
+            if (verdict === 'SUSPICIOUS' && score <= thresholds.safeThreshold) return 'SAFE';
+        }
+
+        return verdict;
+    }
+
+    /**
+     * Evaluate an engine result against the Trust Centre policy.
+     *
+     * Order: org block → blocklist → shared intel → org allow → org review →
+     * allowlist → org thresholds → sensitivity. Organisation blocks beat
+     * personal allowlists and the personal blocklist wins over both
+     * allowlists. Allowlists only overrule the engine's heuristics: they are
+     * skipped for partner intel and for URLs in the threat-intel database.
+     * Non-URL payloads only go through the organisation policy.
+     *
+     * @param {Object} input
+     * @param {string} input.url - Analyzed URL, or raw QR content for payloads
+     * @param {string} input.verdict - Engine verdict (SAFE, SUSPICIOUS, MALICIOUS, UNKNOWN)
+     * @param {number} input.score - Engine risk score (0-100)
+     * @param {boolean} [input.payload=false] - True for non-URL QR content
+     * @returns {{verdict: string, score: number, originalVerdict: string, originalScore: number,
+     *            changed: boolean, source: string|null, rule: string|null, matchType: string|null,
+     *            sensitivity: number, orgPolicy: Object|null, sharedIntel: Object|null}}
+     */
+    function evaluate({ url, verdict, score, payload = false }) {
+        const originalScore = Number(score) || 0;
+        const originalVerdict = verdict || 'UNKNOWN';
+        const sensitivity = getSensitivity();
+        const host = payload ? '' : extractHost(url);
+        const org = evaluateOrgPolicy(url);
+
+        const decision = {
+            verdict: originalVerdict,
+            score: originalScore,
+            originalVerdict,
+            originalScore,
+            changed: false,
+            source: null,
+            rule: null,
+            matchType: null,
+            sensitivity,
+            orgPolicy: null,
+            sharedIntel: null,
+        };
+
+        if (org?.status === ORG_STATUS.BLOCKED) {
+            return finalize(decision, {
+                verdict: 'MALICIOUS',
+                score: Math.max(originalScore, 100),
+                source: SOURCE.ORG_POLICY,
+                orgPolicy: org,
+            });
+        }
+
+        const blocked = findMatch(host, getBlocklist());
+        if (blocked) {
+            return finalize(decision, {
+                verdict: 'MALICIOUS',
+                score: Math.max(originalScore, 100),
+                source: SOURCE.BLOCKLIST,
+                ...blocked,
+            });
+        }
+
+        const shared = payload ? null : findSharedIntelMatch(url, host);
+        if (shared) {
+            return finalize(decision, {
+                verdict: 'MALICIOUS',
+                score: Math.max(originalScore, 100),
+                source: SOURCE.SHARED_INTEL,
+                ...shared,
+            });
+        }
+
+        const knownBad = !payload && isKnownBad(url);
+
+        if (org?.status === ORG_STATUS.ALLOWED && !knownBad) {
+            return finalize(decision, {
+                verdict: 'SAFE',
+                score: originalScore,
+                source: SOURCE.ORG_POLICY,
+                orgPolicy: org,
+            });
+        }
+
+        if (org?.status === ORG_STATUS.REQUIRES_REVIEW) {
+            return finalize(decision, {
+                verdict: originalVerdict === 'SAFE' ? 'SUSPICIOUS' : originalVerdict,
+                score: originalScore,
+                source: SOURCE.ORG_POLICY,
+                orgPolicy: org,
+            });
+        }
+
+        if (payload) {
+            return decision;
+        }
+
+        const allowed = knownBad ? null : findMatch(host, getAllowlist());
+        if (allowed) {
+            return finalize(decision, {
+                verdict: 'SAFE',
+                score: originalScore,
+                source: SOURCE.ALLOWLIST,
+                ...allowed,
+            });
+        }
+
+        const orgPolicy = getOrgPolicy();
+        const escalated = applyOrgThresholds(originalVerdict, originalScore, orgPolicy?.summary);
+        if (escalated !== originalVerdict) {
+            return finalize(decision, {
+                verdict: escalated,
+                score: originalScore,
+                source: SOURCE.ORG_POLICY,
+                orgPolicy: {
+                    status: ORG_STATUS.THRESHOLD,
+                    reason: 'Score exceeds organisation threshold',
+                    blockReason: null,
+                    orgId: orgPolicy.summary.orgId,
+                    orgName: orgPolicy.summary.orgName,
+                },
+            });
+        }
+
+        const shifted = applySensitivity(originalVerdict, originalScore, sensitivity, url);
+        if (shifted !== originalVerdict) {
+            return finalize(decision, {
+                verdict: shifted,
+                score: originalScore,
+                source: SOURCE.SENSITIVITY,
+            });
+        }
+
+        return decision;
+    }
+
+    function finalize(decision, overrides) {
+        const result = { ...decision, ...overrides };
+        // A list match is still recorded when the engine already agreed,
+        // but only counts as a change if the verdict or score moved.
+        result.changed = result.verdict !== decision.originalVerdict ||
+            result.score !== decision.originalScore;
+        return result;
+    }
+
+    /**
+     * Compact record of a decision for persisting with a history entry.
+     * Returns null when no list or setting was involved.
+     */
+    function toRecord(decision) {
+        if (!decision || !decision.source) return null;
+        return {
+            source: decision.source,
+            rule: decision.rule,
+            matchType: decision.matchType,
+            sensitivity: decision.sensitivity,
+            originalVerdict: decision.originalVerdict,
+            originalScore: decision.originalScore,
+            verdict: decision.verdict,
+            changed: decision.changed,
+            orgPolicy: decision.orgPolicy || null,
+            sharedIntel: decision.sharedIntel || null,
+        };
+    }
+
+    /**
+     * @returns {string} i18n key for the level (same keys as trust.js SensitivityLevels)
+     */
+    function getSensitivityNameKey(level) {
+        return (SENSITIVITY_THRESHOLDS[level] || SENSITIVITY_THRESHOLDS[DEFAULT_SENSITIVITY]).nameKey;
+    }
+
+    // Expose public API
+    window.MehrGuardPolicy = {
+        SOURCE,
+        ORG_STATUS,
+        evaluate,
+        toRecord,
+        getOrgPolicy,
+        validateOrgPolicy,
+        importOrgPolicy,
+        clearOrgPolicy,
+        evaluateOrgPolicy,
+        getBlockReasonLabel,
+        getSharedIntel,
+        addSharedIntel,
+        removeSharedIntel,
+        syncSharedIntel,
+        getAllowlist,
+        getBlocklist,
+        getSensitivity,
+        getSensitivityNameKey,
+        matchDomainRule,
+        getRegistrableDomain,
+        extractHost,
+    };
+
+    // Shared intel imported on another page or tab
+    window.addEventListener?.('storage', (event) => {
+        if (event.key === SHARED_INTEL_KEY) sharedIntelChanged();
+    });
+
+    if (getSharedIntel().length > 0) {
+        syncSharedIntel();
+    }
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = window.MehrGuardPolicy;
+    }
+
+})();
@@ -0,0 +1,804 @@
+/**
+ * Mehr Guard QR Structural Forensics
+ *
+ * Reads the structure of a scanned QR code rather than just its text:
+ * version, error-correction level, mask, the encoded segments with their
+ * modes and ECI charsets, and the raw data codewords. Attackers hide
+ * payloads in odd encodings, append bytes after the terminator, or mix
+ * ECI segments so that different scanners show different content; those
+ * tricks are reported as red flags on results.html.
+ *
+ * The code region is read again with ZXing (zxing.min.js), whose decoder
+ * exposes the sampled module grid and the error-corrected data codewords.
+ * The codewords are then parsed here, following ISO/IEC 18004, so nothing
+ * a lenient decoder skips over goes unseen. jsQR readings are used as a
+ * fallback and to compare how different scanners read the same code.
+ *
+ * Runs on pages (canvas input) and on plain ImageData (no DOM needed).
+ *
+ * @author Mehr Guard Team
+ * @version 2.4.1
+ */
+
+(function () {
+    'use strict';
+
+    // ==========================================================================
+    // CONFIGURATION
+    // ==========================================================================
+
+    // Quiet zone kept around the code when its region is cut out (4 modules
+    // on a version 1 code are about 20% of its width)
+    const REGION_PADDING = 0.2;
+
+    // Regions smaller than this cannot hold a readable code
+    const MIN_REGION_SIZE = 21;
+
+    // ZXing's detector misjudges the module size on some crops, so a region
+    // it cannot read is tried again slightly smaller
+    const ZXING_SCALES = [1, 0.75];
+
+    const SEVERITY = {
+        HIGH: 'high',
+        MEDIUM: 'medium',
+        INFO: 'info',
+    };
+
+    const MODE = {
+        NUMERIC: 'numeric',
+        ALPHANUMERIC: 'alphanumeric',
+        BYTE: 'byte',
+        KANJI: 'kanji',
+        HANZI: 'hanzi',
+        ECI: 'eci',
+        FNC1: 'fnc1',
+        STRUCTURED_APPEND: 'structured_append',
+    };
+
+    const MODE_LABELS = {
+        numeric: 'Numeric',
+        alphanumeric: 'Alphanumeric',
+        byte: 'Byte',
+        kanji: 'Kanji',
+        hanzi: 'Hanzi',
+        eci: 'ECI',
+        fnc1: 'FNC1',
+        structured_append: 'Structured append',
+    };
+
+    // 4-bit mode indicators (0000 is the terminator)
+    const MODE_INDICATORS = {
+        0x1: MODE.NUMERIC,
+        0x2: MODE.ALPHANUMERIC,
+        0x3: MODE.STRUCTURED_APPEND,
+        0x4: MODE.BYTE,
+        0x5: MODE.FNC1,
+        0x7: MODE.ECI,
+        0x8: MODE.KANJI,
+        0x9: MODE.FNC1,
+        0xD: MODE.HANZI,
+    };
+
+    // Character count bits for versions 1-9, 10-26 and 27-40
+    const COUNT_BITS = {
+        numeric: [10, 12, 14],
+        alphanumeric: [9, 11, 13],
+        byte: [8, 16, 16],
+        kanji: [8, 10, 12],
+        hanzi: [8, 10, 12],
+    };
+
+    const ALPHANUMERIC_CHARS = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ $%*+-./:';
+
+    // Pad codewords that fill the capacity after the terminator
+    const PAD_BYTES = [0xEC, 0x11];
+
+    // ECI assignment numbers and the TextDecoder label for each charset
+    const ECI_CHARSETS = {
+        0: 'ibm437', 1: 'iso-8859-1', 2: 'ibm437', 3: 'iso-8859-1',
+        4: 'iso-8859-2', 5: 'iso-8859-3', 6: 'iso-8859-4', 7: 'iso-8859-5',
+        8: 'iso-8859-6', 9: 'iso-8859-7', 10: 'iso-8859-8', 11: 'iso-8859-9',
+        12: 'iso-8859-10', 13: 'iso-8859-11', 15: 'iso-8859-13', 16: 'iso-8859-14',
+        17: 'iso-8859-15', 18: 'iso-8859-16', 20: 'shift_jis', 21: 'windows-1250',
+        22: 'windows-1251', 23: 'windows-1252', 24: 'windows-1256', 25: 'utf-16be',
+        26: 'utf-8', 27: 'us-ascii', 28: 'big5', 29: 'gb18030', 30: 'euc-kr',
+        170: 'us-ascii',
+    };
+
+    // ECIs any scanner handles the same way
+    const COMMON_ECIS = [1, 3, 26, 27, 170];
+
+    // Controls (except tab and line breaks), zero-width and bidi characters
+    const HIDDEN_CHARS = /[\u0000-\u0008\u000B\u000C\u000E-\u001F\u007F-\u009F\u200B-\u200F\u202A-\u202E\u2060-\u2064\u2066-\u2069\uFEFF]/;
+
+    // ==========================================================================
+    // BIT STREAM
+    // ==========================================================================
+
+    function createBitReader(bytes) {
+        let offset = 0;
+        return {
+            get offset() { return offset; },
+            available() {
+                return bytes.length * 8 - offset;
+            },
+            read(count) {
+                let value = 0;
+                for (let i = 0; i < count; i++, offset++) {
+                    const bit = (bytes[offset >> 3] >> (7 - (offset & 7))) & 1;
+                    value = (value << 1) | bit;
+                }
+                return value >>> 0;
+            },
+        };
+    }
+
+    function toHex(bytes) {
+        return Array.from(bytes, b => b.toString(16).padStart(2, '0').toUpperCase()).join(' ');
+    }
+
+    /**
+     * Printable preview of raw bytes (anything else shown as a dot)
+     */
+    function toAsciiPreview(bytes) {
+        return Array.from(bytes, b => (b >= 0x20 && b < 0x7F ? String.fromCharCode(b) : '.')).join('');
+    }
+
+    function decodeLatin1(bytes) {
+        return Array.from(bytes, b => String.fromCharCode(b)).join('');
+    }
+
+    /**
+     * Decode bytes with a TextDecoder label, falling back to ISO-8859-1
+     * @returns {{text: string, valid: boolean}} valid is false when bytes did not fit the charset
+     */
+    function decodeBytes(bytes, charset) {
+        if (charset === 'iso-8859-1' || typeof TextDecoder === 'undefined') {
+            return { text: decodeLatin1(bytes), valid: true };
+        }
+        try {
+            return { text: new TextDecoder(charset, { fatal: true }).decode(Uint8Array.from(bytes)), valid: true };
+        } catch (e) {
+            try {
+                return { text: new TextDecoder(charset).decode(Uint8Array.from(bytes)), valid: false };
+            } catch (unsupported) {
+                return { text: decodeLatin1(bytes), valid: false };
+            }
+        }
+    }
+
+    function isUtf8(bytes) {
+        return decodeBytes(bytes, 'utf-8').valid;
+    }
+
+    // ==========================================================================
+    // SEGMENT PARSING
+    // ==========================================================================
+
+    function getCountBits(mode, version) {
+        const widths = COUNT_BITS[mode];
+        return widths[version <= 9 ? 0 : version <= 26 ? 1 : 2];
+    }
+
+    function readEciDesignator(reader) {
+        if (reader.available() < 8) return null;
+        const first = reader.read(8);
+        if ((first & 0x80) === 0) return first & 0x7F;
+        if ((first & 0xC0) === 0x80 && reader.available() >= 8) {
+            return ((first & 0x3F) << 8) | reader.read(8);
+        }
+        if ((first & 0xE0) === 0xC0 && reader.available() >= 16) {
+            return ((first & 0x1F) << 16) | reader.read(16);
+        }
+        return null;
+    }
+
+    function readNumeric(reader, count) {
+        let text = '';
+        let remaining = count;
+        while (remaining > 0) {
+            const digits = Math.min(3, remaining);
+            const bits = digits === 3 ? 10 : digits === 2 ? 7 : 4;
+            if (reader.available() < bits) return null;
+            text += String(reader.read(bits)).padStart(digits, '0');
+            remaining -= digits;
+        }
+        return { text, bytes: Array.from(text, c => c.charCodeAt(0)) };
+    }
+
+    function readAlphanumeric(reader, count) {
+        let text = '';
+        let remaining = count;
+        while (remaining > 0) {
+            const pair = remaining >= 2;
+            const bits = pair ? 11 : 6;
+            if (reader.available() < bits) return null;
+            const value = reader.read(bits);
+            text += pair
+                ? (ALPHANUMERIC_CHARS[Math.floor(value / 45)] || '?') + (ALPHANUMERIC_CHARS[value % 45] || '?')
+                : (ALPHANUMERIC_CHARS[value] || '?');
+            remaining -= pair ? 2 : 1;
+        }
+        return { text, bytes: Array.from(text, c => c.charCodeAt(0)) };
+    }
+
+    function readBytes(reader, count) {
+        if (reader.available() < count * 8) return null;
+        const bytes = [];
+        for (let i = 0; i < count; i++) bytes.push(reader.read(8));
+        return { bytes };
+    }
+
+    /**
+     * Kanji (Shift JIS) and Hanzi (GB2312) characters are 13-bit values
+     * folded into the double-byte ranges of their charset
+     */
+    function readDoubleByte(reader, count, mode) {
+        if (reader.available() < count * 13) return null;
+        const bytes = [];
+        for (let i = 0; i < count; i++) {
+            const value = reader.read(13);
+            let assembled;
+            if (mode === MODE.KANJI) {
+                assembled = ((Math.floor(value / 0xC0) << 8) | (value % 0xC0));
+                assembled += assembled < 0x1F00 ? 0x8140 : 0xC140;
+            } else {
+                assembled = ((Math.floor(value / 0x60) << 8) | (value % 0x60));
+                assembled += assembled < 0xA00 ? 0xA1A1 : 0xA6A1;
+            }
+            bytes.push((assembled >> 8) & 0xFF, assembled & 0xFF);
+        }
+        const charset = mode === MODE.KANJI ? 'shift_jis' : 'gb18030';
+        return { bytes, text: decodeBytes(bytes, charset).text, charset };
+    }
+
+    /**
+     * Parse error-corrected data codewords into segments, then check what
+     * follows the terminator.
+     * @param {Uint8Array|number[]} codewords - Data codewords of the symbol
+     * @param {number} version - QR version (1-40)
+     * @returns {{segments: Array<Object>, text: string, usedBits: number,
+     *            terminator: boolean, paddingBitsClean: boolean,
+     *            trailing: {bytes: number[], padding: boolean}, error: string|null}}
+     */
+    function parseSegments(codewords, version) {
+        const reader = createBitReader(codewords);
+        const segments = [];
+        let charset = null; // set by an ECI segment
+        let terminator = false;
+        let error = null;
+
+        while (reader.available() >= 4) {
+            const startBit = reader.offset;
+            const indicator = reader.read(4);
+            if (indicator === 0) {
+                terminator = true;
+                break;
+            }
+
+            const mode = MODE_INDICATORS[indicator];
+            if (!mode) {
+                error = 'unknown-mode';
+                break;
+            }
+
+            const segment = { mode, startBit, bitLength: 0, count: 0, text: '', hex: '' };
+
+            if (mode === MODE.ECI) {
+                const eci = readEciDesignator(reader);
+                if (eci === null) {
+                    error = 'truncated';
+                    break;
+                }
+                segment.eci = eci;
+                segment.charset = ECI_CHARSETS[eci] || null;
+                charset = segment.charset || 'iso-8859-1';
+            } else if (mode === MODE.FNC1) {
+                segment.position = indicator === 0x5 ? 'first' : 'second';
+                if (indicator === 0x9) {
+                    if (reader.available() < 8) {
+                        error = 'truncated';
+                        break;
+                    }
+                    segment.applicationIndicator = reader.read(8);
+                }
+            } else if (mode === MODE.STRUCTURED_APPEND) {
+                if (reader.available() < 16) {
+                    error = 'truncated';
+                    break;
+                }
+                segment.sequence = reader.read(4) + 1;
+                segment.total = reader.read(4) + 1;
+                segment.parity = reader.read(8);
+            } else {
+                if (mode === MODE.HANZI) {
+                    if (reader.available() < 4) {
+                        error = 'truncated';
+                        break;
+                    }
+                    segment.subset = reader.read(4);
+                }
+                const countBits = getCountBits(mode, version);
+                if (reader.available() < countBits) {
+                    error = 'truncated';
+                    break;
+                }
+                segment.count = reader.read(countBits);
+
+                let content;
+                if (mode === MODE.NUMERIC) content = readNumeric(reader, segment.count);
+                else if (mode === MODE.ALPHANUMERIC) content = readAlphanumeric(reader, segment.count);
+                else if (mode === MODE.BYTE) content = readBytes(reader, segment.count);
+                else content = readDoubleByte(reader, segment.count, mode);
+
+                if (!content) {
+                    error = 'truncated';
+                    break;
+                }
+
+                if (mode === MODE.BYTE) {
+                    // Without an ECI most scanners try UTF-8 first
+                    const byteCharset = charset || (isUtf8(content.bytes) ? 'utf-8' : 'iso-8859-1');
+                    const decoded = decodeBytes(content.bytes, byteCharset);
+                    segment.charset = byteCharset;
+                    segment.charsetDeclared = !!charset;
+                    segment.validForCharset = decoded.valid;
+                    segment.nonAscii = content.bytes.some(b => b > 0x7F);
+                    content.text = decoded.text;
+                } else if (content.charset) {
+                    segment.charset = content.charset;
+                }
+                segment.text = content.text;
+                segment.hex = toHex(content.bytes);
+            }
+
+            segment.bitLength = reader.offset - startBit;
+            segments.push(segment);
+        }
+
+        const usedBits = reader.offset;
+
+        // After the terminator: zero bits up to the byte boundary, then
+        // alternating pad codewords
+        let paddingBitsClean = true;
+        const boundary = Math.min(codewords.length * 8, Math.ceil(usedBits / 8) * 8);
+        if (!error && boundary > usedBits) {
+            paddingBitsClean = reader.read(boundary - usedBits) === 0;
+        }
+
+        const trailingBytes = Array.from(codewords).slice(boundary / 8);
+        const padding = trailingBytes.every((b, i) => b === PAD_BYTES[i % 2]);
+
+        return {
+            segments,
+            text: segments.map(segment => segment.text).join(''),
+            usedBits,
+            terminator,
+            paddingBitsClean,
+            trailing: { bytes: trailingBytes, padding },
+            error,
+        };
+    }
+
+    // ==========================================================================
+    // ZXING
+    // ==========================================================================
+
+    function getZXing() {
+        return typeof window.ZXing === 'object' ? window.ZXing : null;
+    }
+
+    function toLuminance(imageData, invert) {
+        const { data, width, height } = imageData;
+        const luminance = new Uint8ClampedArray(width * height);
+        for (let i = 0, p = 0; i < luminance.length; i++, p += 4) {
+            const value = (data[p] + 2 * data[p + 1] + data[p + 2]) >> 2;
+            luminance[i] = invert ? 255 - value : value;
+        }
+        return luminance;
+    }
+
+    /**
+     * Nearest-neighbour resize of a luminance plane
+     */
+    function scaleLuminance(luminance, width, height, scale) {
+        const scaledWidth = Math.round(width * scale);
+        const scaledHeight = Math.round(height * scale);
+        const scaled = new Uint8ClampedArray(scaledWidth * scaledHeight);
+        for (let y = 0; y < scaledHeight; y++) {
+            const row = Math.min(height - 1, Math.floor(y / scale)) * width;
+            for (let x = 0; x < scaledWidth; x++) {
+                scaled[y * scaledWidth + x] = luminance[row + Math.min(width - 1, Math.floor(x / scale))];
+            }
+        }
+        return { luminance: scaled, width: scaledWidth, height: scaledHeight };
+    }
+
+    /**
+     * Format information bits as ZXing's BitMatrixParser reads them: the copy
+     * around the top-left finder, and the copy split between the other two
+     */
+    function readFormatBits(bits, mirrored) {
+        const dimension = bits.getHeight();
+        const isSet = (i, j) => (mirrored ? bits.get(j, i) : bits.get(i, j));
+        let first = 0;
+        let second = 0;
+        const pushFirst = (i, j) => { first = (first << 1) | (isSet(i, j) ? 1 : 0); };
+        const pushSecond = (i, j) => { second = (second << 1) | (isSet(i, j) ? 1 : 0); };
+
+        for (let i = 0; i < 6; i++) pushFirst(i, 8);
+        pushFirst(7, 8);
+        pushFirst(8, 8);
+        pushFirst(8, 7);
+        for (let j = 5; j >= 0; j--) pushFirst(8, j);
+
+        for (let j = dimension - 1; j >= dimension - 7; j--) pushSecond(8, j);
+        for (let i = dimension - 8; i < dimension; i++) pushSecond(i, 8);
+
+        return { first, second };
+    }
+
+    /**
+     * One ZXing QR decode, keeping the sampled module grid and the decoder
+     * result the plain reader API throws away
+     */
+    function decodeWithCapture(ZXing, luminance, width, height) {
+        const reader = new ZXing.QRCodeReader();
+        const decoder = reader.getDecoder();
+        const decodeBitMatrix = decoder.decodeBitMatrix.bind(decoder);
+        let captured = null;
+        decoder.decodeBitMatrix = (bits, hints) => {
+            // Unmasking happens in place, so keep the grid as sampled
+            const sampled = bits.clone();
+            const decoderResult = decodeBitMatrix(bits, hints);
+            captured = { bits: sampled, decoderResult };
+            return decoderResult;
+        };
+
+        try {
+            const source = new ZXing.RGBLuminanceSource(luminance, width, height);
+            const hints = new Map([[ZXing.DecodeHintType.TRY_HARDER, true]]);
+            const result = reader.decode(new ZXing.BinaryBitmap(new ZXing.HybridBinarizer(source)), hints);
+            return captured ? { text: result.getText(), ...captured } : null;
+        } catch (e) {
+            // ZXing throws NotFound/Checksum/Format exceptions for "no code here"
+            return null;
+        }
+    }
+
+    /**
+     * Decode a QR code with ZXing (dark or light codes, at each retry scale)
+     * @returns {{text: string, bits: Object, decoderResult: Object}|null}
+     */
+    function readWithZXing(imageData) {
+        const ZXing = getZXing();
+        if (!ZXing?.QRCodeReader) return null;
+
+        const { width, height } = imageData;
+        for (const invert of [false, true]) {
+            const luminance = toLuminance(imageData, invert);
+            for (const scale of ZXING_SCALES) {
+                const plane = scale === 1
+                    ? { luminance, width, height }
+                    : scaleLuminance(luminance, width, height, scale);
+                if (Math.min(plane.width, plane.height) < MIN_REGION_SIZE) continue;
+
+                const read = decodeWithCapture(ZXing, plane.luminance, plane.width, plane.height);
+                if (read) return read;
+            }
+        }
+        return null;
+    }
+
+    function readWithJsQR(imageData) {
+        if (typeof jsQR !== 'function') return null;
+        return jsQR(imageData.data, imageData.width, imageData.height, { inversionAttempts: 'attemptBoth' });
+    }
+
+    // ==========================================================================
+    // REPORT
+    // ==========================================================================
+
+    function flag(id, severity, message, detail = null) {
+        return { id, severity, message, detail };
+    }
+
+    /**
+     * Structure report from ZXing's module grid and data codewords
+     */
+    function fromZXing(zxing) {
+        const ZXing = getZXing();
+        const { bits, decoderResult } = zxing;
+        const dimension = bits.getHeight();
+        const version = (dimension - 17) / 4;
+        const other = decoderResult.getOther?.();
+        const mirrored = !!(other && typeof other.isMirrored === 'function' && other.isMirrored());
+
+        const format = readFormatBits(bits, mirrored);
+        const formatInfo = ZXing.QRCodeDecoderFormatInformation.decodeFormatInformation(format.first, format.second);
+        const codewords = Uint8Array.from(decoderResult.getRawBytes() || []);
+        const parsed = parseSegments(codewords, version);
+
+        return {
+            source: 'zxing',
+            version,
+            dimension,
+            ecLevel: decoderResult.getECLevel?.() || formatInfo?.getErrorCorrectionLevel().toString() || null,
+            mask: formatInfo ? formatInfo.getDataMask() : null,
+            mirrored,
+            formatCopiesMatch: format.first === format.second,
+            capacityBytes: codewords.length,
+            dataHex: toHex(codewords),
+            ...parsed,
+        };
+    }
+
+    /**
+     * Structure report from jsQR's chunks (no EC level, mask or padding)
+     */
+    function fromJsQR(code) {
+        let charset = null;
+        const segments = (code.chunks || []).map(chunk => {
+            const segment = { mode: chunk.type, text: chunk.text || '', hex: '', count: 0 };
+            if (chunk.type === MODE.ECI) {
+                segment.eci = chunk.assignmentNumber;
+                segment.charset = ECI_CHARSETS[chunk.assignmentNumber] || null;
+                charset = segment.charset || 'iso-8859-1';
+            } else if (chunk.bytes) {
+                segment.hex = toHex(chunk.bytes);
+                segment.count = chunk.type === MODE.KANJI ? chunk.bytes.length / 2 : chunk.bytes.length;
+                if (chunk.type === MODE.BYTE) {
+                    segment.charset = charset;
+                    segment.charsetDeclared = !!charset;
+                    segment.nonAscii = chunk.bytes.some(b => b > 0x7F);
+                }
+            } else {
+                segment.count = segment.text.length;
+            }
+            return segment;
+        });
+
+        return {
+            source: 'jsqr',
+            version: code.version,
+            dimension: code.version * 4 + 17,
+            ecLevel: null,
+            mask: null,
+            mirrored: false,
+            formatCopiesMatch: null,
+            capacityBytes: null,
+            dataHex: toHex(code.binaryData || []),
+            segments,
+            text: code.data,
+            usedBits: null,
+            terminator: null,
+            paddingBitsClean: true,
+            trailing: null,
+            error: null,
+        };
+    }
+
+    /**
+     * Red flags for a structure report
+     */
+    function findFlags(structure, readings, engineText) {
+        const flags = [];
+        const segments = structure.segments;
+
+        if (structure.error === 'unknown-mode') {
+            flags.push(flag('unknown-mode', SEVERITY.HIGH,
+                'Data stream uses a mode no scanner understands; reading stopped there'));
+        } else if (structure.error === 'truncated') {
+            flags.push(flag('truncated-segment', SEVERITY.HIGH,
+                'A segment claims more data than the code holds'));
+        }
+
+        const trailing = structure.trailing;
+        if (trailing && !trailing.padding) {
+            flags.push(flag('trailing-data', SEVERITY.HIGH,
+                'Hidden bytes after the end of the data',
+                `${toHex(trailing.bytes)} (${toAsciiPreview(trailing.bytes)})`));
+        }
+        if (!structure.paddingBitsClean) {
+            flags.push(flag('padding-bits', SEVERITY.MEDIUM,
+                'Non-zero bits between the terminator and the padding'));
+        }
+
+        const ecis = segments.filter(segment => segment.mode === MODE.ECI);
+        const charsets = new Set(ecis.map(segment => segment.charset || `eci-${segment.eci}`));
+        const firstData = segments.findIndex(segment => segment.mode !== MODE.ECI && segment.mode !== MODE.FNC1 &&
+            segment.mode !== MODE.STRUCTURED_APPEND);
+        const lateEci = ecis.some(segment => firstData !== -1 && segments.indexOf(segment) > firstData);
+        if (charsets.size > 1 || lateEci) {
+            flags.push(flag('mixed-eci', SEVERITY.HIGH,
+                'Character set changes part-way through the code',
+                ecis.map(segment => `ECI ${segment.eci}`).join(', ')));
+        } else if (ecis.some(segment => !COMMON_ECIS.includes(segment.eci))) {
+            flags.push(flag('unusual-eci', SEVERITY.MEDIUM,
+                'Uncommon character set declared',
+                ecis.map(segment => `ECI ${segment.eci} (${segment.charset || 'unknown'})`).join(', ')));
+        }
+
+        const bytes = segments.filter(segment => segment.mode === MODE.BYTE);
+        if (bytes.some(segment => segment.charsetDeclared && segment.validForCharset === false)) {
+            flags.push(flag('invalid-encoding', SEVERITY.MEDIUM,
+                'Bytes are not valid in the declared character set'));
+        }
+        if (bytes.some(segment => segment.nonAscii && !segment.charsetDeclared)) {
+            flags.push(flag('charset-guess', SEVERITY.MEDIUM,
+                'Non-ASCII bytes without a declared character set; scanners may show different text'));
+        }
+
+        if (segments.some(segment => segment.mode === MODE.KANJI || segment.mode === MODE.HANZI)) {
+            flags.push(flag('double-byte-mode', SEVERITY.MEDIUM, 'Uses Kanji or Hanzi mode'));
+        }
+        const append = segments.find(segment => segment.mode === MODE.STRUCTURED_APPEND);
+        if (append) {
+            flags.push(flag('structured-append', SEVERITY.MEDIUM,
+                'Part of a message split over several codes; only this part was read',
+                `${append.sequence} / ${append.total}`));
+        }
+        if (segments.some(segment => segment.mode === MODE.FNC1)) {
+            flags.push(flag('fnc1', SEVERITY.INFO, 'GS1 or industry application data (FNC1)'));
+        }
+        if (segments.some(segment => segment.count === 0 && segment.mode !== MODE.ECI &&
+            segment.mode !== MODE.FNC1 && segment.mode !== MODE.STRUCTURED_APPEND)) {
+            flags.push(flag('empty-segment', SEVERITY.MEDIUM, 'Contains empty segments'));
+        }
+
+        if (HIDDEN_CHARS.test(structure.text || '')) {
+            flags.push(flag('hidden-characters', SEVERITY.HIGH,
+                'Contains invisible, control or text-direction characters'));
+        }
+
+        const distinct = new Set(readings.map(reading => reading.text));
+        if (distinct.size > 1) {
+            flags.push(flag('decoder-disagreement', SEVERITY.HIGH,
+                'Scanners read different text from this code'));
+        }
+        if (typeof engineText === 'string' && structure.text.trim() !== engineText.trim()) {
+            flags.push(flag('engine-mismatch', SEVERITY.HIGH,
+                'The analysed text differs from the data in the code'));
+        }
+
+        if (structure.mirrored) {
+            flags.push(flag('mirrored', SEVERITY.MEDIUM, 'Code is printed mirrored'));
+        }
+        if (structure.formatCopiesMatch === false) {
+            flags.push(flag('format-mismatch', SEVERITY.INFO,
+                'The two copies of the format information differ (damage, dirt or an edited code)'));
+        }
+
+        return flags;
+    }
+
+    /**
+     * Inspect the QR code in an image.
+     * @param {ImageData} imageData - Pixels around one QR code
+     * @param {string} [engineText] - Text handed to the analysis engine
+     * @returns {Object} Report; `readable` is false when neither decoder could
+     *          read the code again (e.g. it only decoded after enhancement)
+     */
+    function inspectImageData(imageData, engineText) {
+        const zxing = readWithZXing(imageData);
+        const jsqr = readWithJsQR(imageData);
+        if (!zxing && !jsqr) {
+            return { readable: false, engineText: engineText ?? null };
+        }
+
+        const structure = zxing ? fromZXing(zxing) : fromJsQR(jsqr);
+        const readings = [];
+        if (zxing) {
+            readings.push({ decoder: 'QR specification', text: structure.text });
+            readings.push({ decoder: 'ZXing', text: zxing.text });
+        }
+        if (jsqr) readings.push({ decoder: 'jsQR', text: jsqr.data });
+
+        return {
+            readable: true,
+            source: structure.source,
+            version: structure.version,
+            dimension: structure.dimension,
+            ecLevel: structure.ecLevel,
+            mask: structure.mask,
+            mirrored: structure.mirrored,
+            formatCopiesMatch: structure.formatCopiesMatch,
+            capacityBytes: structure.capacityBytes,
+            usedBits: structure.usedBits,
+            terminator: structure.terminator,
+            segments: structure.segments,
+            dataHex: structure.dataHex,
+            trailing: structure.trailing
+                ? { hex: toHex(structure.trailing.bytes), padding: structure.trailing.padding }
+                : null,
+            text: structure.text,
+            engineText: engineText ?? null,
+            readings,
+            flags: findFlags(structure, readings, engineText),
+        };
+    }
+
+    /**
+     * Inspect one code on a canvas, reading only its region so other codes
+     * in the frame cannot be picked up instead.
+     * @param {HTMLCanvasElement} canvas - Canvas holding the frame or image
+     * @param {Array<{x: number, y: number}>} corners - Code corners from detectAll()
+     * @param {string} [engineText] - Text handed to the analysis engine
+     * @returns {Object|null} Report, or null without corners or pixels
+     */
+    function inspect(canvas, corners, engineText) {
+        if (!canvas || !corners || corners.length < 3) return null;
+
+        const xs = corners.map(p => p.x);
+        const ys = corners.map(p => p.y);
+        const padding = Math.max(Math.max(...xs) - Math.min(...xs), Math.max(...ys) - Math.min(...ys)) * REGION_PADDING;
+        const left = Math.max(0, Math.floor(Math.min(...xs) - padding));
+        const top = Math.max(0, Math.floor(Math.min(...ys) - padding));
+        const width = Math.min(canvas.width, Math.ceil(Math.max(...xs) + padding)) - left;
+        const height = Math.min(canvas.height, Math.ceil(Math.max(...ys) + padding)) - top;
+        if (width < MIN_REGION_SIZE || height < MIN_REGION_SIZE) return null;
+
+        try {
+            const imageData = canvas.getContext('2d').getImageData(left, top, width, height);
+            return inspectImageData(imageData, engineText);
+        } catch (e) {
+            console.warn('[QrForensics] Could not inspect code:', e);
+            return null;
+        }
+    }
+
+    // ==========================================================================
+    // PRESENTATION
+    // ==========================================================================
+
+    /**
+     * Display name for a segment mode (untranslated)
+     */
+    function getModeLabel(mode) {
+        return MODE_LABELS[mode] || mode;
+    }
+
+    /**
+     * Make invisible characters visible as [U+XXXX]
+     */
+    function revealHidden(text) {
+        return String(text || '').replace(new RegExp(HIDDEN_CHARS.source, 'g'),
+            c => `[U+${c.charCodeAt(0).toString(16).toUpperCase().padStart(4, '0')}]`);
+    }
+
+    /**
+     * Copy of a report without any of the code's content (text, bytes,
+     * readings), for payloads whose secrets history must not keep
+     */
+    function redact(report) {
+        if (!report) return report;
+        return {
+            ...report,
+            redacted: true,
+            segments: (report.segments || []).map(segment => ({ ...segment, text: '', hex: '' })),
+            dataHex: '',
+            trailing: report.trailing ? { ...report.trailing, hex: '' } : null,
+            text: '',
+            engineText: '',
+            readings: (report.readings || []).map(reading => ({ ...reading, text: '' })),
+            flags: (report.flags || []).map(item => ({ ...item, detail: null })),
+        };
+    }
+
+    // Expose public API
+    window.MehrGuardQrForensics = {
+        SEVERITY,
+        MODE,
+        inspect,
+        inspectImageData,
+        parseSegments,
+        redact,
+        getModeLabel,
+        revealHidden,
+    };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = window.MehrGuardQrForensics;
+    }
+
+})();
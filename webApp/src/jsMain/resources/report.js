@@ -0,0 +1,381 @@
+/**
+ * Mehr Guard Scan Report
+ *
+ * Builds the versioned JSON scan report described by
+ * schemas/report-v1.schema.json, and validates reports against that schema
+ * before they leave the app.
+ *
+ * Every value comes from the analysis stored with the scan. Nothing is
+ * filled in: a value that was not recorded is null, and its JSON Pointer is
+ * listed in `unknown`. Properties that do not apply (URL analysis for a
+ * Wi-Fi payload, say) are left out.
+ *
+ * Reports are signed by signing.js after they are built; the `signature`
+ * member is optional in the schema so unsigned reports still validate.
+ *
+ * @author Mehr Guard Team
+ * @version 2.4.1
+ */
+
+(function () {
+    'use strict';
+
+    // ==========================================================================
+    // CONFIGURATION
+    // ==========================================================================
+
+    const SCHEMA_VERSION = '1.1.0';
+    const SCHEMA_ID = 'https://raoof128.github.io/schemas/report-v1.schema.json';
+    const SCHEMA_PATH = 'schemas/report-v1.schema.json';
+    const APP_VERSION = '2.4.1';
+
+    let schemaPromise = null;
+
+    // ==========================================================================
+    // REPORT DATA
+    // ==========================================================================
+
+    /**
+     * Report data for a history entry, including its stored analysis snapshot
+     * and the thumbnail of the scanned code
+     */
+    function fromScan(scan) {
+        return {
+            scanId: scan.id,
+            url: scan.url,
+            verdict: toReportVerdict(scan.verdict),
+            score: toNumber(scan.score),
+            timestamp: scan.timestamp,
+            analysis: scan.analysis || null,
+            payload: scan.payload || null,
+            qrThumbnail: scan.qrThumbnail || null,
+        };
+    }
+
+    /**
+     * History verdicts (HIGH/MEDIUM/LOW/SAFE) to report verdicts.
+     * LOW is what history records for unknown engine verdicts - NEVER report it as safe.
+     */
+    function toReportVerdict(verdict) {
+        switch (verdict) {
+            case 'HIGH': return 'MALICIOUS';
+            case 'MEDIUM': return 'SUSPICIOUS';
+            case 'SAFE': return 'SAFE';
+            default: return 'UNKNOWN';
+        }
+    }
+
+    // ==========================================================================
+    // REPORT
+    // ==========================================================================
+
+    /**
+     * Build a report for one scan.
+     * @param {Object} data - Report data: url, verdict, score, timestamp, scanId,
+     *   analysis (snapshot from MehrGuardUI.createAnalysisSnapshot) and payload
+     * @param {Object} [options]
+     * @param {number} [options.generatedAt=Date.now()]
+     * @returns {Object} Report matching report-v1.schema.json
+     */
+    function build(data, options = {}) {
+        const analysis = data.analysis || null;
+        const versions = analysis?.dataVersions || {};
+        const isPayload = !!data.payload;
+
+        const report = {
+            $schema: SCHEMA_ID,
+            schema_version: SCHEMA_VERSION,
+            generated_at: toIsoString(options.generatedAt ?? Date.now()),
+            generator: {
+                name: 'Mehr Guard',
+                version: APP_VERSION,
+                platform: 'web',
+            },
+            scan: {
+                id: data.scanId || null,
+                scanned_at: data.timestamp ? toIsoString(data.timestamp) : null,
+                content_type: isPayload ? 'payload' : 'url',
+                content: data.url || null,
+                verdict: toVerdict(data.verdict),
+                risk_score: clampScore(data.score),
+            },
+            engine: {
+                version: analysis?.engineVersion || window.mehrguardEngineInfo?.version || null,
+                ml_model_version: versions.mlModel || null,
+                threat_intel_version: versions.threatIntel || null,
+                threat_intel_entries: Number.isInteger(versions.threatIntelEntries) ? versions.threatIntelEntries : null,
+                analysis_mode: 'offline',
+                duration_ms: typeof analysis?.durationMs === 'number' ? analysis.durationMs : null,
+            },
+        };
+
+        if (isPayload) {
+            report.payload = buildPayload(data.payload);
+        } else {
+            report.scan.ascii_url = toAsciiUrl(data.url);
+            report.scan.host = analysis?.unicode?.safeDisplayHost || getAsciiHost(data.url);
+            report.analysis = buildAnalysis(analysis);
+        }
+
+        report.unknown = collectUnknown(report);
+        return report;
+    }
+
+    function buildAnalysis(analysis) {
+        if (!analysis) return null;
+
+        const ml = analysis.ml;
+        const intel = analysis.intel;
+        const unicode = analysis.unicode;
+
+        return {
+            heuristic_score: typeof analysis.heuristicScore === 'number' ? analysis.heuristicScore : null,
+            reasons: Array.isArray(analysis.reasons)
+                ? analysis.reasons.map(reason => ({
+                    code: reason.code,
+                    severity: reason.severity || null,
+                    description: reason.description || null,
+                }))
+                : null,
+            ml: ml ? {
+                ensemble_score: toNumber(ml.ensembleScore),
+                char_score: toNumber(ml.charScore),
+                feature_score: toNumber(ml.featureScore),
+                confidence: toNumber(ml.confidence),
+                is_phishing: !!ml.isPhishing,
+                char_risk_level: ml.charRiskLevel || null,
+            } : null,
+            threat_intel: intel ? {
+                listed: !!intel.isKnownBad,
+                // Category and confidence only exist for listed hosts
+                ...(intel.isKnownBad && {
+                    category: intel.category || null,
+                    confidence: intel.confidence || null,
+                }),
+            } : null,
+            unicode: unicode ? {
+                has_risk: !!unicode.hasRisk,
+                is_punycode: !!unicode.isPunycode,
+                has_mixed_script: !!unicode.hasMixedScript,
+                has_confusables: !!unicode.hasConfusables,
+                has_zero_width: !!unicode.hasZeroWidth,
+                risk_score: toNumber(unicode.riskScore),
+                safe_display_host: unicode.safeDisplayHost || null,
+            } : null,
+        };
+    }
+
+    function buildPayload(payload) {
+        return {
+            type: payload.payloadType || null,
+            display_name: payload.displayName || null,
+            risk_score: toNumber(payload.riskScore),
+            signals: (payload.signals || []).map(signal => ({
+                name: signal.name,
+                description: signal.description || null,
+                risk_points: toNumber(signal.riskPoints) ?? 0,
+            })),
+        };
+    }
+
+    /**
+     * JSON Pointers of every null value in the report
+     */
+    function collectUnknown(value, pointer = '') {
+        if (value === null) return [pointer];
+        if (typeof value !== 'object') return [];
+        return Object.keys(value).flatMap(key =>
+            collectUnknown(value[key], `${pointer}/${escapePointer(key)}`));
+    }
+
+    function escapePointer(key) {
+        return String(key).replace(/~/g, '~0').replace(/\//g, '~1');
+    }
+
+    function toVerdict(verdict) {
+        return ['SAFE', 'SUSPICIOUS', 'MALICIOUS'].includes(verdict) ? verdict : 'UNKNOWN';
+    }
+
+    /**
+     * 0-100, or null when the engine recorded no score (never 0: that would
+     * read as a measured, clean result)
+     */
+    function clampScore(score) {
+        const value = toNumber(score);
+        return value === null ? null : Math.max(0, Math.min(100, value));
+    }
+
+    function toNumber(value) {
+        return typeof value === 'number' && Number.isFinite(value) ? value : null;
+    }
+
+    function toIsoString(timestamp) {
+        const date = new Date(timestamp);
+        return Number.isNaN(date.getTime()) ? null : date.toISOString();
+    }
+
+    function toAsciiUrl(url) {
+        if (!url) return null;
+        try {
+            return new URL(url).href;
+        } catch (e) {
+            return null;
+        }
+    }
+
+    function getAsciiHost(url) {
+        try {
+            return new URL(url).hostname || null;
+        } catch (e) {
+            return null;
+        }
+    }
+
+    // ==========================================================================
+    // SCHEMA VALIDATION
+    // ==========================================================================
+
+    /**
+     * Load the shipped JSON Schema (precached by the service worker)
+     * @returns {Promise<Object>}
+     */
+    function loadSchema() {
+        if (!schemaPromise) {
+            schemaPromise = fetch(SCHEMA_PATH)
+                .then(response => {
+                    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                    return response.json();
+                })
+                .catch(e => {
+                    schemaPromise = null;
+                    throw e;
+                });
+        }
+        return schemaPromise;
+    }
+
+    /**
+     * Validate a value against a JSON Schema.
+     * Supports the keywords the report schemas use: type, const, enum, anyOf,
+     * required, properties, additionalProperties: false, items, minimum,
+     * maximum, minLength, pattern, format: date-time and local $ref.
+     * @returns {{valid: boolean, errors: Array<{path: string, message: string}>}}
+     */
+    function validate(value, schema) {
+        const errors = [];
+        check(value, schema, '', schema, errors);
+        return { valid: errors.length === 0, errors };
+    }
+
+    function check(value, schema, path, root, errors) {
+        if (schema.$ref) {
+            schema = resolveRef(schema.$ref, root);
+        }
+        const at = path || '/';
+
+        if (schema.type && ![].concat(schema.type).some(type => isType(value, type))) {
+            errors.push({ path: at, message: `must be ${[].concat(schema.type).join(' or ')}` });
+            return;
+        }
+        if ('const' in schema && value !== schema.const) {
+            errors.push({ path: at, message: `must be ${JSON.stringify(schema.const)}` });
+        }
+        if (schema.enum && !schema.enum.includes(value)) {
+            errors.push({ path: at, message: `must be one of ${schema.enum.join(', ')}` });
+        }
+        if (schema.anyOf && !schema.anyOf.some(option => validateAt(value, option, path, root))) {
+            errors.push({ path: at, message: 'does not match any allowed form' });
+        }
+
+        if (typeof value === 'number') {
+            if (schema.minimum != null && value < schema.minimum) {
+                errors.push({ path: at, message: `must be >= ${schema.minimum}` });
+            }
+            if (schema.maximum != null && value > schema.maximum) {
+                errors.push({ path: at, message: `must be <= ${schema.maximum}` });
+            }
+        }
+
+        if (typeof value === 'string') {
+            if (schema.minLength != null && value.length < schema.minLength) {
+                errors.push({ path: at, message: `must have at least ${schema.minLength} characters` });
+            }
+            if (schema.pattern && !new RegExp(schema.pattern, 'u').test(value)) {
+                errors.push({ path: at, message: `must match ${schema.pattern}` });
+            }
+            if (schema.format === 'date-time' && !isDateTime(value)) {
+                errors.push({ path: at, message: 'must be an RFC 3339 date-time' });
+            }
+        }
+
+        if (Array.isArray(value) && schema.items) {
+            value.forEach((item, i) => check(item, schema.items, `${path}/${i}`, root, errors));
+        }
+
+        if (isType(value, 'object')) {
+            (schema.required || []).forEach(key => {
+                if (!(key in value)) {
+                    errors.push({ path: at, message: `missing required property ${key}` });
+                }
+            });
+            Object.keys(value).forEach(key => {
+                const childPath = `${path}/${escapePointer(key)}`;
+                if (schema.properties && key in schema.properties) {
+                    check(value[key], schema.properties[key], childPath, root, errors);
+                } else if (schema.additionalProperties === false) {
+                    errors.push({ path: childPath, message: 'is not allowed' });
+                }
+            });
+        }
+    }
+
+    function validateAt(value, schema, path, root) {
+        const errors = [];
+        check(value, schema, path, root, errors);
+        return errors.length === 0;
+    }
+
+    function resolveRef(ref, root) {
+        if (!ref.startsWith('#/')) {
+            throw new Error(`Unsupported $ref: ${ref}`);
+        }
+        const target = ref.slice(2).split('/').reduce((node, key) => node?.[key], root);
+        if (!target) {
+            throw new Error(`Unresolved $ref: ${ref}`);
+        }
+        return target;
+    }
+
+    function isType(value, type) {
+        switch (type) {
+            case 'null': return value === null;
+            case 'object': return value !== null && typeof value === 'object' && !Array.isArray(value);
+            case 'array': return Array.isArray(value);
+            case 'integer': return Number.isInteger(value);
+            case 'number': return typeof value === 'number' && Number.isFinite(value);
+            default: return typeof value === type;
+        }
+    }
+
+    function isDateTime(value) {
+        return /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?(Z|[+-]\d{2}:\d{2})$/.test(value) &&
+            !Number.isNaN(Date.parse(value));
+    }
+
+    // Expose public API
+    window.MehrGuardReport = {
+        SCHEMA_VERSION,
+        SCHEMA_ID,
+        SCHEMA_PATH,
+        fromScan,
+        toReportVerdict,
+        build,
+        loadSchema,
+        validate,
+    };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = window.MehrGuardReport;
+    }
+
+})();
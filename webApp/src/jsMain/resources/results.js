@@ -48,10 +48,10 @@ function formatText(template, params) {
 // INITIALIZATION
 // =============================================================================
 
-document.addEventListener('DOMContentLoaded', () => {
+document.addEventListener('DOMContentLoaded', async () => {
     console.log('[Mehr Guard Results] Initializing results page v' + ResultsConfig.version);
 
-    initializeFromURL();
+    await initializeFromURL();
     setupEventListeners();
     setupMobileMenu();
 
@@ -77,16 +77,20 @@ document.addEventListener('DOMContentLoaded', () => {
 
 /**
  * Initialize state from URL parameters
+ * @returns {Promise<void>}
  */
-function initializeFromURL() {
+async function initializeFromURL() {
     const urlParams = new URLSearchParams(window.location.search);
     const scanId = urlParams.get('scanId');
     const url = urlParams.get('url');
     const verdict = urlParams.get('verdict');
     const score = urlParams.get('score');
 
-    if (scanId && window.MehrGuardUI && window.MehrGuardUI.getScanById) {
-        const scan = window.MehrGuardUI.getScanById(scanId);
+    // History is read from IndexedDB; wait for the recent-scan cache
+    await window.MehrGuardUI?.whenHistoryReady?.();
+
+    if (scanId && window.MehrGuardUI && window.MehrGuardUI.loadScanById) {
+        const scan = await window.MehrGuardUI.loadScanById(scanId);
         if (scan) {
             applyScanResult(scan, scanId);
             return;
@@ -117,20 +121,29 @@ function initializeFromURL() {
             scanIdEl.textContent = formatText('Result # {id}', { id: scanId });
         }
 
-        // Get REAL analysis from the engine APIs
-        const engineData = getEngineAnalysis(decodedUrl);
+        // Non-URL QR content (Wi-Fi, SMS, crypto, ...) goes to the payload analyzer
+        const payload = window.MehrGuardPayload?.isPayloadContent(decodedUrl)
+            ? window.MehrGuardPayload.analyze(decodedUrl)
+            : null;
+
+        // Not analysed yet: run the engine once and keep the snapshot with the history entry
+        const snapshot = payload ? null : captureEngineSnapshot(decodedUrl);
+        const engineData = payload ? getPayloadAnalysis(payload) : getSnapshotAnalysis(snapshot, decodedUrl);
 
         // Construct result object with REAL data
         ResultsState.currentResult = {
             url: ResultsState.scannedUrl,
             verdict: ResultsState.verdict,
             confidence: ResultsState.confidence,
-            analysisTime: engineData.analysisTime || 4,
+            analysisTime: engineData.analysisTime ?? null,
             factors: engineData.factors,
             mlScore: engineData.mlScore,
             threatStatus: engineData.threatStatus,
             heuristicScore: engineData.heuristicScore,
             reasonCount: engineData.reasonCount,
+            engineVersion: engineData.engineVersion || null,
+            dataVersions: engineData.dataVersions || null,
+            payload: payload,
         };
 
         // Save to MehrGuardUI scan history if not already saved
@@ -148,7 +161,9 @@ function initializeFromURL() {
                         ResultsState.verdict === 'SUSPICIOUS' ? 'MEDIUM' :
                             ResultsState.verdict === 'SAFE' ? 'SAFE' : 'LOW',
                     score: ResultsState.confidence || 0,
-                    signals: []
+                    signals: payload ? payload.signals.map(signal => signal.name) : (snapshot?.flags || []),
+                    analysis: snapshot,
+                    ...(payload ? { payload } : {})
                 });
                 console.log('[Results] Saved scan to history:', ResultsState.scannedUrl);
             }
@@ -157,106 +172,96 @@ function initializeFromURL() {
 }
 
 /**
- * Get REAL analysis data from the Kotlin/JS engine APIs
+ * Run the engine now and capture its result as a history snapshot.
+ * Only used for scans that were not analysed before reaching this page.
  */
-function getEngineAnalysis(url) {
+function captureEngineSnapshot(url) {
+    if (typeof window.mehrguardAnalyzeDetailed !== 'function') return null;
+    try {
+        const startedAt = performance.now();
+        const result = window.mehrguardAnalyzeDetailed(url);
+        if (result && !result.error) {
+            result.durationMs = Math.round(performance.now() - startedAt);
+        }
+        return window.MehrGuardUI?.createAnalysisSnapshot(result) || null;
+    } catch (e) {
+        console.warn('[Results] Engine analysis error:', e);
+        return null;
+    }
+}
+
+/**
+ * Build result data from a stored analysis snapshot (what the engine
+ * reported at scan time), never from a fresh engine run
+ * @param {Object|null} snapshot - From MehrGuardUI.createAnalysisSnapshot()
+ * @param {string} url - Scanned URL
+ */
+function getSnapshotAnalysis(snapshot, url) {
     const result = {
         factors: [],
-        mlScore: null,
-        threatStatus: null,
-        heuristicScore: 0,
-        reasonCount: 0,
-        analysisTime: 4,
+        mlScore: snapshot?.ml || null,
+        threatStatus: snapshot?.intel || null,
+        heuristicScore: snapshot?.heuristicScore || 0,
+        reasonCount: snapshot ? snapshot.reasons.length : 0,
+        analysisTime: snapshot?.durationMs ?? null,
+        engineVersion: snapshot?.engineVersion || null,
+        dataVersions: snapshot?.dataVersions || null,
     };
 
-    // Get heuristics with real reason codes
-    if (window.mehrguardHeuristics) {
-        try {
-            const heuristics = window.mehrguardHeuristics(url);
-            result.heuristicScore = heuristics.score || 0;
-            result.reasonCount = heuristics.reasonCount || 0;
-
-            // Convert reason codes to factors
-            if (heuristics.reasons && Array.isArray(heuristics.reasons)) {
-                heuristics.reasons.forEach(reason => {
-                    result.factors.push({
-                        type: mapSeverityToType(reason.severity),
-                        category: getCategoryFromCode(reason.code),
-                        title: formatReasonTitle(reason.code),
-                        // Use i18n description, fallback to Kotlin description, then formatReasonDescription
-                        description: formatReasonDescription(reason.code) || reason.description,
-                        reasonCode: reason.code, // Store original code for potential re-translation
-                    });
-                });
-            }
-        } catch (e) {
-            console.warn('[Results] Heuristics API error:', e);
-        }
+    if (!snapshot) {
+        result.factors = getDefaultFactorsForVerdict(ResultsState.verdict);
+        return result;
     }
 
-    // Get ML score
-    if (window.mehrguardMlScore) {
-        try {
-            result.mlScore = window.mehrguardMlScore(url);
-        } catch (e) {
-            console.warn('[Results] ML API error:', e);
-        }
-    }
+    // Reason codes as recorded at scan time
+    snapshot.reasons.forEach(reason => {
+        result.factors.push({
+            type: mapSeverityToType(reason.severity),
+            category: getCategoryFromCode(reason.code),
+            title: formatReasonTitle(reason.code),
+            // Use i18n description, fallback to Kotlin description, then formatReasonDescription
+            description: formatReasonDescription(reason.code) || reason.description,
+            reasonCode: reason.code, // Store original code for potential re-translation
+        });
+    });
 
-    // Get threat intel status
-    if (window.mehrguardThreatLookup) {
-        try {
-            result.threatStatus = window.mehrguardThreatLookup(url);
-
-            // Add threat intel as a factor if it's known bad
-            if (result.threatStatus && result.threatStatus.isKnownBad) {
-                result.factors.unshift({
-                    type: 'FAIL',
-                    category: 'THREAT INTEL',
-                    title: 'Known Malicious URL',
-                    description: `This URL is in our threat intelligence database with ${result.threatStatus.confidence} confidence.`,
-                });
-            }
-        } catch (e) {
-            console.warn('[Results] Threat API error:', e);
-        }
+    // Threat intel hit
+    if (result.threatStatus && result.threatStatus.isKnownBad) {
+        result.factors.unshift({
+            type: 'FAIL',
+            category: 'THREAT INTEL',
+            title: 'Known Malicious URL',
+            description: `This URL is in our threat intelligence database with ${result.threatStatus.confidence} confidence.`,
+        });
     }
 
-    // Get Unicode analysis
-    if (window.mehrguardUnicodeAnalysis) {
-        try {
-            const host = extractHost(url);
-            const unicode = window.mehrguardUnicodeAnalysis(host);
-
-            if (unicode && unicode.hasRisk) {
-                if (unicode.isPunycode) {
-                    const safeDisplayHost = unicode.safeDisplayHost || host;
-                    result.factors.push({
-                        type: 'FAIL',
-                        category: 'UNICODE',
-                        title: getTranslation('IdnPunycodeDomainTitle'),
-                        description: `${getTranslation('IdnPunycodeDomainDesc')} [IDN: ${safeDisplayHost}]`,
-                    });
-                }
-                if (unicode.hasMixedScript) {
-                    result.factors.push({
-                        type: 'FAIL',
-                        category: 'HOMOGRAPH',
-                        title: getTranslation('MixedScriptAttackTitle'),
-                        description: getTranslation('MixedScriptAttackDesc'),
-                    });
-                }
-                if (unicode.hasConfusables) {
-                    result.factors.push({
-                        type: 'WARN',
-                        category: 'VISUAL',
-                        title: getTranslation('ConfusableCharsTitle'),
-                        description: getTranslation('ConfusableCharsDesc'),
-                    });
-                }
-            }
-        } catch (e) {
-            console.warn('[Results] Unicode API error:', e);
+    // Unicode analysis
+    const unicode = snapshot.unicode;
+    if (unicode && unicode.hasRisk) {
+        if (unicode.isPunycode) {
+            const safeDisplayHost = unicode.safeDisplayHost || extractHost(url);
+            result.factors.push({
+                type: 'FAIL',
+                category: 'UNICODE',
+                title: getTranslation('IdnPunycodeDomainTitle'),
+                description: `${getTranslation('IdnPunycodeDomainDesc')} [IDN: ${safeDisplayHost}]`,
+            });
+        }
+        if (unicode.hasMixedScript) {
+            result.factors.push({
+                type: 'FAIL',
+                category: 'HOMOGRAPH',
+                title: getTranslation('MixedScriptAttackTitle'),
+                description: getTranslation('MixedScriptAttackDesc'),
+            });
+        }
+        if (unicode.hasConfusables) {
+            result.factors.push({
+                type: 'WARN',
+                category: 'VISUAL',
+                title: getTranslation('ConfusableCharsTitle'),
+                description: getTranslation('ConfusableCharsDesc'),
+            });
         }
     }
 
@@ -303,6 +308,23 @@ function getEngineAnalysis(url) {
     return result;
 }
 
+/**
+ * Build result data for a non-URL QR payload from its stored analysis
+ * @param {Object} payload - Analysis from MehrGuardPayload.analyze()
+ */
+function getPayloadAnalysis(payload) {
+    return {
+        factors: window.MehrGuardPayload
+            ? window.MehrGuardPayload.toFactors(payload)
+            : getDefaultFactorsForVerdict(ResultsState.verdict),
+        mlScore: null,
+        threatStatus: null,
+        heuristicScore: payload.riskScore || 0,
+        reasonCount: payload.signals ? payload.signals.length : 0,
+        analysisTime: 4,
+    };
+}
+
 /**
  * Map severity to display type
  */
@@ -553,19 +575,27 @@ function applyScanResult(scan, scanId) {
         scanIdEl.textContent = formatText('Result # {id}', { id: formatScanId(scanId) });
     }
 
-    // Get REAL engine analysis
-    const engineData = getEngineAnalysis(scan.url);
+    // Render what the engine reported at scan time. Entries saved before
+    // snapshots existed have none, so those are analysed again (not stored).
+    const snapshot = scan.analysis || (scan.payload ? null : captureEngineSnapshot(scan.url));
+    const engineData = scan.payload ? getPayloadAnalysis(scan.payload) : getSnapshotAnalysis(snapshot, scan.url);
 
     ResultsState.currentResult = {
         url: scan.url,
         verdict: resultVerdict,
         confidence: ResultsState.confidence,
-        analysisTime: engineData.analysisTime || 4,
+        analysisTime: engineData.analysisTime ?? null,
         factors: engineData.factors,
         mlScore: engineData.mlScore,
         threatStatus: engineData.threatStatus,
         heuristicScore: engineData.heuristicScore,
         reasonCount: engineData.reasonCount,
+        engineVersion: engineData.engineVersion || null,
+        dataVersions: engineData.dataVersions || null,
+        policy: scan.policy || null,
+        payload: scan.payload || null,
+        symbology: scan.symbology || null,
+        forensics: scan.qrForensics || null,
     };
 }
 
@@ -648,13 +678,47 @@ function displayResult(result) {
     // Update verdict
     updateVerdictDisplay(result.verdict, result.confidence);
 
+    // Explain any Trust Centre override
+    updatePolicyNotice(result.policy);
+
+    // Type-specific view for Wi-Fi, SMS, crypto and other non-URL codes
+    updatePayloadView(result.payload);
+
+    // Version, mask, segments and red flags of the scanned QR code
+    updateForensicsView(result.forensics);
+
+    // Barcode type, shown for Data Matrix, Aztec and PDF417 codes
+    const symbologyEl = document.getElementById('symbologyBadge');
+    if (symbologyEl) {
+        const isOther = !!result.symbology && result.symbology !== 'qr_code';
+        symbologyEl.hidden = !isOther;
+        symbologyEl.textContent = isOther
+            ? translateText(window.MehrGuardBarcodes?.getLabel(result.symbology) || result.symbology)
+            : '';
+    }
+
     // Update risk meter
     updateRiskMeter(result.verdict);
 
     // Update analysis time
     const analysisTimeEl = document.getElementById('analysisTime');
     if (analysisTimeEl) {
-        analysisTimeEl.textContent = `${result.analysisTime || 4}ms`;
+        analysisTimeEl.textContent = typeof result.analysisTime === 'number' ? `${result.analysisTime}ms` : '—';
+    }
+
+    // Engine and data versions recorded with the scan
+    const engineVersionEl = document.getElementById('engineVersion');
+    if (engineVersionEl) {
+        const engineVersion = result.engineVersion || window.mehrguardEngineInfo?.version;
+        engineVersionEl.textContent = engineVersion ? `v${engineVersion}` : '—';
+        const versions = result.dataVersions;
+        engineVersionEl.title = versions
+            ? formatText('ML model {ml} · Threat intel {intel} ({entries} entries)', {
+                ml: versions.mlModel || '—',
+                intel: versions.threatIntel || '—',
+                entries: versions.threatIntelEntries ?? '—',
+            })
+            : '';
     }
 
     // Update heuristics count with REAL data
@@ -756,6 +820,288 @@ function updateVerdictDisplay(verdict, confidence) {
     }
 }
 
+/**
+ * Show which Trust Centre list or setting decided (or changed) the verdict
+ * @param {Object|null} policy - Record from MehrGuardPolicy.toRecord()
+ */
+function updatePolicyNotice(policy) {
+    const notice = document.getElementById('policyNotice');
+    if (!notice) return;
+
+    notice.classList.remove('blocklist', 'allowlist', 'sensitivity', 'org-blocked', 'org-allowed', 'org-review', 'shared-intel');
+    if (!policy || !policy.source) {
+        notice.hidden = true;
+        return;
+    }
+
+    const icon = document.getElementById('policyNoticeIcon');
+    const title = document.getElementById('policyNoticeTitle');
+    const detail = document.getElementById('policyNoticeDetail');
+    const engineVerdict = translateText(policy.originalVerdict || 'UNKNOWN');
+    const rule = policy.rule || '';
+    let variant = policy.source;
+
+    switch (policy.source) {
+        case 'blocklist':
+            icon.textContent = 'block';
+            title.textContent = translateText('Blocked by your Trust Centre blocklist');
+            detail.textContent = formatText('Matched rule "{rule}". Engine verdict was {verdict}.', {
+                rule,
+                verdict: engineVerdict,
+            });
+            break;
+        case 'allowlist':
+            icon.textContent = 'verified_user';
+            title.textContent = translateText('Trusted by your Trust Centre allowlist');
+            detail.textContent = formatText('Matched rule "{rule}". Engine verdict was {verdict}.', {
+                rule,
+                verdict: engineVerdict,
+            });
+            break;
+        case 'shared_intel': {
+            const shared = policy.sharedIntel || {};
+            variant = 'shared-intel';
+            icon.textContent = 'hub';
+            title.textContent = formatText('Listed in shared threat intel: {event}', {
+                event: shared.info || translateText('MISP event'),
+            });
+            detail.textContent = formatText('Matched indicator "{rule}" from {org}. Engine verdict was {verdict}.', {
+                rule,
+                org: shared.orgName || translateText('a partner'),
+                verdict: engineVerdict,
+            });
+            break;
+        }
+        case 'sensitivity': {
+            const levelKey = window.MehrGuardPolicy?.getSensitivityNameKey(policy.sensitivity);
+            icon.textContent = 'tune';
+            title.textContent = formatText('Verdict adjusted by {level} sensitivity', {
+                level: levelKey ? translateText(levelKey) : String(policy.sensitivity),
+            });
+            detail.textContent = formatText('Engine verdict was {verdict} (risk score {score}).', {
+                verdict: engineVerdict,
+                score: Math.round(policy.originalScore || 0),
+            });
+            break;
+        }
+        case 'org_policy': {
+            const org = policy.orgPolicy || {};
+            const orgName = org.orgName || translateText('your organisation');
+            if (org.status === 'BLOCKED') {
+                variant = 'org-blocked';
+                icon.textContent = 'gpp_bad';
+                title.textContent = formatText('Blocked by {org} policy: {reason}', {
+                    org: orgName,
+                    reason: translateText(window.MehrGuardPolicy?.getBlockReasonLabel(org.blockReason) || org.blockReason || ''),
+                });
+            } else if (org.status === 'ALLOWED') {
+                variant = 'org-allowed';
+                icon.textContent = 'verified_user';
+                title.textContent = formatText('Trusted by {org} policy', { org: orgName });
+            } else {
+                variant = 'org-review';
+                icon.textContent = 'corporate_fare';
+                title.textContent = org.status === 'THRESHOLD'
+                    ? formatText('Verdict raised by {org} policy thresholds', { org: orgName })
+                    : formatText('{org} policy requires review', { org: orgName });
+            }
+            detail.textContent = formatText('{reason}. Engine verdict was {verdict}.', {
+                reason: org.reason || translateText('Organisation policy rule'),
+                verdict: engineVerdict,
+            });
+            break;
+        }
+        default:
+            notice.hidden = true;
+            return;
+    }
+
+    notice.classList.add(variant);
+    notice.hidden = false;
+}
+
+/**
+ * Render the type-specific details of a non-URL QR payload
+ * @param {Object|null} payload - Analysis from MehrGuardPayload.analyze()
+ */
+function updatePayloadView(payload) {
+    const section = document.getElementById('payloadSection');
+    if (!section) return;
+
+    if (!payload || !window.MehrGuardPayload) {
+        section.hidden = true;
+        return;
+    }
+
+    document.getElementById('payloadIcon').textContent = window.MehrGuardPayload.getIcon(payload);
+    document.getElementById('payloadTitle').textContent = translateText(payload.displayName);
+
+    const details = document.getElementById('payloadDetails');
+    details.innerHTML = '';
+    window.MehrGuardPayload.getDetails(payload).forEach(row => {
+        const dt = document.createElement('dt');
+        dt.textContent = translateText(row.label);
+        const dd = document.createElement('dd');
+        dd.textContent = row.translate ? translateText(row.value) : row.value;
+        if (row.mono) dd.classList.add('mono');
+        if (row.flag) dd.classList.add('flagged');
+        details.append(dt, dd);
+    });
+
+    document.getElementById('payloadRecommendation').textContent = translateText(payload.recommendation || '');
+    section.hidden = false;
+}
+
+const FORENSICS_ICONS = {
+    high: 'error',
+    medium: 'warning',
+    info: 'info',
+};
+
+/**
+ * Show the structure of the scanned QR code (camera and image scans only)
+ * @param {Object|null} forensics - Report from MehrGuardQrForensics.inspect
+ */
+function updateForensicsView(forensics) {
+    const section = document.getElementById('forensicsSection');
+    if (!section) return;
+
+    if (!forensics || !window.MehrGuardQrForensics) {
+        section.hidden = true;
+        return;
+    }
+
+    const forensicsApi = window.MehrGuardQrForensics;
+    const reveal = text => forensicsApi.revealHidden(text);
+    const flagsEl = document.getElementById('forensicsFlags');
+    const details = document.getElementById('forensicsDetails');
+    const segmentsWrap = document.getElementById('forensicsSegmentsWrap');
+    const raw = document.getElementById('forensicsRaw');
+    flagsEl.innerHTML = '';
+    details.innerHTML = '';
+
+    const addFlag = (severity, message, detail) => {
+        const item = document.createElement('li');
+        item.className = `forensics-flag ${severity}`;
+        const icon = document.createElement('span');
+        icon.className = 'material-symbols-outlined';
+        icon.textContent = FORENSICS_ICONS[severity] || 'check_circle';
+        const text = document.createElement('span');
+        text.textContent = translateText(message);
+        item.append(icon, text);
+        if (detail) {
+            const code = document.createElement('code');
+            code.textContent = detail;
+            item.append(code);
+        }
+        flagsEl.append(item);
+    };
+
+    const addRow = (label, value, options = {}) => {
+        const dt = document.createElement('dt');
+        dt.textContent = translateText(label);
+        const dd = document.createElement('dd');
+        dd.textContent = value;
+        if (options.mono) dd.classList.add('mono');
+        if (options.flag) dd.classList.add('flagged');
+        details.append(dt, dd);
+    };
+
+    if (!forensics.readable) {
+        addFlag('info', 'The structure could not be read from the scanned image (the code only decoded after enhancement, or is too damaged)');
+        segmentsWrap.hidden = true;
+        raw.hidden = true;
+        section.hidden = false;
+        return;
+    }
+
+    if (forensics.flags.length === 0) {
+        addFlag('clean', 'No structural anomalies found');
+    }
+    forensics.flags.forEach(item => addFlag(item.severity, item.message, item.detail));
+    if (forensics.redacted) {
+        addFlag('info', 'Content withheld: this code holds a secret that history does not keep');
+    }
+
+    addRow('Version', formatText('{version} ({size}×{size} modules)', {
+        version: forensics.version,
+        size: forensics.dimension,
+    }));
+    addRow('Error correction', forensics.ecLevel || '—');
+    addRow('Mask', forensics.mask ?? '—');
+    if (forensics.capacityBytes) {
+        addRow('Data used', formatText('{used} of {capacity} bits', {
+            used: forensics.usedBits,
+            capacity: forensics.capacityBytes * 8,
+        }));
+    }
+    if (forensics.mirrored) addRow('Mirrored', translateText('Yes'), { flag: true });
+    addRow('Read by', forensics.source === 'zxing'
+        ? translateText('ZXing (full structure)')
+        : translateText('jsQR (segments only)'));
+
+    if (!forensics.redacted) {
+        const disagree = forensics.flags.some(item => item.id === 'decoder-disagreement');
+        if (disagree) {
+            forensics.readings.forEach(reading => addRow(
+                formatText('{decoder} reads', { decoder: reading.decoder }), reveal(reading.text), { mono: true, flag: true }));
+        }
+        if (forensics.flags.some(item => item.id === 'engine-mismatch')) {
+            addRow('Decoded text', reveal(forensics.text), { mono: true, flag: true });
+            addRow('Analysed text', reveal(forensics.engineText), { mono: true, flag: true });
+        }
+        if (forensics.trailing?.hex) {
+            addRow('After terminator', forensics.trailing.padding
+                ? translateText('Padding only')
+                : forensics.trailing.hex, { mono: true, flag: !forensics.trailing.padding });
+        }
+    }
+
+    const tbody = document.getElementById('forensicsSegments');
+    tbody.innerHTML = '';
+    forensics.segments.forEach(segment => {
+        const row = document.createElement('tr');
+        const encoding = segment.mode === 'eci'
+            ? `ECI ${segment.eci}${segment.charset ? ` (${segment.charset})` : ''}`
+            : segment.mode === 'structured_append'
+                ? formatText('Part {sequence} of {total}', segment)
+                : segment.charset || '';
+        [
+            translateText(forensicsApi.getModeLabel(segment.mode)),
+            segment.count ? String(segment.count) : '',
+            encoding,
+            reveal(segment.text),
+        ].forEach((value, i) => {
+            const cell = document.createElement('td');
+            cell.textContent = value;
+            if (i === 3) cell.classList.add('mono');
+            row.append(cell);
+        });
+        tbody.append(row);
+    });
+    segmentsWrap.hidden = forensics.segments.length === 0;
+
+    raw.hidden = !forensics.dataHex;
+    document.getElementById('forensicsRawTitle').textContent = forensics.source === 'zxing'
+        ? formatText('Data codewords ({count} bytes)', { count: forensics.capacityBytes })
+        : translateText('Decoded bytes');
+    document.getElementById('forensicsHex').textContent = formatHexLines(forensics.dataHex);
+
+    section.hidden = false;
+}
+
+/**
+ * Space-separated hex bytes, 16 per line
+ */
+function formatHexLines(hex) {
+    const bytes = String(hex || '').split(' ').filter(Boolean);
+    const lines = [];
+    for (let i = 0; i < bytes.length; i += 16) {
+        lines.push(bytes.slice(i, i + 16).join(' '));
+    }
+    return lines.join('\n');
+}
+
 /**
  * Update the risk meter visualization
  */
@@ -0,0 +1,565 @@
+/**
+ * Mehr Guard Review Report
+ *
+ * Consolidated report over many scans for periodic security reviews: scans
+ * are selected from history by date range, verdict and reason code, then
+ * summarised (verdict counts, top targeted brands, top reason codes and a
+ * verdict trend) ahead of the per-scan details.
+ *
+ * build() returns one review object; the CSV and HTML exports here and the
+ * PDF on the export page are all rendered from it, so the three formats
+ * always agree.
+ *
+ * @author Mehr Guard Team
+ * @version 2.4.1
+ */
+
+(function () {
+    'use strict';
+
+    // ==========================================================================
+    // CONFIGURATION
+    // ==========================================================================
+
+    const APP_VERSION = '2.4.1';
+    const MAX_SCANS = 2000; // Per report; PDF and HTML get one section per scan
+    const TOP_LIMIT = 10;
+    const DAY_MS = 24 * 60 * 60 * 1000;
+    const MAX_DAILY_BUCKETS = 31; // Longer ranges are grouped by week
+
+    const VERDICTS = ['MALICIOUS', 'SUSPICIOUS', 'SAFE', 'UNKNOWN'];
+
+    // Informational codes that say nothing about the target
+    const IGNORED_REASONS = new Set(['ANALYSIS_COMPLETE', 'UNPARSEABLE']);
+
+    // Engine flags that name a brand, for scans stored before snapshots had `brand`
+    const BRAND_FLAG = /^(?:Brand impersonation detected|Possible brand impersonation): (.+)$/;
+
+    const CSV_COLUMNS = [
+        'scan_id', 'scanned_at', 'verdict', 'risk_score', 'content_type', 'content',
+        'host', 'brand', 'reason_codes', 'threat_intel_listed', 'engine_version',
+    ];
+
+    // ==========================================================================
+    // SELECTION
+    // ==========================================================================
+
+    /**
+     * Read the scans for a report from history, newest first.
+     * @param {Object} filter
+     * @param {number} [filter.from] - Earliest timestamp (ms)
+     * @param {number} [filter.to] - Latest timestamp (ms)
+     * @param {string} [filter.verdict] - History verdict: HIGH, MEDIUM, LOW, SAFE or UNKNOWN
+     * @param {string} [filter.reasonCode] - Exact reason code
+     * @returns {Promise<{scans: Object[], total: number}>} Report data
+     *   (MehrGuardReport.fromScan); `total` counts every match, even past MAX_SCANS
+     */
+    async function collect(filter = {}) {
+        const query = { limit: MAX_SCANS };
+        if (filter.from != null) query.from = filter.from;
+        if (filter.to != null) query.to = filter.to;
+        if (filter.verdict) query.verdict = filter.verdict;
+        if (filter.reasonCode) query.reasonCode = filter.reasonCode;
+
+        const { items, total } = await window.MehrGuardUI.queryScanHistory(query);
+        return {
+            scans: items.map(scan => window.MehrGuardReport.fromScan(scan)),
+            total,
+        };
+    }
+
+    // ==========================================================================
+    // REVIEW
+    // ==========================================================================
+
+    /**
+     * Summarise scans into a review report.
+     * @param {Object[]} scans - Report data (MehrGuardReport.fromScan)
+     * @param {Object} [options]
+     * @param {Object} [options.filter] - The filter the scans were selected with
+     * @param {number} [options.total] - Matches before MAX_SCANS was applied
+     * @param {number} [options.generatedAt=Date.now()]
+     * @returns {Object} `{generatedAt, generator, filter, period, summary, scans}`
+     */
+    function build(scans, options = {}) {
+        const filter = options.filter || {};
+        const sorted = scans.slice().sort((a, b) => (b.timestamp || 0) - (a.timestamp || 0));
+        const timestamps = sorted.map(scan => scan.timestamp).filter(Boolean);
+
+        // An open-ended range runs from the first to the last scan
+        const from = filter.from ?? (timestamps.length ? Math.min(...timestamps) : null);
+        const to = filter.to ?? (timestamps.length ? Math.max(...timestamps) : null);
+
+        return {
+            generatedAt: options.generatedAt ?? Date.now(),
+            generator: { name: 'Mehr Guard', version: APP_VERSION },
+            filter: {
+                from: filter.from ?? null,
+                to: filter.to ?? null,
+                verdict: filter.verdict || null,
+                reasonCode: filter.reasonCode || null,
+            },
+            period: { from, to },
+            summary: summarize(sorted, from, to, options.total),
+            scans: sorted,
+        };
+    }
+
+    function summarize(scans, from, to, total) {
+        const verdicts = Object.fromEntries(VERDICTS.map(verdict => [verdict, 0]));
+        const brands = new Map();
+        const reasons = new Map();
+        const hosts = new Set();
+        let payloads = 0;
+        let listed = 0;
+
+        scans.forEach(scan => {
+            verdicts[toVerdict(scan.verdict)]++;
+            if (scan.payload) {
+                payloads++;
+                return;
+            }
+
+            const host = getHost(scan);
+            if (host) hosts.add(host);
+            if (scan.analysis?.intel?.isKnownBad) listed++;
+
+            const brand = getBrand(scan);
+            if (brand) brands.set(brand, (brands.get(brand) || 0) + 1);
+
+            getReasonCodes(scan).forEach(code => {
+                const entry = reasons.get(code) || { code, count: 0, severity: null };
+                entry.count++;
+                entry.severity = entry.severity || getSeverity(scan, code);
+                reasons.set(code, entry);
+            });
+        });
+
+        return {
+            scanCount: scans.length,
+            matchCount: Math.max(total ?? scans.length, scans.length),
+            verdicts,
+            urlCount: scans.length - payloads,
+            payloadCount: payloads,
+            uniqueHosts: hosts.size,
+            threatIntelListed: listed,
+            topBrands: top(Array.from(brands, ([name, count]) => ({ name, count })), 'name'),
+            topReasons: top(Array.from(reasons.values()), 'code'),
+            trend: buildTrend(scans, from, to),
+        };
+    }
+
+    function top(entries, key) {
+        return entries
+            .sort((a, b) => b.count - a.count || compare(a[key], b[key]))
+            .slice(0, TOP_LIMIT);
+    }
+
+    /**
+     * Verdict counts per UTC day, or per week (from Monday) when the range
+     * is longer than MAX_DAILY_BUCKETS days. Empty buckets are kept so gaps
+     * show in the trend.
+     * @returns {{interval: string, buckets: Array<{start: number, MALICIOUS: number,
+     *          SUSPICIOUS: number, SAFE: number, UNKNOWN: number, total: number}>}}
+     */
+    function buildTrend(scans, from, to) {
+        if (from == null || to == null || to < from) {
+            return { interval: 'day', buckets: [] };
+        }
+
+        const firstDay = startOfUtcDay(from);
+        const days = Math.floor((startOfUtcDay(to) - firstDay) / DAY_MS) + 1;
+        const interval = days > MAX_DAILY_BUCKETS ? 'week' : 'day';
+        const bucketStart = interval === 'week' ? startOfUtcWeek : startOfUtcDay;
+        const step = interval === 'week' ? 7 * DAY_MS : DAY_MS;
+
+        const buckets = [];
+        const byStart = new Map();
+        for (let start = bucketStart(from); start <= to; start += step) {
+            const bucket = { start, ...Object.fromEntries(VERDICTS.map(verdict => [verdict, 0])), total: 0 };
+            buckets.push(bucket);
+            byStart.set(start, bucket);
+        }
+
+        scans.forEach(scan => {
+            if (!scan.timestamp) return;
+            const bucket = byStart.get(bucketStart(scan.timestamp));
+            if (!bucket) return;
+            bucket[toVerdict(scan.verdict)]++;
+            bucket.total++;
+        });
+
+        return { interval, buckets };
+    }
+
+    function startOfUtcDay(timestamp) {
+        return Math.floor(timestamp / DAY_MS) * DAY_MS;
+    }
+
+    function startOfUtcWeek(timestamp) {
+        const day = startOfUtcDay(timestamp);
+        const weekday = (new Date(day).getUTCDay() + 6) % 7; // Monday = 0
+        return day - weekday * DAY_MS;
+    }
+
+    // ==========================================================================
+    // SCAN FIELDS
+    // ==========================================================================
+
+    /**
+     * Impersonated brand recorded by the engine, if any
+     * @returns {string|null}
+     */
+    function getBrand(scan) {
+        const analysis = scan.analysis;
+        if (!analysis) return null;
+        if (analysis.brand) return analysis.brand;
+        for (const flag of analysis.flags || []) {
+            const match = BRAND_FLAG.exec(flag);
+            if (match) return match[1].trim();
+        }
+        return null;
+    }
+
+    function getReasonCodes(scan) {
+        const codes = (scan.analysis?.reasons || [])
+            .map(reason => reason.code)
+            .filter(code => code && !IGNORED_REASONS.has(code));
+        return [...new Set(codes)];
+    }
+
+    function getSeverity(scan, code) {
+        return scan.analysis?.reasons?.find(reason => reason.code === code)?.severity || null;
+    }
+
+    function getHost(scan) {
+        if (scan.payload) return null;
+        if (scan.analysis?.unicode?.safeDisplayHost) return scan.analysis.unicode.safeDisplayHost;
+        try {
+            return new URL(scan.url).hostname || null;
+        } catch (e) {
+            return null;
+        }
+    }
+
+    function toVerdict(verdict) {
+        return VERDICTS.includes(verdict) ? verdict : 'UNKNOWN';
+    }
+
+    function compare(a, b) {
+        return a < b ? -1 : a > b ? 1 : 0;
+    }
+
+    function formatUtc(timestamp) {
+        return timestamp == null ? '' : new Date(timestamp).toISOString();
+    }
+
+    function formatUtcDate(timestamp) {
+        return timestamp == null ? '' : new Date(timestamp).toISOString().slice(0, 10);
+    }
+
+    // ==========================================================================
+    // CSV
+    // ==========================================================================
+
+    /**
+     * One row per scan. The summary is left out so every row has the same
+     * columns; it can be recomputed from the rows.
+     * @returns {string}
+     */
+    function toCsv(review) {
+        const rows = review.scans.map(scan => [
+            scan.scanId,
+            formatUtc(scan.timestamp),
+            toVerdict(scan.verdict),
+            Math.round(scan.score || 0),
+            scan.payload ? 'payload' : 'url',
+            scan.url,
+            getHost(scan),
+            getBrand(scan),
+            getReasonCodes(scan).join(' '),
+            scan.payload || !scan.analysis?.intel ? '' : String(!!scan.analysis.intel.isKnownBad),
+            scan.analysis?.engineVersion,
+        ].map(toCsvCell).join(','));
+
+        return [CSV_COLUMNS.join(','), ...rows].join('\r\n') + '\r\n';
+    }
+
+    /**
+     * Quote a CSV cell; prefix cells that spreadsheets would run as formulas
+     */
+    function toCsvCell(value) {
+        let text = value === null || value === undefined ? '' : String(value);
+        if (/^[=+\-@\t\r]/.test(text)) {
+            text = `'${text}`;
+        }
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    // ==========================================================================
+    // HTML
+    // ==========================================================================
+
+    const HTML_STYLE = `
+        body { font: 14px/1.5 -apple-system, "Segoe UI", Helvetica, Arial, sans-serif; color: #111827; margin: 0; }
+        main { max-width: 960px; margin: 0 auto; padding: 40px 32px; }
+        h1 { font-size: 24px; margin: 0 0 4px; }
+        h2 { font-size: 13px; text-transform: uppercase; letter-spacing: .05em; color: #6b7280;
+             border-bottom: 1px solid #e5e7eb; padding-bottom: 6px; margin: 32px 0 12px; }
+        .muted { color: #6b7280; font-size: 12px; }
+        .cards { display: grid; grid-template-columns: repeat(4, 1fr); gap: 12px; }
+        .card { border: 1px solid #e5e7eb; border-left-width: 6px; border-radius: 6px; padding: 12px; }
+        .card strong { display: block; font-size: 24px; }
+        .MALICIOUS { border-left-color: #dc2626; } .SUSPICIOUS { border-left-color: #b45309; }
+        .SAFE { border-left-color: #059669; } .UNKNOWN { border-left-color: #475569; }
+        table { width: 100%; border-collapse: collapse; font-size: 13px; }
+        th, td { text-align: left; padding: 6px 8px; border-bottom: 1px solid #f3f4f6; vertical-align: top; }
+        th { color: #6b7280; font-weight: 600; }
+        td.num, th.num { text-align: right; }
+        .bar { display: flex; height: 10px; min-width: 2px; }
+        .bar span { display: block; height: 100%; }
+        .bar .MALICIOUS { background: #dc2626; } .bar .SUSPICIOUS { background: #b45309; }
+        .bar .SAFE { background: #059669; } .bar .UNKNOWN { background: #94a3b8; }
+        code, .mono { font-family: Menlo, Consolas, monospace; font-size: 12px; word-break: break-all; }
+        .scan { break-before: page; page-break-before: always; padding-top: 8px; }
+        .verdict { display: inline-block; font-weight: 700; padding: 2px 8px; border-radius: 4px; border-left: 6px solid; }
+        dl { display: grid; grid-template-columns: 160px 1fr; gap: 4px 12px; margin: 0; }
+        dt { color: #6b7280; }
+        dd { margin: 0; }
+        footer { margin-top: 40px; color: #6b7280; font-size: 12px; }
+        @media print { main { padding: 0; } }
+    `;
+
+    /**
+     * Standalone HTML document: summary first, then one section per scan,
+     * each starting on a new page when printed. No scripts or external
+     * resources, so it can be opened or archived offline.
+     * @param {Object} review - From build()
+     * @param {Object} [options]
+     * @param {string} [options.keyFingerprint] - Signing key, shown in the footer
+     * @returns {string}
+     */
+    function toHtml(review, options = {}) {
+        const { summary } = review;
+        const title = `Mehr Guard Security Review: ${formatUtcDate(review.period.from) || 'no scans'}` +
+            (review.period.to != null ? ` to ${formatUtcDate(review.period.to)}` : '');
+
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<meta http-equiv="Content-Security-Policy" content="default-src 'none'; style-src 'unsafe-inline'">
+<title>${escapeHtml(title)}</title>
+<style>${HTML_STYLE}</style>
+</head>
+<body>
+<main>
+<h1>Mehr Guard Security Review</h1>
+<p class="muted">${escapeHtml(describePeriod(review))} &middot; Generated ${escapeHtml(formatUtc(review.generatedAt))}</p>
+<p class="muted">${escapeHtml(describeFilter(review))}</p>
+
+<h2>Summary</h2>
+<div class="cards">
+${VERDICTS.map(verdict => `<div class="card ${verdict}"><strong>${summary.verdicts[verdict]}</strong>${escapeHtml(VERDICT_LABELS[verdict])}</div>`).join('\n')}
+</div>
+<p>${escapeHtml(describeCounts(summary))}</p>
+
+<h2>Top targeted brands</h2>
+${summary.topBrands.length === 0
+        ? '<p class="muted">No brand impersonation was detected in these scans.</p>'
+        : htmlTable(['Brand', 'Scans'], summary.topBrands.map(brand => [escapeHtml(brand.name), brand.count]))}
+
+<h2>Top reason codes</h2>
+${summary.topReasons.length === 0
+        ? '<p class="muted">No reason codes were recorded for these scans.</p>'
+        : htmlTable(['Reason code', 'Severity', 'Scans'], summary.topReasons.map(reason =>
+            [`<code>${escapeHtml(reason.code)}</code>`, escapeHtml(reason.severity || ''), reason.count]))}
+
+<h2>Verdict trend (${summary.trend.interval === 'week' ? 'weekly' : 'daily'}, UTC)</h2>
+${htmlTrend(summary.trend)}
+
+${review.scans.map((scan, index) => htmlScan(scan, index, review.scans.length)).join('\n')}
+
+<footer>Mehr Guard v${escapeHtml(review.generator.version)} &middot; Offline, on-device analysis${options.keyFingerprint
+        ? `<br>Digitally signed by key <code>${escapeHtml(options.keyFingerprint)}</code>. Check it on the Verify Report page in Mehr Guard.`
+        : ''}</footer>
+</main>
+</body>
+</html>
+`;
+    }
+
+    const VERDICT_LABELS = {
+        MALICIOUS: 'High risk',
+        SUSPICIOUS: 'Suspicious',
+        SAFE: 'Safe',
+        UNKNOWN: 'Unknown',
+    };
+
+    function htmlTable(headers, rows) {
+        const numeric = (value) => typeof value === 'number';
+        return `<table>
+<thead><tr>${headers.map((header, i) => `<th${numeric(rows[0]?.[i]) ? ' class="num"' : ''}>${escapeHtml(header)}</th>`).join('')}</tr></thead>
+<tbody>
+${rows.map(row => `<tr>${row.map(cell => `<td${numeric(cell) ? ' class="num"' : ''}>${cell}</td>`).join('')}</tr>`).join('\n')}
+</tbody>
+</table>`;
+    }
+
+    function htmlTrend(trend) {
+        if (trend.buckets.length === 0) {
+            return '<p class="muted">No scans in this period.</p>';
+        }
+        const max = Math.max(1, ...trend.buckets.map(bucket => bucket.total));
+        return htmlTable(
+            [trend.interval === 'week' ? 'Week of' : 'Day', 'Scans', ...VERDICTS.map(verdict => VERDICT_LABELS[verdict]), ''],
+            trend.buckets.map(bucket => [
+                formatUtcDate(bucket.start),
+                bucket.total,
+                ...VERDICTS.map(verdict => bucket[verdict]),
+                `<div class="bar" style="width: ${Math.round(bucket.total / max * 100)}%">${VERDICTS
+                    .filter(verdict => bucket[verdict] > 0)
+                    .map(verdict => `<span class="${verdict}" style="flex: ${bucket[verdict]}"></span>`)
+                    .join('')}</div>`,
+            ]));
+    }
+
+    function htmlScan(scan, index, count) {
+        const verdict = toVerdict(scan.verdict);
+        const analysis = scan.analysis;
+        const rows = [];
+        const row = (label, value) => rows.push(`<dt>${escapeHtml(label)}</dt><dd>${value}</dd>`);
+
+        row('Scanned', escapeHtml(scan.timestamp ? formatUtc(scan.timestamp) : 'Not recorded'));
+        row('Scan ID', `<span class="mono">${escapeHtml(scan.scanId || 'Not recorded')}</span>`);
+        if (scan.payload) {
+            row('Content type', escapeHtml(scan.payload.displayName || scan.payload.payloadType || 'Unknown'));
+            row('Content', `<span class="mono">${escapeHtml(scan.url || '')}</span>`);
+        } else {
+            row('URL', `<span class="mono">${escapeHtml(toAsciiUrl(scan.url) || 'Not recorded')}</span>`);
+            row('Host (safe display)', `<span class="mono">${escapeHtml(getHost(scan) || 'Unknown')}</span>`);
+            row('Brand', escapeHtml(getBrand(scan) || 'None detected'));
+            if (analysis?.intel?.isKnownBad) {
+                row('Threat intel', escapeHtml(`Listed (${analysis.intel.category || 'uncategorised'}, ` +
+                    `${analysis.intel.confidence || 'unknown'} confidence)`));
+            }
+            if (analysis?.ml) {
+                row('ML ensemble score', typeof analysis.ml.ensembleScore === 'number'
+                    ? `${Math.round(analysis.ml.ensembleScore * 100)}%` : 'Not available');
+            }
+        }
+        row('Engine', escapeHtml(analysis?.engineVersion ? `Mehr Guard engine ${analysis.engineVersion}` : 'Not recorded'));
+
+        let findings;
+        if (scan.payload) {
+            const signals = scan.payload.signals || [];
+            findings = signals.length === 0
+                ? '<p class="muted">No risk signals were found in this content.</p>'
+                : htmlTable(['Signal', 'Description', 'Points'], signals.map(signal =>
+                    [escapeHtml(signal.name), escapeHtml(signal.description || ''), signal.riskPoints || 0]));
+        } else if (!analysis) {
+            findings = '<p class="muted">No engine analysis was stored with this scan.</p>';
+        } else if ((analysis.reasons || []).length === 0) {
+            findings = '<p class="muted">The engine reported no reason codes for this URL.</p>';
+        } else {
+            findings = htmlTable(['Reason code', 'Severity', 'Description'], analysis.reasons.map(reason =>
+                [`<code>${escapeHtml(reason.code)}</code>`, escapeHtml(reason.severity || ''), escapeHtml(reason.description || '')]));
+        }
+
+        return `<section class="scan">
+<h2>Scan ${index + 1} of ${count}</h2>
+<p><span class="verdict ${verdict}">${escapeHtml(VERDICT_LABELS[verdict])} &middot; ${Math.round(scan.score || 0)}/100</span></p>
+<dl>
+${rows.join('\n')}
+</dl>
+<h2>${scan.payload ? 'Payload signals' : 'Reason codes'}</h2>
+${findings}
+</section>`;
+    }
+
+    // ==========================================================================
+    // TEXT
+    // ==========================================================================
+
+    /**
+     * "2025-01-06 to 2025-01-12 (UTC)"
+     */
+    function describePeriod(review) {
+        const { from, to } = review.period;
+        if (from == null) return 'No scans matched';
+        return `${formatUtcDate(from)} to ${formatUtcDate(to)} (UTC)`;
+    }
+
+    /**
+     * Filters other than the date range, in words
+     */
+    function describeFilter(review) {
+        const parts = [];
+        if (review.filter.verdict) parts.push(`verdict ${review.filter.verdict}`);
+        if (review.filter.reasonCode) parts.push(`reason code ${review.filter.reasonCode}`);
+        return parts.length ? `Scans with ${parts.join(' and ')}` : 'All scans in the period';
+    }
+
+    function describeCounts(summary) {
+        const parts = [
+            `${plural(summary.scanCount, 'scan')} (${plural(summary.urlCount, 'URL')}, ` +
+                `${plural(summary.payloadCount, 'other payload')})`,
+            plural(summary.uniqueHosts, 'distinct host'),
+            `${summary.threatIntelListed} listed in offline threat intel`,
+        ];
+        let text = `${parts.join(', ')}.`;
+        if (summary.matchCount > summary.scanCount) {
+            text += ` Only the newest ${summary.scanCount} of ${summary.matchCount} matching scans are included.`;
+        }
+        return text;
+    }
+
+    /**
+     * "1 scan", "3 scans"
+     */
+    function plural(count, noun) {
+        return `${count} ${noun}${count === 1 ? '' : 's'}`;
+    }
+
+    function toAsciiUrl(url) {
+        if (!url) return '';
+        try {
+            return new URL(url).href;
+        } catch (e) {
+            return url;
+        }
+    }
+
+    function escapeHtml(text) {
+        return String(text ?? '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
+    // Expose public API
+    window.MehrGuardReviewReport = {
+        MAX_SCANS,
+        VERDICTS,
+        VERDICT_LABELS,
+        collect,
+        build,
+        getBrand,
+        getReasonCodes,
+        getHost,
+        describePeriod,
+        describeFilter,
+        describeCounts,
+        plural,
+        toCsv,
+        toHtml,
+    };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = window.MehrGuardReviewReport;
+    }
+
+})();
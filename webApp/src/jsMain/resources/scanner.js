@@ -3,6 +3,14 @@
  * 
  * Handles camera access, QR scanning, URL input, and scan history.
  * Integrates with Kotlin/JS PhishingEngine for analysis.
+ *
+ * In continuous mode the camera keeps running after a detection: each code
+ * not yet seen in the session is analysed in the background and queued on
+ * screen, and the whole session is reviewed afterwards on batch.html.
+ *
+ * Camera frames are decoded through decoder.js (BarcodeDetector, else jsQR
+ * in a worker). Shift+D opens a dev panel with per-decoder latency and
+ * success rate.
  * 
  * @author Mehr Guard Team
  * @version 2.4.0
@@ -14,8 +22,34 @@
 
 const ScannerConfig = {
     version: '2.4.0',
-    scanInterval: 100, // ms between scan attempts
+    scanInterval: 100, // Shortest pause (ms) between decodes
+    maxScanInterval: 500, // Longest pause, reached when decoding is slow
+    decodeMaxSide: 960, // Frames are downscaled to this before decoding
+    decoderPanelKey: 'mehrguard_decoder_panel',
     defaultLatency: 4,
+    multiQrTileLevels: [2], // Tile search for camera frames (images use the full set)
+    multiQrTileInterval: 1000, // ms between tile searches while nothing is in view
+    sessionMaxCodes: 200, // Codes kept in one continuous scan session
+    pdfMaxPages: 50, // Pages rendered per PDF
+    pdfMaxItems: 100, // Codes and links analysed per PDF
+    pdfMaxBytes: 30 * 1024 * 1024,
+    emailMaxBytes: 30 * 1024 * 1024,
+    emailMaxItems: 100, // Links and codes analysed per email
+    emailMaxImages: 30, // Inline and attached images decoded per email
+    emailMinImageSide: 48, // Smaller images (tracking pixels, icons) are skipped
+    emailMaxImageSide: 4096,
+    emailImageDeadline: 4000, // ms of pre-processing per image that shows no code
+    cameraSettingsKey: 'mehrguard_camera_settings',
+    defaultResolution: 'hd',
+    focusResetDelay: 3000, // ms before tap-to-focus hands back to continuous focus
+};
+
+// Requested as `ideal` sizes; the camera picks the closest it supports
+const ResolutionPresets = {
+    sd: { label: '480p', width: 640, height: 480 },
+    hd: { label: '720p', width: 1280, height: 720 },
+    fhd: { label: '1080p', width: 1920, height: 1080 },
+    uhd: { label: '4K', width: 3840, height: 2160 },
 };
 
 // =============================================================================
@@ -52,9 +86,51 @@ const ScannerState = {
     isCameraActive: false,
     stream: null,
     scanAnimationFrame: null,
+    scanTimer: null,
+    scanLoop: 0, // Bumped on stop so a decode still in flight is ignored
+    scanCenterPass: false, // Alternates the full view with its centre (see getScanRegion)
     isSidebarOpen: false,
     isTorchOn: false,
     isRedTeamEnabled: false,
+    multiQrResults: [], // Assessed codes from the last multi-code frame/image
+    lastTileScan: 0,
+    pendingCode: null, // {content, image, symbology, forensics} for the code being analysed
+    imageScan: 0, // Bumped per uploaded image so a slow pre-processing result for an older one is ignored
+    isContinuous: false,
+    // Continuous scan session; items are analysed one at a time in `analysis`
+    session: {
+        seen: new Set(), // Trimmed content of every code queued so far
+        items: [], // {index, content, thumbnail, status, result, scanId}
+        analysis: Promise.resolve(),
+        isFull: false,
+    },
+    // Codes and links found in the last uploaded PDF (see scanPdfFile)
+    pdfReport: null,
+    // Links and codes found in the last email opened (see scanEmail)
+    emailReport: null,
+    // Hardware controls for the active track; capabilities is null when the
+    // browser cannot report them (no zoom or focus controls then)
+    camera: {
+        capabilities: null,
+        zoom: null, // Requested zoom; applied one constraint change at a time
+        isApplyingZoom: false,
+        pointers: new Map(), // Active pointers on the viewport, for pinch and tap
+        pinch: null, // {distance, zoom} when the pinch started
+        focusTimer: null,
+    },
+    // Decoder dev panel (Shift+D)
+    decoderPanel: {
+        isOpen: false,
+        timer: null,
+        last: null, // {decoder, sample, delay} for the most recent frame
+        lastImage: null, // MehrGuardDecoder.decodeImage result for the most recent upload
+    },
+};
+
+const DecoderLabels = {
+    native: 'BarcodeDetector',
+    worker: 'jsQR (worker)',
+    main_thread: 'jsQR (main thread)',
 };
 
 function translateText(text) {
@@ -94,14 +170,67 @@ const elements = {
     torchBtn: null,
     galleryBtn: null,
     pasteUrlBtn: null,
+    clipboardBtn: null,
+    continuousBtn: null,
     imageInput: null,
 
+    // Camera controls
+    cameraControls: null,
+    cameraSelect: null,
+    cameraSelectGroup: null,
+    resolutionSelect: null,
+    zoomControl: null,
+    zoomSlider: null,
+    zoomValue: null,
+    focusRing: null,
+
+    // Decoder dev panel
+    decoderCard: null,
+    decoderSelect: null,
+    decoderStats: null,
+    decoderMeta: null,
+    pipelineMeta: null,
+    resetDecoderStatsBtn: null,
+
+    // Continuous scan session
+    sessionCard: null,
+    sessionCount: null,
+    sessionQueue: null,
+    clearSessionBtn: null,
+    reviewSessionBtn: null,
+
+    // PDF report
+    pdfCard: null,
+    pdfTitle: null,
+    pdfMeta: null,
+    pdfResults: null,
+    closePdfBtn: null,
+    reviewPdfBtn: null,
+
+    // Email report
+    emailCard: null,
+    emailTitle: null,
+    emailMeta: null,
+    emailHeaders: null,
+    emailFlags: null,
+    emailResults: null,
+    closeEmailBtn: null,
+    reviewEmailBtn: null,
+
     // Modal
     urlModal: null,
     urlInputField: null,
     analyzeUrlBtn: null,
     closeUrlModal: null,
 
+    // Multi-QR comparison
+    multiQrModal: null,
+    multiQrCanvas: null,
+    multiQrWarning: null,
+    multiQrWarningText: null,
+    multiQrList: null,
+    closeMultiQrModal: null,
+
     // Stats
     latencyBadge: null,
     scansList: null,
@@ -130,8 +259,9 @@ document.addEventListener('DOMContentLoaded', () => {
     // Setup event listeners
     setupEventListeners();
 
-    // Load scan history
+    // Load scan history (cache is filled from IndexedDB asynchronously)
     renderHistory();
+    window.MehrGuardUI?.whenHistoryReady?.().then(renderHistory);
 
     // Initialize Kotlin engine callback
     setupKotlinBridge();
@@ -146,10 +276,19 @@ document.addEventListener('DOMContentLoaded', () => {
     const demoUrl = urlParams.get('demo_url');
     if (demoUrl) {
         console.log('[Mehr Guard Scanner] Demo URL detected:', demoUrl);
-        // Small delay to ensure everything is loaded
-        setTimeout(() => {
-            analyzeUrlDirectly(demoUrl);
-        }, 500);
+        analyzeUrlDirectly(demoUrl);
+    }
+
+    // Clipboard content handed over by the dashboard
+    if (urlParams.get('source') === 'clipboard') {
+        const content = window.MehrGuardClipboardScan?.takeStash();
+        if (content) scanClipboardContent(content);
+    }
+
+    // Email dropped on the dashboard
+    if (urlParams.get('source') === 'email') {
+        const email = window.MehrGuardEmailScan?.takeStash();
+        if (email) scanEmail(email.name, email.raw);
     }
 
     console.log('[Mehr Guard Scanner] Ready');
@@ -172,11 +311,52 @@ function cacheElements() {
     elements.torchBtn = document.getElementById('torchBtn');
     elements.galleryBtn = document.getElementById('galleryBtn');
     elements.pasteUrlBtn = document.getElementById('pasteUrlBtn');
+    elements.clipboardBtn = document.getElementById('clipboardBtn');
+    elements.continuousBtn = document.getElementById('continuousBtn');
+    elements.cameraControls = document.getElementById('cameraControls');
+    elements.cameraSelect = document.getElementById('cameraSelect');
+    elements.cameraSelectGroup = document.getElementById('cameraSelectGroup');
+    elements.resolutionSelect = document.getElementById('resolutionSelect');
+    elements.zoomControl = document.getElementById('zoomControl');
+    elements.zoomSlider = document.getElementById('zoomSlider');
+    elements.zoomValue = document.getElementById('zoomValue');
+    elements.focusRing = document.getElementById('focusRing');
+    elements.decoderCard = document.getElementById('decoderCard');
+    elements.decoderSelect = document.getElementById('decoderSelect');
+    elements.decoderStats = document.getElementById('decoderStats');
+    elements.decoderMeta = document.getElementById('decoderMeta');
+    elements.pipelineMeta = document.getElementById('pipelineMeta');
+    elements.resetDecoderStatsBtn = document.getElementById('resetDecoderStatsBtn');
+    elements.sessionCard = document.getElementById('sessionCard');
+    elements.sessionCount = document.getElementById('sessionCount');
+    elements.sessionQueue = document.getElementById('sessionQueue');
+    elements.clearSessionBtn = document.getElementById('clearSessionBtn');
+    elements.reviewSessionBtn = document.getElementById('reviewSessionBtn');
+    elements.pdfCard = document.getElementById('pdfCard');
+    elements.pdfTitle = document.getElementById('pdfTitle');
+    elements.pdfMeta = document.getElementById('pdfMeta');
+    elements.pdfResults = document.getElementById('pdfResults');
+    elements.closePdfBtn = document.getElementById('closePdfBtn');
+    elements.reviewPdfBtn = document.getElementById('reviewPdfBtn');
+    elements.emailCard = document.getElementById('emailCard');
+    elements.emailTitle = document.getElementById('emailTitle');
+    elements.emailMeta = document.getElementById('emailMeta');
+    elements.emailHeaders = document.getElementById('emailHeaders');
+    elements.emailFlags = document.getElementById('emailFlags');
+    elements.emailResults = document.getElementById('emailResults');
+    elements.closeEmailBtn = document.getElementById('closeEmailBtn');
+    elements.reviewEmailBtn = document.getElementById('reviewEmailBtn');
     elements.imageInput = document.getElementById('imageInput');
     elements.urlModal = document.getElementById('urlModal');
     elements.urlInputField = document.getElementById('urlInputField');
     elements.analyzeUrlBtn = document.getElementById('analyzeUrlBtn');
     elements.closeUrlModal = document.getElementById('closeUrlModal');
+    elements.multiQrModal = document.getElementById('multiQrModal');
+    elements.multiQrCanvas = document.getElementById('multiQrCanvas');
+    elements.multiQrWarning = document.getElementById('multiQrWarning');
+    elements.multiQrWarningText = document.getElementById('multiQrWarningText');
+    elements.multiQrList = document.getElementById('multiQrList');
+    elements.closeMultiQrModal = document.getElementById('closeMultiQrModal');
     elements.latencyBadge = document.getElementById('latencyBadge');
     elements.scansList = document.getElementById('scansList');
     elements.viewAllBtn = document.getElementById('viewAllBtn');
@@ -201,6 +381,22 @@ function setupEventListeners() {
     elements.torchBtn?.addEventListener('click', toggleTorch);
     elements.galleryBtn?.addEventListener('click', openGallery);
     elements.pasteUrlBtn?.addEventListener('click', openUrlModal);
+    elements.clipboardBtn?.addEventListener('click', scanClipboard);
+    elements.continuousBtn?.addEventListener('click', toggleContinuousMode);
+    setupCameraControls();
+    setupDecoderPanel();
+
+    // Continuous scan session
+    elements.clearSessionBtn?.addEventListener('click', clearSession);
+    elements.reviewSessionBtn?.addEventListener('click', reviewSession);
+
+    // PDF report
+    elements.closePdfBtn?.addEventListener('click', closePdfReport);
+    elements.reviewPdfBtn?.addEventListener('click', reviewPdfReport);
+
+    // Email report
+    elements.closeEmailBtn?.addEventListener('click', closeEmailReport);
+    elements.reviewEmailBtn?.addEventListener('click', reviewEmailReport);
 
     // File input
     elements.imageInput?.addEventListener('change', handleImageUpload);
@@ -212,6 +408,16 @@ function setupEventListeners() {
         if (e.key === 'Enter') analyzeUrlFromModal();
     });
 
+    // Multi-QR comparison
+    elements.closeMultiQrModal?.addEventListener('click', closeMultiQrModal);
+    elements.multiQrModal?.addEventListener('click', (e) => {
+        if (e.target === elements.multiQrModal) closeMultiQrModal();
+    });
+    elements.multiQrList?.addEventListener('click', (e) => {
+        const button = e.target.closest('[data-multi-qr-index]');
+        if (button) openMultiQrResult(Number(button.dataset.multiQrIndex));
+    });
+
     // View all history
     elements.viewAllBtn?.addEventListener('click', () => {
         window.location.href = 'threat.html#scan-history';
@@ -220,6 +426,9 @@ function setupEventListeners() {
     // Drag and drop
     setupDragAndDrop();
 
+    // Ctrl/Cmd+V anywhere outside a text field scans the clipboard
+    document.addEventListener('paste', handlePaste);
+
     // Keyboard shortcuts
     setupKeyboardShortcuts();
 
@@ -317,9 +526,13 @@ function getCategoryClass(category) {
  * @param {string} url - The analyzed URL
  * @param {string} verdict - The verdict (SAFE, SUSPICIOUS, MALICIOUS)
  * @param {number} score - The risk score
+ * @param {string} [scanId] - History entry ID (carries the policy decision)
  */
-function navigateToResults(url, verdict, score) {
+function navigateToResults(url, verdict, score, scanId) {
     const params = new URLSearchParams();
+    if (scanId) {
+        params.set('scanId', scanId);
+    }
     params.set('url', encodeURIComponent(url));
     params.set('verdict', verdict);
     params.set('score', score);
@@ -335,6 +548,9 @@ window.openFullResults = navigateToResults;
  * Setup Kotlin/JS bridge
  */
 function setupKotlinBridge() {
+    // Start the engine worker now so the first analysis does not wait for it
+    window.MehrGuardEngineHost?.warmUp();
+
     // Wait for Kotlin engine
     if (!window.mehrguardAnalyze) {
         window.mehrguardAnalyze = (url) => {
@@ -343,37 +559,70 @@ function setupKotlinBridge() {
         };
     }
 
-    // Override displayResult to handle results
-    const originalDisplayResult = window.displayResult;
-    window.displayResult = (score, verdict, flags, url) => {
-        console.log('[Scanner] Analysis complete:', { url, verdict, score, flags });
-
-        // Stop scanning animation
-        hideScanningState();
-
-        // Add to history via Shared UI
-        if (window.MehrGuardUI && window.MehrGuardUI.addScanToHistory) {
-            window.MehrGuardUI.addScanToHistory({
-                url: url,
-                verdict: verdict === 'MALICIOUS' ? 'HIGH' :
-                    verdict === 'SUSPICIOUS' ? 'MEDIUM' :
-                        verdict === 'SAFE' ? 'SAFE' : 'LOW',
-                score: score || 0,
-                signals: flags || []
-            });
+    // Engine results arrive on the shared analysis bus
+    window.MehrGuardUI?.onAnalysis((event) => {
+        if (event.type === 'analysis:complete') {
+            handleAnalysisComplete(event.url, event.result);
+        } else if (event.type === 'analysis:error') {
+            handleAnalysisError(event.url, event.error);
         }
+    });
+}
+
+/**
+ * Record a finished engine analysis and open it on results.html
+ * @param {string} url - Analyzed URL
+ * @param {Object} result - Engine result ({score, verdict, flags, reasons, ml, intel, unicode})
+ */
+function handleAnalysisComplete(url, result) {
+    const { score, verdict, flags } = result;
+    console.log('[Scanner] Analysis complete:', { url, verdict, score, flags });
+
+    // Stop scanning animation
+    hideScanningState();
+
+    // Apply Trust Centre allowlist/blocklist/sensitivity before anything is shown
+    const decision = window.MehrGuardPolicy
+        ? window.MehrGuardPolicy.evaluate({ url, verdict, score })
+        : null;
+    const finalVerdict = decision ? decision.verdict : verdict;
+    const finalScore = decision ? decision.score : score;
+
+    // Add to history via Shared UI
+    let entry = null;
+    if (window.MehrGuardUI && window.MehrGuardUI.addScanToHistory) {
+        entry = window.MehrGuardUI.addScanToHistory({
+            url: url,
+            verdict: finalVerdict === 'MALICIOUS' ? 'HIGH' :
+                finalVerdict === 'SUSPICIOUS' ? 'MEDIUM' :
+                    finalVerdict === 'SAFE' ? 'SAFE' : 'LOW',
+            score: finalScore || 0,
+            signals: flags || [],
+            policy: window.MehrGuardPolicy?.toRecord(decision) || null,
+            analysis: window.MehrGuardUI.createAnalysisSnapshot(result),
+            ...takePendingCode(url)
+        });
+    }
 
-        // Update local list
-        renderHistory();
+    // Update local list
+    renderHistory();
 
-        // Navigate to results page
-        navigateToResults(url, verdict, score);
+    // Navigate to results page
+    navigateToResults(url, finalVerdict, finalScore, entry?.id);
+}
 
-        // Also call original if exists
-        if (originalDisplayResult) {
-            originalDisplayResult(score, verdict, flags, url);
-        }
-    };
+/**
+ * Recover from a failed engine analysis
+ */
+function handleAnalysisError(url, error) {
+    console.error('[Scanner] Analysis failed:', url, error);
+    hideScanningState();
+    showToast(formatText('Error analyzing URL: {error}', { error }), 'error');
+
+    // Resume the camera if a live scan triggered the analysis
+    if (ScannerState.isCameraActive) {
+        setTimeout(() => startScanning(), 1500);
+    }
 }
 
 // =============================================================================
@@ -411,13 +660,17 @@ async function enableCamera() {
     try {
         console.log('[Scanner] Requesting camera access...');
 
-        const stream = await navigator.mediaDevices.getUserMedia({
-            video: {
-                facingMode: 'environment',
-                width: { ideal: 1280 },
-                height: { ideal: 720 },
-            }
-        });
+        const settings = getCameraSettings();
+        let stream;
+        try {
+            stream = await navigator.mediaDevices.getUserMedia({ video: getVideoConstraints(settings) });
+        } catch (error) {
+            // The remembered camera may have been unplugged; fall back to the default one
+            if (!settings.deviceId || !['NotFoundError', 'OverconstrainedError'].includes(error.name)) throw error;
+            console.warn('[Scanner] Remembered camera unavailable, using the default:', error);
+            saveCameraSettings({ deviceId: null });
+            stream = await navigator.mediaDevices.getUserMedia({ video: getVideoConstraints(getCameraSettings()) });
+        }
 
         ScannerState.stream = stream;
         ScannerState.isCameraActive = true;
@@ -432,6 +685,10 @@ async function enableCamera() {
         elements.emptyState?.classList.add('hidden');
         updateLiveStatus('LIVE', 'connected');
 
+        // Device labels are only readable once permission is granted
+        setupTrackControls(stream.getVideoTracks()[0]);
+        renderCameraList();
+
         // Start scanning
         startScanning();
 
@@ -462,6 +719,9 @@ function stopCamera() {
     }
 
     ScannerState.isCameraActive = false;
+    ScannerState.isTorchOn = false;
+    elements.torchBtn?.classList.remove('active');
+    resetTrackControls();
     elements.cameraFeed?.classList.remove('active');
     elements.emptyState?.classList.remove('hidden');
     updateLiveStatus('DISCONNECTED', 'disconnected');
@@ -500,6 +760,444 @@ async function toggleTorch() {
     }
 }
 
+// =============================================================================
+// CAMERA SELECTION AND TRACK CONTROLS
+// =============================================================================
+
+/**
+ * Remembered camera choice: {deviceId, resolution}
+ */
+function getCameraSettings() {
+    let stored = {};
+    try {
+        stored = JSON.parse(localStorage.getItem(ScannerConfig.cameraSettingsKey) || '{}') || {};
+    } catch (e) {
+        console.warn('[Scanner] Ignoring unreadable camera settings:', e);
+    }
+    return {
+        deviceId: typeof stored.deviceId === 'string' && stored.deviceId ? stored.deviceId : null,
+        resolution: ResolutionPresets[stored.resolution] ? stored.resolution : ScannerConfig.defaultResolution,
+    };
+}
+
+function saveCameraSettings(changes) {
+    try {
+        localStorage.setItem(ScannerConfig.cameraSettingsKey, JSON.stringify({ ...getCameraSettings(), ...changes }));
+    } catch (e) {
+        console.warn('[Scanner] Could not save camera settings:', e);
+    }
+}
+
+function getVideoConstraints(settings) {
+    const preset = ResolutionPresets[settings.resolution];
+    return {
+        ...(settings.deviceId
+            ? { deviceId: { exact: settings.deviceId } }
+            : { facingMode: 'environment' }),
+        width: { ideal: preset.width },
+        height: { ideal: preset.height },
+    };
+}
+
+function setupCameraControls() {
+    if (elements.resolutionSelect) {
+        elements.resolutionSelect.innerHTML = Object.entries(ResolutionPresets)
+            .map(([key, preset]) => `<option value="${key}">${preset.label}</option>`)
+            .join('');
+        elements.resolutionSelect.value = getCameraSettings().resolution;
+        elements.resolutionSelect.addEventListener('change', (e) => changeResolution(e.target.value));
+    }
+    elements.cameraSelect?.addEventListener('change', (e) => switchCamera(e.target.value));
+    elements.zoomSlider?.addEventListener('input', (e) => setZoom(Number(e.target.value)));
+
+    // Pinch to zoom and tap to focus on the live feed
+    const viewport = elements.scannerViewport;
+    viewport?.addEventListener('pointerdown', handleViewportPointerDown);
+    viewport?.addEventListener('pointermove', handleViewportPointerMove);
+    viewport?.addEventListener('pointerup', handleViewportPointerUp);
+    viewport?.addEventListener('pointercancel', (e) => releaseViewportPointer(e));
+
+    navigator.mediaDevices?.addEventListener?.('devicechange', () => {
+        if (ScannerState.isCameraActive) renderCameraList();
+    });
+}
+
+/**
+ * Fill the camera picker; hidden when there is nothing to choose between
+ */
+async function renderCameraList() {
+    if (!elements.cameraSelect || !navigator.mediaDevices?.enumerateDevices) return;
+
+    let cameras = [];
+    try {
+        cameras = (await navigator.mediaDevices.enumerateDevices()).filter(device => device.kind === 'videoinput');
+    } catch (e) {
+        console.warn('[Scanner] Could not list cameras:', e);
+    }
+
+    const activeId = ScannerState.stream?.getVideoTracks()[0]?.getSettings?.().deviceId;
+    elements.cameraSelect.innerHTML = cameras.map((camera, i) => `
+        <option value="${escapeHtml(camera.deviceId)}">${escapeHtml(camera.label || formatText('Camera {number}', { number: i + 1 }))}</option>
+    `).join('');
+    if (activeId) elements.cameraSelect.value = activeId;
+
+    elements.cameraSelectGroup?.classList.toggle('hidden', cameras.length < 2);
+}
+
+/**
+ * Restart the stream on another camera and remember the choice
+ */
+async function switchCamera(deviceId) {
+    saveCameraSettings({ deviceId });
+    if (!ScannerState.isCameraActive) return;
+
+    stopCamera();
+    await enableCamera();
+}
+
+/**
+ * Apply a resolution preset to the running track (no restart needed)
+ */
+async function changeResolution(resolution) {
+    const preset = ResolutionPresets[resolution];
+    if (!preset) return;
+    saveCameraSettings({ resolution });
+
+    const track = ScannerState.stream?.getVideoTracks()[0];
+    if (!track) return;
+
+    try {
+        await track.applyConstraints({ width: { ideal: preset.width }, height: { ideal: preset.height } });
+        const { width, height } = track.getSettings?.() || {};
+        showToast(width && height
+            ? formatText('Camera resolution {width}×{height}', { width, height })
+            : formatText('Camera resolution {resolution}', { resolution: preset.label }), 'success');
+    } catch (e) {
+        console.warn('[Scanner] Resolution change failed:', e);
+        showToast('This camera does not support that resolution', 'warning');
+    }
+}
+
+/**
+ * Show the controls the active track supports
+ */
+function setupTrackControls(track) {
+    const camera = ScannerState.camera;
+    camera.capabilities = typeof track?.getCapabilities === 'function' ? track.getCapabilities() : null;
+
+    elements.cameraControls?.classList.remove('hidden');
+    if (elements.resolutionSelect) elements.resolutionSelect.value = getCameraSettings().resolution;
+
+    const zoom = camera.capabilities?.zoom;
+    const canZoom = !!zoom && zoom.max > zoom.min;
+    elements.zoomControl?.classList.toggle('hidden', !canZoom);
+    elements.scannerViewport?.classList.toggle('zoomable', canZoom);
+    if (canZoom && elements.zoomSlider) {
+        elements.zoomSlider.min = zoom.min;
+        elements.zoomSlider.max = zoom.max;
+        elements.zoomSlider.step = zoom.step || 0.1;
+        camera.zoom = track.getSettings?.().zoom ?? zoom.min;
+        renderZoom();
+    }
+}
+
+function resetTrackControls() {
+    const camera = ScannerState.camera;
+    camera.capabilities = null;
+    camera.zoom = null;
+    camera.pointers.clear();
+    camera.pinch = null;
+    clearTimeout(camera.focusTimer);
+
+    elements.cameraControls?.classList.add('hidden');
+    elements.zoomControl?.classList.add('hidden');
+    elements.scannerViewport?.classList.remove('zoomable');
+    elements.focusRing?.classList.add('hidden');
+}
+
+/**
+ * Request a zoom level. Slider and pinch fire faster than cameras apply
+ * constraints, so only the latest request is sent once the previous settles.
+ */
+function setZoom(value) {
+    const camera = ScannerState.camera;
+    const range = camera.capabilities?.zoom;
+    if (!range || !Number.isFinite(value)) return;
+
+    camera.zoom = Math.min(range.max, Math.max(range.min, value));
+    renderZoom();
+    if (!camera.isApplyingZoom) applyZoom();
+}
+
+async function applyZoom() {
+    const camera = ScannerState.camera;
+    const track = ScannerState.stream?.getVideoTracks()[0];
+    if (!track) return;
+
+    camera.isApplyingZoom = true;
+    let applied;
+    do {
+        applied = camera.zoom;
+        try {
+            await track.applyConstraints({ advanced: [{ zoom: applied }] });
+        } catch (e) {
+            console.warn('[Scanner] Zoom failed:', e);
+            break;
+        }
+    } while (camera.zoom !== null && camera.zoom !== applied);
+    camera.isApplyingZoom = false;
+}
+
+function renderZoom() {
+    const zoom = ScannerState.camera.zoom;
+    if (zoom === null) return;
+    if (elements.zoomSlider) elements.zoomSlider.value = zoom;
+    if (elements.zoomValue) elements.zoomValue.textContent = `${zoom.toFixed(1)}×`;
+}
+
+/**
+ * Focus on a point of the feed (0-1 frame coordinates) where the camera
+ * supports it, then return to continuous focus
+ */
+async function focusAt(point) {
+    const camera = ScannerState.camera;
+    const track = ScannerState.stream?.getVideoTracks()[0];
+    const modes = camera.capabilities?.focusMode || [];
+    const supportsPoints = !!navigator.mediaDevices?.getSupportedConstraints?.().pointsOfInterest;
+    const focusMode = modes.includes('single-shot') ? 'single-shot' : modes.includes('manual') ? 'manual' : null;
+    if (!track || (!focusMode && !supportsPoints)) return false;
+
+    const constraint = {};
+    if (supportsPoints) constraint.pointsOfInterest = [point];
+    if (focusMode) constraint.focusMode = focusMode;
+
+    try {
+        await track.applyConstraints({ advanced: [constraint] });
+    } catch (e) {
+        console.warn('[Scanner] Tap to focus failed:', e);
+        return false;
+    }
+
+    clearTimeout(camera.focusTimer);
+    if (modes.includes('continuous')) {
+        camera.focusTimer = setTimeout(() => {
+            track.applyConstraints({ advanced: [{ focusMode: 'continuous' }] }).catch(() => { });
+        }, ScannerConfig.focusResetDelay);
+    }
+    return true;
+}
+
+/**
+ * Map a viewport position to 0-1 coordinates of the video frame
+ * (the feed is shown with object-fit: cover, so edges may be cropped)
+ */
+function toFramePoint(clientX, clientY) {
+    const video = elements.cameraFeed;
+    const rect = video.getBoundingClientRect();
+    if (!video.videoWidth || !video.videoHeight || !rect.width || !rect.height) return null;
+
+    const scale = Math.max(rect.width / video.videoWidth, rect.height / video.videoHeight);
+    const width = video.videoWidth * scale;
+    const height = video.videoHeight * scale;
+    const clamp = value => Math.min(1, Math.max(0, value));
+    return {
+        x: clamp((clientX - rect.left - (rect.width - width) / 2) / width),
+        y: clamp((clientY - rect.top - (rect.height - height) / 2) / height),
+    };
+}
+
+function showFocusRing(clientX, clientY) {
+    const ring = elements.focusRing;
+    const rect = elements.scannerViewport?.getBoundingClientRect();
+    if (!ring || !rect) return;
+
+    ring.style.left = `${clientX - rect.left}px`;
+    ring.style.top = `${clientY - rect.top}px`;
+    ring.classList.remove('hidden');
+    // Restart the animation for repeated taps
+    ring.classList.remove('focusing');
+    void ring.offsetWidth;
+    ring.classList.add('focusing');
+}
+
+function getPinchDistance() {
+    const [a, b] = Array.from(ScannerState.camera.pointers.values());
+    return Math.hypot(a.x - b.x, a.y - b.y);
+}
+
+function handleViewportPointerDown(e) {
+    if (!ScannerState.isCameraActive || e.target.closest('button, input, select, a')) return;
+
+    const camera = ScannerState.camera;
+    camera.pointers.set(e.pointerId, { x: e.clientX, y: e.clientY, startX: e.clientX, startY: e.clientY });
+
+    if (camera.pointers.size === 2 && camera.zoom !== null) {
+        camera.pinch = { distance: getPinchDistance(), zoom: camera.zoom };
+    }
+}
+
+function handleViewportPointerMove(e) {
+    const camera = ScannerState.camera;
+    const pointer = camera.pointers.get(e.pointerId);
+    if (!pointer) return;
+
+    pointer.x = e.clientX;
+    pointer.y = e.clientY;
+
+    if (camera.pinch && camera.pointers.size === 2 && camera.pinch.distance > 0) {
+        e.preventDefault();
+        setZoom(camera.pinch.zoom * (getPinchDistance() / camera.pinch.distance));
+    }
+}
+
+function handleViewportPointerUp(e) {
+    const camera = ScannerState.camera;
+    const pointer = camera.pointers.get(e.pointerId);
+    const wasPinch = !!camera.pinch;
+    releaseViewportPointer(e);
+    if (!pointer || wasPinch || camera.pointers.size > 0) return;
+
+    // A tap, not a drag
+    if (Math.hypot(e.clientX - pointer.startX, e.clientY - pointer.startY) > 10) return;
+
+    const point = toFramePoint(e.clientX, e.clientY);
+    if (!point) return;
+    focusAt(point).then(focused => {
+        if (focused) showFocusRing(e.clientX, e.clientY);
+    });
+}
+
+function releaseViewportPointer(e) {
+    const camera = ScannerState.camera;
+    camera.pointers.delete(e.pointerId);
+    if (camera.pointers.size < 2) camera.pinch = null;
+}
+
+// =============================================================================
+// DECODER DEV PANEL
+// =============================================================================
+
+function getDecoderPanelSettings() {
+    try {
+        return JSON.parse(localStorage.getItem(ScannerConfig.decoderPanelKey) || '{}') || {};
+    } catch (e) {
+        return {};
+    }
+}
+
+function saveDecoderPanelSettings(changes) {
+    try {
+        localStorage.setItem(ScannerConfig.decoderPanelKey,
+            JSON.stringify({ ...getDecoderPanelSettings(), ...changes }));
+    } catch (e) {
+        console.warn('[Scanner] Could not save decoder panel settings:', e);
+    }
+}
+
+function setupDecoderPanel() {
+    if (!elements.decoderCard || !window.MehrGuardDecoder) return;
+
+    const settings = getDecoderPanelSettings();
+    window.MehrGuardDecoder.setPreferredDecoder(settings.decoder || null);
+
+    elements.decoderSelect?.addEventListener('change', (e) => {
+        window.MehrGuardDecoder.setPreferredDecoder(e.target.value || null);
+        saveDecoderPanelSettings({ decoder: e.target.value || null });
+        resetDecoderStats();
+    });
+    elements.resetDecoderStatsBtn?.addEventListener('click', resetDecoderStats);
+
+    if (settings.isOpen) toggleDecoderPanel(true);
+}
+
+/**
+ * Show or hide the decoder benchmark panel (Shift+D)
+ * @param {boolean} [open] - Force a state instead of toggling
+ */
+async function toggleDecoderPanel(open = !ScannerState.decoderPanel.isOpen) {
+    const panel = ScannerState.decoderPanel;
+    if (!elements.decoderCard || !window.MehrGuardDecoder) return;
+
+    panel.isOpen = open;
+    elements.decoderCard.classList.toggle('hidden', !open);
+    saveDecoderPanelSettings({ isOpen: open });
+
+    clearInterval(panel.timer);
+    panel.timer = null;
+    if (!open) return;
+
+    await renderDecoderOptions();
+    renderDecoderStats();
+    panel.timer = setInterval(renderDecoderStats, 1000);
+}
+
+async function renderDecoderOptions() {
+    if (!elements.decoderSelect) return;
+
+    const availability = await window.MehrGuardDecoder.getAvailability();
+    elements.decoderSelect.innerHTML = `<option value="">${escapeHtml(translateText('Automatic'))}</option>` +
+        Object.entries(availability).map(([decoder, available]) => `
+            <option value="${decoder}"${available ? '' : ' disabled'}>${escapeHtml(DecoderLabels[decoder] || decoder)}</option>
+        `).join('');
+    elements.decoderSelect.value = window.MehrGuardDecoder.getPreferredDecoder() || '';
+}
+
+function renderDecoderStats() {
+    const formatMs = value => value === null ? '–' : `${value.toFixed(1)} ms`;
+    const rows = window.MehrGuardDecoder.getStats();
+
+    if (elements.decoderStats) {
+        elements.decoderStats.innerHTML = rows.length === 0
+            ? `<tr><td colspan="5" class="decoder-empty">${escapeHtml(translateText('Start the camera to measure decoders'))}</td></tr>`
+            : rows.map(row => `
+                <tr>
+                    <td>${escapeHtml(DecoderLabels[row.decoder] || row.decoder)}</td>
+                    <td>${row.frames}${row.errors ? ` <span class="decoder-errors">(${row.errors} ✕)</span>` : ''}</td>
+                    <td>${row.successRate === null ? '–' : `${Math.round(row.successRate * 100)}%`}</td>
+                    <td>${formatMs(row.avgMs)}</td>
+                    <td>${formatMs(row.p95Ms)}</td>
+                </tr>
+            `).join('');
+    }
+
+    const last = ScannerState.decoderPanel.last;
+    if (elements.decoderMeta) {
+        elements.decoderMeta.textContent = last?.sample
+            ? formatText('Last frame: {decoder}, {width}×{height} px, next in {delay} ms', {
+                decoder: DecoderLabels[last.decoder] || last.decoder,
+                width: last.sample.width,
+                height: last.sample.height,
+                delay: last.delay,
+            })
+            : '';
+    }
+
+    const pipeline = window.MehrGuardDecoder.getPipelineStats();
+    const lastImage = ScannerState.decoderPanel.lastImage;
+    if (elements.pipelineMeta) {
+        elements.pipelineMeta.textContent = pipeline.runs === 0 ? '' : [
+            formatText('Image pre-processing: {hits} of {runs} images decoded, avg {avg}', {
+                hits: pipeline.hits,
+                runs: pipeline.runs,
+                avg: formatMs(pipeline.avgMs),
+            }),
+            Object.entries(pipeline.stages).map(([stage, count]) => `${stage} ${count}`).join(' · '),
+            lastImage && formatText('Last image: {outcome} ({attempts} attempts, {time})', {
+                outcome: lastImage.stage ? `${lastImage.stage} ${lastImage.variant}` : translateText('no code'),
+                attempts: lastImage.attempts.length,
+                time: formatMs(lastImage.durationMs),
+            }),
+        ].filter(Boolean).join(' — ');
+    }
+}
+
+function resetDecoderStats() {
+    window.MehrGuardDecoder?.resetStats();
+    ScannerState.decoderPanel.last = null;
+    ScannerState.decoderPanel.lastImage = null;
+    if (ScannerState.decoderPanel.isOpen) renderDecoderStats();
+}
+
 // =============================================================================
 // QR SCANNING
 // =============================================================================
@@ -513,7 +1211,7 @@ function startScanning() {
     ScannerState.isScanning = true;
     console.log('[Scanner] Started scanning');
 
-    requestAnimationFrame(scanFrame);
+    ScannerState.scanAnimationFrame = requestAnimationFrame(scanFrame);
 }
 
 /**
@@ -521,6 +1219,10 @@ function startScanning() {
  */
 function stopScanning() {
     ScannerState.isScanning = false;
+    ScannerState.scanLoop++;
+
+    clearTimeout(ScannerState.scanTimer);
+    ScannerState.scanTimer = null;
 
     if (ScannerState.scanAnimationFrame) {
         cancelAnimationFrame(ScannerState.scanAnimationFrame);
@@ -528,49 +1230,167 @@ function stopScanning() {
     }
 }
 
+function scheduleScan(delay) {
+    ScannerState.scanTimer = setTimeout(() => {
+        ScannerState.scanTimer = null;
+        ScannerState.scanAnimationFrame = requestAnimationFrame(scanFrame);
+    }, delay);
+}
+
+/**
+ * Pause before the next frame: at least `scanInterval`, and as long as the
+ * last frame took (up to `maxScanInterval`) so a slow decoder is not handed
+ * frames back to back
+ */
+function getScanDelay(elapsedMs) {
+    return Math.round(Math.min(ScannerConfig.maxScanInterval, Math.max(ScannerConfig.scanInterval, elapsedMs)));
+}
+
+/**
+ * Part of the frame visible in the viewport (the feed uses object-fit: cover)
+ */
+function getVisibleFrameRegion(video) {
+    const frame = { x: 0, y: 0, width: video.videoWidth, height: video.videoHeight };
+    const rect = video.getBoundingClientRect();
+    if (!rect.width || !rect.height) return frame;
+
+    const scale = Math.max(rect.width / frame.width, rect.height / frame.height);
+    const width = Math.min(frame.width, rect.width / scale);
+    const height = Math.min(frame.height, rect.height / scale);
+    return { x: (frame.width - width) / 2, y: (frame.height - height) / 2, width, height };
+}
+
+/**
+ * Region to decode this frame. When the visible area is larger than the
+ * decode size, every other frame decodes its centre at full resolution so
+ * small or distant codes are not lost to downscaling.
+ */
+function getScanRegion(video) {
+    const view = getVisibleFrameRegion(video);
+    const maxSide = ScannerConfig.decodeMaxSide;
+    ScannerState.scanCenterPass = Math.max(view.width, view.height) > maxSide && !ScannerState.scanCenterPass;
+    if (!ScannerState.scanCenterPass) return view;
+
+    const width = Math.min(view.width, maxSide);
+    const height = Math.min(view.height, maxSide);
+    return {
+        x: view.x + (view.width - width) / 2,
+        y: view.y + (view.height - height) / 2,
+        width,
+        height,
+    };
+}
+
+/**
+ * Decode one camera frame with the best decoder available
+ * @returns {Promise<{decoder: string|null, codes: Array, durationMs: number, sample: Object|null}>}
+ */
+async function decodeVideoFrame(video, region, tileLevels) {
+    if (window.MehrGuardDecoder) {
+        return window.MehrGuardDecoder.decodeFrame(video, {
+            region,
+            maxSide: ScannerConfig.decodeMaxSide,
+            tileLevels,
+        });
+    }
+
+    // Decoder layer not loaded: full frame with jsQR on the main thread
+    const started = performance.now();
+    const canvas = elements.scanCanvas;
+    canvas.width = video.videoWidth;
+    canvas.height = video.videoHeight;
+    const ctx = canvas.getContext('2d');
+    ctx.drawImage(video, 0, 0, canvas.width, canvas.height);
+    const codes = detectQRCodes(ctx.getImageData(0, 0, canvas.width, canvas.height), 'dontInvert', tileLevels);
+    return {
+        decoder: 'main_thread',
+        codes,
+        durationMs: performance.now() - started,
+        sample: { width: canvas.width, height: canvas.height },
+    };
+}
+
 /**
  * Process a single video frame for QR codes
  */
-function scanFrame() {
+async function scanFrame() {
+    ScannerState.scanAnimationFrame = null;
     if (!ScannerState.isScanning) return;
 
     const video = elements.cameraFeed;
     const canvas = elements.scanCanvas;
 
-    if (video.readyState === video.HAVE_ENOUGH_DATA) {
-        // Set canvas size to match video
-        canvas.width = video.videoWidth;
-        canvas.height = video.videoHeight;
+    if (video.readyState !== video.HAVE_ENOUGH_DATA) {
+        scheduleScan(ScannerConfig.scanInterval);
+        return;
+    }
 
-        const ctx = canvas.getContext('2d');
-        ctx.drawImage(video, 0, 0, canvas.width, canvas.height);
+    const loop = ScannerState.scanLoop;
+    const started = performance.now();
+
+    // Scan for every QR code in the frame. jsQR's tile search is expensive,
+    // so it runs once a code is seen (it may hide a second one) or once a
+    // second; BarcodeDetector finds every code without it
+    const tileScanDue = started - ScannerState.lastTileScan >= ScannerConfig.multiQrTileInterval;
+    const region = getScanRegion(video);
+    let result = await decodeVideoFrame(video, region, tileScanDue ? ScannerConfig.multiQrTileLevels : []);
+    if (loop !== ScannerState.scanLoop) return; // Stopped while decoding
+
+    const findsAllCodes = result.decoder === window.MehrGuardDecoder?.DECODER.NATIVE;
+    if (tileScanDue) {
+        ScannerState.lastTileScan = started;
+    } else if (!findsAllCodes && result.codes.length === 1 && !isQueuedInSession(result.codes[0].data)) {
+        // Codes already queued stay in view while the user moves on, so
+        // they only get the once-a-second search
+        result = await decodeVideoFrame(video, region, ScannerConfig.multiQrTileLevels);
+        if (loop !== ScannerState.scanLoop) return;
+    }
 
-        // Get image data for jsQR
-        const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
+    const codes = result.codes;
+    if (codes.length > 0) {
+        // Thumbnails and the comparison overlay are cut from the full frame
+        canvas.width = video.videoWidth;
+        canvas.height = video.videoHeight;
+        canvas.getContext('2d').drawImage(video, 0, 0, canvas.width, canvas.height);
+    }
 
-        // Scan for QR code
-        const code = jsQR(imageData.data, imageData.width, imageData.height, {
-            inversionAttempts: 'dontInvert'
-        });
+    const delay = getScanDelay(performance.now() - started);
+    ScannerState.decoderPanel.last = { decoder: result.decoder, sample: result.sample, delay };
 
-        if (code) {
-            console.log('[Scanner] QR detected:', code.data);
-            handleQRDetected(code.data);
-            return; // Stop scanning after detection
-        }
+    if (ScannerState.isContinuous) {
+        // Keep scanning; new codes are analysed in the background
+        if (codes.length > 0) queueSessionCodes(codes, canvas);
+    } else if (codes.length > 1) {
+        console.log('[Scanner] Multiple QR codes detected:', codes.length);
+        handleMultipleQRDetected(codes, canvas);
+        return;
+    } else if (codes.length === 1) {
+        console.log('[Scanner] QR detected:', codes[0].data);
+        handleQRDetected(codes[0].data, captureThumbnail(canvas, codes[0]), codes[0].symbology,
+            inspectCode(canvas, codes[0]));
+        return; // Stop scanning after detection
     }
 
     // Continue scanning
-    ScannerState.scanAnimationFrame = requestAnimationFrame(scanFrame);
+    scheduleScan(delay);
 }
 
 /**
- * Handle detected QR code
+ * Handle detected QR code (or Data Matrix, Aztec, PDF417 code)
+ * @param {string} data - Decoded content
+ * @param {string|null} [thumbnail] - JPEG of the code, kept with the history entry
+ * @param {string} [symbology='qr_code'] - Barcode type, kept with the history entry
+ * @param {Object|null} [forensics] - QR structure report, kept with the history entry
  */
-function handleQRDetected(data) {
+function handleQRDetected(data, thumbnail = null, symbology = 'qr_code', forensics = null) {
     // Stop scanning temporarily
     stopScanning();
 
+    ScannerState.pendingCode = { content: data.trim(), image: thumbnail, symbology, forensics };
+    const detectedMessage = getSymbologyLabel(symbology)
+        ? formatText('{symbology} detected!', { symbology: getSymbologyLabel(symbology) })
+        : 'QR Code detected!';
+
     // Show scanning state
     showScanningState();
 
@@ -581,14 +1401,13 @@ function handleQRDetected(data) {
 
     // Analyze the URL
     if (isValidUrl(data)) {
-        showToast('QR Code detected!', 'success');
+        showToast(detectedMessage, 'success');
 
-        // Call Kotlin analysis
-        setTimeout(() => {
-            if (window.mehrguardAnalyze) {
-                window.mehrguardAnalyze(data);
-            }
-        }, 500);
+        // Call Kotlin analysis (runs in the engine worker)
+        window.mehrguardAnalyze?.(data);
+    } else if (window.MehrGuardPayload?.isAvailable()) {
+        showToast(detectedMessage, 'success');
+        analyzePayload(data);
     } else {
         showToast('Not a valid URL', 'warning');
         hideScanningState();
@@ -600,6 +1419,59 @@ function handleQRDetected(data) {
     }
 }
 
+/**
+ * Analyze non-URL QR content (Wi-Fi, vCard, SMS, tel:, crypto, EMV, ...)
+ * with the shared QrPayloadAnalyzer and open the payload view on results.html
+ * @param {string} content - Raw decoded QR text
+ */
+function analyzePayload(content) {
+    const analysis = window.MehrGuardPayload.analyze(content);
+
+    if (!analysis) {
+        showToast('Unable to analyze QR content', 'error');
+        hideScanningState();
+        setTimeout(() => startScanning(), 1500);
+        return;
+    }
+
+    // Bare domains ("example.com") are URLs without a scheme - use the URL engine
+    if (analysis.isUrl) {
+        window.mehrguardAnalyze?.(`https://${content.trim().replace(/^\/\//, '')}`);
+        return;
+    }
+
+    // Organisation policy sees the raw content (e.g. allowedPayloadTypes, smishing rules)
+    const decision = window.MehrGuardPolicy?.evaluate({
+        url: content,
+        verdict: window.MehrGuardPayload.toEngineVerdict(analysis.verdict),
+        score: analysis.riskScore,
+        payload: true,
+    });
+    const verdict = decision?.verdict || window.MehrGuardPayload.toEngineVerdict(analysis.verdict);
+    const score = decision?.score ?? analysis.riskScore;
+    const storedContent = window.MehrGuardPayload.redact(content);
+
+    hideScanningState();
+
+    let entry = null;
+    if (window.MehrGuardUI && window.MehrGuardUI.addScanToHistory) {
+        entry = window.MehrGuardUI.addScanToHistory({
+            url: storedContent,
+            verdict: verdict === 'MALICIOUS' ? 'HIGH' :
+                verdict === 'SUSPICIOUS' ? 'MEDIUM' :
+                    verdict === 'SAFE' ? 'SAFE' : 'LOW',
+            score,
+            signals: analysis.signals.map(signal => signal.name),
+            payload: analysis,
+            policy: window.MehrGuardPolicy?.toRecord(decision) || null,
+            ...takePendingCode(content)
+        });
+    }
+
+    renderHistory();
+    navigateToResults(storedContent, verdict, score, entry?.id);
+}
+
 // =============================================================================
 // IMAGE UPLOAD
 // =============================================================================
@@ -612,14 +1484,26 @@ function openGallery() {
 }
 
 /**
- * Handle uploaded image
+ * Handle uploaded image, PDF or email
  */
 function handleImageUpload(event) {
     const file = event.target.files?.[0];
     if (!file) return;
 
+    if (window.MehrGuardPdfScan?.isPdf(file)) {
+        scanPdfFile(file);
+        event.target.value = '';
+        return;
+    }
+
+    if (window.MehrGuardEmailScan?.isEml(file)) {
+        scanEmailFile(file);
+        event.target.value = '';
+        return;
+    }
+
     if (!file.type.startsWith('image/')) {
-        showToast('Please select an image', 'error');
+        showToast('Please select an image, PDF or email', 'error');
         return;
     }
 
@@ -643,9 +1527,11 @@ function handleImageUpload(event) {
 }
 
 /**
- * Scan an image for QR codes
+ * Scan an image for QR codes, retrying through the pre-processing pipeline
+ * (MehrGuardDecoder.decodeImage) when the first pass finds nothing
  */
-function scanImageForQR(img) {
+async function scanImageForQR(img) {
+    const scan = ++ScannerState.imageScan;
     const canvas = elements.scanCanvas;
     canvas.width = img.width;
     canvas.height = img.height;
@@ -654,24 +1540,1076 @@ function scanImageForQR(img) {
     ctx.drawImage(img, 0, 0);
 
     const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
-    const code = jsQR(imageData.data, imageData.width, imageData.height, {
-        inversionAttempts: 'attemptBoth'
-    });
+    let codes = detectQRCodes(imageData, 'attemptBoth', undefined, 'always');
+
+    if (codes.length === 0 && window.MehrGuardDecoder) {
+        showToast('No code found yet, enhancing the image...', 'info');
+        const result = await window.MehrGuardDecoder.decodeImage(img);
+        if (scan !== ScannerState.imageScan) return; // Another image was opened meanwhile
+
+        ScannerState.decoderPanel.lastImage = result;
+        console.log('[Scanner] Image pre-processing:', result.stage
+            ? `decoded by ${result.stage} (${result.variant})`
+            : 'no code', `after ${result.attempts.length} attempts in ${Math.round(result.durationMs)} ms`);
+        codes = result.codes;
+    }
 
-    if (code) {
-        console.log('[Scanner] QR found in image:', code.data);
-        handleQRDetected(code.data);
+    if (codes.length > 1) {
+        console.log('[Scanner] Multiple QR codes found in image:', codes.length);
+        handleMultipleQRDetected(codes, canvas);
+    } else if (codes.length === 1) {
+        console.log('[Scanner] QR found in image:', codes[0].data);
+        handleQRDetected(codes[0].data, captureThumbnail(canvas, codes[0]), codes[0].symbology,
+            inspectCode(canvas, codes[0]));
     } else {
         showToast('No QR code found in image', 'warning');
     }
 }
 
-// =============================================================================
-// DRAG AND DROP
-// =============================================================================
+/**
+ * Thumbnail of a decoded code (needs its corners, so multi-QR detection)
+ * @returns {string|null} JPEG data URL
+ */
+function captureThumbnail(canvas, code) {
+    return window.MehrGuardMultiQr?.captureThumbnail(canvas, code.corners) || null;
+}
 
-function setupDragAndDrop() {
-    const viewport = elements.scannerViewport;
+/**
+ * QR structure report for a decoded code (QR codes only; needs its corners)
+ * @returns {Object|null} See MehrGuardQrForensics.inspect
+ */
+function inspectCode(canvas, code) {
+    if (!window.MehrGuardQrForensics || (code.symbology || 'qr_code') !== 'qr_code') return null;
+    return window.MehrGuardQrForensics.inspect(canvas, code.corners, code.data.trim());
+}
+
+/**
+ * Structure report as stored in history. Payloads with secrets history
+ * redacts (Wi-Fi passwords) keep the structure but none of the content.
+ */
+function toStoredForensics(forensics, content) {
+    if (!forensics || !window.MehrGuardPayload) return forensics || null;
+    return window.MehrGuardPayload.redact(content) === content
+        ? forensics
+        : window.MehrGuardQrForensics.redact(forensics);
+}
+
+/**
+ * History fields for the code that produced this content, if any: its
+ * thumbnail, symbology and structure report. Bare domains are analysed as
+ * https:// URLs, so those match too.
+ * @param {string} content - Analysed URL or payload content
+ * @returns {{qrThumbnail: string|null, symbology: string, qrForensics: Object|null}|{}}
+ */
+function takePendingCode(content) {
+    const pending = ScannerState.pendingCode;
+    if (!pending) return {};
+
+    const scanned = pending.content;
+    const value = String(content || '').trim();
+    const matches = value === scanned ||
+        value === `https://${scanned.replace(/^\/\//, '')}`;
+    if (!matches) return {};
+
+    ScannerState.pendingCode = null;
+    return {
+        qrThumbnail: pending.image,
+        symbology: pending.symbology,
+        qrForensics: toStoredForensics(pending.forensics, scanned),
+    };
+}
+
+/**
+ * Label for codes that are not QR codes (null for QR codes)
+ */
+function getSymbologyLabel(symbology) {
+    if (!symbology || symbology === 'qr_code') return null;
+    return translateText(window.MehrGuardBarcodes?.getLabel(symbology) || symbology);
+}
+
+/**
+ * Decode all QR codes in an image (plus Data Matrix, Aztec and PDF417 when
+ * barcodes.js is loaded), falling back to a single jsQR pass
+ * @param {ImageData} imageData - Frame or image pixels
+ * @param {string} inversionAttempts - jsQR inversion mode
+ * @param {number[]} [tileLevels] - Tile search levels (default: full search)
+ * @param {string} [otherSymbologies='fallback'] - See MehrGuardBarcodes.detectAll
+ * @returns {Array<{index: number, data: string, corners: Array, symbology: string}>}
+ */
+function detectQRCodes(imageData, inversionAttempts, tileLevels, otherSymbologies) {
+    if (window.MehrGuardBarcodes) {
+        return window.MehrGuardBarcodes.detectAll(imageData, { inversionAttempts, tileLevels, otherSymbologies });
+    }
+    if (window.MehrGuardMultiQr) {
+        return window.MehrGuardMultiQr.detectAll(imageData, { inversionAttempts, tileLevels })
+            .map(code => ({ ...code, symbology: 'qr_code' }));
+    }
+
+    const code = jsQR(imageData.data, imageData.width, imageData.height, { inversionAttempts });
+    return code ? [{ index: 1, data: code.data, corners: [], symbology: 'qr_code' }] : [];
+}
+
+// =============================================================================
+// MULTI-QR COMPARISON
+// =============================================================================
+
+/**
+ * Analyze every code found in one frame/image and show them side by side
+ * @param {Array<{index: number, data: string, corners: Array}>} codes
+ * @param {HTMLCanvasElement} sourceCanvas - Canvas holding the scanned image
+ */
+async function handleMultipleQRDetected(codes, sourceCanvas) {
+    stopScanning();
+
+    if (navigator.vibrate) {
+        navigator.vibrate([100, 50, 100]);
+    }
+
+    const results = await Promise.all(codes.map(code => window.MehrGuardMultiQr.assess(code)));
+    const overlay = window.MehrGuardMultiQr.findOverlayRisk(results);
+
+    // Record every code so each one can be opened on results.html
+    results.forEach(result => {
+        const entry = window.MehrGuardUI?.addScanToHistory?.({
+            url: result.url,
+            verdict: window.MehrGuardMultiQr.toHistoryVerdict(result.verdict),
+            score: result.score,
+            signals: overlay.detected
+                ? [...result.flags, 'Possible sticker overlay']
+                : result.flags,
+            payload: result.payload,
+            policy: result.policy,
+            analysis: result.analysis,
+            qrThumbnail: window.MehrGuardMultiQr.captureThumbnail(sourceCanvas, result.corners),
+            symbology: result.symbology,
+            qrForensics: toStoredForensics(inspectCode(sourceCanvas, { ...result, data: result.content }), result.content),
+            multiQr: { index: result.index, total: results.length, overlayWarning: overlay.detected },
+        });
+        result.scanId = entry?.id;
+    });
+
+    ScannerState.multiQrResults = results;
+    renderHistory();
+    renderMultiQrComparison(results, overlay, sourceCanvas);
+
+    const allQr = results.every(result => !getSymbologyLabel(result.symbology));
+    showToast(formatText(allQr ? '{count} QR codes detected' : '{count} codes detected', { count: results.length }),
+        overlay.detected ? 'error' : 'success');
+}
+
+/**
+ * Render the annotated image and one card per code
+ */
+function renderMultiQrComparison(results, overlay, sourceCanvas) {
+    const canvas = elements.multiQrCanvas;
+    if (canvas && sourceCanvas) {
+        canvas.width = sourceCanvas.width;
+        canvas.height = sourceCanvas.height;
+        const ctx = canvas.getContext('2d');
+        ctx.drawImage(sourceCanvas, 0, 0);
+        window.MehrGuardMultiQr.drawOverlay(ctx, results);
+    }
+
+    if (elements.multiQrWarning) {
+        elements.multiQrWarning.classList.toggle('hidden', !overlay.detected);
+        if (overlay.detected && elements.multiQrWarningText) {
+            elements.multiQrWarningText.textContent = formatText(
+                'Code {safe} looks safe but code {malicious} is malicious. Someone may have stuck a fake QR code over the real one - do not scan or pay until you have checked the poster.',
+                { safe: overlay.safe.join(', '), malicious: overlay.malicious.join(', ') }
+            );
+        }
+    }
+
+    if (elements.multiQrList) {
+        elements.multiQrList.innerHTML = results.map(result => {
+            const verdictClass = result.verdict.toLowerCase();
+            const label = result.payload
+                ? window.MehrGuardPayload?.summarize(result.payload) || result.url
+                : result.url;
+            const symbology = getSymbologyLabel(result.symbology);
+            return `
+                <div class="multi-qr-card ${verdictClass}">
+                    <div class="multi-qr-card-header">
+                        <span class="multi-qr-number">${result.index}</span>
+                        <span class="multi-qr-verdict ${verdictClass}">${escapeHtml(translateText(result.verdict))}</span>
+                        <span class="multi-qr-score">${symbology ? `${escapeHtml(symbology)} · ` : ''}${formatText('Risk {score}', { score: Math.round(result.score) })}</span>
+                    </div>
+                    <p class="multi-qr-content" title="${escapeAttribute(result.url)}">${escapeHtml(label)}</p>
+                    ${result.flags.length > 0 ? `
+                        <ul class="multi-qr-flags">
+                            ${result.flags.slice(0, 3).map(flag => `<li>${escapeHtml(flag)}</li>`).join('')}
+                        </ul>
+                    ` : ''}
+                    <button class="multi-qr-open" data-multi-qr-index="${result.index}">
+                        <span>${translateText('View details')}</span>
+                        <span class="material-symbols-outlined">arrow_forward</span>
+                    </button>
+                </div>
+            `;
+        }).join('');
+    }
+
+    elements.multiQrModal?.classList.remove('hidden');
+}
+
+function openMultiQrResult(index) {
+    const result = ScannerState.multiQrResults.find(r => r.index === index);
+    if (!result) return;
+    navigateToResults(result.url, result.verdict, result.score, result.scanId);
+}
+
+function closeMultiQrModal() {
+    elements.multiQrModal?.classList.add('hidden');
+    ScannerState.multiQrResults = [];
+
+    if (ScannerState.isCameraActive) {
+        setTimeout(() => startScanning(), 500);
+    }
+}
+
+// =============================================================================
+// CONTINUOUS SCAN SESSION
+// =============================================================================
+
+/**
+ * Switch between stopping at the first code and queueing every new code
+ */
+function toggleContinuousMode() {
+    if (!window.MehrGuardMultiQr) {
+        showToast('Continuous scanning unavailable', 'error');
+        return;
+    }
+
+    ScannerState.isContinuous = !ScannerState.isContinuous;
+    elements.continuousBtn?.classList.toggle('active', ScannerState.isContinuous);
+    elements.continuousBtn?.setAttribute('aria-pressed', String(ScannerState.isContinuous));
+    renderSessionQueue();
+
+    if (!ScannerState.isContinuous) {
+        showToast('Continuous scanning off', 'info');
+        return;
+    }
+
+    showToast('Continuous scanning on - new codes are queued for review', 'info');
+    if (!ScannerState.isCameraActive) {
+        enableCamera();
+    } else if (elements.multiQrModal?.classList.contains('hidden')) {
+        startScanning();
+    }
+}
+
+function getSessionKey(content) {
+    return String(content || '').trim();
+}
+
+function isQueuedInSession(content) {
+    return ScannerState.isContinuous && ScannerState.session.seen.has(getSessionKey(content));
+}
+
+/**
+ * Queue the codes in a frame that this session has not seen yet
+ * @param {Array<{index: number, data: string, corners: Array}>} codes
+ * @param {HTMLCanvasElement} canvas - Frame the codes were found in
+ */
+function queueSessionCodes(codes, canvas) {
+    const session = ScannerState.session;
+    const fresh = codes.filter(code => {
+        const key = getSessionKey(code.data);
+        return key && !session.seen.has(key);
+    });
+    if (fresh.length === 0) return;
+
+    const room = ScannerConfig.sessionMaxCodes - session.items.length;
+    if (room <= 0) {
+        if (!session.isFull) {
+            session.isFull = true;
+            showToast(formatText('Session is full ({count} codes). Review or clear it to continue.',
+                { count: ScannerConfig.sessionMaxCodes }), 'warning');
+        }
+        return;
+    }
+
+    if (navigator.vibrate) {
+        navigator.vibrate(50);
+    }
+
+    fresh.slice(0, room).forEach(code => {
+        const item = {
+            index: session.items.length + 1,
+            content: getSessionKey(code.data),
+            // The canvas is redrawn on the next frame, so capture it now
+            thumbnail: captureThumbnail(canvas, code),
+            symbology: code.symbology || 'qr_code',
+            forensics: inspectCode(canvas, code),
+            status: 'pending',
+            result: null,
+            scanId: null,
+        };
+        session.seen.add(item.content);
+        session.items.push(item);
+        session.analysis = session.analysis.then(() => analyzeSessionItem(item));
+    });
+
+    renderSessionQueue();
+}
+
+/**
+ * Analyze one queued code (engine worker or payload analyzer, plus policy)
+ * and record it in history
+ */
+async function analyzeSessionItem(item) {
+    try {
+        const result = await window.MehrGuardMultiQr.assess({
+            index: item.index,
+            data: item.content,
+            corners: [],
+            symbology: item.symbology,
+        });
+        const entry = window.MehrGuardUI?.addScanToHistory?.({
+            url: result.url,
+            verdict: window.MehrGuardMultiQr.toHistoryVerdict(result.verdict),
+            score: result.score,
+            signals: result.flags,
+            payload: result.payload,
+            policy: result.policy,
+            analysis: result.analysis,
+            qrThumbnail: item.thumbnail,
+            symbology: item.symbology,
+            qrForensics: toStoredForensics(item.forensics, item.content),
+        });
+        item.result = result;
+        item.scanId = entry?.id || null;
+        item.status = 'done';
+    } catch (e) {
+        console.error('[Scanner] Session analysis failed:', item.content, e);
+        item.status = 'error';
+    }
+
+    renderSessionQueue();
+    renderHistory();
+}
+
+/**
+ * Queue card: newest code first, each with a live verdict chip
+ */
+function renderSessionQueue() {
+    const items = ScannerState.session.items;
+    elements.sessionCard?.classList.toggle('hidden', !ScannerState.isContinuous && items.length === 0);
+
+    if (elements.sessionCount) {
+        const pending = items.filter(item => item.status === 'pending').length;
+        const count = items.length === 1 ? translateText('1 code') : formatText('{count} codes', { count: items.length });
+        elements.sessionCount.textContent = pending > 0
+            ? formatText('{count}, {pending} analysing', { count, pending })
+            : count;
+    }
+    if (elements.reviewSessionBtn) {
+        elements.reviewSessionBtn.disabled = items.length === 0;
+    }
+    if (elements.clearSessionBtn) {
+        elements.clearSessionBtn.disabled = items.length === 0;
+    }
+
+    if (!elements.sessionQueue) return;
+
+    if (items.length === 0) {
+        elements.sessionQueue.innerHTML = `
+            <li class="session-empty">${escapeHtml(translateText('Point the camera at each code in turn. Codes already in the queue are skipped.'))}</li>
+        `;
+        return;
+    }
+
+    // Open in a new tab so the camera and the queue keep running
+    elements.sessionQueue.innerHTML = [...items].reverse()
+        .map(item => renderQueueItem(item, getSymbologyLabel(item.symbology)))
+        .join('');
+}
+
+/**
+ * One analysed code as a queue row: thumbnail, label, meta line and verdict
+ * chip, linking to its results page (in a new tab) once it is in history
+ * @param {Object} item - {index, content, thumbnail, status, result, scanId}
+ * @param {string} [kind] - Shown after the index, e.g. the symbology
+ * @param {string} [icon] - Shown when there is no thumbnail
+ */
+function renderQueueItem(item, kind, icon = 'qr_code_2') {
+    const result = item.result;
+    const label = result?.payload
+        ? window.MehrGuardPayload?.summarize(result.payload) || result.url
+        : result?.url || item.content;
+    const chip = item.status === 'pending'
+        ? { className: 'pending', text: 'Analysing' }
+        : item.status === 'error'
+            ? { className: 'unknown', text: 'Failed' }
+            : { className: result.verdict.toLowerCase(), text: result.verdict };
+    const thumbnail = item.thumbnail
+        ? `<img class="session-thumb" src="${item.thumbnail}" alt="" />`
+        : `<span class="session-thumb material-symbols-outlined">${icon}</span>`;
+    const body = `
+        ${thumbnail}
+        <span class="session-info">
+            <span class="session-label" title="${escapeAttribute(item.content)}">${escapeHtml(label)}</span>
+            <span class="session-meta">#${item.index}${kind
+            ? ` · ${escapeHtml(kind)}`
+            : ''}${result && item.status === 'done'
+            ? ` · ${escapeHtml(formatText('Risk {score}', { score: Math.round(result.score) }))}`
+            : ''}</span>
+        </span>
+        <span class="multi-qr-verdict session-verdict ${chip.className}">${escapeHtml(translateText(chip.text))}</span>
+    `;
+
+    return item.scanId
+        ? `<li><a class="session-item" href="results.html?scanId=${encodeURIComponent(item.scanId)}" target="_blank" rel="noopener">${body}</a></li>`
+        : `<li><div class="session-item">${body}</div></li>`;
+}
+
+function clearSession() {
+    const session = ScannerState.session;
+    if (session.items.length === 0) return;
+    if (!confirm(translateText('Clear this scan session? Scans stay in your history.'))) return;
+
+    session.seen.clear();
+    session.items = [];
+    session.isFull = false;
+    renderSessionQueue();
+}
+
+/**
+ * Open every analysed code of the session on batch.html
+ */
+async function reviewSession() {
+    const session = ScannerState.session;
+    if (session.items.some(item => item.status === 'pending')) {
+        showToast('Finishing analysis...', 'info');
+        await session.analysis;
+    }
+
+    const scanIds = session.items.map(item => item.scanId).filter(Boolean);
+    if (scanIds.length === 0) {
+        showToast('No analysed codes in this session', 'warning');
+        return;
+    }
+
+    window.location.href = `batch.html?${new URLSearchParams({ scans: scanIds.join(',') }).toString()}`;
+}
+
+// =============================================================================
+// PDF DOCUMENTS
+// =============================================================================
+
+/**
+ * Scan every page of a PDF for codes and link annotations, then analyse
+ * each one and list them by page in the PDF card
+ * @param {File} file - PDF picked or dropped on the scanner
+ */
+async function scanPdfFile(file) {
+    const pdfScan = window.MehrGuardPdfScan;
+    if (!pdfScan?.isAvailable()) {
+        showToast('PDF scanning is not available', 'error');
+        return;
+    }
+    if (file.size > ScannerConfig.pdfMaxBytes) {
+        showToast(formatText('PDF is too large (max {size} MB)', {
+            size: ScannerConfig.pdfMaxBytes / (1024 * 1024),
+        }), 'error');
+        return;
+    }
+
+    stopScanning();
+
+    const report = {
+        fileName: file.name || 'document.pdf',
+        pageCount: 0,
+        scannedPages: 0,
+        truncated: false,
+        items: [], // {index, page, kind, content, symbology, thumbnail, forensics, status, result, scanId}
+        isFull: false,
+        status: 'reading', // reading | analysing | done | error
+    };
+    // Replacing the report cancels the scan of the previous one
+    const isCurrent = () => ScannerState.pdfReport === report;
+    ScannerState.pdfReport = report;
+    renderPdfReport();
+    showToast('Reading PDF...', 'info');
+
+    try {
+        const summary = await pdfScan.scan(await file.arrayBuffer(), {
+            maxPages: ScannerConfig.pdfMaxPages,
+            isCancelled: () => !isCurrent(),
+            onPage: (page, canvas) => {
+                report.pageCount = page.pageCount;
+                report.scannedPages = page.pageNumber;
+                queueFileItems(report, toFileItems(page.codes, page.links, canvas),
+                    ScannerConfig.pdfMaxItems, { page: page.pageNumber });
+                renderPdfReport();
+            },
+        });
+        report.pageCount = summary.pageCount;
+        report.scannedPages = summary.scannedPages;
+        report.truncated = summary.truncated;
+    } catch (e) {
+        if (!isCurrent()) return;
+        console.error('[Scanner] PDF scan failed:', e);
+        report.status = 'error';
+        renderPdfReport();
+        showToast(getPdfErrorMessage(e), 'error');
+        return;
+    }
+    if (!isCurrent()) return;
+
+    report.status = 'analysing';
+    renderPdfReport();
+    for (const item of report.items) {
+        if (!isCurrent()) return;
+        await analyzeFileItem(item, {
+            pdf: { fileName: report.fileName, page: item.page, source: item.kind },
+        });
+        renderPdfReport();
+    }
+    report.status = 'done';
+    renderPdfReport();
+    renderHistory();
+
+    if (report.items.length === 0) {
+        showToast('No QR codes or links found in this PDF', 'warning');
+        return;
+    }
+    showFileReportToast(report.items, formatText('{count} items found on {pages} pages', {
+        count: report.items.length,
+        pages: report.scannedPages,
+    }));
+}
+
+/**
+ * Codes and links found in a file, as report items. Thumbnails and
+ * forensics are taken now, while the canvas still holds the page or image.
+ */
+function toFileItems(codes, links, canvas) {
+    return [
+        ...codes
+            .filter(code => code.data?.trim())
+            .map(code => ({
+                kind: 'code',
+                content: code.data.trim(),
+                symbology: code.symbology || 'qr_code',
+                thumbnail: captureThumbnail(canvas, code),
+                forensics: inspectCode(canvas, code),
+            })),
+        ...links.map(link => ({
+            kind: 'link',
+            content: link.url,
+            symbology: null,
+            thumbnail: null,
+            forensics: null,
+        })),
+    ];
+}
+
+/**
+ * Add items to a PDF or email report, up to `maxItems` in all
+ * @param {Object} context - Fields every item gets, e.g. {page} or {group}
+ */
+function queueFileItems(report, found, maxItems, context) {
+    const room = maxItems - report.items.length;
+    if (found.length > room) report.isFull = true;
+    found.slice(0, Math.max(0, room)).forEach(item => {
+        report.items.push({
+            ...item,
+            ...context,
+            index: report.items.length + 1,
+            status: 'pending',
+            result: null,
+            scanId: null,
+        });
+    });
+}
+
+/**
+ * Analyse one report item and save it to history
+ * @param {Object} origin - Extra history fields naming where it was found
+ */
+async function analyzeFileItem(item, origin) {
+    try {
+        const result = await window.MehrGuardMultiQr.assess({
+            index: item.index,
+            data: item.content,
+            corners: [],
+            symbology: item.symbology || 'qr_code',
+        });
+        const entry = window.MehrGuardUI?.addScanToHistory?.({
+            url: result.url,
+            verdict: window.MehrGuardMultiQr.toHistoryVerdict(result.verdict),
+            score: result.score,
+            signals: result.flags,
+            payload: result.payload,
+            policy: result.policy,
+            analysis: result.analysis,
+            qrThumbnail: item.thumbnail,
+            symbology: item.symbology,
+            qrForensics: toStoredForensics(item.forensics, item.content),
+            ...origin,
+        });
+        item.result = result;
+        item.scanId = entry?.id || null;
+        item.status = 'done';
+    } catch (e) {
+        console.error('[Scanner] File item analysis failed:', item.content, e);
+        item.status = 'error';
+    }
+}
+
+/**
+ * Report rows, with a heading wherever the group changes
+ * @param {Function} getGroup - Heading text for an item
+ * @returns {string[]}
+ */
+function renderFileItems(items, getGroup) {
+    const rows = [];
+    let group = null;
+    items.forEach(item => {
+        if (getGroup(item) !== group) {
+            group = getGroup(item);
+            rows.push(`<li class="file-group-heading">${escapeHtml(group)}</li>`);
+        }
+        rows.push(item.kind === 'link'
+            ? renderQueueItem(item, translateText('Link'), 'link')
+            : renderQueueItem(item, getSymbologyLabel(item.symbology) || translateText('QR code')));
+    });
+    return rows;
+}
+
+/**
+ * Verdict toast for a finished PDF or email report
+ */
+function showFileReportToast(items, message) {
+    const verdicts = items.map(item => item.result?.verdict);
+    if (verdicts.includes('MALICIOUS')) {
+        showToast(message, 'error');
+    } else if (verdicts.includes('SUSPICIOUS')) {
+        showToast(message, 'warning');
+    } else {
+        showToast(message, 'success');
+    }
+}
+
+function getPdfErrorMessage(error) {
+    switch (error?.name) {
+        case 'PasswordException':
+            return 'This PDF is password-protected';
+        case 'InvalidPDFException':
+            return 'Not a valid PDF';
+        default:
+            return 'Failed to read PDF';
+    }
+}
+
+/**
+ * PDF card: items grouped under their page, in document order
+ */
+function renderPdfReport() {
+    const report = ScannerState.pdfReport;
+    elements.pdfCard?.classList.toggle('hidden', !report);
+    if (!report) return;
+
+    if (elements.pdfTitle) {
+        elements.pdfTitle.textContent = report.fileName;
+        elements.pdfTitle.title = report.fileName;
+    }
+    if (elements.pdfMeta) {
+        elements.pdfMeta.textContent = getPdfReportMeta(report);
+    }
+    if (elements.reviewPdfBtn) {
+        elements.reviewPdfBtn.disabled = !report.items.some(item => item.scanId);
+    }
+
+    if (!elements.pdfResults) return;
+
+    const rows = renderFileItems(report.items, item => formatText('Page {page}', { page: item.page }));
+
+    if (report.items.length === 0 && report.status === 'done') {
+        rows.push(`<li class="session-empty">${escapeHtml(translateText('No QR codes or links found in this PDF'))}</li>`);
+    }
+    if (report.truncated) {
+        rows.push(`<li class="session-empty">${escapeHtml(formatText('Only the first {max} of {pages} pages were scanned', {
+            max: ScannerConfig.pdfMaxPages,
+            pages: report.pageCount,
+        }))}</li>`);
+    }
+    if (report.isFull) {
+        rows.push(`<li class="session-empty">${escapeHtml(formatText('Only the first {max} items are listed', {
+            max: ScannerConfig.pdfMaxItems,
+        }))}</li>`);
+    }
+
+    elements.pdfResults.innerHTML = rows.join('');
+}
+
+function getPdfReportMeta(report) {
+    switch (report.status) {
+        case 'reading':
+            return report.pageCount > 0
+                ? formatText('Page {page} of {pages}', {
+                    page: report.scannedPages,
+                    pages: Math.min(report.pageCount, ScannerConfig.pdfMaxPages),
+                })
+                : translateText('Reading...');
+        case 'analysing': {
+            const pending = report.items.filter(item => item.status === 'pending').length;
+            return formatText('{count} items, {pending} analysing', { count: report.items.length, pending });
+        }
+        case 'error':
+            return translateText('Could not read PDF');
+        default:
+            return report.scannedPages === 1
+                ? formatText('{count} items on 1 page', { count: report.items.length })
+                : formatText('{count} items on {pages} pages', { count: report.items.length, pages: report.scannedPages });
+    }
+}
+
+function closePdfReport() {
+    ScannerState.pdfReport = null;
+    renderPdfReport();
+}
+
+/**
+ * Open every analysed item of the PDF on batch.html
+ */
+function reviewPdfReport() {
+    const scanIds = (ScannerState.pdfReport?.items || []).map(item => item.scanId).filter(Boolean);
+    if (scanIds.length === 0) {
+        showToast('No analysed items in this PDF', 'warning');
+        return;
+    }
+
+    window.location.href = `batch.html?${new URLSearchParams({ scans: scanIds.join(',') }).toString()}`;
+}
+
+// =============================================================================
+// EMAIL TRIAGE
+// =============================================================================
+
+/**
+ * Triage a saved email (.eml): analyse every link in it and every code in
+ * its images and PDFs, and show them with the message's red flags
+ * @param {File} file - Message picked or dropped on the scanner
+ */
+async function scanEmailFile(file) {
+    if (!window.MehrGuardEmailScan) {
+        showToast('Email triage is not available', 'error');
+        return;
+    }
+    if (file.size > ScannerConfig.emailMaxBytes) {
+        showToast(formatText('Email is too large (max {size} MB)', {
+            size: ScannerConfig.emailMaxBytes / (1024 * 1024),
+        }), 'error');
+        return;
+    }
+
+    let raw;
+    try {
+        raw = await window.MehrGuardEmailScan.read(file);
+    } catch (e) {
+        console.error('[Scanner] Email read failed:', e);
+        showToast('Failed to read email', 'error');
+        return;
+    }
+    await scanEmail(file.name || 'message.eml', raw);
+}
+
+/**
+ * @param {string} fileName
+ * @param {string} raw - Message as a binary string (see MehrGuardEmailScan.read)
+ */
+async function scanEmail(fileName, raw) {
+    stopScanning();
+
+    let parsed;
+    try {
+        parsed = window.MehrGuardEmailScan.parse(raw);
+    } catch (e) {
+        console.error('[Scanner] Email parse failed:', e);
+        showToast('Failed to read email', 'error');
+        return;
+    }
+    const report = {
+        fileName,
+        message: parsed.message,
+        attachments: parsed.attachments,
+        flags: [...parsed.flags],
+        items: [], // {index, group, kind, content, symbology, thumbnail, forensics, status, result, scanId}
+        isFull: false,
+        status: 'reading', // reading | analysing | done
+    };
+    // Replacing the report cancels the scan of the previous one
+    const isCurrent = () => ScannerState.emailReport === report;
+    ScannerState.emailReport = report;
+
+    queueFileItems(report, toFileItems([], parsed.links, null), ScannerConfig.emailMaxItems, {
+        group: translateText('Links in the message'),
+    });
+    renderEmailReport();
+    showToast('Reading email...', 'info');
+
+    for (const image of parsed.images.slice(0, ScannerConfig.emailMaxImages)) {
+        if (!isCurrent()) return;
+        const decoded = await decodeEmailImage(image);
+        if (decoded) {
+            queueFileItems(report, toFileItems(decoded.codes, [], decoded.canvas), ScannerConfig.emailMaxItems, {
+                group: image.name,
+            });
+            renderEmailReport();
+        }
+    }
+
+    for (const pdf of parsed.pdfs) {
+        if (!isCurrent()) return;
+        await scanEmailPdf(report, pdf, isCurrent);
+        renderEmailReport();
+    }
+    if (!isCurrent()) return;
+
+    if (report.items.some(item => item.kind === 'code')) {
+        report.flags.push({
+            id: 'qr-code',
+            severity: window.MehrGuardEmailScan.SEVERITY.MEDIUM,
+            message: 'Contains a QR code, which moves the link to a phone outside mail filtering',
+            detail: null,
+        });
+    }
+
+    report.status = 'analysing';
+    renderEmailReport();
+    for (const item of report.items) {
+        if (!isCurrent()) return;
+        await analyzeFileItem(item, {
+            email: {
+                fileName: report.fileName,
+                subject: report.message.subject,
+                from: report.message.from?.address || '',
+                part: item.group,
+                source: item.kind,
+            },
+        });
+        renderEmailReport();
+    }
+    report.status = 'done';
+    renderEmailReport();
+    renderHistory();
+
+    if (report.items.length === 0) {
+        showToast('No links or QR codes found in this email', report.flags.length > 0 ? 'warning' : 'success');
+        return;
+    }
+    showFileReportToast(report.items, formatText('{count} items found in the email', {
+        count: report.items.length,
+    }));
+}
+
+/**
+ * Every code in an inline or attached image, with the pre-processing
+ * pipeline as a fallback (QR codes in mail are often screenshots or photos)
+ * @returns {Promise<{codes: Array, canvas: HTMLCanvasElement}|null>} null when
+ *          the image cannot be read or is too small to hold a code
+ */
+async function decodeEmailImage(image) {
+    let bitmap;
+    try {
+        bitmap = await createImageBitmap(new Blob([image.bytes], { type: image.type }));
+    } catch (e) {
+        console.warn('[Scanner] Skipping unreadable email image:', image.name, e);
+        return null;
+    }
+
+    // Tracking pixels, spacers and icons
+    if (Math.min(bitmap.width, bitmap.height) < ScannerConfig.emailMinImageSide) {
+        bitmap.close?.();
+        return null;
+    }
+
+    const scale = Math.min(1, ScannerConfig.emailMaxImageSide / Math.max(bitmap.width, bitmap.height));
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round(bitmap.width * scale);
+    canvas.height = Math.round(bitmap.height * scale);
+    const ctx = canvas.getContext('2d', { willReadFrequently: true });
+    // Transparent areas would read as black
+    ctx.fillStyle = '#ffffff';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    ctx.drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+    bitmap.close?.();
+
+    let codes = detectQRCodes(ctx.getImageData(0, 0, canvas.width, canvas.height), 'attemptBoth', undefined, 'always');
+    if (codes.length === 0 && window.MehrGuardDecoder) {
+        codes = (await window.MehrGuardDecoder.decodeImage(canvas, {
+            deadlineMs: ScannerConfig.emailImageDeadline,
+        })).codes;
+    }
+    return { codes, canvas };
+}
+
+/**
+ * Codes and links on every page of an attached PDF. An attachment that
+ * cannot be scanned is a red flag of its own.
+ */
+async function scanEmailPdf(report, pdf, isCurrent) {
+    if (!window.MehrGuardPdfScan?.isAvailable()) return;
+
+    try {
+        const summary = await window.MehrGuardPdfScan.scan(pdf.bytes, {
+            maxPages: ScannerConfig.pdfMaxPages,
+            isCancelled: () => !isCurrent(),
+            onPage: (page, canvas) => {
+                queueFileItems(report, toFileItems(page.codes, page.links, canvas), ScannerConfig.emailMaxItems, {
+                    group: formatText('{name}, page {page}', { name: pdf.name, page: page.pageNumber }),
+                });
+                renderEmailReport();
+            },
+        });
+        if (summary.truncated) {
+            report.flags.push({
+                id: 'pdf-truncated',
+                severity: window.MehrGuardEmailScan.SEVERITY.INFO,
+                message: 'Only part of an attached PDF was scanned',
+                detail: formatText('{name}: first {max} of {pages} pages', {
+                    name: pdf.name,
+                    max: ScannerConfig.pdfMaxPages,
+                    pages: summary.pageCount,
+                }),
+            });
+        }
+    } catch (e) {
+        console.warn('[Scanner] Attached PDF scan failed:', pdf.name, e);
+        const isLocked = e?.name === 'PasswordException';
+        report.flags.push({
+            id: isLocked ? 'encrypted-attachment' : 'unreadable-attachment',
+            severity: isLocked
+                ? window.MehrGuardEmailScan.SEVERITY.HIGH
+                : window.MehrGuardEmailScan.SEVERITY.MEDIUM,
+            message: isLocked
+                ? 'Has a password-protected PDF, which hides its content from scanning'
+                : 'Has a PDF that could not be read',
+            detail: pdf.name,
+        });
+    }
+}
+
+const EMAIL_FLAG_ICONS = {
+    high: 'error',
+    medium: 'warning',
+    info: 'info',
+};
+
+/**
+ * Email card: message headers, red flags, then items grouped by where
+ * they were found (body links, each image, each PDF page)
+ */
+function renderEmailReport() {
+    const report = ScannerState.emailReport;
+    elements.emailCard?.classList.toggle('hidden', !report);
+    if (!report) return;
+
+    const subject = report.message.subject || translateText('(no subject)');
+    if (elements.emailTitle) {
+        elements.emailTitle.textContent = subject;
+        elements.emailTitle.title = `${subject}\n${report.fileName}`;
+    }
+    if (elements.emailMeta) {
+        elements.emailMeta.textContent = getEmailReportMeta(report);
+    }
+    if (elements.reviewEmailBtn) {
+        elements.reviewEmailBtn.disabled = !report.items.some(item => item.scanId);
+    }
+
+    if (elements.emailHeaders) {
+        const { from, replyTo, returnPath, date, auth } = report.message;
+        const formatAddress = address => address?.name
+            ? `${address.name} <${address.address}>`
+            : address?.address || '';
+        const authText = Object.entries(auth).map(([method, result]) => `${method.toUpperCase()} ${result}`).join(' · ');
+        const rows = [
+            ['From', formatAddress(from) || translateText('Unknown')],
+            ['Reply-To', formatAddress(replyTo)],
+            ['Return-Path', returnPath?.address || ''],
+            ['Date', date],
+            ['Authentication', authText],
+            ['Attachments', report.attachments.map(attachment => attachment.name).join(', ')],
+        ].filter(([, value]) => value);
+        // Built with the DOM: every value here comes from the message
+        elements.emailHeaders.replaceChildren(...rows.flatMap(([label, value]) => {
+            const dt = document.createElement('dt');
+            dt.textContent = translateText(label);
+            const dd = document.createElement('dd');
+            dd.textContent = value;
+            dd.title = value;
+            return [dt, dd];
+        }));
+    }
+
+    if (elements.emailFlags) {
+        elements.emailFlags.innerHTML = report.flags.map(flag => `
+            <li class="email-flag ${flag.severity}">
+                <span class="material-symbols-outlined">${EMAIL_FLAG_ICONS[flag.severity] || 'info'}</span>
+                <span class="email-flag-text">
+                    <span>${escapeHtml(translateText(flag.message))}</span>
+                    ${flag.detail ? `<span class="email-flag-detail">${escapeHtml(flag.detail)}</span>` : ''}
+                </span>
+            </li>
+        `).join('');
+        elements.emailFlags.classList.toggle('hidden', report.flags.length === 0);
+    }
+
+    if (!elements.emailResults) return;
+
+    const rows = renderFileItems(report.items, item => item.group);
+    if (report.items.length === 0 && report.status === 'done') {
+        rows.push(`<li class="session-empty">${escapeHtml(translateText('No links or QR codes found in this email'))}</li>`);
+    }
+    if (report.isFull) {
+        rows.push(`<li class="session-empty">${escapeHtml(formatText('Only the first {max} items are listed', {
+            max: ScannerConfig.emailMaxItems,
+        }))}</li>`);
+    }
+    elements.emailResults.innerHTML = rows.join('');
+}
+
+function getEmailReportMeta(report) {
+    switch (report.status) {
+        case 'reading':
+            return translateText('Reading...');
+        case 'analysing': {
+            const pending = report.items.filter(item => item.status === 'pending').length;
+            return formatText('{count} items, {pending} analysing', { count: report.items.length, pending });
+        }
+        default:
+            return report.items.length === 1
+                ? translateText('1 item')
+                : formatText('{count} items', { count: report.items.length });
+    }
+}
+
+function closeEmailReport() {
+    ScannerState.emailReport = null;
+    renderEmailReport();
+}
+
+/**
+ * Open every analysed item of the email on batch.html
+ */
+function reviewEmailReport() {
+    const scanIds = (ScannerState.emailReport?.items || []).map(item => item.scanId).filter(Boolean);
+    if (scanIds.length === 0) {
+        showToast('No analysed items in this email', 'warning');
+        return;
+    }
+
+    window.location.href = `batch.html?${new URLSearchParams({ scans: scanIds.join(',') }).toString()}`;
+}
+
+// =============================================================================
+// DRAG AND DROP
+// =============================================================================
+
+function setupDragAndDrop() {
+    const viewport = elements.scannerViewport;
     if (!viewport) return;
 
     viewport.addEventListener('dragover', (e) => {
@@ -689,15 +2627,76 @@ function setupDragAndDrop() {
         viewport.classList.remove('drag-over');
 
         const file = e.dataTransfer.files?.[0];
-        if (file && file.type.startsWith('image/')) {
+        if (file && (file.type.startsWith('image/') || window.MehrGuardPdfScan?.isPdf(file) ||
+            window.MehrGuardEmailScan?.isEml(file))) {
             const event = { target: { files: [file] } };
             handleImageUpload(event);
         } else {
-            showToast('Please drop an image file', 'error');
+            showToast('Please drop an image, PDF or email file', 'error');
         }
     });
 }
 
+// =============================================================================
+// CLIPBOARD
+// =============================================================================
+
+function handlePaste(e) {
+    const content = window.MehrGuardClipboardScan?.fromPasteEvent(e);
+    if (!content) return;
+
+    e.preventDefault();
+    scanClipboardContent(content);
+}
+
+/**
+ * "Scan clipboard" action: read the clipboard through the Clipboard API
+ */
+async function scanClipboard() {
+    const clipboard = window.MehrGuardClipboardScan;
+    if (!clipboard) return;
+
+    if (await clipboard.getPermissionState() === 'prompt') {
+        showToast('Allow clipboard access when your browser asks', 'info');
+    }
+
+    let content;
+    try {
+        content = await clipboard.read();
+    } catch (e) {
+        console.warn('[Scanner] Clipboard read failed:', e);
+        showToast(clipboard.describeError(e), e.name === 'NotFoundError' ? 'warning' : 'error');
+        return;
+    }
+    scanClipboardContent(content);
+}
+
+/**
+ * Scan a clipboard image like a gallery upload, or analyse clipboard text
+ * like decoded QR content
+ * @param {{type: string, blob?: Blob, text?: string}} content
+ */
+function scanClipboardContent(content) {
+    if (content.type === 'image') {
+        handleImageUpload({ target: { files: [content.blob] } });
+        return;
+    }
+
+    const text = content.text;
+    stopScanning();
+    if (isValidUrl(text)) {
+        showToast('Analyzing pasted URL...', 'info');
+        showScanningState();
+        window.mehrguardAnalyze?.(text);
+    } else if (window.MehrGuardPayload?.isAvailable()) {
+        // Payloads and bare domains, as if the text had come from a QR code
+        showScanningState();
+        analyzePayload(text);
+    } else {
+        showToast('Clipboard text is not a URL', 'warning');
+    }
+}
+
 // =============================================================================
 // URL INPUT MODAL
 // =============================================================================
@@ -735,11 +2734,7 @@ function analyzeUrlFromModal() {
     showScanningState();
 
     // Analyze
-    setTimeout(() => {
-        if (window.mehrguardAnalyze) {
-            window.mehrguardAnalyze(fixedUrl);
-        }
-    }, 500);
+    window.mehrguardAnalyze?.(fixedUrl);
 }
 
 /**
@@ -752,19 +2747,16 @@ function analyzeUrlDirectly(url) {
     showToast('🕵️ Analyzing Red Team scenario...', 'info');
     showScanningState();
     
-    // Analyze after short delay
-    setTimeout(() => {
-        if (window.mehrguardAnalyze) {
-            window.mehrguardAnalyze(url);
-        } else {
-            // Fallback: show URL in modal for manual analysis
-            if (elements.urlInputField) {
-                elements.urlInputField.value = url;
-            }
-            openUrlModal();
-            showToast('Paste URL loaded. Click Analyze.', 'warning');
+    if (window.mehrguardAnalyze) {
+        window.mehrguardAnalyze(url);
+    } else {
+        // Fallback: show URL in modal for manual analysis
+        if (elements.urlInputField) {
+            elements.urlInputField.value = url;
         }
-    }, 500);
+        openUrlModal();
+        showToast('Paste URL loaded. Click Analyze.', 'warning');
+    }
 }
 
 // =============================================================================
@@ -823,7 +2815,9 @@ function renderHistory() {
                 <span class="material-symbols-outlined">${iconName}</span>
             </div>
             <div class="scan-info">
-                <span class="scan-url">${escapeHtml(getDomainFromUrl(item.url))}</span>
+                <span class="scan-url">${escapeHtml(item.payload
+        ? window.MehrGuardPayload?.summarize(item.payload) || item.payload.displayName
+        : getDomainFromUrl(item.url))}</span>
                 <span class="scan-meta">${timeAgo} • ${verdictText}</span>
             </div>
         `;
@@ -915,6 +2909,8 @@ function setupKeyboardShortcuts() {
         if (e.key === 'Escape') {
             if (!elements.urlModal?.classList.contains('hidden')) {
                 closeUrlModal();
+            } else if (!elements.multiQrModal?.classList.contains('hidden')) {
+                closeMultiQrModal();
             } else if (ScannerState.isCameraActive) {
                 stopCamera();
             }
@@ -931,6 +2927,11 @@ function setupKeyboardShortcuts() {
             openGallery();
         }
 
+        // Shift+D - decoder dev panel
+        if (e.key === 'D' && e.shiftKey && document.activeElement?.tagName !== 'INPUT') {
+            toggleDecoderPanel();
+        }
+
         // C - toggle camera
         if (e.key === 'c' && document.activeElement?.tagName !== 'INPUT') {
             if (ScannerState.isCameraActive) {
@@ -991,6 +2992,16 @@ function escapeHtml(text) {
     return div.innerHTML;
 }
 
+/**
+ * Escape text for a quoted HTML attribute. escapeHtml leaves quotes alone,
+ * so decoded content must not go through it into an attribute.
+ */
+function escapeAttribute(text) {
+    return escapeHtml(text)
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
 // =============================================================================
 // CLEANUP
 // =============================================================================
@@ -1010,5 +3021,15 @@ if (typeof module !== 'undefined' && module.exports) {
         enableCamera,
         stopCamera,
         handleQRDetected,
+        queueSessionCodes,
+        reviewSession,
+        scanPdfFile,
+        scanEmail,
+        getVideoConstraints,
+        setZoom,
+        toFramePoint,
+        getScanDelay,
+        getScanRegion,
+        scanClipboardContent,
     };
 }
@@ -1063,7 +1063,10 @@
         // Display settings
         darkMode: true,
         compactView: false,
-        showConfidence: true
+        showConfidence: true,
+
+        // History settings (0 keeps scans forever)
+        historyRetentionDays: 0
     };
 
     function getSettings() {
@@ -1093,23 +1096,114 @@
     // SCAN HISTORY MANAGEMENT
     // ==========================================================================
 
-    const HISTORY_KEY = 'mehrguard_scan_history';
-    const MAX_HISTORY_ITEMS = 50;
+    // Full history lives in IndexedDB (history-store.js). Pages read a cache
+    // of the most recent entries synchronously once whenHistoryReady() has
+    // resolved. Writes are journaled in localStorage until the database has
+    // committed them, so a scan is not lost when the page navigates away.
+    const HISTORY_JOURNAL_KEY = 'mehrguard_scan_history_pending';
+    const HISTORY_CACHE_SIZE = 200;
 
-    function getScanHistory() {
-        const stored = localStorage.getItem(HISTORY_KEY);
-        if (stored) {
-            try {
-                return JSON.parse(stored);
-            } catch (e) {
-                return [];
+    let historyCache = [];
+    let historyCounts = null;
+    let historyReady = null;
+
+    function getHistoryStore() {
+        return window.MehrGuardHistoryStore || null;
+    }
+
+    function readHistoryJournal() {
+        try {
+            const entries = JSON.parse(localStorage.getItem(HISTORY_JOURNAL_KEY) || '[]');
+            return Array.isArray(entries) ? entries : [];
+        } catch (e) {
+            return [];
+        }
+    }
+
+    function journalHistoryEntry(entry) {
+        const pending = readHistoryJournal().filter(e => e.id !== entry.id);
+        pending.push(entry);
+        localStorage.setItem(HISTORY_JOURNAL_KEY, JSON.stringify(pending));
+    }
+
+    function unjournalHistoryEntries(ids) {
+        const pending = readHistoryJournal().filter(e => !ids.includes(e.id));
+        if (pending.length > 0) {
+            localStorage.setItem(HISTORY_JOURNAL_KEY, JSON.stringify(pending));
+        } else {
+            localStorage.removeItem(HISTORY_JOURNAL_KEY);
+        }
+    }
+
+    function getHistoryRetention() {
+        return {
+            maxAgeDays: Number(getSettings().historyRetentionDays) || 0
+        };
+    }
+
+    async function loadHistory() {
+        const store = getHistoryStore();
+        if (!store) {
+            historyCache = readHistoryJournal().sort((a, b) => b.timestamp - a.timestamp);
+            return historyCache;
+        }
+
+        try {
+            await store.open();
+            const pending = readHistoryJournal();
+            if (pending.length > 0) {
+                await store.putAll(pending);
+                unjournalHistoryEntries(pending.map(e => e.id));
             }
+            await store.applyRetention(getHistoryRetention());
+            historyCache = await store.getRecent(HISTORY_CACHE_SIZE);
+            historyCounts = await store.getCounts();
+        } catch (e) {
+            console.error('[History] Failed to load scan history:', e);
+            historyCache = readHistoryJournal().sort((a, b) => b.timestamp - a.timestamp);
         }
-        return [];
+        return historyCache;
+    }
+
+    /**
+     * Resolves once the history cache is loaded. Call before reading
+     * history synchronously during page start-up.
+     * @returns {Promise<Object[]>} Most recent scans, newest first
+     */
+    function whenHistoryReady() {
+        if (!historyReady) {
+            historyReady = loadHistory();
+        }
+        return historyReady;
+    }
+
+    function persistHistoryEntry(entry) {
+        journalHistoryEntry(entry);
+        const store = getHistoryStore();
+        if (!store) return Promise.resolve();
+
+        return whenHistoryReady()
+            .then(() => store.put(entry))
+            .then(() => {
+                unjournalHistoryEntries([entry.id]);
+                return store.getCounts();
+            })
+            .then(counts => {
+                historyCounts = counts;
+            })
+            .catch(e => console.error('[History] Failed to save scan:', e));
+    }
+
+    /**
+     * Most recent scans (up to HISTORY_CACHE_SIZE), newest first.
+     * Use queryScanHistory() to page through the full history.
+     */
+    function getScanHistory() {
+        return historyCache.slice();
     }
 
     function addScanToHistory(scanResult) {
-        const history = getScanHistory();
+        const history = historyCache;
 
         // Normalize URL to prevent duplicates (with/without protocol, trailing slash)
         const normalizeUrl = (url) => {
@@ -1149,16 +1243,15 @@
             score: scanResult.score || 0,
             signals: scanResult.signals || [],
             blocked: false,
-            ...scanResult
+            ...scanResult,
+            // Stored as a detached copy; never recomputed after this point
+            analysis: scanResult.analysis ? JSON.parse(JSON.stringify(scanResult.analysis)) : null
         };
 
-        // Add to beginning
+        // Add to beginning; the store keeps everything, the cache only the latest
         history.unshift(entry);
-
-        // Keep only last N items
-        const trimmed = history.slice(0, MAX_HISTORY_ITEMS);
-
-        localStorage.setItem(HISTORY_KEY, JSON.stringify(trimmed));
+        historyCache = history.slice(0, HISTORY_CACHE_SIZE);
+        persistHistoryEntry(entry);
 
         // Update stats
         const isThreat = entry.verdict === 'HIGH' || entry.verdict === 'MEDIUM' || entry.score >= 50;
@@ -1167,26 +1260,155 @@
         return entry;
     }
 
+    // Bump when the snapshot shape changes so older entries can be told apart
+    const ANALYSIS_SNAPSHOT_VERSION = 2; // 2: brand
+
+    function deepFreeze(value) {
+        if (value && typeof value === 'object' && !Object.isFrozen(value)) {
+            Object.values(value).forEach(deepFreeze);
+            Object.freeze(value);
+        }
+        return value;
+    }
+
+    /**
+     * Build the immutable analysis record stored with a history entry, so a
+     * reopened scan shows exactly what the engine reported at scan time even
+     * after the engine or its data is updated.
+     * @param {Object} result - Engine result from `mehrguardAnalyzeAsync` / `mehrguardAnalyzeDetailed`
+     * @returns {Object|null} Frozen snapshot, or null for an unusable result
+     */
+    function createAnalysisSnapshot(result) {
+        if (!result || result.error) return null;
+
+        const versions = result.versions || window.mehrguardEngineInfo?.dataVersions || {};
+        const ml = result.ml && !result.ml.error ? result.ml : null;
+        const intel = result.intel && !result.intel.error ? result.intel : null;
+        const unicode = result.unicode && !result.unicode.error ? result.unicode : null;
+
+        return deepFreeze({
+            snapshotVersion: ANALYSIS_SNAPSHOT_VERSION,
+            capturedAt: Date.now(),
+            engineVersion: versions.engine || window.mehrguardEngineInfo?.version || null,
+            dataVersions: {
+                mlModel: versions.mlModel || ml?.modelVersion || null,
+                threatIntel: versions.threatIntel || null,
+                threatIntelEntries: versions.threatIntelEntries ?? null
+            },
+            durationMs: typeof result.durationMs === 'number' ? result.durationMs : null,
+            score: result.score || 0,
+            verdict: result.verdict || 'UNKNOWN',
+            flags: Array.from(result.flags || []),
+            brand: result.brand || null,
+            heuristicScore: result.heuristicScore ?? null,
+            reasons: Array.from(result.reasons || []).map(reason => ({
+                code: reason.code,
+                severity: reason.severity,
+                description: reason.description
+            })),
+            ml: ml ? {
+                ensembleScore: ml.ensembleScore,
+                charScore: ml.charScore,
+                featureScore: ml.featureScore,
+                confidence: ml.confidence,
+                isPhishing: !!ml.isPhishing,
+                charRiskLevel: ml.charRiskLevel
+            } : null,
+            intel: intel ? {
+                isKnownBad: !!intel.isKnownBad,
+                confidence: intel.confidence,
+                category: intel.category || null
+            } : null,
+            unicode: unicode ? {
+                hasRisk: !!unicode.hasRisk,
+                isPunycode: !!unicode.isPunycode,
+                hasMixedScript: !!unicode.hasMixedScript,
+                hasConfusables: !!unicode.hasConfusables,
+                hasZeroWidth: !!unicode.hasZeroWidth,
+                riskScore: unicode.riskScore,
+                safeDisplayHost: unicode.safeDisplayHost
+            } : null
+        });
+    }
+
+    /**
+     * Look up a scan in the recent-history cache.
+     * Use loadScanById() for scans that may be older than the cache.
+     */
     function getScanById(scanId) {
-        const history = getScanHistory();
-        return history.find(s => s.id === scanId);
+        return historyCache.find(s => s.id === scanId);
+    }
+
+    /**
+     * Look up any stored scan, however old.
+     * @param {string} scanId
+     * @returns {Promise<Object|undefined>}
+     */
+    async function loadScanById(scanId) {
+        await whenHistoryReady();
+        const cached = getScanById(scanId);
+        if (cached) return cached;
+        try {
+            return await getHistoryStore()?.get(scanId);
+        } catch (e) {
+            console.error('[History] Failed to load scan:', e);
+            return undefined;
+        }
+    }
+
+    /**
+     * Search the full history, newest first.
+     * @param {Object} options - See MehrGuardHistoryStore.query
+     * @returns {Promise<{items: Object[], total: number}>}
+     */
+    async function queryScanHistory(options = {}) {
+        await whenHistoryReady();
+        const store = getHistoryStore();
+        if (!store) {
+            const offset = options.offset || 0;
+            return { items: historyCache.slice(offset, offset + (options.limit || 20)), total: historyCache.length };
+        }
+        return store.query(options);
     }
 
     function markScanBlocked(scanId) {
-        const history = getScanHistory();
-        const scan = history.find(s => s.id === scanId);
+        const scan = getScanById(scanId);
         if (scan) {
             scan.blocked = true;
-            localStorage.setItem(HISTORY_KEY, JSON.stringify(history));
+            persistHistoryEntry(scan);
+            return;
         }
+        loadScanById(scanId).then(stored => {
+            if (stored) persistHistoryEntry({ ...stored, blocked: true });
+        });
     }
 
     function clearScanHistory() {
-        localStorage.removeItem(HISTORY_KEY);
+        historyCache = [];
+        historyCounts = null;
+        localStorage.removeItem(HISTORY_JOURNAL_KEY);
+        return getHistoryStore()?.clear()
+            .catch(e => console.error('[History] Failed to clear scan history:', e));
+    }
+
+    /**
+     * Apply the retention setting now (it is also applied on every page load).
+     * @returns {Promise<number>} Number of scans removed
+     */
+    async function applyHistoryRetention() {
+        const store = getHistoryStore();
+        if (!store) return 0;
+        await whenHistoryReady();
+        const removed = await store.applyRetention(getHistoryRetention());
+        if (removed > 0) {
+            historyCache = await store.getRecent(HISTORY_CACHE_SIZE);
+            historyCounts = await store.getCounts();
+        }
+        return removed;
     }
 
     function getHistorySummary() {
-        const history = getScanHistory();
+        const history = historyCache;
         const now = Date.now();
         const oneDayAgo = now - (24 * 60 * 60 * 1000);
         const oneWeekAgo = now - (7 * 24 * 60 * 60 * 1000);
@@ -1200,10 +1422,62 @@
             thisWeek: thisWeek.length,
             threats: history.filter(s => s.verdict === 'HIGH' || s.verdict === 'MEDIUM').length,
             safe: history.filter(s => s.verdict === 'SAFE' || s.verdict === 'LOW').length,
+            // Counts over the full store when available (blocked is not indexed)
+            ...(historyCounts || {}),
             blocked: history.filter(s => s.blocked).length
         };
     }
 
+    // ==========================================================================
+    // ANALYSIS EVENT BUS
+    // ==========================================================================
+
+    // The engine (Main.kt `mehrguardAnalyze`) publishes here; pages subscribe
+    // instead of overriding a shared global callback.
+    const ANALYSIS_EVENTS = Object.freeze({
+        START: 'analysis:start',
+        COMPLETE: 'analysis:complete',
+        ERROR: 'analysis:error'
+    });
+
+    const analysisListeners = new Set();
+
+    /**
+     * Subscribe to analysis events.
+     * Every listener receives `{type, requestId, url, timestamp}` plus
+     * `result` (the full engine result, on complete) or `error` (message, on error).
+     * @param {Function} listener - Called with each event
+     * @returns {Function} Unsubscribe function
+     */
+    function onAnalysis(listener) {
+        if (typeof listener !== 'function') {
+            throw new TypeError('onAnalysis listener must be a function');
+        }
+        analysisListeners.add(listener);
+        return () => analysisListeners.delete(listener);
+    }
+
+    /**
+     * Publish an analysis event to every subscriber.
+     * A throwing listener is logged and does not stop the others.
+     * @param {string} type - One of ANALYSIS_EVENTS
+     * @param {Object} detail - `{requestId, url, result?, error?}`
+     */
+    function emitAnalysis(type, detail = {}) {
+        if (!Object.values(ANALYSIS_EVENTS).includes(type)) {
+            console.warn('[AnalysisBus] Unknown event type:', type);
+            return;
+        }
+        const event = Object.freeze({ ...detail, type, timestamp: Date.now() });
+        [...analysisListeners].forEach(listener => {
+            try {
+                listener(event);
+            } catch (e) {
+                console.error('[AnalysisBus] Listener failed for', type, e);
+            }
+        });
+    }
+
     // Initialize when DOM ready
     if (document.readyState === 'loading') {
         document.addEventListener('DOMContentLoaded', init);
@@ -1248,10 +1522,20 @@
         getScanHistory,
         addScanToHistory,
         getScanById,
+        loadScanById,
+        queryScanHistory,
+        whenHistoryReady,
+        createAnalysisSnapshot,
         markScanBlocked,
         clearScanHistory,
+        applyHistoryRetention,
         getHistorySummary,
 
+        // Analysis Events
+        ANALYSIS_EVENTS,
+        onAnalysis,
+        emitAnalysis,
+
         // Help Modal
         showHelpModal
     };
@@ -0,0 +1,529 @@
+/**
+ * Mehr Guard Report Signing
+ *
+ * Signs exported reports so that a reader can tell whether a file was
+ * changed after Mehr Guard generated it, and verifies such files offline.
+ *
+ * Each install has one ECDSA P-256 key pair, generated with WebCrypto the
+ * first time a report is signed. The private key is not extractable: the
+ * CryptoKey object is kept in its own IndexedDB database and can sign, but
+ * its key material can never be read back by script. The key fingerprint
+ * (SHA-256 of the public key) is printed in every signed report.
+ *
+ * A signature covers a statement of the report's SHA-256 hash, format,
+ * signing time and public key, so the hash and the metadata are both
+ * protected. Where the signature lives depends on the format:
+ *
+ *   json  `signature` member of the report; the hash is taken over the
+ *         report without it, in canonical form (sorted keys, no whitespace)
+ *   pdf   `%MehrGuard-Signature <base64>` comment line after %%EOF
+ *   html  `<!-- MehrGuard-Signature <base64> -->` comment after </html>
+ *
+ * For PDF and HTML the hash covers every byte before the signature line.
+ *
+ * The public key travels inside the file, so a valid signature alone only
+ * says the file is intact since *some* key signed it. A file is VALID only
+ * when that key is this install's or one the user has trusted (by
+ * fingerprint, kept in localStorage); any other key gives
+ * SIGNED_BY_UNKNOWN_KEY.
+ *
+ * @author Mehr Guard Team
+ * @version 2.4.1
+ */
+
+(function () {
+    'use strict';
+
+    // ==========================================================================
+    // CONFIGURATION
+    // ==========================================================================
+
+    // Kept apart from the history database so neither needs the other's upgrades
+    const DB_NAME = 'mehrguard-keys';
+    const DB_VERSION = 1;
+    const STORE_NAME = 'keys';
+    const KEY_ID = 'report-signing';
+
+    // Fingerprints of other installs' keys the user has chosen to trust
+    const TRUSTED_KEYS_KEY = 'mehrguard_trusted_signing_keys';
+
+    const FORMAT = 'mehrguard-signature-v1';
+    const ALGORITHM = 'ECDSA-P256-SHA256';
+    const KEY_PARAMS = { name: 'ECDSA', namedCurve: 'P-256' };
+    const SIGN_PARAMS = { name: 'ECDSA', hash: 'SHA-256' };
+
+    // `pattern` finds the trailer at the end of the file, `line` reads one
+    // found anywhere else
+    const TRAILERS = {
+        pdf: {
+            prefix: '%MehrGuard-Signature ',
+            suffix: '\n',
+            pattern: /%MehrGuard-Signature ([A-Za-z0-9+/=]+)\s*$/,
+            line: /^%MehrGuard-Signature ([A-Za-z0-9+/=]+)/,
+        },
+        html: {
+            prefix: '<!-- MehrGuard-Signature ',
+            suffix: ' -->\n',
+            pattern: /<!-- MehrGuard-Signature ([A-Za-z0-9+/=]+) -->\s*$/,
+            line: /^<!-- MehrGuard-Signature ([A-Za-z0-9+/=]+) -->/,
+        },
+    };
+    const TRAILER_SEARCH_BYTES = 8192; // Signature lines are well under 2 KB
+
+    const STATUS = Object.freeze({
+        VALID: 'valid',
+        SIGNED_BY_UNKNOWN_KEY: 'signed-by-unknown-key',
+        ALTERED: 'altered',
+        UNSIGNED: 'unsigned',
+        INVALID: 'invalid',
+    });
+
+    // ==========================================================================
+    // STATE
+    // ==========================================================================
+
+    let keyPromise = null;
+    let identityPromise = null;
+
+    // ==========================================================================
+    // KEY STORAGE
+    // ==========================================================================
+
+    function promisify(request) {
+        return new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    function openDatabase() {
+        if (typeof indexedDB === 'undefined') {
+            return Promise.reject(new Error('IndexedDB not supported'));
+        }
+
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = () => {
+                request.result.createObjectStore(STORE_NAME, { keyPath: 'id' });
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    function getSubtle() {
+        const subtle = globalThis.crypto?.subtle;
+        if (!subtle) {
+            throw new Error('WebCrypto is not available (a secure context is required)');
+        }
+        return subtle;
+    }
+
+    /**
+     * The stored key pair, generated on first use. If another tab stores a
+     * key first, that key wins and this one is discarded.
+     */
+    async function loadKeyPair() {
+        const subtle = getSubtle();
+        const db = await openDatabase();
+        const read = () => promisify(db.transaction(STORE_NAME).objectStore(STORE_NAME).get(KEY_ID));
+
+        try {
+            const stored = await read();
+            if (stored) return stored;
+
+            const pair = await subtle.generateKey(KEY_PARAMS, false, ['sign', 'verify']);
+            const record = {
+                id: KEY_ID,
+                privateKey: pair.privateKey,
+                publicKey: pair.publicKey,
+                createdAt: Date.now(),
+            };
+            try {
+                await promisify(db.transaction(STORE_NAME, 'readwrite').objectStore(STORE_NAME).add(record));
+                console.log('[Signing] Generated report signing key');
+                return record;
+            } catch (e) {
+                const winner = await read();
+                if (winner) return winner;
+                throw e;
+            }
+        } finally {
+            db.close();
+        }
+    }
+
+    function getKeyPair() {
+        if (!keyPromise) {
+            keyPromise = loadKeyPair().catch(e => {
+                keyPromise = null;
+                throw e;
+            });
+        }
+        return keyPromise;
+    }
+
+    /**
+     * This install's public signing identity
+     * @returns {Promise<{fingerprint: string, publicKey: Object, createdAt: number}>}
+     *   publicKey is the public JWK (kty, crv, x, y)
+     */
+    function getIdentity() {
+        if (!identityPromise) {
+            identityPromise = getKeyPair()
+                .then(async (record) => ({
+                    fingerprint: await fingerprintOf(record.publicKey),
+                    publicKey: toPublicJwk(await getSubtle().exportKey('jwk', record.publicKey)),
+                    createdAt: record.createdAt,
+                }))
+                .catch(e => {
+                    identityPromise = null;
+                    throw e;
+                });
+        }
+        return identityPromise;
+    }
+
+    /**
+     * SHA-256 of the SubjectPublicKeyInfo, as 16 groups of 4 hex digits
+     */
+    async function fingerprintOf(publicKey) {
+        const spki = await getSubtle().exportKey('spki', publicKey);
+        const hex = toHex(await getSubtle().digest('SHA-256', spki)).toUpperCase();
+        return hex.match(/.{4}/g).join(' ');
+    }
+
+    function toPublicJwk(jwk) {
+        return { kty: jwk.kty, crv: jwk.crv, x: jwk.x, y: jwk.y };
+    }
+
+    // ==========================================================================
+    // TRUSTED KEYS
+    // ==========================================================================
+
+    /**
+     * Keys of other installs whose reports verify as VALID
+     * @returns {Array<{fingerprint: string, addedAt: number}>} Oldest first
+     */
+    function getTrustedKeys() {
+        try {
+            const keys = JSON.parse(localStorage.getItem(TRUSTED_KEYS_KEY) || '[]');
+            return Array.isArray(keys) ? keys.filter(key => key && typeof key.fingerprint === 'string') : [];
+        } catch (e) {
+            return [];
+        }
+    }
+
+    function isTrustedKey(fingerprint) {
+        return getTrustedKeys().some(key => key.fingerprint === fingerprint);
+    }
+
+    /**
+     * Trust a key by fingerprint. Only do this after comparing it with the
+     * fingerprint the signer shared out of band.
+     */
+    function trustKey(fingerprint) {
+        if (!fingerprint || isTrustedKey(fingerprint)) return;
+        const keys = getTrustedKeys();
+        keys.push({ fingerprint, addedAt: Date.now() });
+        localStorage.setItem(TRUSTED_KEYS_KEY, JSON.stringify(keys));
+    }
+
+    function forgetKey(fingerprint) {
+        const keys = getTrustedKeys().filter(key => key.fingerprint !== fingerprint);
+        localStorage.setItem(TRUSTED_KEYS_KEY, JSON.stringify(keys));
+    }
+
+    // ==========================================================================
+    // SIGNING
+    // ==========================================================================
+
+    /**
+     * Signature block for the content bytes
+     * @param {Uint8Array} content - Exactly the bytes the hash covers
+     * @param {string} contentType - json, pdf or html
+     */
+    async function createSignature(content, contentType) {
+        const record = await getKeyPair();
+        const identity = await getIdentity();
+
+        const statement = {
+            format: FORMAT,
+            algorithm: ALGORITHM,
+            content_type: contentType,
+            content_sha256: await sha256Hex(content),
+            signed_at: new Date().toISOString(),
+            key_fingerprint: identity.fingerprint,
+            public_key: identity.publicKey,
+        };
+        const signature = await getSubtle().sign(SIGN_PARAMS, record.privateKey, encodeUtf8(canonicalJson(statement)));
+
+        return { ...statement, value: toBase64(new Uint8Array(signature)) };
+    }
+
+    /**
+     * Sign a JSON report
+     * @param {Object} report - Report without a signature
+     * @returns {Promise<Object>} Copy of the report with a `signature` member
+     */
+    async function signReport(report) {
+        const { signature: _, ...unsigned } = report;
+        const signature = await createSignature(encodeUtf8(canonicalJson(unsigned)), 'json');
+        return { ...unsigned, signature };
+    }
+
+    /**
+     * Sign a PDF or HTML document by appending a signature comment line
+     * @param {Uint8Array|string} content - Document bytes, or HTML text
+     * @param {string} contentType - pdf or html
+     * @returns {Promise<Uint8Array>} Signed document bytes
+     */
+    async function signDocument(content, contentType) {
+        const trailer = TRAILERS[contentType];
+        if (!trailer) {
+            throw new Error(`Cannot sign ${contentType} documents`);
+        }
+
+        const bytes = typeof content === 'string' ? encodeUtf8(content) : content;
+        const signature = await createSignature(bytes, contentType);
+        const line = encodeUtf8(`${trailer.prefix}${toBase64(encodeUtf8(JSON.stringify(signature)))}${trailer.suffix}`);
+
+        const signed = new Uint8Array(bytes.length + line.length);
+        signed.set(bytes, 0);
+        signed.set(line, bytes.length);
+        return signed;
+    }
+
+    // ==========================================================================
+    // VERIFICATION
+    // ==========================================================================
+
+    /**
+     * Check a file exported by Mehr Guard.
+     *
+     * The checks pass when the hash matches the content, the signature over
+     * the statement checks out and the fingerprint belongs to the embedded
+     * key. Anyone can edit a report and sign it again with a new key, so
+     * passing checks give VALID only for this install's key (`thisInstall`)
+     * or a trusted one (`trusted`), and SIGNED_BY_UNKNOWN_KEY otherwise.
+     * A PDF or HTML file with bytes after its signature trailer is ALTERED:
+     * they are not covered by the signature.
+     *
+     * @param {ArrayBuffer|Uint8Array|string} file - File contents
+     * @returns {Promise<Object>} {status, reason?, contentType, fingerprint,
+     *   signedAt, checks: {hash, signature, fingerprint, trailer?}, thisInstall,
+     *   trusted}
+     */
+    async function verify(file) {
+        const bytes = typeof file === 'string' ? encodeUtf8(file)
+            : file instanceof Uint8Array ? file : new Uint8Array(file);
+
+        const found = extractSignature(bytes);
+        if (!found) {
+            return { status: STATUS.UNSIGNED };
+        }
+
+        const { signature, content, contentType, appended } = found;
+        const problem = describeMalformed(signature);
+        if (problem) {
+            return { status: STATUS.INVALID, reason: problem, contentType };
+        }
+
+        const { value, ...statement } = signature;
+        const subtle = getSubtle();
+
+        let publicKey;
+        try {
+            publicKey = await subtle.importKey('jwk', toPublicJwk(signature.public_key), KEY_PARAMS, true, ['verify']);
+        } catch (e) {
+            return { status: STATUS.INVALID, reason: 'The signing key in this file cannot be read', contentType };
+        }
+
+        let signatureValid = false;
+        try {
+            signatureValid = await subtle.verify(SIGN_PARAMS, publicKey, fromBase64(value), encodeUtf8(canonicalJson(statement)));
+        } catch (e) {
+            signatureValid = false;
+        }
+
+        const checks = {
+            hash: await sha256Hex(content) === signature.content_sha256,
+            signature: signatureValid && signature.content_type === contentType,
+            fingerprint: await fingerprintOf(publicKey) === signature.key_fingerprint,
+            ...(contentType !== 'json' && { trailer: !appended }),
+        };
+
+        let thisInstall = null;
+        try {
+            thisInstall = (await getIdentity()).fingerprint === signature.key_fingerprint;
+        } catch (e) {
+            // No local key: the file can still be checked, just not attributed
+        }
+
+        const trusted = isTrustedKey(signature.key_fingerprint);
+        let status = STATUS.ALTERED;
+        if (Object.values(checks).every(Boolean)) {
+            status = thisInstall || trusted ? STATUS.VALID : STATUS.SIGNED_BY_UNKNOWN_KEY;
+        }
+
+        return {
+            status,
+            contentType,
+            fingerprint: signature.key_fingerprint,
+            signedAt: signature.signed_at,
+            checks,
+            thisInstall,
+            trusted,
+        };
+    }
+
+    /**
+     * Find the signature and the bytes it covers
+     * @returns {{signature: Object|null, content: Uint8Array, contentType: string, appended?: boolean}|null}
+     *   Null when the file carries no Mehr Guard signature
+     */
+    function extractSignature(bytes) {
+        const tailStart = Math.max(0, bytes.length - TRAILER_SEARCH_BYTES);
+        const tail = toBinaryString(bytes.subarray(tailStart));
+
+        for (const [contentType, trailer] of Object.entries(TRAILERS)) {
+            const match = trailer.pattern.exec(tail);
+            if (match) {
+                return {
+                    signature: parseJson(decodeUtf8(fromBase64(match[1]))),
+                    content: bytes.subarray(0, tailStart + match.index),
+                    contentType,
+                };
+            }
+        }
+
+        // A trailer that is not at the end: something was added after signing
+        const text = toBinaryString(bytes);
+        for (const [contentType, trailer] of Object.entries(TRAILERS)) {
+            const start = text.lastIndexOf(trailer.prefix);
+            const match = start >= 0 && trailer.line.exec(text.slice(start));
+            if (match) {
+                return {
+                    signature: parseJson(decodeUtf8(fromBase64(match[1]))),
+                    content: bytes.subarray(0, start),
+                    contentType,
+                    appended: true,
+                };
+            }
+        }
+
+        const report = parseJson(decodeUtf8(bytes));
+        if (report && typeof report === 'object' && !Array.isArray(report) && 'signature' in report) {
+            const { signature, ...unsigned } = report;
+            return {
+                signature,
+                content: encodeUtf8(canonicalJson(unsigned)),
+                contentType: 'json',
+            };
+        }
+        return null;
+    }
+
+    function describeMalformed(signature) {
+        if (!signature || typeof signature !== 'object') {
+            return 'The signature is not readable';
+        }
+        if (signature.format !== FORMAT || signature.algorithm !== ALGORITHM) {
+            return 'The signature uses an unsupported format';
+        }
+        const fields = ['content_type', 'content_sha256', 'signed_at', 'key_fingerprint', 'value'];
+        if (fields.some(field => typeof signature[field] !== 'string') ||
+            !signature.public_key || typeof signature.public_key !== 'object') {
+            return 'The signature is incomplete';
+        }
+        return null;
+    }
+
+    // ==========================================================================
+    // ENCODING
+    // ==========================================================================
+
+    /**
+     * JSON with object keys sorted and no whitespace, so the same report
+     * always hashes the same however it was formatted
+     */
+    function canonicalJson(value) {
+        if (Array.isArray(value)) {
+            return `[${value.map(item => canonicalJson(item === undefined ? null : item)).join(',')}]`;
+        }
+        if (value && typeof value === 'object') {
+            return `{${Object.keys(value).sort()
+                .filter(key => value[key] !== undefined)
+                .map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`)
+                .join(',')}}`;
+        }
+        return JSON.stringify(value);
+    }
+
+    async function sha256Hex(bytes) {
+        return toHex(await getSubtle().digest('SHA-256', bytes));
+    }
+
+    function toHex(buffer) {
+        return Array.from(new Uint8Array(buffer), byte => byte.toString(16).padStart(2, '0')).join('');
+    }
+
+    function encodeUtf8(text) {
+        return new TextEncoder().encode(text);
+    }
+
+    function decodeUtf8(bytes) {
+        return new TextDecoder().decode(bytes);
+    }
+
+    /**
+     * One character per byte, so string offsets are byte offsets
+     */
+    function toBinaryString(bytes) {
+        let out = '';
+        for (let i = 0; i < bytes.length; i += 0x8000) {
+            out += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+        }
+        return out;
+    }
+
+    function toBase64(bytes) {
+        return btoa(toBinaryString(bytes));
+    }
+
+    function fromBase64(text) {
+        try {
+            return Uint8Array.from(atob(text), char => char.charCodeAt(0));
+        } catch (e) {
+            return new Uint8Array(0);
+        }
+    }
+
+    function parseJson(text) {
+        try {
+            return JSON.parse(text);
+        } catch (e) {
+            return null;
+        }
+    }
+
+    // Expose public API
+    window.MehrGuardSigning = {
+        FORMAT,
+        ALGORITHM,
+        STATUS,
+        getIdentity,
+        signReport,
+        signDocument,
+        verify,
+        getTrustedKeys,
+        trustKey,
+        forgetKey,
+        canonicalJson,
+    };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = window.MehrGuardSigning;
+    }
+
+})();
@@ -0,0 +1,352 @@
+/**
+ * Mehr Guard STIX 2.1 Export
+ *
+ * Turns stored scans into a STIX 2.1 bundle for threat-intel platforms:
+ * - a Mehr Guard `identity` that creates every object
+ * - `observed-data` for each URL scan, with its url and domain-name
+ *   (or IP address) observables
+ * - `indicator` objects with URL patterns for malicious and suspicious
+ *   scans, plus domain patterns for malicious ones, linked to the
+ *   observations they are `based-on`
+ *
+ * Reason codes become indicator labels and MITRE ATT&CK kill-chain phases.
+ *
+ * Output is deterministic: ids are UUIDv5 names of the content, timestamps
+ * come from the scans, and objects are sorted, so the same scans always give
+ * the same bundle.
+ *
+ * @author Mehr Guard Team
+ * @version 2.4.1
+ */
+
+(function () {
+    'use strict';
+
+    // ==========================================================================
+    // CONFIGURATION
+    // ==========================================================================
+
+    const SPEC_VERSION = '2.1';
+
+    // STIX 2.1 namespace for deterministic observable ids (spec section 2.9)
+    const SCO_NAMESPACE = '00abedb4-aa42-466c-9c01-fed23315a9b7';
+
+    // Mehr Guard namespace for the ids of its own objects
+    const MEHRGUARD_NAMESPACE = '5d1e5f0a-8c3b-4b5e-9f57-3c2b1d0e7a64';
+
+    const IDENTITY = Object.freeze({
+        name: 'Mehr Guard',
+        created: '2025-01-01T00:00:00.000Z',
+        description: 'Offline QR code phishing scanner',
+    });
+
+    const KILL_CHAIN_NAME = 'mitre-attack';
+
+    // Reason code -> ATT&CK tactics. Codes not listed still become labels.
+    const REASON_PHASES = Object.freeze({
+        JAVASCRIPT_URL: ['execution'],
+        DATA_URI: ['initial-access', 'defense-evasion'],
+        AT_SYMBOL_INJECTION: ['defense-evasion'],
+        HOMOGRAPH: ['resource-development', 'defense-evasion'],
+        MIXED_SCRIPT: ['resource-development', 'defense-evasion'],
+        LOOKALIKE_CHARS: ['resource-development', 'defense-evasion'],
+        ZERO_WIDTH_CHARS: ['defense-evasion'],
+        IP_HOST: ['defense-evasion'],
+        CREDENTIAL_PARAM: ['credential-access'],
+        BRAND_IMPERSONATION: ['resource-development', 'initial-access'],
+        BRAND_IN_SUBDOMAIN: ['resource-development', 'initial-access'],
+        RISKY_EXTENSION: ['execution'],
+        DOUBLE_EXTENSION: ['execution', 'defense-evasion'],
+        ENCODED_PAYLOAD: ['defense-evasion'],
+        SUSPICIOUS_TLD: ['resource-development'],
+        HIGH_ENTROPY_HOST: ['resource-development'],
+        REDIRECT_PARAM: ['defense-evasion'],
+        DEEP_SUBDOMAIN: ['resource-development'],
+        MULTI_TLD: ['resource-development'],
+        NUMERIC_SUBDOMAIN: ['resource-development'],
+        NON_STANDARD_PORT: ['command-and-control'],
+        SUSPICIOUS_PORT: ['command-and-control'],
+        FRAGMENT_HIDING: ['defense-evasion'],
+        EXCESSIVE_ENCODING: ['defense-evasion'],
+        DOMAIN_AGE_PATTERN: ['resource-development'],
+        URL_SHORTENER: ['defense-evasion'],
+        SUSPICIOUS_PATH: ['credential-access'],
+        CREDENTIAL_KEYWORDS: ['credential-access'],
+    });
+
+    // Engine bookkeeping codes that say nothing about the threat
+    const IGNORED_REASONS = new Set(['ANALYSIS_COMPLETE', 'UNPARSEABLE']);
+
+    // Objects are sorted by type in this order, then by id
+    const TYPE_ORDER = ['identity', 'indicator', 'observed-data', 'url', 'domain-name', 'ipv4-addr', 'ipv6-addr', 'relationship'];
+
+    // ==========================================================================
+    // BUNDLE
+    // ==========================================================================
+
+    /**
+     * Build a STIX 2.1 bundle.
+     * @param {Array<Object>} scans - Report data (MehrGuardReport.fromScan):
+     *   url, verdict (SAFE/SUSPICIOUS/MALICIOUS/UNKNOWN), score, timestamp,
+     *   scanId, analysis, payload
+     * @returns {Promise<{bundle: Object, skipped: number}>} Scans of non-URL
+     *   content or without a timestamp are skipped
+     */
+    async function buildBundle(scans) {
+        const identityId = `identity--${await uuidV5(MEHRGUARD_NAMESPACE, 'identity:mehrguard')}`;
+        const objects = new Map();
+        const indicators = new Map();
+        let skipped = 0;
+
+        objects.set(identityId, {
+            type: 'identity',
+            spec_version: SPEC_VERSION,
+            id: identityId,
+            created: IDENTITY.created,
+            modified: IDENTITY.created,
+            name: IDENTITY.name,
+            description: IDENTITY.description,
+            identity_class: 'system',
+        });
+
+        const usable = [];
+        scans.forEach(scan => {
+            const parsed = !scan.payload && scan.timestamp ? parseUrl(scan.url) : null;
+            if (parsed) {
+                usable.push({ scan, parsed, time: new Date(scan.timestamp).toISOString() });
+            } else {
+                skipped++;
+            }
+        });
+        usable.sort((a, b) => compare(a.time, b.time) ||
+            compare(String(a.scan.scanId || ''), String(b.scan.scanId || '')) ||
+            compare(a.parsed.url, b.parsed.url));
+
+        for (const { scan, parsed, time } of usable) {
+            const urlObject = await createObservable('url', parsed.url);
+            const hostObject = await createObservable(parsed.hostType, parsed.host);
+            objects.set(urlObject.id, urlObject);
+            objects.set(hostObject.id, hostObject);
+
+            const verdict = scan.verdict || 'UNKNOWN';
+            const reasons = getReasonCodes(scan);
+            const observedId = `observed-data--${await uuidV5(MEHRGUARD_NAMESPACE,
+                `observed-data:${scan.scanId || ''}:${time}:${parsed.url}`)}`;
+            objects.set(observedId, {
+                type: 'observed-data',
+                spec_version: SPEC_VERSION,
+                id: observedId,
+                created_by_ref: identityId,
+                created: time,
+                modified: time,
+                first_observed: time,
+                last_observed: time,
+                number_observed: 1,
+                object_refs: [urlObject.id, hostObject.id],
+                x_mehrguard_scan_id: scan.scanId || undefined,
+                x_mehrguard_verdict: verdict,
+                x_mehrguard_risk_score: Math.round(Number(scan.score) || 0),
+                x_mehrguard_reason_codes: reasons.length ? reasons : undefined,
+            });
+
+            if (verdict === 'MALICIOUS' || verdict === 'SUSPICIOUS') {
+                addIndicatorSighting(indicators, 'url', parsed.url, verdict, reasons, time, observedId);
+            }
+            if (verdict === 'MALICIOUS') {
+                addIndicatorSighting(indicators, parsed.hostType, parsed.host, verdict, reasons, time, observedId);
+            }
+        }
+
+        for (const entry of indicators.values()) {
+            const indicator = await createIndicator(entry, identityId);
+            objects.set(indicator.id, indicator);
+
+            for (const observedId of entry.observations) {
+                const relationshipId = `relationship--${await uuidV5(MEHRGUARD_NAMESPACE,
+                    `relationship:based-on:${indicator.id}:${observedId}`)}`;
+                const observedTime = objects.get(observedId).created;
+                objects.set(relationshipId, {
+                    type: 'relationship',
+                    spec_version: SPEC_VERSION,
+                    id: relationshipId,
+                    created_by_ref: identityId,
+                    created: observedTime,
+                    modified: observedTime,
+                    relationship_type: 'based-on',
+                    source_ref: indicator.id,
+                    target_ref: observedId,
+                });
+            }
+        }
+
+        const sorted = Array.from(objects.values())
+            .map(stripUndefined)
+            .sort((a, b) => TYPE_ORDER.indexOf(a.type) - TYPE_ORDER.indexOf(b.type) || compare(a.id, b.id));
+        const bundleId = `bundle--${await uuidV5(MEHRGUARD_NAMESPACE,
+            `bundle:${sorted.map(object => object.id).join(',')}`)}`;
+
+        return {
+            bundle: { type: 'bundle', id: bundleId, objects: sorted },
+            skipped,
+        };
+    }
+
+    /**
+     * Serialize a bundle the same way every time
+     * @returns {string}
+     */
+    function stringify(bundle) {
+        return JSON.stringify(bundle, null, 2) + '\n';
+    }
+
+    // ==========================================================================
+    // OBJECTS
+    // ==========================================================================
+
+    async function createObservable(type, value) {
+        // Deterministic SCO ids hash the id-contributing properties (value)
+        const id = `${type}--${await uuidV5(SCO_NAMESPACE, JSON.stringify({ value }))}`;
+        return { type, spec_version: SPEC_VERSION, id, value };
+    }
+
+    /**
+     * Merge one scan into the indicator for its URL or host
+     */
+    function addIndicatorSighting(indicators, type, value, verdict, reasons, time, observedId) {
+        const key = `${type}:${value}`;
+        const entry = indicators.get(key) || {
+            type,
+            value,
+            malicious: false,
+            reasons: new Set(),
+            first: time,
+            last: time,
+            observations: [],
+        };
+        entry.malicious = entry.malicious || verdict === 'MALICIOUS';
+        reasons.forEach(code => entry.reasons.add(code));
+        if (time < entry.first) entry.first = time;
+        if (time > entry.last) entry.last = time;
+        entry.observations.push(observedId);
+        indicators.set(key, entry);
+    }
+
+    async function createIndicator(entry, identityId) {
+        const pattern = `[${entry.type}:value = '${escapePatternString(entry.value)}']`;
+        const id = `indicator--${await uuidV5(MEHRGUARD_NAMESPACE, `indicator:${pattern}`)}`;
+        const reasons = Array.from(entry.reasons).sort();
+        const subject = entry.type === 'url' ? 'URL' : 'host';
+
+        return {
+            type: 'indicator',
+            spec_version: SPEC_VERSION,
+            id,
+            created_by_ref: identityId,
+            created: entry.first,
+            modified: entry.last,
+            name: `${entry.malicious ? 'Malicious' : 'Suspicious'} ${subject}: ${entry.value}`,
+            description: reasons.length
+                ? `Flagged by Mehr Guard for: ${reasons.join(', ')}`
+                : 'Flagged by Mehr Guard',
+            indicator_types: [entry.malicious ? 'malicious-activity' : 'anomalous-activity'],
+            pattern,
+            pattern_type: 'stix',
+            pattern_version: SPEC_VERSION,
+            valid_from: entry.first,
+            labels: reasons.length ? reasons.map(toLabel) : undefined,
+            kill_chain_phases: getKillChainPhases(reasons),
+        };
+    }
+
+    function getReasonCodes(scan) {
+        const codes = (scan.analysis?.reasons || [])
+            .map(reason => reason.code)
+            .filter(code => code && !IGNORED_REASONS.has(code));
+        return Array.from(new Set(codes)).sort();
+    }
+
+    function toLabel(code) {
+        return code.toLowerCase().replace(/_/g, '-');
+    }
+
+    function getKillChainPhases(reasons) {
+        const phases = new Set();
+        reasons.forEach(code => (REASON_PHASES[code] || []).forEach(phase => phases.add(phase)));
+        if (phases.size === 0) return undefined;
+        return Array.from(phases).sort().map(phase => ({
+            kill_chain_name: KILL_CHAIN_NAME,
+            phase_name: phase,
+        }));
+    }
+
+    // ==========================================================================
+    // HELPERS
+    // ==========================================================================
+
+    /**
+     * URL, host and host observable type of http(s) content
+     * @returns {{url: string, host: string, hostType: string}|null}
+     */
+    function parseUrl(content) {
+        let url;
+        try {
+            url = new URL(String(content || '').trim());
+        } catch (e) {
+            return null;
+        }
+        if ((url.protocol !== 'http:' && url.protocol !== 'https:') || !url.hostname) return null;
+
+        const hostname = url.hostname;
+        if (hostname.startsWith('[')) {
+            return { url: url.href, host: hostname.slice(1, -1), hostType: 'ipv6-addr' };
+        }
+        if (/^\d{1,3}(\.\d{1,3}){3}$/.test(hostname)) {
+            return { url: url.href, host: hostname, hostType: 'ipv4-addr' };
+        }
+        return { url: url.href, host: hostname, hostType: 'domain-name' };
+    }
+
+    function escapePatternString(value) {
+        return value.replace(/\\/g, '\\\\').replace(/'/g, "\\'");
+    }
+
+    // Code-unit order, so sorting does not depend on the browser locale
+    function compare(a, b) {
+        return a < b ? -1 : a > b ? 1 : 0;
+    }
+
+    function stripUndefined(object) {
+        return Object.fromEntries(Object.entries(object).filter(([, value]) => value !== undefined));
+    }
+
+    /**
+     * RFC 4122 name-based UUID (version 5, SHA-1)
+     */
+    async function uuidV5(namespace, name) {
+        const namespaceBytes = namespace.replace(/-/g, '').match(/../g).map(byte => parseInt(byte, 16));
+        const nameBytes = new TextEncoder().encode(name);
+        const input = new Uint8Array(namespaceBytes.length + nameBytes.length);
+        input.set(namespaceBytes);
+        input.set(nameBytes, namespaceBytes.length);
+
+        const hash = new Uint8Array(await crypto.subtle.digest('SHA-1', input)).slice(0, 16);
+        hash[6] = (hash[6] & 0x0f) | 0x50;
+        hash[8] = (hash[8] & 0x3f) | 0x80;
+
+        const hex = Array.from(hash, byte => byte.toString(16).padStart(2, '0')).join('');
+        return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+    }
+
+    // Expose public API
+    window.MehrGuardStix = {
+        SPEC_VERSION,
+        REASON_PHASES,
+        buildBundle,
+        stringify,
+    };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = window.MehrGuardStix;
+    }
+
+})();
@@ -8,7 +8,7 @@
  * - Includes extensive debug logging
  */
 
-const CACHE_VERSION = 'v2.17.0';
+const CACHE_VERSION = 'v2.18.0';
 const CACHE_NAME = `mehr-guard-${CACHE_VERSION}`;
 
 // Debug mode - logs all cache operations
@@ -39,6 +39,8 @@ const PRECACHE_ASSETS = [
     './trust.html',
     './onboarding.html',
     './game.html',
+    './batch.html',
+    './verify.html',
 
     // Stylesheets (CSS)
     './dashboard.css',
@@ -49,6 +51,8 @@ const PRECACHE_ASSETS = [
     './trust.css',
     './onboarding.css',
     './game.css',
+    './batch.css',
+    './verify.css',
     './theme.css',
     './transitions.css',
     './shared-ui.css',
@@ -64,12 +68,38 @@ const PRECACHE_ASSETS = [
     './trust.js',
     './onboarding.js',
     './game.js',
+    './batch.js',
+    './verify.js',
     './theme.js',
     './transitions.js',
     './shared-ui.js',
+    './history-store.js',
+    './policy.js',
+    './payload.js',
+    './multiqr.js',
+    './barcodes.js',
+    './decoder.js',
+    './decoder-worker.js',
+    './image-pipeline.js',
+    './image-pipeline-worker.js',
+    './qr-forensics.js',
+    './pdf.min.js',
+    './pdf.worker.min.js',
+    './pdf-scan.js',
+    './email-scan.js',
+    './clipboard-scan.js',
+    './pdf-writer.js',
+    './report.js',
+    './stix.js',
+    './misp.js',
+    './review-report.js',
+    './signing.js',
+    './abuse-report.js',
     './platform-bridge.js',
     './webApp.js',
+    './engine-host.js',
     './jsQR.min.js',
+    './zxing.min.js',
     './visualizer.js',
 
     // Fonts
@@ -87,6 +117,9 @@ const PRECACHE_ASSETS = [
     './assets/shield-warning.svg',
     './assets/shield-danger.svg',
 
+    // Report schemas
+    './schemas/report-v1.schema.json',
+
     // PWA Manifest
     './manifest.json'
 ];
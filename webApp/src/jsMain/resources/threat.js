@@ -15,6 +15,8 @@
 const ThreatConfig = {
     version: '2.4.1',
     storageKey: 'mehrguard_threat_data',
+    historyPageSize: 10,
+    historySearchDelay: 250,
 };
 
 // =============================================================================
@@ -24,6 +26,20 @@ const ThreatConfig = {
 const ThreatState = {
     threatData: null,
     isSidebarOpen: false,
+    // Scan history view: filters map onto the history store indexes
+    historyQuery: {
+        text: '',
+        verdict: '',
+        reasonCode: '',
+        registrableDomain: '',
+        page: 0,
+    },
+    historySearchTimer: null,
+    historyRenderId: 0,
+    // Scans ticked for STIX export; kept across pages and filters
+    selectedScanIds: new Set(),
+    // Abuse report being prepared: { data, recipients } while the dialog is open
+    abuseReport: null,
 };
 
 function translateText(text) {
@@ -63,12 +79,20 @@ const elements = {
     scanId: null,
     scanIdLabel: null,
     scanTime: null,
+    engineVersion: null,
 
     // Buttons
     blockBtn: null,
     exportReportBtn: null,
     notificationBtn: null,
 
+    // Abuse report dialog
+    reportDialog: null,
+    reportDialogClose: null,
+    reportRecipients: null,
+    reportCancelBtn: null,
+    reportDownloadBtn: null,
+
     // Toast
     toast: null,
     toastMessage: null,
@@ -126,9 +150,9 @@ document.addEventListener('DOMContentLoaded', () => {
     // Cache DOM elements
     cacheElements();
 
-    // Load threat data (may need to wait for MehrGuardUI)
-    setTimeout(() => {
-        loadThreatData();
+    // Load threat data once the scan history has been read from IndexedDB
+    const historyReady = window.MehrGuardUI?.whenHistoryReady?.() || Promise.resolve();
+    historyReady.then(loadThreatData).then(() => {
 
         // Render UI
         renderUI();
@@ -145,7 +169,7 @@ document.addEventListener('DOMContentLoaded', () => {
         window.mehrguardApplyTranslations?.(document.body);
 
         console.log('[Mehr Guard Threat] Ready');
-    }, 100);
+    });
 
     // Setup event listeners
     setupEventListeners();
@@ -168,9 +192,15 @@ function cacheElements() {
     elements.scanId = document.getElementById('scanId');
     elements.scanIdLabel = document.getElementById('scanIdLabel');
     elements.scanTime = document.getElementById('scanTime');
+    elements.engineVersion = document.getElementById('engineVersion');
     elements.blockBtn = document.getElementById('blockBtn');
     elements.exportReportBtn = document.getElementById('exportReportBtn');
     elements.notificationBtn = document.getElementById('notificationBtn');
+    elements.reportDialog = document.getElementById('reportDialog');
+    elements.reportDialogClose = document.getElementById('reportDialogClose');
+    elements.reportRecipients = document.getElementById('reportRecipients');
+    elements.reportCancelBtn = document.getElementById('reportCancelBtn');
+    elements.reportDownloadBtn = document.getElementById('reportDownloadBtn');
     elements.toast = document.getElementById('toast');
     elements.toastMessage = document.getElementById('toastMessage');
 }
@@ -188,6 +218,14 @@ function setupEventListeners() {
     // Export Report button
     elements.exportReportBtn?.addEventListener('click', exportThreatReport);
 
+    // Abuse report dialog
+    elements.reportDialogClose?.addEventListener('click', closeReportDialog);
+    elements.reportCancelBtn?.addEventListener('click', closeReportDialog);
+    elements.reportDownloadBtn?.addEventListener('click', downloadAbuseReport);
+    elements.reportDialog?.addEventListener('click', (e) => {
+        if (e.target === elements.reportDialog) closeReportDialog();
+    });
+
     // Notification button
     elements.notificationBtn?.addEventListener('click', () => {
         showToast('No new notifications', 'info');
@@ -196,9 +234,12 @@ function setupEventListeners() {
     // Clear history button
     const clearHistoryBtn = document.getElementById('clearHistoryBtn');
     if (clearHistoryBtn) {
-        clearHistoryBtn.addEventListener('click', () => {
+        clearHistoryBtn.addEventListener('click', async () => {
             if (window.MehrGuardUI) {
-                window.MehrGuardUI.clearScanHistory();
+                await window.MehrGuardUI.clearScanHistory();
+                resetHistoryFilters();
+                ThreatState.selectedScanIds.clear();
+                renderHistorySelection();
 
                 // Reset threat data to unknown (no activity)
                 ThreatState.threatData = {
@@ -221,6 +262,8 @@ function setupEventListeners() {
         });
     }
 
+    setupHistoryFilters();
+
     // Keyboard shortcuts
     setupKeyboardShortcuts();
 }
@@ -231,8 +274,9 @@ function setupEventListeners() {
 
 /**
  * Load threat data from URL params, localStorage, or scan history
+ * @returns {Promise<void>}
  */
-function loadThreatData() {
+async function loadThreatData() {
     // Try to get from URL params first
     const params = new URLSearchParams(window.location.search);
     const urlParam = params.get('url');
@@ -243,13 +287,19 @@ function loadThreatData() {
     // 1. Try URL parameters
     if (urlParam) {
         const score = parseInt(scoreParam) || 0; // Use 0 when score missing (consistent with UNKNOWN verdict)
+        const url = decodeURIComponent(urlParam);
+        // Prefer the snapshot stored with the scan when the link names one
+        const scan = scanIdParam ? await window.MehrGuardUI?.loadScanById(scanIdParam) : null;
         ThreatState.threatData = {
-            url: decodeURIComponent(urlParam),
+            url,
             score: score,
             verdict: verdictParam || mapScoreToVerdict(score),
             scanId: scanIdParam || generateScanId(),
             timestamp: Date.now(),
-            attacks: generateAttacksFromUrl(decodeURIComponent(urlParam), verdictParam, []),
+            attacks: scan?.analysis
+                ? generateAttacksFromAnalysis(url, scan.analysis)
+                : generateAttacksFromUrl(url, verdictParam, []),
+            analysis: scan?.analysis || null,
             isDemo: false,
         };
         return;
@@ -257,7 +307,7 @@ function loadThreatData() {
 
     // 2. Try scanId from URL to look up in history
     if (scanIdParam && window.MehrGuardUI) {
-        const scan = window.MehrGuardUI.getScanById(scanIdParam);
+        const scan = await window.MehrGuardUI.loadScanById(scanIdParam);
         if (scan) {
             ThreatState.threatData = {
                 url: scan.url,
@@ -265,8 +315,9 @@ function loadThreatData() {
                 verdict: mapVerdictToLevel(scan.verdict),
                 scanId: scan.id,
                 timestamp: scan.timestamp,
-                attacks: generateAttacksFromUrl(scan.url, scan.verdict, scan.signals || []),
+                attacks: getAttacksForScan(scan),
                 signals: scan.signals || [],
+                analysis: scan.analysis || null,
                 isDemo: false,
             };
             return;
@@ -296,8 +347,9 @@ function loadThreatData() {
                 verdict: mapVerdictToLevel(recentScan.verdict),
                 scanId: recentScan.id,
                 timestamp: recentScan.timestamp,
-                attacks: generateAttacksFromUrl(recentScan.url, recentScan.verdict, recentScan.signals || []),
+                attacks: getAttacksForScan(recentScan),
                 signals: recentScan.signals || [],
+                analysis: recentScan.analysis || null,
                 isDemo: false,
             };
             return;
@@ -412,6 +464,22 @@ function renderUI() {
         elements.scanTime.textContent = formatScanTime(data.timestamp);
     }
 
+    // Engine that produced the stored analysis (current engine for older entries)
+    if (elements.engineVersion) {
+        const version = data.analysis?.engineVersion || window.mehrguardEngineInfo?.version;
+        elements.engineVersion.textContent = version
+            ? formatText('Offline Core v{version}', { version })
+            : translateText('Offline Core');
+        const versions = data.analysis?.dataVersions;
+        elements.engineVersion.title = versions
+            ? formatText('ML model {ml} · Threat intel {intel} ({entries} entries)', {
+                ml: versions.mlModel || '—',
+                intel: versions.threatIntel || '—',
+                entries: versions.threatIntelEntries ?? '—',
+            })
+            : '';
+    }
+
     // Update the URL in meta section
     const sourceValue = document.querySelector('.meta-item .meta-value');
     if (sourceValue && data.url) {
@@ -556,6 +624,16 @@ function escapeHtml(text) {
     return div.innerHTML;
 }
 
+/**
+ * escapeHtml for quoted attribute values: it also escapes quotes, which
+ * escapeHtml keeps, so stored URLs cannot close the attribute
+ */
+function escapeAttribute(text) {
+    return escapeHtml(text)
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
 /**
  * Format scan timestamp
  */
@@ -589,22 +667,54 @@ function formatScanTime(timestamp) {
 }
 
 /**
- * Render the scan history list
+ * Render one page of the scan history list for the current filters
+ * @returns {Promise<void>}
  */
-function renderScanHistory() {
+async function renderScanHistory() {
     const historyContainer = document.getElementById('historyList');
-    if (!historyContainer) return;
+    if (!historyContainer || !window.MehrGuardUI) return;
 
-    // Wait for MehrGuardUI
-    if (!window.MehrGuardUI) {
-        setTimeout(renderScanHistory, 100);
-        return;
+    const query = ThreatState.historyQuery;
+    const pageSize = ThreatConfig.historyPageSize;
+    const renderId = ++ThreatState.historyRenderId;
+
+    let page;
+    try {
+        page = await window.MehrGuardUI.queryScanHistory({
+            text: query.text,
+            verdict: query.verdict,
+            reasonCode: query.reasonCode,
+            registrableDomain: query.registrableDomain,
+            offset: query.page * pageSize,
+            limit: pageSize,
+        });
+    } catch (e) {
+        console.error('[Threat] Failed to query scan history:', e);
+        page = { items: [], total: 0 };
     }
 
-    const history = window.MehrGuardUI.getScanHistory();
+    // A newer render (filter change, page flip) has started meanwhile
+    if (renderId !== ThreatState.historyRenderId) return;
+
+    // Entries removed since the last render can leave us past the last page
+    if (page.items.length === 0 && page.total > 0 && query.page > 0) {
+        query.page = Math.floor((page.total - 1) / pageSize);
+        return renderScanHistory();
+    }
 
-    if (history.length === 0) {
-        historyContainer.innerHTML = `
+    renderHistoryActiveFilters();
+    renderHistoryPager(page.total);
+    refreshReasonFilterOptions();
+
+    if (page.total === 0) {
+        historyContainer.innerHTML = hasHistoryFilters()
+            ? `
+            <div class="history-empty">
+                <span class="material-symbols-outlined">search_off</span>
+                <p>${translateText('No scans match these filters')}</p>
+            </div>
+        `
+            : `
             <div class="history-empty blue">
                 <span class="material-symbols-outlined">schedule</span>
                 <p data-i18n="VerdictNoActivity">${translateText('VerdictNoActivity')}</p>
@@ -614,24 +724,28 @@ function renderScanHistory() {
         return;
     }
 
-    // Render history items (show last 10)
-    const recentHistory = history.slice(0, 10);
-    historyContainer.innerHTML = recentHistory.map(scan => {
+    historyContainer.innerHTML = page.items.map(scan => {
         const verdictClass = getVerdictClass(scan.verdict);
         const verdictLabel = getVerdictLabel(scan.verdict);
         const icon = getVerdictIcon(scan.verdict);
+        const domain = scan.registrableDomain;
+        const selected = ThreatState.selectedScanIds.has(scan.id);
 
         return `
-            <div class="history-item" data-scan-id="${scan.id}">
+            <div class="history-item${selected ? ' selected' : ''}" data-scan-id="${escapeAttribute(scan.id)}">
+                <input type="checkbox" class="history-select" ${selected ? 'checked' : ''}
+                    aria-label="${escapeAttribute(formatText('Select scan of {url}', { url: scan.url || '' }))}">
                 <div class="history-icon ${verdictClass}">
                     <span class="material-symbols-outlined">${icon}</span>
                 </div>
                 <div class="history-content">
-                    <div class="history-url">${truncateUrl(scan.url)}</div>
+                    <div class="history-url" title="${escapeAttribute(scan.url || '')}">${escapeHtml(truncateUrl(scan.url))}</div>
                     <div class="history-meta">
                         <span class="history-badge ${verdictClass}">${verdictLabel}</span>
                         <span>${formatScanTime(scan.timestamp)}</span>
                         ${scan.score ? `<span class="history-score">${scan.score}%</span>` : ''}
+                        ${domain ? `<button type="button" class="history-domain" data-domain="${escapeAttribute(domain)}"
+                            title="${escapeAttribute(formatText('Show scans of {domain}', { domain }))}">${escapeHtml(domain)}</button>` : ''}
                     </div>
                 </div>
                 <span class="material-symbols-outlined" style="color: #64748b;">chevron_right</span>
@@ -648,6 +762,267 @@ function renderScanHistory() {
             viewScanDetails(scanId);
         });
     });
+
+    historyContainer.querySelectorAll('.history-select').forEach(checkbox => {
+        checkbox.addEventListener('click', (e) => e.stopPropagation());
+        checkbox.addEventListener('change', () => {
+            const item = checkbox.closest('.history-item');
+            toggleScanSelection(item.dataset.scanId, checkbox.checked);
+            item.classList.toggle('selected', checkbox.checked);
+        });
+    });
+
+    historyContainer.querySelectorAll('.history-domain').forEach(button => {
+        button.addEventListener('click', (e) => {
+            e.stopPropagation();
+            updateHistoryQuery({ registrableDomain: button.dataset.domain });
+        });
+    });
+}
+
+/**
+ * Wire up the history search box, filters and pager
+ */
+function setupHistoryFilters() {
+    const search = document.getElementById('historySearch');
+    search?.addEventListener('input', () => {
+        clearTimeout(ThreatState.historySearchTimer);
+        ThreatState.historySearchTimer = setTimeout(() => {
+            updateHistoryQuery({ text: search.value.trim() });
+        }, ThreatConfig.historySearchDelay);
+    });
+
+    document.getElementById('historyVerdictFilter')?.addEventListener('change', (e) => {
+        updateHistoryQuery({ verdict: e.target.value });
+    });
+
+    document.getElementById('historyReasonFilter')?.addEventListener('change', (e) => {
+        updateHistoryQuery({ reasonCode: e.target.value });
+    });
+
+    document.getElementById('historyPrevBtn')?.addEventListener('click', () => {
+        if (ThreatState.historyQuery.page > 0) {
+            ThreatState.historyQuery.page--;
+            renderScanHistory();
+        }
+    });
+
+    document.getElementById('historyNextBtn')?.addEventListener('click', () => {
+        ThreatState.historyQuery.page++;
+        renderScanHistory();
+    });
+
+    document.getElementById('historyExportStixBtn')?.addEventListener('click', exportSelectedScansAsStix);
+    document.getElementById('historyExportMispBtn')?.addEventListener('click', exportSelectedScansAsMisp);
+
+    document.getElementById('historyClearSelectionBtn')?.addEventListener('click', () => {
+        ThreatState.selectedScanIds.clear();
+        renderHistorySelection();
+        renderScanHistory();
+    });
+}
+
+/**
+ * Change one or more filters and go back to the first page
+ */
+function updateHistoryQuery(changes) {
+    Object.assign(ThreatState.historyQuery, changes, { page: 0 });
+    renderScanHistory();
+}
+
+function resetHistoryFilters() {
+    ThreatState.historyQuery = { text: '', verdict: '', reasonCode: '', registrableDomain: '', page: 0 };
+    const search = document.getElementById('historySearch');
+    if (search) search.value = '';
+    const verdictFilter = document.getElementById('historyVerdictFilter');
+    if (verdictFilter) verdictFilter.value = '';
+    const reasonFilter = document.getElementById('historyReasonFilter');
+    if (reasonFilter) reasonFilter.value = '';
+}
+
+function hasHistoryFilters() {
+    const { text, verdict, reasonCode, registrableDomain } = ThreatState.historyQuery;
+    return !!(text || verdict || reasonCode || registrableDomain);
+}
+
+/**
+ * Show the domain filter (set by clicking a domain in the list) as a removable chip
+ */
+function renderHistoryActiveFilters() {
+    const container = document.getElementById('historyActiveFilters');
+    if (!container) return;
+
+    const domain = ThreatState.historyQuery.registrableDomain;
+    container.hidden = !domain;
+    if (!domain) {
+        container.innerHTML = '';
+        return;
+    }
+
+    container.innerHTML = `
+        <button type="button" class="history-filter-chip" id="historyDomainChip"
+            aria-label="${escapeAttribute(formatText('Remove domain filter {domain}', { domain }))}">
+            <span class="material-symbols-outlined">domain</span>
+            ${escapeHtml(domain)}
+            <span class="material-symbols-outlined">close</span>
+        </button>
+    `;
+    document.getElementById('historyDomainChip')?.addEventListener('click', () => {
+        updateHistoryQuery({ registrableDomain: '' });
+    });
+}
+
+function renderHistoryPager(total) {
+    const pager = document.getElementById('historyPager');
+    if (!pager) return;
+
+    const pageSize = ThreatConfig.historyPageSize;
+    const pageCount = Math.max(1, Math.ceil(total / pageSize));
+    const page = ThreatState.historyQuery.page;
+
+    pager.hidden = total <= pageSize;
+
+    const info = document.getElementById('historyPageInfo');
+    if (info) {
+        info.textContent = formatText('Page {page} of {pages} · {count} scans', {
+            page: page + 1,
+            pages: pageCount,
+            count: total,
+        });
+    }
+
+    const prevBtn = document.getElementById('historyPrevBtn');
+    if (prevBtn) prevBtn.disabled = page === 0;
+    const nextBtn = document.getElementById('historyNextBtn');
+    if (nextBtn) nextBtn.disabled = page >= pageCount - 1;
+}
+
+function toggleScanSelection(scanId, selected) {
+    if (selected) {
+        ThreatState.selectedScanIds.add(scanId);
+    } else {
+        ThreatState.selectedScanIds.delete(scanId);
+    }
+    renderHistorySelection();
+}
+
+/**
+ * Show the selection bar while scans are ticked
+ */
+function renderHistorySelection() {
+    const bar = document.getElementById('historySelection');
+    if (!bar) return;
+
+    const count = ThreatState.selectedScanIds.size;
+    bar.hidden = count === 0;
+
+    const label = document.getElementById('historySelectionCount');
+    if (label) {
+        label.textContent = formatText('{count} selected', { count });
+    }
+}
+
+/**
+ * Download the ticked scans as one STIX 2.1 bundle
+ */
+async function exportSelectedScansAsStix() {
+    const scanIds = Array.from(ThreatState.selectedScanIds);
+    if (scanIds.length === 0) return;
+    if (!window.MehrGuardStix || !window.MehrGuardReport) {
+        showToast('STIX export unavailable', 'error');
+        return;
+    }
+
+    try {
+        const scans = (await Promise.all(scanIds.map(id => window.MehrGuardUI.loadScanById(id)))).filter(Boolean);
+        const { bundle, skipped } = await window.MehrGuardStix.buildBundle(
+            scans.map(scan => window.MehrGuardReport.fromScan(scan)));
+
+        if (skipped === scans.length) {
+            showToast('None of the selected scans is a URL', 'warning');
+            return;
+        }
+
+        const blob = new Blob([window.MehrGuardStix.stringify(bundle)], { type: 'application/stix+json;version=2.1' });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `mehrguard_stix_${bundle.id.slice('bundle--'.length, 'bundle--'.length + 8)}.json`;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+
+        showToast(skipped > 0
+            ? formatText('STIX bundle downloaded ({count} non-URL scans skipped)', { count: skipped })
+            : 'STIX bundle downloaded', 'success');
+    } catch (e) {
+        console.error('[Threat] STIX export failed:', e);
+        showToast('Failed to generate STIX bundle', 'error');
+    }
+}
+
+/**
+ * Download the ticked scans as one MISP event
+ */
+async function exportSelectedScansAsMisp() {
+    const scanIds = Array.from(ThreatState.selectedScanIds);
+    if (scanIds.length === 0) return;
+    if (!window.MehrGuardMisp || !window.MehrGuardReport) {
+        showToast('MISP export unavailable', 'error');
+        return;
+    }
+
+    try {
+        const scans = (await Promise.all(scanIds.map(id => window.MehrGuardUI.loadScanById(id)))).filter(Boolean);
+        const { event, skipped } = window.MehrGuardMisp.buildEvent(
+            scans.map(scan => window.MehrGuardReport.fromScan(scan)));
+
+        if (!event) {
+            showToast('None of the selected scans is a URL', 'warning');
+            return;
+        }
+
+        const blob = new Blob([JSON.stringify(event, null, 2) + '\n'], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `mehrguard_misp_${event.Event.uuid.slice(0, 8)}.json`;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+
+        showToast(skipped > 0
+            ? formatText('MISP event downloaded ({count} non-URL scans skipped)', { count: skipped })
+            : 'MISP event downloaded', 'success');
+    } catch (e) {
+        console.error('[Threat] MISP export failed:', e);
+        showToast('Failed to generate MISP event', 'error');
+    }
+}
+
+/**
+ * Fill the reason code filter from the reason code index
+ */
+async function refreshReasonFilterOptions() {
+    const select = document.getElementById('historyReasonFilter');
+    const store = window.MehrGuardHistoryStore;
+    if (!select || !store) return;
+
+    let codes = [];
+    try {
+        codes = await store.getDistinct(store.INDEXES.REASON);
+    } catch (e) {
+        console.error('[Threat] Failed to list reason codes:', e);
+    }
+
+    const selected = ThreatState.historyQuery.reasonCode;
+    if (selected && !codes.includes(selected)) codes.push(selected);
+
+    select.innerHTML = `<option value="">${translateText('All reason codes')}</option>` +
+        codes.map(code => `<option value="${escapeAttribute(code)}">${escapeHtml(code)}</option>`).join('');
+    select.value = selected;
 }
 
 function getVerdictClass(verdict) {
@@ -688,10 +1063,10 @@ function truncateUrl(url) {
     return url;
 }
 
-function viewScanDetails(scanId) {
+async function viewScanDetails(scanId) {
     if (!window.MehrGuardUI) return;
 
-    const scan = window.MehrGuardUI.getScanById(scanId);
+    const scan = await window.MehrGuardUI.loadScanById(scanId);
     if (!scan) return;
 
     // Map verdict to results.html format
@@ -713,6 +1088,7 @@ function viewScanDetails(scanId) {
 
     // Navigate to results.html with scan details
     const params = new URLSearchParams({
+        scanId: scan.id,
         url: scan.url,
         verdict: resultVerdict,
         score: scan.score || 0 // Use 0 when score missing (consistent with UNKNOWN verdict)
@@ -726,7 +1102,7 @@ function viewScanDetails(scanId) {
 // =============================================================================
 
 /**
- * Block and report the threat
+ * Block the threat's domain, then offer to report it by email
  */
 function blockAndReport() {
     const data = ThreatState.threatData;
@@ -739,33 +1115,177 @@ function blockAndReport() {
         // Extract domain from URL
         const domain = extractDomain(data.url);
 
-        if (!blocklist.includes(domain)) {
-            blocklist.push(domain);
+        // Same {domain, addedAt} format as the Trust Centre (trust.js)
+        const exists = blocklist.some(item =>
+            (typeof item === 'string' ? item : item?.domain) === domain);
+        if (domain && !exists) {
+            blocklist.push({ domain: domain, addedAt: Date.now() });
             localStorage.setItem(blocklistKey, JSON.stringify(blocklist));
         }
     } catch (e) {
         console.error('[Threat] Failed to add to blocklist:', e);
     }
 
-    showToast('Threat blocked and reported', 'success');
+    showToast('Threat blocked', 'success');
 
-    // Visual feedback on button
+    // Blocking is done; the button stays available for sending more reports
     if (elements.blockBtn) {
         elements.blockBtn.innerHTML = `
-            <span class="material-symbols-outlined">check</span>
-            Blocked
+            <span class="material-symbols-outlined">forward_to_inbox</span>
+            ${escapeHtml(translateText('Report again'))}
         `;
-        elements.blockBtn.disabled = true;
-        elements.blockBtn.style.opacity = '0.7';
     }
+
+    openReportDialog();
+}
+
+// =============================================================================
+// ABUSE REPORTS
+// =============================================================================
+
+/**
+ * Show who the threat can be reported to (abuse-report.js)
+ */
+async function openReportDialog() {
+    if (!window.MehrGuardAbuseReport || !window.MehrGuardReport) {
+        showToast('Abuse reports unavailable', 'error');
+        return;
+    }
+    if (!window.MehrGuardAbuseReport.defang(ThreatState.threatData?.url)) {
+        showToast('Only scanned links can be reported', 'info');
+        return;
+    }
+
+    const data = await getAbuseReportData();
+    const recipients = window.MehrGuardAbuseReport.getRecipients(data);
+    ThreatState.abuseReport = { data, recipients };
+
+    renderReportRecipients(recipients);
+    elements.reportDialog?.classList.remove('hidden');
+    elements.reportDownloadBtn?.focus();
+}
+
+function closeReportDialog() {
+    elements.reportDialog?.classList.add('hidden');
+    ThreatState.abuseReport = null;
+}
+
+function isReportDialogOpen() {
+    return !!elements.reportDialog && !elements.reportDialog.classList.contains('hidden');
+}
+
+/**
+ * Report data for the threat on screen: the stored scan when there is one,
+ * otherwise what the page was opened with
+ */
+async function getAbuseReportData() {
+    const data = ThreatState.threatData;
+    if (data.scanId && window.MehrGuardUI) {
+        try {
+            const scan = await window.MehrGuardUI.loadScanById(data.scanId);
+            if (scan) return window.MehrGuardReport.fromScan(scan);
+        } catch (e) {
+            console.warn('[Threat] Could not load the scan for reporting:', e);
+        }
+    }
+
+    return {
+        scanId: data.scanId || null,
+        url: data.url,
+        verdict: window.MehrGuardReport.toReportVerdict(data.verdict),
+        score: data.score || 0,
+        timestamp: data.timestamp,
+        analysis: data.analysis || null,
+        payload: null,
+        qrThumbnail: null,
+    };
+}
+
+function renderReportRecipients(recipients) {
+    if (!elements.reportRecipients) return;
+
+    elements.reportRecipients.innerHTML = recipients.map((recipient, index) => `
+        <li>
+            <label class="report-recipient${recipient.address ? '' : ' unavailable'}">
+                <input type="checkbox" data-recipient-index="${index}"
+                    ${recipient.address ? 'checked' : 'disabled'} />
+                <span>
+                    <span class="report-recipient-label">${escapeHtml(translateText(recipient.label))}</span>
+                    <span class="report-recipient-detail">${escapeHtml(recipient.address || translateText(recipient.hint))}</span>
+                </span>
+            </label>
+        </li>
+    `).join('');
+}
+
+/**
+ * Download the .eml for the ticked recipients, with the JSON scan report
+ * attached as evidence (signed when this browser can sign)
+ */
+async function downloadAbuseReport() {
+    const report = ThreatState.abuseReport;
+    if (!report) return;
+
+    const to = Array.from(elements.reportRecipients?.querySelectorAll('input[data-recipient-index]:checked') || [])
+        .map(input => report.recipients[Number(input.dataset.recipientIndex)]?.address)
+        .filter(Boolean);
+    if (to.length === 0) {
+        showToast('Choose at least one recipient', 'warning');
+        return;
+    }
+
+    let evidence = window.MehrGuardReport.build(report.data);
+    if (window.MehrGuardSigning) {
+        try {
+            evidence = await window.MehrGuardSigning.signReport(evidence);
+        } catch (e) {
+            console.warn('[Threat] Evidence attached without a signature:', e);
+        }
+    }
+
+    let eml;
+    let filename;
+    try {
+        ({ eml, filename } = window.MehrGuardAbuseReport.buildEml(report.data, { to, evidence }));
+    } catch (e) {
+        console.error('[Threat] Abuse report failed:', e);
+        showToast('Failed to create the abuse report', 'error');
+        return;
+    }
+
+    const blob = new Blob([eml], { type: 'message/rfc822' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+
+    closeReportDialog();
+    showToast('Abuse report downloaded - send it from your mail client', 'success');
 }
 
 /**
  * Export threat report
  */
 function exportThreatReport() {
-    // Navigate to export page
-    window.location.href = 'export.html';
+    const data = ThreatState.threatData;
+    if (!data?.url) {
+        window.location.href = 'export.html';
+        return;
+    }
+
+    // Export page prefers the stored scan; URL details cover unsaved ones
+    const reportVerdicts = { HIGH: 'MALICIOUS', MEDIUM: 'SUSPICIOUS', SAFE: 'SAFE' };
+    const params = new URLSearchParams({
+        scanId: data.scanId || '',
+        url: data.url,
+        verdict: reportVerdicts[data.verdict] || 'UNKNOWN',
+        score: data.score || 0,
+    });
+    window.location.href = `export.html?${params.toString()}`;
 }
 
 // =============================================================================
@@ -798,13 +1318,18 @@ function setupKeyboardShortcuts() {
     document.addEventListener('keydown', (e) => {
         // Escape - go back
         if (e.key === 'Escape') {
-            if (ThreatState.isSidebarOpen) {
+            if (isReportDialogOpen()) {
+                closeReportDialog();
+            } else if (ThreatState.isSidebarOpen) {
                 closeSidebar();
             } else {
                 window.history.back();
             }
         }
 
+        // Shortcuts below act on the page behind the dialog
+        if (isReportDialogOpen()) return;
+
         // B - Block
         if (e.key === 'b' && !e.ctrlKey && !e.metaKey &&
             document.activeElement?.tagName !== 'INPUT') {
@@ -986,6 +1511,101 @@ function translateSignalDescription(signal) {
     return signal;
 }
 
+// Reason code -> attack card type (codes not listed become 'heuristic' cards)
+const ReasonAttackTypes = {
+    HOMOGRAPH: 'homograph',
+    MIXED_SCRIPT: 'homograph',
+    LOOKALIKE_CHARS: 'homograph',
+    ZERO_WIDTH_CHARS: 'homograph',
+    URL_SHORTENER: 'redirect',
+    REDIRECT_PARAM: 'redirect',
+    SUSPICIOUS_TLD: 'suspicious_tld',
+    MULTI_TLD: 'suspicious_tld',
+    BRAND_IMPERSONATION: 'brand_impersonation',
+    BRAND_IN_SUBDOMAIN: 'brand_impersonation',
+    JAVASCRIPT_URL: 'obfuscation',
+    DATA_URI: 'obfuscation',
+    ENCODED_PAYLOAD: 'obfuscation',
+    EXCESSIVE_ENCODING: 'obfuscation',
+    HIGH_ENTROPY_HOST: 'obfuscation',
+    AT_SYMBOL_INJECTION: 'phishing',
+    CREDENTIAL_PARAM: 'phishing',
+    CREDENTIAL_KEYWORDS: 'suspicious_keywords',
+    SUSPICIOUS_PATH: 'suspicious_keywords',
+};
+
+/**
+ * Generate attack cards from the analysis snapshot stored with a history
+ * entry (reason codes, threat intel and unicode as reported at scan time)
+ * @param {string} url - Scanned URL
+ * @param {Object} analysis - Snapshot from MehrGuardUI.createAnalysisSnapshot()
+ */
+function generateAttacksFromAnalysis(url, analysis) {
+    const attacks = [];
+    const domain = extractDomain(url);
+
+    if (analysis.intel?.isKnownBad) {
+        attacks.push({
+            type: 'phishing',
+            title: translateText('Known Malicious URL'),
+            description: formatText('This URL is in our threat intelligence database with {confidence} confidence.',
+                { confidence: analysis.intel.confidence }),
+        });
+    }
+
+    const unicode = analysis.unicode;
+    const hasUnicodeCard = !!(unicode?.hasRisk && unicode.safeDisplayHost && unicode.safeDisplayHost !== domain);
+    if (hasUnicodeCard) {
+        attacks.push({
+            type: 'homograph',
+            title: translateText('HomographIdnAttack'),
+            description: translateText('InternationalizedDomainDetected'),
+            visual: escapeHtml(domain),
+            actual: escapeHtml(unicode.safeDisplayHost),
+            explanation: translateText('DomainUsesInternationalChars'),
+        });
+    }
+
+    analysis.reasons
+        .filter(reason => reason.severity !== 'INFO')
+        .forEach(reason => {
+            const type = ReasonAttackTypes[reason.code] || 'heuristic';
+            if (type === 'homograph' && hasUnicodeCard) return;
+
+            const attack = {
+                type,
+                title: formatReasonCode(reason.code),
+                description: translateSignalDescription(reason.description),
+                severity: reason.severity,
+            };
+            if (type === 'redirect') {
+                attack.chain = [{ label: translateText('ScannedURLLabel'), url: escapeHtml(url), status: 'warning' }];
+            }
+            attacks.push(attack);
+        });
+
+    return attacks;
+}
+
+/**
+ * "BRAND_IN_SUBDOMAIN" -> "Brand In Subdomain"
+ */
+function formatReasonCode(code) {
+    return translateText(code.toLowerCase().split('_')
+        .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+        .join(' '));
+}
+
+/**
+ * Attack cards for a history entry: from its analysis snapshot when it has
+ * one, otherwise from the stored signals (entries saved before snapshots)
+ */
+function getAttacksForScan(scan) {
+    return scan.analysis
+        ? generateAttacksFromAnalysis(scan.url, scan.analysis)
+        : generateAttacksFromUrl(scan.url, scan.verdict, scan.signals || []);
+}
+
 /**
  * Generate attack analysis from actual URL data and engine signals
  */
@@ -1176,6 +1796,9 @@ if (typeof module !== 'undefined' && module.exports) {
         ThreatLevels,
         loadThreatData,
         blockAndReport,
+        downloadAbuseReport,
         exportThreatReport,
+        exportSelectedScansAsStix,
+        exportSelectedScansAsMisp,
     };
 }
@@ -2,7 +2,8 @@
  * Mehr Guard Trust Centre Page Controller
  * 
  * Handles sensitivity settings, allowlist/blocklist management,
- * privacy toggles, and settings persistence.
+ * organisation policy and shared threat intel import, privacy toggles,
+ * and settings persistence.
  * 
  * @author Mehr Guard Team
  * @version 2.4.1
@@ -17,6 +18,8 @@ const TrustConfig = {
     settingsKey: 'mehrguard_trust_settings',
     allowlistKey: 'mehrguard_allowlist',
     blocklistKey: 'mehrguard_blocklist',
+    maxPolicySize: 256 * 1024,
+    maxIntelSize: 5 * 1024 * 1024,
 };
 
 // =============================================================================
@@ -37,6 +40,8 @@ const TrustState = {
     ],
     blocklist: [],
     modalTarget: null, // 'allowlist' or 'blocklist'
+    orgPolicy: null, // { json, fileName, importedAt, summary } from MehrGuardPolicy
+    sharedIntel: [], // Imported MISP events from MehrGuardPolicy
     isSidebarOpen: false,
 };
 
@@ -75,6 +80,31 @@ const elements = {
     addAllowlistBtn: null,
     addBlocklistBtn: null,
 
+    // Organisation policy
+    orgPolicyBadge: null,
+    importPolicyBtn: null,
+    exportPolicyBtn: null,
+    removePolicyBtn: null,
+    policyFileInput: null,
+    orgPolicyMessages: null,
+    orgPolicySummary: null,
+
+    // Shared threat intel
+    sharedIntelBadge: null,
+    importIntelBtn: null,
+    intelFileInput: null,
+    sharedIntelMessages: null,
+    sharedIntelList: null,
+
+    // Abuse reporting
+    abuseSocEmail: null,
+    abuseCertEmail: null,
+    abuseCertPresets: null,
+    abuseReporterName: null,
+    abuseReporterEmail: null,
+    saveAbuseSettingsBtn: null,
+    abuseReportMessages: null,
+
     // Toggles
     offlineToggle: null,
     telemetryToggle: null,
@@ -154,6 +184,25 @@ function cacheElements() {
     elements.blocklistContent = document.getElementById('blocklistContent');
     elements.addAllowlistBtn = document.getElementById('addAllowlistBtn');
     elements.addBlocklistBtn = document.getElementById('addBlocklistBtn');
+    elements.orgPolicyBadge = document.getElementById('orgPolicyBadge');
+    elements.importPolicyBtn = document.getElementById('importPolicyBtn');
+    elements.exportPolicyBtn = document.getElementById('exportPolicyBtn');
+    elements.removePolicyBtn = document.getElementById('removePolicyBtn');
+    elements.policyFileInput = document.getElementById('policyFileInput');
+    elements.orgPolicyMessages = document.getElementById('orgPolicyMessages');
+    elements.orgPolicySummary = document.getElementById('orgPolicySummary');
+    elements.sharedIntelBadge = document.getElementById('sharedIntelBadge');
+    elements.importIntelBtn = document.getElementById('importIntelBtn');
+    elements.intelFileInput = document.getElementById('intelFileInput');
+    elements.sharedIntelMessages = document.getElementById('sharedIntelMessages');
+    elements.sharedIntelList = document.getElementById('sharedIntelList');
+    elements.abuseSocEmail = document.getElementById('abuseSocEmail');
+    elements.abuseCertEmail = document.getElementById('abuseCertEmail');
+    elements.abuseCertPresets = document.getElementById('abuseCertPresets');
+    elements.abuseReporterName = document.getElementById('abuseReporterName');
+    elements.abuseReporterEmail = document.getElementById('abuseReporterEmail');
+    elements.saveAbuseSettingsBtn = document.getElementById('saveAbuseSettingsBtn');
+    elements.abuseReportMessages = document.getElementById('abuseReportMessages');
     elements.offlineToggle = document.getElementById('offlineToggle');
     elements.telemetryToggle = document.getElementById('telemetryToggle');
     elements.autoCopyToggle = document.getElementById('autoCopyToggle');
@@ -192,6 +241,23 @@ function setupEventListeners() {
         if (e.key === 'Enter') addDomain();
     });
 
+    // Organisation policy
+    elements.importPolicyBtn?.addEventListener('click', () => elements.policyFileInput?.click());
+    elements.policyFileInput?.addEventListener('change', handlePolicyFile);
+    elements.exportPolicyBtn?.addEventListener('click', exportOrgPolicy);
+    elements.removePolicyBtn?.addEventListener('click', removeOrgPolicy);
+
+    // Shared threat intel
+    elements.importIntelBtn?.addEventListener('click', () => elements.intelFileInput?.click());
+    elements.intelFileInput?.addEventListener('change', handleIntelFile);
+    elements.sharedIntelList?.addEventListener('click', (e) => {
+        const button = e.target.closest('[data-intel-id]');
+        if (button) removeSharedIntel(button.dataset.intelId);
+    });
+
+    // Abuse reporting
+    elements.saveAbuseSettingsBtn?.addEventListener('click', saveAbuseReportSettings);
+
     // Toggles
     elements.offlineToggle?.addEventListener('change', (e) => {
         TrustState.settings.strictOffline = e.target.checked;
@@ -269,6 +335,10 @@ function loadSettings() {
                 return item;
             });
         }
+
+        // Organisation policy is stored and validated by MehrGuardPolicy
+        TrustState.orgPolicy = window.MehrGuardPolicy?.getOrgPolicy() || null;
+        TrustState.sharedIntel = window.MehrGuardPolicy?.getSharedIntel() || [];
     } catch (e) {
         console.error('[Trust Centre] Failed to load settings:', e);
     }
@@ -325,6 +395,9 @@ function resetSettings() {
 function renderUI() {
     renderSensitivity();
     renderLists();
+    renderOrgPolicy();
+    renderSharedIntel();
+    renderAbuseReporting();
     renderToggles();
 }
 
@@ -439,6 +512,186 @@ function renderBlocklist() {
     }
 }
 
+/**
+ * Render the imported organisation policy summary
+ */
+function renderOrgPolicy() {
+    const policy = TrustState.orgPolicy;
+    const summary = policy?.summary;
+
+    elements.exportPolicyBtn?.classList.toggle('hidden', !policy);
+    elements.removePolicyBtn?.classList.toggle('hidden', !policy);
+
+    if (elements.orgPolicyBadge) {
+        const expired = summary?.expiresAt && Date.parse(summary.expiresAt) < Date.now();
+        elements.orgPolicyBadge.textContent = translateText(!policy ? 'Not set' : expired ? 'Expired' : 'Enforced');
+        elements.orgPolicyBadge.className = `org-policy-badge${policy ? (expired ? ' expired' : ' active') : ''}`;
+    }
+
+    if (!elements.orgPolicySummary) return;
+
+    if (!summary) {
+        elements.orgPolicySummary.innerHTML = `
+            <div class="empty-state">
+                <span class="material-symbols-outlined">policy</span>
+                <p>${translateText('No organisation policy imported.')}</p>
+            </div>
+        `;
+        return;
+    }
+
+    const count = (list) => (list || []).length;
+    const yesNo = (value) => translateText(value ? 'Yes' : 'No');
+    const preview = (list) => {
+        if (!list || list.length === 0) return '—';
+        const shown = list.slice(0, 3).map(escapeHtml).join(', ');
+        return list.length > 3 ? `${shown} +${list.length - 3}` : shown;
+    };
+    const thresholds = summary.safeThreshold !== null || summary.suspiciousThreshold !== null
+        ? `${summary.safeThreshold ?? '—'} / ${summary.suspiciousThreshold ?? '—'}`
+        : translateText('Engine default');
+
+    const rows = [
+        ['Organisation', `${escapeHtml(summary.orgName)} <span class="org-policy-muted">(${escapeHtml(summary.orgId)} · v${escapeHtml(summary.version)})</span>`],
+        [formatText('Blocked domains ({count})', { count: count(summary.blockedDomains) }), preview(summary.blockedDomains)],
+        [formatText('Allowed domains ({count})', { count: count(summary.allowedDomains) }), preview(summary.allowedDomains)],
+        [formatText('Blocked TLDs ({count})', { count: count(summary.blockedTlds) }), preview(summary.blockedTlds.map(tld => `.${tld}`))],
+        [formatText('Blocked categories ({count})', { count: count(summary.blockedCategories) }), preview(summary.blockedCategories)],
+        ['Require HTTPS', yesNo(summary.requireHttps)],
+        ['Block IP addresses', yesNo(summary.blockIpAddresses)],
+        ['Block URL shorteners', yesNo(summary.blockShorteners)],
+        ['Max URL length', summary.maxUrlLength > 0 ? String(summary.maxUrlLength) : translateText('No limit')],
+        ['Safe / suspicious thresholds', thresholds],
+        ['Allowed QR payload types', summary.allPayloadTypesAllowed ? translateText('All types') : preview(summary.allowedPayloadTypes)],
+        ['Strict mode', yesNo(summary.strictMode)],
+        ['Expires', summary.expiresAt ? escapeHtml(summary.expiresAt) : translateText('Never')],
+        ['Contact', summary.contactEmail ? escapeHtml(summary.contactEmail) : '—'],
+    ];
+
+    elements.orgPolicySummary.innerHTML = `
+        <dl class="org-policy-rules">
+            ${rows.map(([label, value]) => `
+                <div class="org-policy-row">
+                    <dt>${translateText(label)}</dt>
+                    <dd>${value}</dd>
+                </div>
+            `).join('')}
+        </dl>
+        <p class="org-policy-source">${formatText('Imported from {file} {date}', {
+        file: escapeHtml(policy.fileName),
+        date: formatAddedDate(policy.importedAt),
+    })}</p>
+    `;
+}
+
+/**
+ * Render the imported MISP events
+ */
+function renderSharedIntel() {
+    const events = TrustState.sharedIntel;
+
+    if (elements.sharedIntelBadge) {
+        elements.sharedIntelBadge.textContent = events.length === 1
+            ? translateText('1 event')
+            : formatText('{count} events', { count: events.length });
+        elements.sharedIntelBadge.className = `org-policy-badge${events.length > 0 ? ' active' : ''}`;
+    }
+
+    if (!elements.sharedIntelList) return;
+
+    if (events.length === 0) {
+        elements.sharedIntelList.innerHTML = `
+            <div class="empty-state">
+                <span class="material-symbols-outlined">hub</span>
+                <p>${translateText('No shared threat intel imported.')}</p>
+            </div>
+        `;
+        return;
+    }
+
+    elements.sharedIntelList.innerHTML = events.map(event => `
+        <div class="shared-intel-item">
+            <div class="shared-intel-info">
+                <p class="shared-intel-title">${escapeHtml(event.info)}</p>
+                <p class="shared-intel-meta">${formatText('{org} · {urls} URLs, {domains} domains, {hosts} hosts', {
+        org: escapeHtml(event.orgName || translateText('Unknown organisation')),
+        urls: event.urls.length,
+        domains: event.domains.length,
+        hosts: event.hostnames.length,
+    })}</p>
+                <p class="shared-intel-meta">${formatText('Imported from {file} {date}', {
+        file: escapeHtml(event.fileName),
+        date: formatAddedDate(event.importedAt),
+    })}</p>
+            </div>
+            <button class="delete-btn" data-intel-id="${escapeHtml(event.uuid)}" aria-label="${translateText('Remove')}">
+                <span class="material-symbols-outlined">delete</span>
+            </button>
+        </div>
+    `).join('');
+}
+
+/**
+ * Fill the abuse report recipient fields from abuse-report.js settings
+ */
+function renderAbuseReporting() {
+    const abuseReport = window.MehrGuardAbuseReport;
+    if (!abuseReport) return;
+
+    const settings = abuseReport.getSettings();
+    if (elements.abuseSocEmail) elements.abuseSocEmail.value = settings.socEmail;
+    if (elements.abuseCertEmail) elements.abuseCertEmail.value = settings.certEmail;
+    if (elements.abuseReporterName) elements.abuseReporterName.value = settings.reporterName;
+    if (elements.abuseReporterEmail) elements.abuseReporterEmail.value = settings.reporterEmail;
+
+    if (elements.abuseCertPresets) {
+        elements.abuseCertPresets.innerHTML = abuseReport.CERT_PRESETS.map(preset =>
+            `<option value="${escapeHtml(preset.address)}">${escapeHtml(preset.name)}</option>`).join('');
+    }
+
+    renderSocPlaceholder();
+}
+
+/**
+ * Reports go to the organisation policy's contact when no SOC address is set
+ */
+function renderSocPlaceholder() {
+    if (!elements.abuseSocEmail) return;
+    const contactEmail = TrustState.orgPolicy?.summary?.contactEmail;
+    elements.abuseSocEmail.placeholder = contactEmail
+        ? formatText('{email} (from organisation policy)', { email: contactEmail })
+        : 'soc@example.com';
+}
+
+/**
+ * Show validation errors and warnings from the last import attempt
+ * @param {HTMLElement} [container] - Messages area, the organisation policy one by default
+ */
+function renderPolicyMessages(errors = [], warnings = [], container = elements.orgPolicyMessages) {
+    if (!container) return;
+
+    if (errors.length === 0 && warnings.length === 0) {
+        container.classList.add('hidden');
+        container.innerHTML = '';
+        return;
+    }
+
+    const item = (type, icon, message) => `
+        <li class="org-policy-message ${type}">
+            <span class="material-symbols-outlined">${icon}</span>
+            <span>${escapeHtml(translateText(message))}</span>
+        </li>
+    `;
+
+    container.innerHTML = `
+        <ul>
+            ${errors.map(message => item('error', 'error', message)).join('')}
+            ${warnings.map(message => item('warning', 'warning', message)).join('')}
+        </ul>
+    `;
+    container.classList.remove('hidden');
+}
+
 /**
  * Render toggle states
  */
@@ -580,6 +833,181 @@ function removeDomain(listType, index) {
 // Expose to global scope for onclick handlers
 window.removeDomain = removeDomain;
 
+// =============================================================================
+// ORGANISATION POLICY
+// =============================================================================
+
+/**
+ * Read, validate and store an OrgPolicy JSON file
+ */
+function handlePolicyFile(event) {
+    const file = event.target.files?.[0];
+    event.target.value = '';
+    if (!file) return;
+
+    if (!window.MehrGuardPolicy) {
+        showToast('Policy engine unavailable', 'error');
+        return;
+    }
+
+    if (file.size > TrustConfig.maxPolicySize) {
+        renderPolicyMessages(['Policy file is too large (max 256 KB)']);
+        showToast('Policy import failed', 'error');
+        return;
+    }
+
+    const reader = new FileReader();
+    reader.onload = () => {
+        const result = window.MehrGuardPolicy.importOrgPolicy(String(reader.result || ''), file.name);
+        renderPolicyMessages(result.errors, result.warnings);
+
+        if (!result.valid) {
+            showToast('Policy import failed', 'error');
+            return;
+        }
+
+        TrustState.orgPolicy = window.MehrGuardPolicy.getOrgPolicy();
+        renderOrgPolicy();
+        renderSocPlaceholder();
+        showToast(formatText('Policy for {org} imported', { org: result.summary.orgName }), 'success');
+    };
+    reader.onerror = () => {
+        renderPolicyMessages(['Could not read the selected file']);
+        showToast('Policy import failed', 'error');
+    };
+    reader.readAsText(file);
+}
+
+/**
+ * Download the policy as the engine understood it
+ */
+function exportOrgPolicy() {
+    const summary = TrustState.orgPolicy?.summary;
+    if (!summary) return;
+
+    const blob = new Blob([summary.normalizedJson || TrustState.orgPolicy.json], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `mehrguard-policy-${summary.orgId || 'org'}.json`;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+
+    showToast('Policy exported', 'success');
+}
+
+function removeOrgPolicy() {
+    if (!TrustState.orgPolicy) return;
+    if (!confirm(translateText('Remove the organisation policy? Scans will no longer be checked against it.'))) {
+        return;
+    }
+
+    window.MehrGuardPolicy?.clearOrgPolicy();
+    TrustState.orgPolicy = null;
+    renderPolicyMessages();
+    renderOrgPolicy();
+    renderSocPlaceholder();
+    showToast('Organisation policy removed', 'success');
+}
+
+// =============================================================================
+// SHARED THREAT INTEL
+// =============================================================================
+
+/**
+ * Read a MISP event file and add its indicators to the shared threat intel
+ */
+function handleIntelFile(event) {
+    const file = event.target.files?.[0];
+    event.target.value = '';
+    if (!file) return;
+
+    if (!window.MehrGuardPolicy || !window.MehrGuardMisp) {
+        showToast('MISP import unavailable', 'error');
+        return;
+    }
+
+    if (file.size > TrustConfig.maxIntelSize) {
+        renderPolicyMessages(['MISP event file is too large (max 5 MB)'], [], elements.sharedIntelMessages);
+        showToast('MISP import failed', 'error');
+        return;
+    }
+
+    const reader = new FileReader();
+    reader.onload = () => {
+        const result = window.MehrGuardMisp.parseEvent(String(reader.result || ''));
+        renderPolicyMessages(result.errors, result.warnings, elements.sharedIntelMessages);
+
+        if (!result.valid) {
+            showToast('MISP import failed', 'error');
+            return;
+        }
+        if (!window.MehrGuardPolicy.addSharedIntel(result.event, file.name)) {
+            renderPolicyMessages(['Not enough browser storage for this event'], [], elements.sharedIntelMessages);
+            showToast('MISP import failed', 'error');
+            return;
+        }
+
+        TrustState.sharedIntel = window.MehrGuardPolicy.getSharedIntel();
+        renderSharedIntel();
+        showToast(formatText('Imported {count} indicators from {event}', {
+            count: result.event.urls.length + result.event.domains.length + result.event.hostnames.length,
+            event: result.event.info,
+        }), 'success');
+    };
+    reader.onerror = () => {
+        renderPolicyMessages(['Could not read the selected file'], [], elements.sharedIntelMessages);
+        showToast('MISP import failed', 'error');
+    };
+    reader.readAsText(file);
+}
+
+function removeSharedIntel(uuid) {
+    const event = TrustState.sharedIntel.find(item => item.uuid === uuid);
+    if (!event) return;
+    if (!confirm(formatText('Remove "{event}"? Its indicators will no longer affect verdicts.', { event: event.info }))) {
+        return;
+    }
+
+    window.MehrGuardPolicy?.removeSharedIntel(uuid);
+    TrustState.sharedIntel = window.MehrGuardPolicy?.getSharedIntel() || [];
+    renderPolicyMessages([], [], elements.sharedIntelMessages);
+    renderSharedIntel();
+    showToast('Shared threat intel removed', 'success');
+}
+
+// =============================================================================
+// ABUSE REPORTING
+// =============================================================================
+
+/**
+ * Save where Block & Report addresses its abuse report emails
+ */
+function saveAbuseReportSettings() {
+    if (!window.MehrGuardAbuseReport) {
+        showToast('Abuse reports unavailable', 'error');
+        return;
+    }
+
+    const result = window.MehrGuardAbuseReport.saveSettings({
+        socEmail: elements.abuseSocEmail?.value,
+        certEmail: elements.abuseCertEmail?.value,
+        reporterName: elements.abuseReporterName?.value,
+        reporterEmail: elements.abuseReporterEmail?.value,
+    });
+    renderPolicyMessages(result.errors, [], elements.abuseReportMessages);
+
+    if (!result.valid) {
+        showToast('Recipients not saved', 'error');
+        return;
+    }
+
+    renderAbuseReporting();
+    showToast('Abuse report recipients saved', 'success');
+}
+
 // =============================================================================
 // SIDEBAR CONTROLS
 // =============================================================================
@@ -673,9 +1101,10 @@ function showToast(message, type = 'success') {
 // =============================================================================
 
 function isValidDomain(domain) {
-    // Basic domain validation
+    // Basic domain validation; a leading "*." wildcard covers all subdomains
     const pattern = /^[a-z0-9]+([\-\.]{1}[a-z0-9]+)*\.[a-z]{2,}$/i;
-    return pattern.test(domain) || domain === 'localhost';
+    const host = domain.startsWith('*.') ? domain.substring(2) : domain;
+    return pattern.test(host) || domain === 'localhost';
 }
 
 function escapeHtml(text) {
@@ -732,7 +1161,9 @@ function formatAddedDate(timestamp) {
  * Generate and download a security audit report
  * Contains all Trust Centre settings, allowlist, blocklist, and scan history
  */
-function generateSecurityAudit() {
+async function generateSecurityAudit() {
+    const scanStatistics = await getScanStatistics();
+
     const auditData = {
         reportType: 'Mehr Guard Security Audit',
         generatedAt: new Date().toISOString(),
@@ -769,8 +1200,30 @@ function generateSecurityAudit() {
             }))
         },
 
+        // Organisation Policy
+        organisationPolicy: TrustState.orgPolicy ? {
+            orgId: TrustState.orgPolicy.summary.orgId,
+            orgName: TrustState.orgPolicy.summary.orgName,
+            version: TrustState.orgPolicy.summary.version,
+            fileName: TrustState.orgPolicy.fileName,
+            importedAt: new Date(TrustState.orgPolicy.importedAt).toISOString(),
+            expiresAt: TrustState.orgPolicy.summary.expiresAt,
+        } : null,
+
+        // Shared Threat Intel (MISP events)
+        sharedThreatIntel: TrustState.sharedIntel.map(event => ({
+            uuid: event.uuid,
+            info: event.info,
+            orgName: event.orgName,
+            fileName: event.fileName,
+            importedAt: new Date(event.importedAt).toISOString(),
+            urls: event.urls.length,
+            domains: event.domains.length,
+            hostnames: event.hostnames.length,
+        })),
+
         // Scan Statistics (from MehrGuardUI if available)
-        scanStatistics: getScanStatistics(),
+        scanStatistics,
 
         // System Info
         systemInfo: {
@@ -796,40 +1249,25 @@ function generateSecurityAudit() {
 }
 
 /**
- * Get scan statistics from MehrGuardUI or localStorage
+ * Get scan statistics from the history store, once MehrGuardUI has loaded it
  */
-function getScanStatistics() {
+async function getScanStatistics() {
     try {
-        // Try to get from MehrGuardUI
         if (window.MehrGuardUI && window.MehrGuardUI.getHistorySummary) {
+            await window.MehrGuardUI.whenHistoryReady();
             return window.MehrGuardUI.getHistorySummary();
         }
-
-        // Fallback to localStorage
-        const history = localStorage.getItem('mehrguard_scan_history');
-        if (history) {
-            const scans = JSON.parse(history);
-            const today = new Date().toDateString();
-            const weekAgo = Date.now() - 7 * 24 * 60 * 60 * 1000;
-
-            return {
-                totalScans: scans.length,
-                scansToday: scans.filter(s => new Date(s.timestamp).toDateString() === today).length,
-                scansThisWeek: scans.filter(s => s.timestamp > weekAgo).length,
-                threatsDetected: scans.filter(s => s.verdict === 'HIGH' || s.verdict === 'MEDIUM').length,
-                safeScans: scans.filter(s => s.verdict === 'SAFE').length,
-            };
-        }
     } catch (e) {
         console.error('Failed to get scan statistics:', e);
     }
 
     return {
-        totalScans: 0,
-        scansToday: 0,
-        scansThisWeek: 0,
-        threatsDetected: 0,
-        safeScans: 0,
+        total: 0,
+        today: 0,
+        thisWeek: 0,
+        threats: 0,
+        safe: 0,
+        blocked: 0,
     };
 }
 
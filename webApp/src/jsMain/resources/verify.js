@@ -0,0 +1,502 @@
+/**
+ * Mehr Guard Verify Report Page Controller
+ *
+ * Checks a report exported by Mehr Guard (PDF, HTML or JSON) against the
+ * signature it carries, and shows whether the file was altered after it
+ * was generated and whether this install signed it. Verification runs
+ * entirely in the browser through signing.js.
+ *
+ * @author Mehr Guard Team
+ * @version 2.4.1
+ */
+
+// =============================================================================
+// CONFIGURATION
+// =============================================================================
+
+const VerifyConfig = {
+    version: '2.4.1',
+    maxFileSize: 50 * 1024 * 1024, // 50 MB; review PDFs with many thumbnails are large
+};
+
+const FormatLabels = {
+    pdf: 'PDF report',
+    html: 'HTML report',
+    json: 'JSON report',
+};
+
+// =============================================================================
+// STATE
+// =============================================================================
+
+const VerifyState = {
+    request: 0, // Ignores results that finish after a newer file was chosen
+    file: null, // Last file checked, re-checked after its key is trusted
+    result: null,
+    isSidebarOpen: false,
+};
+
+function translateText(text) {
+    if (window.mehrguardTranslateText) {
+        return window.mehrguardTranslateText(text);
+    }
+    return text;
+}
+
+function formatText(template, params) {
+    if (window.mehrguardFormatText) {
+        return window.mehrguardFormatText(template, params);
+    }
+    return template;
+}
+
+// =============================================================================
+// DOM ELEMENTS
+// =============================================================================
+
+const elements = {
+    // Sidebar
+    sidebar: null,
+    menuToggle: null,
+
+    // Input
+    verifyDropzone: null,
+    verifyFileInput: null,
+
+    // Result
+    verifyResult: null,
+    verifyStatus: null,
+    verifyStatusIcon: null,
+    verifyStatusTitle: null,
+    verifyStatusText: null,
+    verifyDetails: null,
+    verifyChecks: null,
+    verifyTrustBtn: null,
+
+    // Local key
+    localFingerprint: null,
+    copyFingerprintBtn: null,
+
+    // Trusted keys
+    trustedKeysList: null,
+    trustedKeysEmpty: null,
+
+    // Toast
+    toast: null,
+    toastMessage: null,
+};
+
+// =============================================================================
+// INITIALIZATION
+// =============================================================================
+
+document.addEventListener('DOMContentLoaded', () => {
+    console.log('[Mehr Guard Verify] Initializing v' + VerifyConfig.version);
+
+    cacheElements();
+    setupEventListeners();
+    loadLocalIdentity();
+    renderTrustedKeys();
+
+    window.mehrguardApplyTranslations?.(document.body);
+
+    console.log('[Mehr Guard Verify] Ready');
+});
+
+/**
+ * Cache frequently accessed DOM elements
+ */
+function cacheElements() {
+    elements.sidebar = document.getElementById('sidebar');
+    elements.menuToggle = document.getElementById('menuToggle');
+    elements.verifyDropzone = document.getElementById('verifyDropzone');
+    elements.verifyFileInput = document.getElementById('verifyFileInput');
+    elements.verifyResult = document.getElementById('verifyResult');
+    elements.verifyStatus = document.getElementById('verifyStatus');
+    elements.verifyStatusIcon = document.getElementById('verifyStatusIcon');
+    elements.verifyStatusTitle = document.getElementById('verifyStatusTitle');
+    elements.verifyStatusText = document.getElementById('verifyStatusText');
+    elements.verifyDetails = document.getElementById('verifyDetails');
+    elements.verifyChecks = document.getElementById('verifyChecks');
+    elements.verifyTrustBtn = document.getElementById('verifyTrustBtn');
+    elements.localFingerprint = document.getElementById('localFingerprint');
+    elements.copyFingerprintBtn = document.getElementById('copyFingerprintBtn');
+    elements.trustedKeysList = document.getElementById('trustedKeysList');
+    elements.trustedKeysEmpty = document.getElementById('trustedKeysEmpty');
+    elements.toast = document.getElementById('toast');
+    elements.toastMessage = document.getElementById('toastMessage');
+}
+
+/**
+ * Setup all event listeners
+ */
+function setupEventListeners() {
+    // Mobile menu toggle
+    elements.menuToggle?.addEventListener('click', toggleSidebar);
+
+    // File picker and drop target
+    const dropzone = elements.verifyDropzone;
+    dropzone?.addEventListener('click', () => elements.verifyFileInput?.click());
+    dropzone?.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter' || e.key === ' ') {
+            e.preventDefault();
+            elements.verifyFileInput?.click();
+        }
+    });
+    dropzone?.addEventListener('dragover', (e) => {
+        e.preventDefault();
+        dropzone.classList.add('dragover');
+    });
+    dropzone?.addEventListener('dragleave', () => dropzone.classList.remove('dragover'));
+    dropzone?.addEventListener('drop', (e) => {
+        e.preventDefault();
+        dropzone.classList.remove('dragover');
+        const file = e.dataTransfer?.files?.[0];
+        if (file) verifyFile(file);
+    });
+    elements.verifyFileInput?.addEventListener('change', (e) => {
+        const file = e.target.files?.[0];
+        e.target.value = '';
+        if (file) verifyFile(file);
+    });
+
+    elements.copyFingerprintBtn?.addEventListener('click', copyFingerprint);
+    elements.verifyTrustBtn?.addEventListener('click', trustResultKey);
+    elements.trustedKeysList?.addEventListener('click', (e) => {
+        const button = e.target.closest('[data-fingerprint]');
+        if (button) forgetTrustedKey(button.dataset.fingerprint);
+    });
+
+    // Keyboard shortcuts
+    setupKeyboardShortcuts();
+
+    // Click outside sidebar to close (mobile)
+    document.addEventListener('click', (e) => {
+        if (VerifyState.isSidebarOpen &&
+            !elements.sidebar?.contains(e.target) &&
+            !elements.menuToggle?.contains(e.target)) {
+            closeSidebar();
+        }
+    });
+}
+
+// =============================================================================
+// LOCAL KEY
+// =============================================================================
+
+/**
+ * Show this install's key fingerprint, creating the key if this is the
+ * first time it is needed
+ */
+async function loadLocalIdentity() {
+    if (!elements.localFingerprint) return;
+
+    try {
+        const identity = await window.MehrGuardSigning.getIdentity();
+        elements.localFingerprint.textContent = identity.fingerprint;
+        elements.copyFingerprintBtn?.removeAttribute('disabled');
+    } catch (e) {
+        console.warn('[Verify] No signing key on this device:', e);
+        elements.localFingerprint.textContent = translateText('Signing is not available in this browser');
+    }
+}
+
+async function copyFingerprint() {
+    const fingerprint = elements.localFingerprint?.textContent;
+    if (!fingerprint) return;
+    try {
+        await navigator.clipboard.writeText(fingerprint);
+        showToast('Fingerprint copied', 'success');
+    } catch (e) {
+        showToast('Could not copy the fingerprint', 'error');
+    }
+}
+
+// =============================================================================
+// TRUSTED KEYS
+// =============================================================================
+
+/**
+ * Trust the key that signed the file on screen, then check the file again
+ */
+async function trustResultKey() {
+    const fingerprint = VerifyState.result?.fingerprint;
+    if (!fingerprint) return;
+    if (!confirm(translateText('Trust this key? Only do this if the fingerprint matches the one the sender gave you.'))) {
+        return;
+    }
+
+    window.MehrGuardSigning.trustKey(fingerprint);
+    renderTrustedKeys();
+    showToast('Key trusted', 'success');
+    if (VerifyState.file) await verifyFile(VerifyState.file);
+}
+
+function forgetTrustedKey(fingerprint) {
+    if (!confirm(translateText('Stop trusting this key? Reports it signed will no longer verify.'))) return;
+
+    window.MehrGuardSigning.forgetKey(fingerprint);
+    renderTrustedKeys();
+    showToast('Key removed', 'info');
+    if (VerifyState.file && VerifyState.result?.fingerprint === fingerprint) verifyFile(VerifyState.file);
+}
+
+function renderTrustedKeys() {
+    if (!elements.trustedKeysList || !window.MehrGuardSigning) return;
+
+    const keys = window.MehrGuardSigning.getTrustedKeys();
+    elements.trustedKeysEmpty?.classList.toggle('hidden', keys.length > 0);
+    // Built with the DOM: fingerprints come from localStorage
+    elements.trustedKeysList.replaceChildren(...keys.map(key => {
+        const item = document.createElement('li');
+        item.className = 'verify-key-row';
+
+        const code = document.createElement('code');
+        code.className = 'fingerprint';
+        code.textContent = key.fingerprint;
+
+        const button = document.createElement('button');
+        button.className = 'btn-secondary';
+        button.dataset.fingerprint = key.fingerprint;
+        const icon = document.createElement('span');
+        icon.className = 'material-symbols-outlined';
+        icon.textContent = 'delete';
+        const label = document.createElement('span');
+        label.textContent = translateText('Remove');
+        button.append(icon, label);
+
+        item.append(code, button);
+        return item;
+    }));
+}
+
+// =============================================================================
+// VERIFICATION
+// =============================================================================
+
+/**
+ * Read a file and check its signature
+ */
+async function verifyFile(file) {
+    if (!window.MehrGuardSigning) {
+        showToast('Report verification unavailable', 'error');
+        return;
+    }
+    if (file.size > VerifyConfig.maxFileSize) {
+        showToast('File is too large (max 50 MB)', 'error');
+        return;
+    }
+
+    const request = ++VerifyState.request;
+    let result;
+    try {
+        result = await window.MehrGuardSigning.verify(await file.arrayBuffer());
+    } catch (e) {
+        console.error('[Verify] Verification failed:', e);
+        if (request === VerifyState.request) {
+            showToast('Could not verify this file', 'error');
+        }
+        return;
+    }
+    if (request !== VerifyState.request) return;
+
+    VerifyState.file = file;
+    VerifyState.result = result;
+    renderResult(file, result);
+}
+
+/**
+ * Banner for a verification result. Never reports a file as unaltered
+ * unless every check passed.
+ * @returns {{variant: string, icon: string, title: string, text: string}}
+ */
+function describeResult(result) {
+    const { STATUS } = window.MehrGuardSigning;
+
+    switch (result.status) {
+        case STATUS.VALID:
+            return {
+                variant: 'valid',
+                icon: 'verified',
+                title: 'Not altered',
+                text: result.thisInstall
+                    ? 'This report is exactly as Mehr Guard generated it, and it was signed by this install.'
+                    : 'This report is exactly as it was when a key you trust signed it.',
+            };
+        case STATUS.SIGNED_BY_UNKNOWN_KEY:
+            return {
+                variant: 'unverified',
+                icon: 'gpp_maybe',
+                title: 'Signed by an unknown key',
+                text: 'The file matches its signature, but the key that signed it is neither this install\'s ' +
+                    'nor one you trust. Anyone can edit a report and sign it again with a new key. Compare the ' +
+                    'fingerprint below with the one the sender shared before trusting it.',
+            };
+        case STATUS.ALTERED:
+            return {
+                variant: 'altered',
+                icon: 'gpp_bad',
+                title: 'Altered',
+                text: 'This report was changed after Mehr Guard signed it. Do not rely on its contents.',
+            };
+        case STATUS.INVALID:
+            return {
+                variant: 'unverified',
+                icon: 'gpp_maybe',
+                title: 'Signature unreadable',
+                text: `${translateText(result.reason || 'The signature is not readable')}. ` +
+                    translateText('Treat this report as unverified.'),
+            };
+        default:
+            return {
+                variant: 'unverified',
+                icon: 'gpp_maybe',
+                title: 'Not signed',
+                text: 'This file has no Mehr Guard signature, so there is no way to tell whether it was changed. ' +
+                    'CSV, STIX and MISP exports are never signed.',
+            };
+    }
+}
+
+function renderResult(file, result) {
+    const view = describeResult(result);
+
+    elements.verifyStatus.className = `verify-status ${view.variant}`;
+    elements.verifyStatusIcon.textContent = view.icon;
+    elements.verifyStatusTitle.textContent = translateText(view.title);
+    elements.verifyStatusText.textContent = translateText(view.text);
+
+    const details = [['File', escapeHtml(file.name)]];
+    if (result.contentType) {
+        details.push(['Format', escapeHtml(translateText(FormatLabels[result.contentType] || result.contentType))]);
+    }
+    if (result.signedAt) {
+        details.push(['Signed', escapeHtml(formatDateTime(result.signedAt))]);
+    }
+    if (result.fingerprint) {
+        const owner = result.thisInstall ? 'This install' : result.trusted ? 'Trusted key' : 'Unknown key';
+        details.push(['Key fingerprint', `<code class="fingerprint">${escapeHtml(result.fingerprint)}</code>` +
+            (result.thisInstall == null ? '' : ` <span class="key-owner">${escapeHtml(translateText(owner))}</span>`)]);
+    }
+    elements.verifyDetails.innerHTML = details.map(([label, value]) =>
+        `<dt>${escapeHtml(translateText(label))}</dt><dd>${value}</dd>`).join('');
+
+    elements.verifyChecks.innerHTML = result.checks ? [
+        [result.checks.hash, 'Content matches the signed hash', 'Content does not match the signed hash'],
+        [result.checks.signature, 'Signature is valid', 'Signature does not match'],
+        [result.checks.fingerprint, 'Fingerprint belongs to the signing key', 'Fingerprint does not belong to the signing key'],
+        [result.checks.trailer, 'Nothing was added after the signature', 'Data was added after the signature'],
+    ].filter(([passed]) => passed !== undefined).map(([passed, pass, fail]) => `
+        <li class="verify-check ${passed ? 'pass' : 'fail'}">
+            <span class="material-symbols-outlined">${passed ? 'check_circle' : 'cancel'}</span>
+            <span>${escapeHtml(translateText(passed ? pass : fail))}</span>
+        </li>
+    `).join('') : '';
+
+    elements.verifyTrustBtn?.classList.toggle('hidden', result.status !== window.MehrGuardSigning.STATUS.SIGNED_BY_UNKNOWN_KEY);
+    elements.verifyResult.classList.remove('hidden');
+}
+
+function formatDateTime(value) {
+    const date = new Date(value);
+    return Number.isNaN(date.getTime()) ? value : date.toLocaleString();
+}
+
+// =============================================================================
+// SIDEBAR CONTROLS
+// =============================================================================
+
+function toggleSidebar() {
+    if (VerifyState.isSidebarOpen) {
+        closeSidebar();
+    } else {
+        openSidebar();
+    }
+}
+
+function openSidebar() {
+    elements.sidebar?.classList.add('open');
+    VerifyState.isSidebarOpen = true;
+}
+
+function closeSidebar() {
+    elements.sidebar?.classList.remove('open');
+    VerifyState.isSidebarOpen = false;
+}
+
+// =============================================================================
+// KEYBOARD SHORTCUTS
+// =============================================================================
+
+function setupKeyboardShortcuts() {
+    document.addEventListener('keydown', (e) => {
+        // Escape - close sidebar
+        if (e.key === 'Escape' && VerifyState.isSidebarOpen) {
+            closeSidebar();
+        }
+    });
+}
+
+// =============================================================================
+// UI HELPERS
+// =============================================================================
+
+/**
+ * Show a toast notification
+ */
+function showToast(message, type = 'success') {
+    if (!elements.toast || !elements.toastMessage) return;
+
+    elements.toastMessage.textContent = translateText(message);
+
+    const icon = elements.toast.querySelector('.toast-icon');
+    if (icon) {
+        switch (type) {
+            case 'success':
+                icon.textContent = 'check_circle';
+                icon.style.color = '#10b981';
+                break;
+            case 'warning':
+                icon.textContent = 'warning';
+                icon.style.color = '#f59e0b';
+                break;
+            case 'error':
+                icon.textContent = 'error';
+                icon.style.color = '#ef4444';
+                break;
+            case 'info':
+                icon.textContent = 'info';
+                icon.style.color = '#3b82f6';
+                break;
+        }
+    }
+
+    elements.toast.classList.remove('hidden');
+    elements.toast.classList.add('show');
+
+    setTimeout(() => {
+        elements.toast.classList.remove('show');
+        setTimeout(() => {
+            elements.toast.classList.add('hidden');
+        }, 300);
+    }, 3000);
+}
+
+function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+}
+
+// =============================================================================
+// EXPORTS FOR TESTING
+// =============================================================================
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        VerifyConfig,
+        VerifyState,
+        describeResult,
+        verifyFile,
+    };
+}